@@ -0,0 +1,115 @@
+// src/config/ai.js
+// Provider and model selection for each AI task. Every task can be pointed at a
+// different provider through environment variables, e.g.
+//   LLM_PROVIDER=local LLM_STORY_MODEL=llama3.1 LLM_VISION_PROVIDER=openai
+
+const logger = require('../utils/logger');
+
+const defaultLLMProvider = process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'fake');
+
+// Default model per task when the task runs on OpenAI
+const openaiModels = {
+  story: 'gpt-3.5-turbo',
+  title: 'gpt-3.5-turbo',
+  continuation: 'gpt-3.5-turbo',
+  scenes: 'gpt-3.5-turbo',
+  translation: 'gpt-3.5-turbo',
+  simplify: 'gpt-3.5-turbo',
+  choices: 'gpt-3.5-turbo',
+  characters: 'gpt-3.5-turbo',
+  vision: 'gpt-4-vision-preview'
+};
+
+// Tasks asked to run on OpenAI without an API key, simulated instead
+const simulatedTasks = [];
+
+const taskConfig = (task) => {
+  const prefix = `LLM_${task.toUpperCase()}`;
+  let provider = process.env[`${prefix}_PROVIDER`] || defaultLLMProvider;
+
+  if (provider === 'openai' && !process.env.OPENAI_API_KEY) {
+    simulatedTasks.push(task);
+    provider = 'fake';
+  }
+
+  let defaultModel;
+  if (provider === 'openai') defaultModel = openaiModels[task];
+  if (provider === 'local') defaultModel = process.env.LLM_LOCAL_MODEL || 'llama3.1';
+  if (provider === 'fake') defaultModel = 'fake-llm';
+
+  return {
+    provider,
+    model: process.env[`${prefix}_MODEL`] || defaultModel
+  };
+};
+
+const llmTasks = ['story', 'title', 'continuation', 'scenes', 'translation', 'simplify', 'choices', 'characters', 'vision'];
+const llmTaskConfig = Object.fromEntries(llmTasks.map(task => [task, taskConfig(task)]));
+
+if (simulatedTasks.length > 0) {
+  logger.warn(`OPENAI_API_KEY not set: ${simulatedTasks.join(', ')} will be simulated by the fake LLM provider`);
+}
+
+const defaultTTSProvider = process.env.TTS_PROVIDER || (process.env.ELEVENLABS_API_KEY ? 'elevenlabs' : 'fake');
+
+const defaultModerationProvider = process.env.MODERATION_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+
+module.exports = {
+  moderation: {
+    provider: defaultModerationProvider,
+    // Times flagged generated text is regenerated before the story fails
+    maxRegenerations: parseInt(process.env.MODERATION_MAX_REGENERATIONS || '2'),
+    providers: {
+      openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        model: process.env.MODERATION_OPENAI_MODEL || 'omni-moderation-latest'
+      }
+    }
+  },
+  cache: {
+    // Content-addressed cache of AI outputs (services/aiCacheService.js)
+    enabled: process.env.AI_CACHE_ENABLED !== 'false',
+    // How long completions are kept in Redis (audio and images stay in
+    // storage until removed, e.g. by a bucket lifecycle rule)
+    textTtlSeconds: parseInt(process.env.AI_CACHE_TEXT_TTL_SECONDS || String(30 * 24 * 60 * 60)),
+    // Text entries kept in-process when Redis is unavailable
+    maxLocalEntries: parseInt(process.env.AI_CACHE_MAX_LOCAL_ENTRIES || '500')
+  },
+  readability: {
+    // Times a story outside its reading level band is simplified or rewritten
+    maxRewrites: parseInt(process.env.READABILITY_MAX_REWRITES || '1')
+  },
+  tts: {
+    provider: defaultTTSProvider,
+    providers: {
+      elevenlabs: {
+        apiKey: process.env.ELEVENLABS_API_KEY,
+        defaultVoiceId: process.env.ELEVENLABS_DEFAULT_VOICE_ID || 'EXAVITQu4vr4xnSDxMaL',
+        modelId: process.env.ELEVENLABS_MODEL_ID || 'eleven_multilingual_v2'
+      },
+      // A command-line engine such as Piper or espeak-ng. Text is written to stdin;
+      // {voice}, {output} and {lengthScale} are substituted into the command.
+      local: {
+        command: process.env.TTS_LOCAL_COMMAND || 'piper --model {voice} --length_scale {lengthScale} --output_file {output}',
+        // Comma-separated id:name:language entries
+        voices: process.env.TTS_LOCAL_VOICES || 'en_US-amy-medium:Amy:en',
+        timeoutMs: parseInt(process.env.TTS_LOCAL_TIMEOUT_MS || '60000')
+      }
+    }
+  },
+  llm: {
+    tasks: llmTaskConfig,
+    providers: {
+      openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+      },
+      // Any server exposing the OpenAI chat completions API (Ollama, llama.cpp, vLLM, LM Studio)
+      local: {
+        apiKey: process.env.LLM_LOCAL_API_KEY,
+        baseUrl: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1'
+      }
+    }
+  }
+};
@@ -0,0 +1,15 @@
+// src/config/backgroundMusic.js
+// Background music themes, by story type name; other types get 'general'
+const BACKGROUND_MUSIC = {
+  adventure: 'adventure_theme.mp3',
+  fantasy: 'magical_theme.mp3',
+  mystery: 'mysterious_theme.mp3',
+  friendship: 'heartwarming_theme.mp3',
+  educational: 'learning_theme.mp3',
+  animal: 'nature_theme.mp3',
+  superhero: 'heroic_theme.mp3',
+  family: 'cozy_theme.mp3',
+  general: 'general_theme.mp3'
+};
+
+module.exports = { BACKGROUND_MUSIC };
@@ -0,0 +1,59 @@
+// src/config/commonWords.js
+// Words young readers know: the Dolch sight words plus everyday and
+// story-book vocabulary. Used by the readability check to find rare words
+// (src/utils/readability.js); inflected forms ("jumped", "foxes") match
+// their base word.
+
+const COMMON_WORDS = new Set([
+  'a', 'about', 'above', 'across', 'after', 'again', 'against', 'all', 'almost', 'alone', 'along',
+  'already', 'also', 'always', 'am', 'an', 'and', 'angry', 'animal', 'animals', 'another', 'any',
+  'anyone', 'anything', 'are', 'arm', 'around', 'as', 'ask', 'at', 'away', 'baby', 'back', 'bad',
+  'bag', 'ball', 'bark', 'be', 'bear', 'beautiful', 'because', 'bed', 'bee', 'been', 'before',
+  'began', 'begin', 'behind', 'being', 'believe', 'bell', 'below', 'best', 'better', 'between',
+  'big', 'bird', 'birthday', 'bit', 'black', 'blue', 'boat', 'body', 'book', 'both', 'bottom', 'box',
+  'boy', 'brave', 'bread', 'break', 'breakfast', 'bright', 'bring', 'brother', 'brown', 'bubble',
+  'bug', 'build', 'bunny', 'busy', 'but', 'butterfly', 'buy', 'by', 'cake', 'call', 'came', 'can',
+  'cannot', 'car', 'care', 'carry', 'cat', 'catch', 'chair', 'change', 'chase', 'cheer', 'chicken',
+  'child', 'children', 'city', 'class', 'clean', 'climb', 'close', 'cloud', 'coat', 'cold', 'color',
+  'come', 'cook', 'cookie', 'could', 'count', 'cow', 'crown', 'cry', 'cup', 'cut', 'dad', 'dance',
+  'dark', 'day', 'dear', 'deep', 'did', 'dinner', 'do', 'dog', 'doll', 'done', 'door', 'down',
+  'draw', 'dream', 'dress', 'drink', 'drive', 'drop', 'duck', 'each', 'ear', 'early', 'earth', 'eat',
+  'egg', 'eight', 'end', 'enough', 'even', 'ever', 'every', 'everyone', 'everything', 'eye', 'face',
+  'fall', 'family', 'far', 'farm', 'fast', 'father', 'feel', 'feet', 'felt', 'few', 'field', 'find',
+  'fine', 'fire', 'first', 'fish', 'five', 'floor', 'flower', 'fly', 'follow', 'food', 'for',
+  'forest', 'forget', 'found', 'four', 'friend', 'friendly', 'friends', 'frog', 'from', 'front',
+  'full', 'fun', 'funny', 'game', 'garden', 'gave', 'get', 'giant', 'giggle', 'girl', 'give', 'glad',
+  'glow', 'go', 'goes', 'gold', 'good', 'got', 'grab', 'grandma', 'grandpa', 'grass', 'gray',
+  'great', 'green', 'grew', 'ground', 'grow', 'had', 'hair', 'hand', 'happy', 'hard', 'has', 'hat',
+  'have', 'he', 'head', 'hear', 'heart', 'help', 'her', 'here', 'hide', 'high', 'hill', 'him', 'his',
+  'hold', 'hole', 'home', 'hop', 'hope', 'horse', 'hot', 'house', 'how', 'hug', 'hungry', 'hurry',
+  'i', 'ice', 'idea', 'if', 'in', 'inside', 'into', 'is', 'it', 'its', 'jump', 'just', 'keep',
+  'kind', 'king', 'kiss', 'kitten', 'knew', 'know', 'lady', 'lake', 'land', 'large', 'last', 'laugh',
+  'learn', 'leave', 'leg', 'let', 'letter', 'light', 'like', 'line', 'lion', 'listen', 'little',
+  'live', 'long', 'look', 'lost', 'lot', 'loud', 'love', 'low', 'lunch', 'mad', 'made', 'magic',
+  'magical', 'make', 'man', 'many', 'may', 'me', 'mean', 'meet', 'might', 'milk', 'mom', 'money',
+  'monkey', 'moon', 'more', 'morning', 'most', 'mother', 'mouse', 'mouth', 'move', 'much', 'must',
+  'my', 'name', 'near', 'need', 'nest', 'never', 'new', 'next', 'nice', 'night', 'nine', 'no',
+  'noise', 'not', 'nothing', 'now', 'number', 'of', 'off', 'oh', 'old', 'on', 'once', 'one', 'only',
+  'open', 'or', 'orange', 'other', 'our', 'out', 'outside', 'over', 'own', 'owl', 'paint', 'paper',
+  'park', 'party', 'pet', 'pick', 'picture', 'pig', 'pink', 'place', 'plant', 'play', 'please',
+  'pocket', 'pond', 'pony', 'pop', 'pretty', 'princess', 'pull', 'puppy', 'purple', 'push', 'put',
+  'queen', 'quick', 'quiet', 'rabbit', 'rain', 'rainbow', 'ran', 'read', 'ready', 'red', 'remember',
+  'rest', 'ride', 'right', 'ring', 'river', 'road', 'rock', 'room', 'round', 'run', 'sad', 'said',
+  'same', 'sand', 'sat', 'saw', 'say', 'school', 'sea', 'see', 'seed', 'seven', 'shall', 'share',
+  'she', 'ship', 'shoe', 'shop', 'short', 'should', 'show', 'sing', 'sister', 'sit', 'six', 'sky',
+  'sleep', 'slow', 'small', 'smell', 'smile', 'snow', 'so', 'some', 'something', 'song', 'soon',
+  'sound', 'space', 'sparkle', 'special', 'star', 'start', 'stay', 'step', 'still', 'stop', 'story',
+  'street', 'sun', 'sure', 'surprise', 'swim', 'table', 'take', 'talk', 'tall', 'tea', 'teacher',
+  'tell', 'ten', 'than', 'thank', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'thing', 'think', 'this', 'those', 'three', 'through', 'time', 'tiny', 'to', 'today', 'together',
+  'told', 'too', 'took', 'top', 'town', 'toy', 'tree', 'try', 'turn', 'two', 'under', 'until', 'up',
+  'upon', 'us', 'use', 'very', 'visit', 'wait', 'wake', 'walk', 'want', 'warm', 'was', 'wash',
+  'watch', 'water', 'way', 'we', 'well', 'went', 'were', 'wet', 'what', 'when', 'where', 'which',
+  'while', 'white', 'who', 'why', 'will', 'win', 'wind', 'window', 'wing', 'wish', 'with', 'without',
+  'woke', 'wonder', 'wonderful', 'wood', 'word', 'work', 'world', 'would', 'write', 'yard', 'year',
+  'yellow', 'yes', 'yet', 'you', 'young', 'your',
+  'wow', 'yay', 'hooray', 'oops', 'uh', 'hello', 'okay', 'hi', 'bye'
+]);
+
+module.exports = { COMMON_WORDS };
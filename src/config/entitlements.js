@@ -0,0 +1,104 @@
+// src/config/entitlements.js
+// Features and daily quotas of each subscription tier. Users without an active
+// subscription are 'free'. Quotas are per day in the user's time zone (from
+// their parental controls); null means unlimited.
+// Override any tier's values with ENTITLEMENTS, a JSON object in the same shape, e.g.
+//   ENTITLEMENTS='{"free":{"storiesPerDay":5}}'
+
+const { StoryLength, VoiceType } = require('../models/storyModels');
+
+const ALL_LENGTHS = [StoryLength.SHORT, StoryLength.MEDIUM, StoryLength.LONG, StoryLength.EPIC];
+const ALL_VOICE_TYPES = Object.values(VoiceType);
+
+const DEFAULT_TIERS = {
+  free: {
+    storiesPerDay: 3,
+    continuationsPerDay: 3,
+    illustratedStoriesPerDay: 0,
+    regenerationsPerDay: 5, // New titles, pictures, narration or music for a story
+    storyLengths: [StoryLength.SHORT],
+    voiceTypes: [VoiceType.NARRATOR, VoiceType.CHILD_FRIENDLY],
+    customVoices: false, // Choosing a specific voice ID
+    characterVoices: false // Dialogue read in a voice per character
+  },
+  basic: {
+    storiesPerDay: 10,
+    continuationsPerDay: 10,
+    illustratedStoriesPerDay: 3,
+    regenerationsPerDay: 15,
+    storyLengths: [StoryLength.SHORT, StoryLength.MEDIUM],
+    voiceTypes: [VoiceType.NARRATOR, VoiceType.CHILD_FRIENDLY, VoiceType.EDUCATIONAL],
+    customVoices: false,
+    characterVoices: true
+  },
+  premium: {
+    storiesPerDay: 25,
+    continuationsPerDay: 25,
+    illustratedStoriesPerDay: 10,
+    regenerationsPerDay: 40,
+    storyLengths: [StoryLength.SHORT, StoryLength.MEDIUM, StoryLength.LONG],
+    voiceTypes: ALL_VOICE_TYPES,
+    customVoices: true,
+    characterVoices: true
+  },
+  family: {
+    storiesPerDay: 50,
+    continuationsPerDay: 50,
+    illustratedStoriesPerDay: 25,
+    regenerationsPerDay: 100,
+    storyLengths: ALL_LENGTHS,
+    voiceTypes: ALL_VOICE_TYPES,
+    customVoices: true,
+    characterVoices: true
+  }
+};
+
+// Quotas counted per day, and the tier setting holding each one's limit
+const QUOTAS = {
+  stories: 'storiesPerDay',
+  continuations: 'continuationsPerDay',
+  illustratedStories: 'illustratedStoriesPerDay',
+  regenerations: 'regenerationsPerDay'
+};
+
+const parseOverrides = () => {
+  if (!process.env.ENTITLEMENTS) return {};
+  try {
+    return JSON.parse(process.env.ENTITLEMENTS);
+  } catch (error) {
+    console.error('⚠️  ENTITLEMENTS is not valid JSON, using the default tiers:', error.message);
+    return {};
+  }
+};
+
+const overrides = parseOverrides();
+const TIERS = {};
+Object.keys(DEFAULT_TIERS).forEach(tier => {
+  TIERS[tier] = { ...DEFAULT_TIERS[tier], ...(overrides[tier] || {}) };
+});
+
+/**
+ * Subscription tier of a user document
+ */
+const getSubscriptionTier = (user) => {
+  const subscription = user?.subscriptionInfo;
+  if (!subscription || subscription.isActive === false) return 'free';
+  return TIERS[subscription.tier] ? subscription.tier : 'free';
+};
+
+/**
+ * Features and quotas of a user's tier: { tier, storiesPerDay, ..., characterVoices }
+ */
+const getEntitlements = (user) => {
+  const tier = getSubscriptionTier(user);
+  return { tier, ...TIERS[tier] };
+};
+
+module.exports = {
+  TIERS,
+  QUOTAS,
+  getSubscriptionTier,
+  getEntitlements,
+  // Redis keys of the daily quota counters expire after this long
+  quotaTtlSeconds: 2 * 24 * 60 * 60
+};
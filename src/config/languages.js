@@ -0,0 +1,39 @@
+// src/config/languages.js
+// Languages stories can be written, transcribed, narrated and translated in.
+// Codes are ISO 639-1, as used by Whisper and the TTS voice lists.
+
+const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', nativeName: 'English' },
+  es: { name: 'Spanish', nativeName: 'Español' },
+  fr: { name: 'French', nativeName: 'Français' },
+  de: { name: 'German', nativeName: 'Deutsch' },
+  it: { name: 'Italian', nativeName: 'Italiano' },
+  pt: { name: 'Portuguese', nativeName: 'Português' },
+  nl: { name: 'Dutch', nativeName: 'Nederlands' },
+  pl: { name: 'Polish', nativeName: 'Polski' },
+  sv: { name: 'Swedish', nativeName: 'Svenska' },
+  tr: { name: 'Turkish', nativeName: 'Türkçe' },
+  ru: { name: 'Russian', nativeName: 'Русский' },
+  uk: { name: 'Ukrainian', nativeName: 'Українська' },
+  ar: { name: 'Arabic', nativeName: 'العربية' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी' },
+  zh: { name: 'Chinese', nativeName: '中文' },
+  ja: { name: 'Japanese', nativeName: '日本語' },
+  ko: { name: 'Korean', nativeName: '한국어' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const isSupportedLanguage = (code) => Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, code);
+
+/**
+ * English name of a language code, for prompts (falls back to the code itself)
+ */
+const getLanguageName = (code) => SUPPORTED_LANGUAGES[code]?.name || code;
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  getLanguageName
+};
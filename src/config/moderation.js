@@ -0,0 +1,85 @@
+// src/config/moderation.js
+// What counts as unsuitable for a children's story app. Every text is checked
+// against the keyword rules (always blocked) and classified into categories,
+// each flagged at its own threshold. The local rules engine scores categories
+// from the weighted terms below. They are English, so they are only used on
+// English text ("die" and "war" are harmless in German); stories in other
+// languages rely on a provider such as OpenAI for classification, and on the
+// patterns, which don't depend on the language.
+
+// Score (0-1) at which each category is flagged. Children's stories may have a
+// little peril, so mild categories allow more before they are flagged.
+const MODERATION_CATEGORIES = {
+  violence: { threshold: 0.5, description: 'Violence or weapons' },
+  scary: { threshold: 0.6, description: 'Frightening content' },
+  sexual: { threshold: 0.2, description: 'Sexual content' },
+  hate: { threshold: 0.4, description: 'Hateful or bullying language' },
+  selfHarm: { threshold: 0.2, description: 'Self-harm' },
+  illicit: { threshold: 0.4, description: 'Drugs, alcohol or smoking' },
+  profanity: { threshold: 0.3, description: 'Bad language' },
+  personalInfo: { threshold: 0.5, description: 'Personal information' }
+};
+
+// Terms that are never allowed, whatever their score. A trailing * matches any ending.
+const BLOCKED_TERMS = {
+  profanity: ['fuck*', 'shit*', 'bitch*', 'bastard*', 'asshole*', 'cunt*', 'dickhead*', 'motherfuck*'],
+  sexual: ['porn*', 'nude*', 'naked', 'sexy', 'sex'],
+  selfHarm: ['suicid*', 'kill myself', 'kill yourself', 'self harm']
+};
+
+// Language of CATEGORY_TERMS
+const CATEGORY_TERMS_LANGUAGE = 'en';
+
+// Weighted terms for the local rules engine: each occurrence adds its weight to
+// the category score (capped at 1)
+const CATEGORY_TERMS = {
+  violence: {
+    'kill*': 0.35, 'murder*': 0.5, 'stab*': 0.4, 'shoot*': 0.3, 'gun*': 0.3, 'knife': 0.2, 'knives': 0.2,
+    'blood*': 0.25, 'weapon*': 0.15, 'attack*': 0.15, 'punch*': 0.15, 'fight*': 0.1, 'hurt*': 0.1,
+    'dead': 0.15, 'death': 0.15, 'die': 0.15, 'died': 0.15, 'war': 0.15, 'bomb*': 0.4, 'torture*': 0.6
+  },
+  scary: {
+    'scary': 0.15, 'terrif*': 0.2, 'frighten*': 0.15, 'nightmare*': 0.15, 'horror*': 0.35, 'creepy': 0.2,
+    'scream*': 0.15, 'demon*': 0.35, 'haunt*': 0.15, 'zombie*': 0.25, 'corpse*': 0.4, 'skeleton*': 0.1
+  },
+  sexual: {
+    'kiss*': 0.05, 'undress*': 0.3, 'boyfriend': 0.05, 'girlfriend': 0.05
+  },
+  hate: {
+    'stupid': 0.15, 'idiot*': 0.2, 'dumb': 0.15, 'loser*': 0.2, 'ugly': 0.15, 'fat': 0.1, 'hate': 0.15,
+    'shut up': 0.15, 'nobody likes you': 0.4, 'freak*': 0.2
+  },
+  selfHarm: {
+    'hurt myself': 0.5, 'cut myself': 0.6, 'want to die': 0.6
+  },
+  illicit: {
+    'drug*': 0.3, 'cocaine': 0.6, 'heroin': 0.6, 'weed': 0.2, 'beer*': 0.25, 'wine': 0.15, 'vodka': 0.4,
+    'alcohol*': 0.3, 'drunk': 0.4, 'cigarette*': 0.3, 'vape*': 0.4, 'gambl*': 0.3
+  },
+  profanity: {
+    'damn*': 0.3, 'crap*': 0.3, 'piss*': 0.3, 'bloody': 0.15, 'sucks': 0.1
+  },
+  personalInfo: {
+    'my address': 0.5, 'my phone number': 0.5, 'my password': 0.6, 'my school is': 0.3, 'i live at': 0.5
+  }
+};
+
+// Patterns checked on the original text (before normalization), for details a
+// child should not share
+const CATEGORY_PATTERNS = {
+  personalInfo: [
+    { pattern: /[\w.+-]+@[\w-]+\.[\w.]+/, weight: 0.6, label: 'email address' },
+    // Digits grouped like a phone number (555 123 4567, (020) 7946 0958, +44 20 7946 0958),
+    // not a child counting "1 2 3 4 5 6 7 8 9 10"
+    { pattern: /(?<!\d)(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-]?)\d{3,4}[\s.-]?\d{4}(?!\d)/, weight: 0.6, label: 'phone number' },
+    { pattern: /\b\d+\s+\w+(?:\s+\w+)?\s+(?:street|st|road|rd|avenue|ave|lane|ln|drive|dr)\b/i, weight: 0.5, label: 'street address' }
+  ]
+};
+
+module.exports = {
+  MODERATION_CATEGORIES,
+  BLOCKED_TERMS,
+  CATEGORY_TERMS,
+  CATEGORY_TERMS_LANGUAGE,
+  CATEGORY_PATTERNS
+};
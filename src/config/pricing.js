@@ -0,0 +1,84 @@
+// src/config/pricing.js
+// Unit prices (USD) used to cost every AI provider call in the ledger.
+// Prices are looked up by model, then by provider, then `default`; a call
+// without a price is recorded with `priced: false` rather than guessed.
+// Override or add prices with AI_PRICING, a JSON object in the same shape, e.g.
+//   AI_PRICING='{"llm":{"gpt-4o-mini":{"inputTokens":0.15,"outputTokens":0.6}}}'
+
+// How many of each usage unit a price is quoted for
+const PRICE_UNITS = {
+  inputTokens: 1000000,
+  outputTokens: 1000000,
+  characters: 1000,
+  images: 1,
+  audioMinutes: 1
+};
+
+const DEFAULT_PRICES = {
+  // Per million tokens
+  llm: {
+    'gpt-3.5-turbo': { inputTokens: 0.5, outputTokens: 1.5 },
+    'gpt-4o-mini': { inputTokens: 0.15, outputTokens: 0.6 },
+    'gpt-4o': { inputTokens: 2.5, outputTokens: 10 },
+    'gpt-4-vision-preview': { inputTokens: 10, outputTokens: 30 },
+    // Self-hosted and simulated models cost nothing per call
+    local: { inputTokens: 0, outputTokens: 0 },
+    fake: { inputTokens: 0, outputTokens: 0 }
+  },
+  // Per thousand characters sent
+  tts: {
+    eleven_multilingual_v2: { characters: 0.3 },
+    eleven_turbo_v2_5: { characters: 0.15 },
+    eleven_flash_v2_5: { characters: 0.15 },
+    local: { characters: 0 },
+    fake: { characters: 0 }
+  },
+  // Per image
+  image: {
+    'dall-e-3': { images: 0.04 },
+    simulated: { images: 0 }
+  },
+  // Per minute of audio
+  transcription: {
+    'whisper-1': { audioMinutes: 0.006 }
+  }
+};
+
+const parseOverrides = () => {
+  if (!process.env.AI_PRICING) return {};
+  try {
+    return JSON.parse(process.env.AI_PRICING);
+  } catch (error) {
+    console.error('⚠️  AI_PRICING is not valid JSON, using the default prices:', error.message);
+    return {};
+  }
+};
+
+const mergePrices = (defaults, overrides) => {
+  const prices = {};
+  new Set([...Object.keys(defaults), ...Object.keys(overrides)]).forEach(type => {
+    prices[type] = { ...defaults[type] };
+    Object.entries(overrides[type] || {}).forEach(([key, price]) => {
+      prices[type][key] = { ...(prices[type][key] || {}), ...price };
+    });
+  });
+  return prices;
+};
+
+const PRICES = mergePrices(DEFAULT_PRICES, parseOverrides());
+
+/**
+ * Unit prices for a call: { prices, priced }, where prices are per PRICE_UNITS
+ */
+const getUnitPrices = (type, { model, provider } = {}) => {
+  const table = PRICES[type] || {};
+  const prices = table[model] || table[provider] || table.default;
+  return prices ? { prices, priced: true } : { prices: {}, priced: false };
+};
+
+module.exports = {
+  PRICE_UNITS,
+  PRICES,
+  getUnitPrices,
+  currency: 'USD'
+};
@@ -60,7 +60,7 @@ const initializeRedis = async () => {
 };
 
 // Initialize immediately
-initializeRedis();
+const readyPromise = initializeRedis();
 
 // Create Redis wrapper with the methods your auth controller expects
 const redisWrapper = {
@@ -119,7 +119,9 @@ const redisWrapper = {
   
   // Utility methods
   getClient: () => client,
-  isConnected: () => isConnected
+  isConnected: () => isConnected,
+  // Resolves once the initial connection attempt has finished (connected or not)
+  whenReady: () => readyPromise
 };
 
 module.exports = redisWrapper;
\ No newline at end of file
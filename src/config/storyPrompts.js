@@ -0,0 +1,108 @@
+// src/config/storyPrompts.js
+// Prompt templates used when a story type does not define its own. Story types
+// can override them with aiPromptTemplate.template and
+// aiPromptTemplate.continuationTemplate (see src/utils/promptTemplate.js).
+
+// Variables available to story prompt templates
+const STORY_PROMPT_VARIABLES = {
+  storyTypeName: 'Name of the story type',
+  basePrompt: 'aiPromptTemplate.basePrompt of the story type',
+  themes: 'aiPromptTemplate.themes of the story type',
+  vocabulary: 'aiPromptTemplate.vocabulary of the story type',
+  structure: 'aiPromptTemplate.structure of the story type',
+  characteristics: 'Characteristics of the story type',
+  drawingAnalysis: 'Description of the child\'s drawing',
+  voiceTranscription: 'Transcription of the child\'s voice recording',
+  characterNames: 'Names of the characters',
+  characterDescriptions: 'Sentences describing the characters',
+  userPrompt: 'The child\'s own request',
+  age: 'Age of the child, if known',
+  ageRange: 'Recommended age range of the story type, e.g. 4-7',
+  language: 'Language code of the story',
+  languageName: 'Name of the story\'s language in English, e.g. Spanish',
+  wordBudget: 'Maximum number of words for the story',
+  blockedWords: 'Words the child\'s parent does not want in stories'
+};
+
+// Variables available to continuation prompt templates
+const CONTINUATION_PROMPT_VARIABLES = {
+  storyTypeName: STORY_PROMPT_VARIABLES.storyTypeName,
+  themes: STORY_PROMPT_VARIABLES.themes,
+  vocabulary: STORY_PROMPT_VARIABLES.vocabulary,
+  existingContent: 'The story so far',
+  additionalPrompt: 'Direction for what happens next',
+  newCharacters: 'Names of characters to introduce',
+  age: STORY_PROMPT_VARIABLES.age,
+  ageRange: STORY_PROMPT_VARIABLES.ageRange,
+  language: STORY_PROMPT_VARIABLES.language,
+  languageName: STORY_PROMPT_VARIABLES.languageName,
+  wordBudget: 'Maximum number of words to add',
+  blockedWords: STORY_PROMPT_VARIABLES.blockedWords
+};
+
+const DEFAULT_STORY_TEMPLATE = `Create a complete children's story in EXACTLY {{wordBudget}} words or less. Genre: {{storyTypeName}}. {{#if basePrompt}}{{basePrompt}}. {{/if}}{{#if drawingAnalysis}}Based on this drawing: {{drawingAnalysis}}. {{/if}}{{#if voiceTranscription}}Include: "{{voiceTranscription}}". {{/if}}{{#if characterNames}}Characters: {{characterNames}}. {{/if}}{{#if characterDescriptions}}{{characterDescriptions}} {{/if}}{{#if userPrompt}}Request: {{userPrompt}}. {{/if}}
+
+CRITICAL REQUIREMENTS:
+- MAXIMUM {{wordBudget}} words (count carefully!)
+- Complete story: {{#if structure}}{{structure}}{{else}}beginning, middle, end{{/if}}
+- Age-appropriate for {{#if age}}a {{age}}-year-old{{else}}children {{ageRange}}{{/if}}
+{{#if vocabulary}}- Use {{vocabulary}}
+{{/if}}{{#if characteristics}}- {{characteristics}}
+{{/if}}{{#if themes}}- Themes: {{themes}}
+{{/if}}- Write in {{languageName}}
+{{#if blockedWords}}- Never use these words: {{blockedWords}}
+{{/if}}- Positive and magical
+- Every word must count
+
+Write a complete, enchanting {{wordBudget}}-word story.`;
+
+const DEFAULT_CONTINUATION_TEMPLATE = `Continue this story in the same style and tone:
+
+"{{existingContent}}"
+
+Additional direction: {{additionalPrompt}}
+{{#if newCharacters}}New characters to introduce: {{newCharacters}}
+{{/if}}
+CONTINUATION REQUIREMENTS:
+- MAXIMUM {{wordBudget}} additional words
+- Maintain the same writing style and tone
+- Continue the story naturally from where it left off
+- Include the additional direction: "{{additionalPrompt}}"
+- Age-appropriate for {{#if age}}a {{age}}-year-old{{else}}children{{/if}}
+- Write in {{languageName}}
+{{#if blockedWords}}- Never use these words: {{blockedWords}}
+{{/if}}- Keep it magical and positive
+- Make it feel like a natural continuation
+
+Write a brief, engaging continuation ({{wordBudget}} words max):`;
+
+// Added after the story or continuation prompt of branching stories, whatever
+// template the story type uses
+const BRANCHING_GUIDANCE = {
+  story: 'This is an interactive story where the reader decides what happens. Stop at an exciting moment where the main character has to choose what to do next. Don\'t say what they choose and don\'t end the story yet.',
+  decision: 'The reader chose what happens next. Continue from their choice, then stop at the next moment where the main character has to choose what to do. Don\'t say what they choose and don\'t end the story yet.',
+  ending: 'The reader chose what happens next. Continue from their choice and bring the story to a happy ending.'
+};
+
+// Added after the story prompt of a remix, with the shared story it is based on
+const REMIX_TEMPLATE = 'This story is a new take on a story called "{{title}}", which begins: "{{premise}}" Keep its characters and their world, but tell a new story of your own that follows the request.';
+
+// How each StoryStyle is asked for in illustration prompts
+const ILLUSTRATION_STYLES = {
+  animated: 'bright 3D animated film look with soft rounded shapes',
+  handDrawn: 'hand-drawn pencil and watercolor with visible strokes on paper',
+  illustrated: 'classic picture book illustration with bright colors',
+  minimalist: 'minimalist flat shapes, a few soft colors and a plain background',
+  comic: 'comic book panel with bold outlines and flat colors, no speech bubbles',
+  realistic: 'realistic painting with soft natural light'
+};
+
+module.exports = {
+  STORY_PROMPT_VARIABLES,
+  CONTINUATION_PROMPT_VARIABLES,
+  DEFAULT_STORY_TEMPLATE,
+  DEFAULT_CONTINUATION_TEMPLATE,
+  BRANCHING_GUIDANCE,
+  REMIX_TEMPLATE,
+  ILLUSTRATION_STYLES
+};
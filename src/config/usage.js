@@ -0,0 +1,28 @@
+// src/config/usage.js
+// Daily screen-time metering. Usage is counted in active minutes: a minute of
+// the child's day counts once if the app made an API request or reported a
+// playback heartbeat in it. Parents limit it with parentalControls.maxDailyUsageMinutes.
+
+const USAGE_ACTIVITIES = {
+  api: 'Using the app',
+  playback: 'Listening to a story',
+  reading: 'Reading a story'
+};
+
+// What happens once the daily limit is reached (parentalControls.dailyLimitAction)
+const DAILY_LIMIT_ACTIONS = ['block', 'warn'];
+
+module.exports = {
+  USAGE_ACTIVITIES,
+  DAILY_LIMIT_ACTIONS,
+  // Minutes left at which responses start carrying a warning
+  warningMinutes: parseInt(process.env.USAGE_WARNING_MINUTES) || 10,
+  // Longest stretch a single heartbeat can report
+  maxHeartbeatSeconds: parseInt(process.env.USAGE_MAX_HEARTBEAT_SECONDS) || 120,
+  // Days of history a parent can ask for at once
+  maxHistoryDays: 90,
+  // How long a day's minutes are kept in Redis; history is read from Firestore
+  redisTtlSeconds: 2 * 24 * 60 * 60,
+  // How long a user's limit settings are cached between requests
+  settingsCacheMs: 60 * 1000
+};
@@ -1,5 +1,13 @@
 // src/controllers/storyController.js
 const storyService = require('../services/storyService');
+const storyChapterService = require('../services/storyChapterService');
+const storyBranchService = require('../services/storyBranchService');
+const storyRemixService = require('../services/storyRemixService');
+const storyEditService = require('../services/storyEditService');
+const storyVersionService = require('../services/storyVersionService');
+const storyEvents = require('../services/storyEvents');
+const aiCostService = require('../services/aiCostService');
+const aiCacheService = require('../services/aiCacheService');
 const { asyncHandler } = require('../utils/asyncHandler');
 const { AppError } = require('../utils/AppError');
 /**
@@ -21,7 +29,7 @@ exports.debugDatabase = asyncHandler(async (req, res, next) => {
 exports.getStoryTypes = asyncHandler(async (req, res, next) => {
   const { age, language = 'en' } = req.query;
   
-  const storyTypes = await storyService.getStoryTypes({ age, language });
+  const storyTypes = await storyService.getStoryTypes({ age, language }, req.user.uid);
   
   res.status(200).json({
     success: true,
@@ -30,6 +38,33 @@ exports.getStoryTypes = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Get the narration voices and audio formats of the active TTS provider
+ */
+exports.getNarrationVoices = asyncHandler(async (req, res, next) => {
+  const { language } = req.query;
+
+  const narration = await storyService.getNarrationVoices({ language });
+
+  res.status(200).json({
+    success: true,
+    data: narration,
+    count: narration.voices.length
+  });
+});
+
+/**
+ * Get the story lengths the user can choose and their word limits
+ */
+exports.getStoryLengths = asyncHandler(async (req, res, next) => {
+  const storyLengths = await storyService.getStoryLengths(req.user.uid);
+
+  res.status(200).json({
+    success: true,
+    data: storyLengths
+  });
+});
+
 /**
  * Get daily challenges
  */
@@ -148,13 +183,166 @@ exports.getStoryStatus = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Actual AI costs of a story, from the cost ledger
+ */
+exports.getStoryCosts = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+
+  const summary = await storyService.getStoryCostSummary(storyId, req.user.uid, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+});
+
+/**
+ * AI costs of a user per story and per day (Admin only)
+ */
+exports.getUserAICosts = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const { from, to } = req.query;
+
+  const costs = await aiCostService.getUserCosts(userId, { from, to });
+
+  res.status(200).json({
+    success: true,
+    data: costs
+  });
+});
+
+/**
+ * AI costs per day across all users, or of one user with ?userId= (Admin only)
+ */
+exports.getDailyAICosts = asyncHandler(async (req, res, next) => {
+  const { from, to, userId } = req.query;
+
+  const costs = await aiCostService.getDailyCosts({ from, to }, userId || null);
+
+  res.status(200).json({
+    success: true,
+    data: costs
+  });
+});
+
+/**
+ * Hit and miss counts of the AI output cache (Admin only)
+ */
+exports.getAICacheStats = asyncHandler(async (req, res, next) => {
+  const stats = await aiCacheService.getStats();
+
+  res.status(200).json({
+    success: true,
+    data: stats
+  });
+});
+
+/**
+ * Stream story generation progress as Server-Sent Events
+ */
+exports.streamStoryEvents = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  
+  // Access check and current state before the stream opens
+  const status = await storyService.getStoryStatus(storyId, userId);
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let closed = false;
+  let unsubscribe = null;
+  let heartbeat = null;
+  
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  
+  const send = (event) => {
+    if (closed) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    // compression() buffers responses unless flushed
+    if (typeof res.flush === 'function') res.flush();
+    
+    if (event.type === 'completed' || event.type === 'failed') {
+      cleanup();
+    }
+  };
+  
+  req.on('close', cleanup);
+  
+  // Subscribe before replaying so nothing published in between is missed
+  unsubscribe = await storyEvents.subscribe(storyId, send);
+  // The client may have gone while subscribing, after cleanup already ran
+  if (closed) {
+    unsubscribe();
+    return;
+  }
+  
+  const history = await storyEvents.getHistory(storyId, req.get('Last-Event-ID'));
+  history.forEach(send);
+  if (closed) return;
+  
+  send({
+    id: `${Date.now()}-snapshot`,
+    storyId,
+    type: 'status',
+    timestamp: new Date().toISOString(),
+    status: status.status,
+    progress: status.progress
+  });
+  
+  // Generation already finished before the client connected
+  if (status.status === 'completed') {
+    const story = await storyService.getStory(storyId, userId);
+    send({
+      id: `${Date.now()}-completed`,
+      storyId,
+      type: 'completed',
+      timestamp: new Date().toISOString(),
+      status: status.status,
+      progress: 100,
+      story: storyService.toEventPayload(story)
+    });
+    return;
+  }
+  
+  if (status.status === 'failed') {
+    send({
+      id: `${Date.now()}-failed`,
+      storyId,
+      type: 'failed',
+      timestamp: new Date().toISOString(),
+      status: status.status,
+      step: status.failedStep,
+      error: status.error
+    });
+    return;
+  }
+  
+  heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    if (typeof res.flush === 'function') res.flush();
+  }, 15000);
+});
+
 /**
  * Continue an existing story
  */
 exports.continueStory = asyncHandler(async (req, res, next) => {
   const { storyId } = req.params;
   const userId = req.user.uid;
-  const { additionalPrompt, newCharacters = [] } = req.body;
+  const { additionalPrompt, newCharacters = [], characterDescriptions = {}, bypassCache } = req.body;
   
   if (!additionalPrompt || additionalPrompt.trim().length === 0) {
     throw new AppError('Additional prompt is required to continue story', 400);
@@ -168,9 +356,17 @@ exports.continueStory = asyncHandler(async (req, res, next) => {
     throw new AppError('Maximum 3 new characters allowed', 400);
   }
   
-  const result = await storyService.continueStory(storyId, userId, {
+  // How the new characters look, for the story's character sheet
+  if (typeof characterDescriptions !== 'object' || Array.isArray(characterDescriptions) ||
+    Object.entries(characterDescriptions).some(([name, description]) => !newCharacters.includes(name) || typeof description !== 'string')) {
+    throw new AppError('characterDescriptions must map names of newCharacters to descriptions', 400);
+  }
+  
+  const result = await storyChapterService.continueStory(storyId, userId, {
     additionalPrompt,
-    newCharacters
+    newCharacters,
+    characterDescriptions,
+    bypassCache: bypassCache === true
   });
   
   res.status(200).json({
@@ -180,6 +376,360 @@ exports.continueStory = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * List the chapters of a story
+ */
+exports.getChapters = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  
+  const result = await storyChapterService.getChapters(storyId, userId);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Delete the last chapter of a story
+ */
+exports.deleteLastChapter = asyncHandler(async (req, res, next) => {
+  const { storyId, chapterNumber } = req.params;
+  const userId = req.user.uid;
+  
+  const number = parseInt(chapterNumber, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AppError('Chapter number must be a positive whole number', 400);
+  }
+  
+  const result = await storyChapterService.deleteLastChapter(storyId, userId, number);
+  
+  res.status(200).json({
+    success: true,
+    message: `Chapter ${number} deleted`,
+    data: result
+  });
+});
+
+/**
+ * Edit the text of some pages of a story
+ */
+exports.editStoryContent = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  const { pages } = req.body;
+  
+  if (!Array.isArray(pages) || pages.length === 0) {
+    throw new AppError('Pages to edit are required', 400);
+  }
+  
+  for (const page of pages) {
+    if (!Number.isInteger(page?.pageNumber) || page.pageNumber < 1) {
+      throw new AppError('Each page needs a pageNumber that is a positive whole number', 400);
+    }
+    if (typeof page.text !== 'string' || page.text.length > 2000) {
+      throw new AppError(`Page ${page.pageNumber} needs its new text (at most 2000 characters)`, 400);
+    }
+  }
+  
+  if (new Set(pages.map(page => page.pageNumber)).size !== pages.length) {
+    throw new AppError('Each page can only be edited once per request', 400);
+  }
+  
+  const result = await storyEditService.editStoryContent(storyId, userId, pages);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Story updated',
+    data: result
+  });
+});
+
+/**
+ * Give a story a new title
+ */
+exports.regenerateTitle = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  
+  const result = await storyEditService.regenerateTitle(storyId, userId);
+  
+  res.status(200).json({
+    success: true,
+    message: 'New title ready!',
+    data: result
+  });
+});
+
+/**
+ * Draw the picture of one page of a story again
+ */
+exports.regenerateIllustration = asyncHandler(async (req, res, next) => {
+  const { storyId, pageNumber } = req.params;
+  const userId = req.user.uid;
+  const { sceneDescription } = req.body || {};
+  
+  const number = parseInt(pageNumber, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AppError('Page number must be a positive whole number', 400);
+  }
+  
+  if (sceneDescription !== undefined && (typeof sceneDescription !== 'string' || !sceneDescription.trim() || sceneDescription.length > 500)) {
+    throw new AppError('sceneDescription must be text of at most 500 characters', 400);
+  }
+  
+  const result = await storyEditService.regenerateIllustration(storyId, userId, number, {
+    sceneDescription: sceneDescription?.trim()
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: 'New picture ready!',
+    data: result
+  });
+});
+
+/**
+ * Narrate a story again in another voice
+ */
+exports.regenerateNarration = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  const { voiceId, voiceType } = req.body || {};
+  
+  if (!voiceId && !voiceType) {
+    throw new AppError('Choose a voiceId or voiceType for the new narration', 400);
+  }
+  
+  const result = await storyEditService.regenerateNarration(storyId, userId, { voiceId, voiceType });
+  
+  res.status(200).json({
+    success: true,
+    message: 'New narration ready!',
+    data: result
+  });
+});
+
+/**
+ * Pick other background music for a story
+ */
+exports.regenerateBackgroundMusic = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  const { theme } = req.body || {};
+  
+  const result = await storyEditService.regenerateBackgroundMusic(storyId, userId, { theme });
+  
+  res.status(200).json({
+    success: true,
+    message: 'New background music picked!',
+    data: result
+  });
+});
+
+/**
+ * Remix a shared story into a new story of the caller's
+ */
+exports.remixStory = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  const { twist, length, language, mode, style, preferences, bypassCache } = req.body;
+  
+  if (!twist || typeof twist !== 'string' || twist.trim().length === 0) {
+    throw new AppError('A twist is required to remix a story', 400);
+  }
+  
+  if (twist.length > 300) {
+    throw new AppError('Twist must be less than 300 characters', 400);
+  }
+  
+  const result = await storyRemixService.remixStory(storyId, userId, {
+    twist: twist.trim(),
+    length,
+    language,
+    mode,
+    style,
+    preferences,
+    bypassCache: bypassCache === true
+  });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Remix started! Your own version of this story is being crafted.',
+    data: result
+  });
+});
+
+/**
+ * Get the parts and choices of a branching story
+ */
+exports.getBranches = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  
+  const result = await storyBranchService.getBranches(storyId, userId);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Pick one of the choices at the end of a branching story
+ */
+exports.chooseBranch = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  const { choiceId, bypassCache } = req.body;
+  
+  if (!choiceId || typeof choiceId !== 'string') {
+    throw new AppError('A choice is required', 400);
+  }
+  
+  const result = await storyBranchService.chooseBranch(storyId, userId, { choiceId, bypassCache: bypassCache === true });
+  
+  res.status(result.generated ? 202 : 200).json({
+    success: true,
+    message: result.generated ? 'Writing what happens next!' : 'Back on a path you chose before',
+    data: result
+  });
+});
+
+/**
+ * Go to an earlier part of a branching story, or one on another branch
+ */
+exports.selectBranchNode = asyncHandler(async (req, res, next) => {
+  const { storyId, nodeId } = req.params;
+  const userId = req.user.uid;
+  
+  const result = await storyBranchService.selectBranchNode(storyId, userId, nodeId);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Version number from a request, or null when it wasn't given
+ */
+const parseVersionNumber = (value, name = 'Version number') => {
+  if (value === undefined || value === '') return null;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AppError(`${name} must be a positive whole number`, 400);
+  }
+  return number;
+};
+
+/**
+ * List the saved versions of a story
+ */
+exports.getVersions = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  
+  const result = await storyVersionService.getVersions(storyId, userId);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Get one saved version of a story
+ */
+exports.getVersion = asyncHandler(async (req, res, next) => {
+  const { storyId, versionNumber } = req.params;
+  const userId = req.user.uid;
+  
+  const result = await storyVersionService.getVersion(storyId, userId, parseVersionNumber(versionNumber));
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Compare two versions of a story
+ */
+exports.compareVersions = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  
+  const from = parseVersionNumber(req.query.from, 'from');
+  const to = parseVersionNumber(req.query.to, 'to');
+  if (!from) {
+    throw new AppError('The version to compare from is required', 400);
+  }
+  
+  const result = await storyVersionService.compareVersions(storyId, userId, from, to);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Restore a story to one of its saved versions
+ */
+exports.restoreVersion = asyncHandler(async (req, res, next) => {
+  const { storyId, versionNumber } = req.params;
+  const userId = req.user.uid;
+  
+  const result = await storyVersionService.restoreVersion(storyId, userId, parseVersionNumber(versionNumber));
+  
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: result
+  });
+});
+
+/**
+ * Translate a story into another language
+ */
+exports.translateStory = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  const { language, bypassCache } = req.body;
+  
+  if (!language || typeof language !== 'string') {
+    throw new AppError('Language is required to translate a story', 400);
+  }
+  
+  const result = await storyService.translateStory(storyId, userId, { language, bypassCache: bypassCache === true });
+  
+  res.status(202).json({
+    success: true,
+    message: 'Story translation started!',
+    data: result
+  });
+});
+
+/**
+ * Retry a failed story from its first unfinished step
+ */
+exports.retryStory = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const userId = req.user.uid;
+  const { bypassCache } = req.body || {};
+  
+  const result = await storyService.retryStory(storyId, userId, { bypassCache: bypassCache === true });
+  
+  res.status(202).json({
+    success: true,
+    message: 'Story generation restarted!',
+    data: result
+  });
+});
+
 /**
  * Toggle story sharing
  */
@@ -225,10 +775,13 @@ exports.createStoryType = asyncHandler(async (req, res, next) => {
   const {
     name,
     description,
+    iconUrl,
+    coverImageUrl,
     characteristics,
     colorScheme,
     recommendedAgeMin,
     recommendedAgeMax,
+    sortOrder,
     aiPromptTemplate,
     sampleStoryTitles
   } = req.body;
@@ -246,11 +799,24 @@ exports.createStoryType = asyncHandler(async (req, res, next) => {
     throw new AppError('Invalid age range. Must be between 3-17 and min < max', 400);
   }
   
-  // For now, return success message (implement actual creation later)
+  const storyType = await storyService.createStoryType({
+    name,
+    description,
+    iconUrl,
+    coverImageUrl,
+    characteristics,
+    colorScheme,
+    recommendedAgeMin,
+    recommendedAgeMax,
+    sortOrder,
+    aiPromptTemplate,
+    sampleStoryTitles
+  });
+  
   res.status(201).json({
     success: true,
-    message: 'Story type creation functionality coming soon!',
-    data: { name, description, characteristics }
+    message: 'Story type created successfully',
+    data: { storyType }
   });
 });
 
@@ -265,11 +831,12 @@ exports.updateStoryType = asyncHandler(async (req, res, next) => {
     throw new AppError('Story type ID is required', 400);
   }
   
-  // For now, return success message (implement actual update later)
+  const storyType = await storyService.updateStoryType(typeId, updateData);
+  
   res.status(200).json({
     success: true,
-    message: 'Story type update functionality coming soon!',
-    data: { typeId, updateData }
+    message: 'Story type updated successfully',
+    data: { storyType }
   });
 });
 
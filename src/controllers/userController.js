@@ -1,6 +1,15 @@
 const { getAuth, getFirestore, admin } = require('../config/firebase');
 const { asyncHandler } = require('../utils/asyncHandler');
 const { AppError } = require('../utils/AppError');
+const { VoiceType } = require('../models/storyModels');
+const { AUDIO_FORMATS } = require('../utils/audio');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../config/languages');
+const { USAGE_ACTIVITIES, DAILY_LIMIT_ACTIONS } = require('../config/usage');
+const { isValidTimezone } = require('../utils/localTime');
+const { isValidBlockedWord, MIN_BLOCKED_WORD_LENGTH } = require('../utils/parentalControls');
+const usageService = require('../services/usageService');
+const entitlementService = require('../services/entitlementService');
+const { setUsageHeaders } = require('../middleware/usageLimit');
 const crypto = require('crypto');
 
 /**
@@ -75,19 +84,27 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
       throw new AppError('Age must be between 3 and 17 for child accounts', 400);
     }
     
-    if (preferredLanguage && !['en', 'es', 'fr', 'de', 'it'].includes(preferredLanguage)) {
-      throw new AppError('Unsupported language', 400);
+    if (preferredLanguage && !isSupportedLanguage(preferredLanguage)) {
+      throw new AppError(`Unsupported language. Use one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`, 400);
     }
   }
   
   // Validate preferences if provided
   if (updates.preferences) {
-    const { narrationSpeed, maxStoryLength } = updates.preferences;
+    const { narrationSpeed, maxStoryLength, voiceType, audioFormat } = updates.preferences;
     
     if (narrationSpeed && (narrationSpeed < 0.5 || narrationSpeed > 2.0)) {
       throw new AppError('Narration speed must be between 0.5 and 2.0', 400);
     }
     
+    if (voiceType && !Object.values(VoiceType).includes(voiceType)) {
+      throw new AppError(`Voice type must be one of: ${Object.values(VoiceType).join(', ')}`, 400);
+    }
+    
+    if (audioFormat && !Object.keys(AUDIO_FORMATS).includes(audioFormat)) {
+      throw new AppError(`Audio format must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`, 400);
+    }
+    
     if (maxStoryLength && (maxStoryLength < 100 || maxStoryLength > 1000)) {
       throw new AppError('Story length must be between 100 and 1000 words', 400);
     }
@@ -288,6 +305,8 @@ exports.updateParentalControls = asyncHandler(async (req, res, next) => {
     requiresPinForSettings,
     requiresPinForPurchases,
     maxDailyUsageMinutes,
+    dailyLimitAction,
+    timezone,
     allowedGenres,
     blockedWords,
     shareProgressWithParent,
@@ -313,6 +332,27 @@ exports.updateParentalControls = asyncHandler(async (req, res, next) => {
   if (maxDailyUsageMinutes && (maxDailyUsageMinutes < 15 || maxDailyUsageMinutes > 480)) {
     throw new AppError('Daily usage must be between 15 and 480 minutes', 400);
   }
+
+  if (dailyLimitAction !== undefined && !DAILY_LIMIT_ACTIONS.includes(dailyLimitAction)) {
+    throw new AppError(`dailyLimitAction must be one of: ${DAILY_LIMIT_ACTIONS.join(', ')}`, 400);
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new AppError('timezone must be an IANA time zone, e.g. Europe/London', 400);
+  }
+
+  // Word and genre lists are matched against stories, so they must be lists of words
+  const isWordList = (value) => Array.isArray(value) && value.every(word => typeof word === 'string');
+  if (allowedGenres !== undefined && !isWordList(allowedGenres)) {
+    throw new AppError('allowedGenres must be a list of genres', 400);
+  }
+  if (blockedWords !== undefined && !isWordList(blockedWords)) {
+    throw new AppError('blockedWords must be a list of words', 400);
+  }
+  const invalidWords = (blockedWords || []).filter(word => !isValidBlockedWord(word));
+  if (invalidWords.length > 0) {
+    throw new AppError(`blockedWords must be words of at least ${MIN_BLOCKED_WORD_LENGTH} letters, optionally ending in * (not: ${invalidWords.map(word => JSON.stringify(word)).join(', ')})`, 400);
+  }
   
   const updatedControls = {
     ...currentControls,
@@ -321,6 +361,8 @@ exports.updateParentalControls = asyncHandler(async (req, res, next) => {
     ...(requiresPinForSettings !== undefined && { requiresPinForSettings }),
     ...(requiresPinForPurchases !== undefined && { requiresPinForPurchases }),
     ...(maxDailyUsageMinutes !== undefined && { maxDailyUsageMinutes }),
+    ...(dailyLimitAction !== undefined && { dailyLimitAction }),
+    ...(timezone !== undefined && { timezone }),
     ...(allowedGenres && { allowedGenres }),
     ...(blockedWords && { blockedWords }),
     ...(shareProgressWithParent !== undefined && { shareProgressWithParent }),
@@ -332,6 +374,9 @@ exports.updateParentalControls = asyncHandler(async (req, res, next) => {
     lastLoginAt: new Date().toISOString()
   });
   
+  // Usage limits apply from the next request
+  usageService.forgetSettings(req.user.uid);
+
   // Remove sensitive data from response
   delete updatedControls.parentalPin;
   
@@ -342,6 +387,45 @@ exports.updateParentalControls = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Record a heartbeat from the app while the child is listening to or reading a
+ * story. Always answers with today's usage, so the app can stop playback once
+ * the daily limit is reached.
+ */
+exports.recordUsageHeartbeat = asyncHandler(async (req, res, next) => {
+  const { activity = 'playback', seconds = 60 } = req.body;
+
+  if (!USAGE_ACTIVITIES[activity]) {
+    throw new AppError(`activity must be one of: ${Object.keys(USAGE_ACTIVITIES).join(', ')}`, 400);
+  }
+
+  if (typeof seconds !== 'number' || seconds < 0) {
+    throw new AppError('seconds must be a positive number', 400);
+  }
+
+  const usage = await usageService.recordActivity(req.user.uid, activity, { seconds });
+  setUsageHeaders(res, usage);
+
+  res.status(200).json({
+    success: true,
+    data: { usage }
+  });
+});
+
+/**
+ * Daily screen-time history (parent/guardian only)
+ */
+exports.getUsageHistory = asyncHandler(async (req, res, next) => {
+  const days = parseInt(req.query.days) || 7;
+
+  const history = await usageService.getUsageHistory(req.user.uid, days);
+
+  res.status(200).json({
+    success: true,
+    data: history
+  });
+});
+
 /**
  * Upload avatar with enhanced validation
  */
@@ -617,6 +701,9 @@ exports.getUserDashboard = asyncHandler(async (req, res, next) => {
     creativityGrowth: calculateCreativityGrowth(progress)
   };
   
+  // Plan and what's left of today's story quotas
+  const entitlements = await entitlementService.getQuotaStatus(req.user.uid, userData);
+  
   res.status(200).json({
     success: true,
     data: {
@@ -624,7 +711,8 @@ exports.getUserDashboard = asyncHandler(async (req, res, next) => {
       progress,
       recentStories,
       achievementProgress,
-      preferences: userData.preferences
+      preferences: userData.preferences,
+      entitlements
     }
   });
 });
@@ -3,6 +3,8 @@ const logger = require('../utils/logger');
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
+  // Only the codes set below are sent to the client (not e.g. ECONNREFUSED)
+  delete error.code;
   
   // Log error with better formatting
   logger.error({
@@ -79,6 +81,7 @@ const errorHandler = (err, req, res, next) => {
   if (err.isOperational) {
     error.statusCode = err.statusCode;
     error.message = err.message;
+    error.code = err.code;
   }
   
   // Validation errors
@@ -114,6 +117,8 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     error: {
       message: error.message || 'Server Error',
+      ...(typeof error.code === 'string' && { code: error.code }),
+      ...(err.isOperational && err.details && { details: err.details }),
       ...(process.env.NODE_ENV === 'development' && { 
         stack: err.stack,
         originalError: err 
@@ -0,0 +1,50 @@
+const usageService = require('../services/usageService');
+const { AppError } = require('../utils/AppError');
+const { asyncHandler } = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Usage status as response headers, so the app can show the time left
+ */
+const setUsageHeaders = (res, status) => {
+  res.set('X-Usage-Minutes-Today', String(status.minutesUsed));
+  if (status.limitMinutes) {
+    res.set('X-Usage-Limit-Minutes', String(status.limitMinutes));
+    res.set('X-Usage-Remaining-Minutes', String(status.remainingMinutes));
+  }
+  if (status.warning) {
+    res.set('X-Usage-Warning', status.warning);
+  }
+};
+
+/**
+ * Count the request towards the user's daily screen time and enforce the
+ * limit set in parental controls: blocked with 403 DAILY_LIMIT_REACHED, or
+ * only warned about when the parent chose `dailyLimitAction: 'warn'`.
+ * Must run after `protect`.
+ */
+const meterUsage = asyncHandler(async (req, res, next) => {
+  if (!req.user?.uid) return next();
+
+  let status;
+  try {
+    status = await usageService.recordActivity(req.user.uid, 'api');
+  } catch (error) {
+    // Metering must not take the API down with it
+    logger.error('Usage metering failed:', error.message);
+    return next();
+  }
+
+  setUsageHeaders(res, status);
+
+  if (status.limitReached && status.limitAction === 'block') {
+    throw new AppError('That\'s all the screen time for today! Come back tomorrow for more stories.', 403, 'DAILY_LIMIT_REACHED');
+  }
+
+  next();
+});
+
+module.exports = {
+  meterUsage,
+  setUsageHeaders
+};
@@ -6,6 +6,7 @@ class StoryType {
     this.id = data.id;
     this.name = data.name;
     this.description = data.description;
+    this.genre = data.genre; // e.g. 'Adventure', used by parental controls (allowedGenres)
     this.iconUrl = data.iconUrl;
     this.coverImageUrl = data.coverImageUrl;
     this.characteristics = data.characteristics || [];
@@ -77,6 +78,35 @@ const StoryStatus = {
   ARCHIVED: 'archived'
 };
 
+// Story Job Type Constants (background generation queue)
+const StoryJobType = {
+  GENERATE: 'story.generate',
+  CONTINUE: 'story.continue',
+  TRANSLATE: 'story.translate'
+};
+
+// Story Mode Constants
+const StoryMode = {
+  LINEAR: 'linear',          // Continued with the child's own prompts
+  BRANCHING: 'branching'     // Choose your own adventure: the child picks what happens next
+};
+
+// Story Version Reason Constants (why a version of a story was saved)
+const StoryVersionReason = {
+  BASELINE: 'baseline',              // A story from before version history, saved before its first change
+  CREATED: 'created',
+  CONTINUED: 'continued',
+  TRANSLATED: 'translated',
+  CHAPTER_DELETED: 'chapterDeleted',
+  EDITED: 'edited',
+  REGENERATED: 'regenerated',
+  BRANCH_SELECTED: 'branchSelected',   // A branching story switched to another path
+  RESTORED: 'restored'
+};
+
+// Story fields saved in each version, and put back when a version is restored
+const StoryVersionFields = ['title', 'content', 'pages', 'chapters', 'characterNames', 'characterSheet', 'media', 'metadata', 'branching'];
+
 // Story Length Constants
 const StoryLength = {
   SHORT: 'short',      // ~100-200 words
@@ -176,6 +206,10 @@ module.exports = {
   StoryType,
   DailyChallenge,
   StoryStatus,
+  StoryJobType,
+  StoryMode,
+  StoryVersionReason,
+  StoryVersionFields,
   StoryLength,
   VoiceType,
   StoryStyle,
@@ -0,0 +1,124 @@
+// src/providers/llm/fakeProvider.js
+const crypto = require('crypto');
+
+const SHORT_STORIES = [
+  "Luna found a magic acorn. WHOOSH! It grew into a rainbow tree! 'Wow!' gasped the forest animals. Pitter-patter, they ran to play under sparkly branches. 'Giggle, giggle!' went Luna. 'Sharing magic makes everything wonderful!' she cheered. Hooray!",
+
+  "Tommy opened his backpack. SURPRISE! A tiny dragon popped out! 'Oh my!' Tommy whispered. The dragon went PUFF and granted a wish. 'I wish Grandma feels better!' SPARKLE! Magic worked instantly. 'Yay!' cheered Tommy and his new friend.",
+
+  "Princess Mia lost her crown in the forest. 'Uh oh!' she sighed. FLUTTER-FLUTTER, a wise owl appeared. 'Hoot! I'll help!' Together they solved riddles. DING! They found it in a fairy circle, glowing bright. 'Amazing!' Mia gasped. Friendship wins!",
+
+  "Captain Sam sailed his cloud ship across starry skies. WHOOSH! A shooting star fell down. 'Gasp!' went Sam, catching it gently. ZOOM! He returned it to the grateful moon. 'Thank you!' sang the moon, giving Sam a magical compass. Adventure awaits!",
+
+  "Ella planted seeds in grandmother's garden. POP! Overnight, flowers became a magical portal! 'Wow!' she giggled, stepping through. FLUTTER! Butterfly friends welcomed her with tea. 'Wonderful!' Ella learned flower language before skipping home with special seeds."
+];
+
+const CONTINUATIONS = [
+  "Suddenly, a friendly rabbit hopped out from behind a mushroom. 'Hello there!' said the rabbit with a warm smile. 'I know the way to the magical garden you're looking for. Follow me!' Together, they skipped down the sparkling path toward new adventures.",
+
+  "Just then, a gentle breeze carried the sound of tinkling bells. Looking up, they saw a beautiful butterfly with wings that shimmered like rainbows. 'I can show you something wonderful,' whispered the butterfly. 'But first, you must believe in magic!' And they did.",
+
+  "As they walked deeper into the forest, the trees began to glow with soft, golden light. 'This is amazing!' they gasped. The forest was alive with magic, and every step revealed new wonders. Flowers sang sweet melodies, and the path sparkled beneath their feet.",
+
+  "A wise old owl perched on a nearby branch hooted softly. 'Welcome, young adventurer,' said the owl. 'I have been waiting for someone brave like you. There's a special quest that needs completing, and I believe you're just the right person for it!'"
+];
+
+const CHOICES = [
+  'Follow the glowing footprints into the forest',
+  'Ask the friendly owl for help',
+  'Build a boat and sail across the lake',
+  'Climb the tall tree to look around',
+  'Open the tiny door in the hill',
+  'Sing a song to wake the sleepy dragon'
+];
+
+const DRAWING_ANALYSIS = 'A wonderful drawing showing creative elements including characters, objects, and a colorful scene that tells a story.';
+
+/**
+ * Deterministic offline LLM provider.
+ *
+ * The same request always produces the same response, picked from canned
+ * children's stories by a hash of the messages, so the whole pipeline can run
+ * in development and tests without network access or API keys.
+ */
+class FakeLLMProvider {
+  constructor() {
+    this.name = 'fake';
+    this.responders = {
+      story: (prompt, seed) => SHORT_STORIES[seed % SHORT_STORIES.length],
+      continuation: (prompt, seed) => CONTINUATIONS[seed % CONTINUATIONS.length],
+      vision: () => DRAWING_ANALYSIS,
+      // Two or three different canned choices
+      choices: (prompt, seed) => JSON.stringify(
+        [0, 1, 2].slice(0, 2 + (seed % 2)).map(index => CHOICES[(seed + index) % CHOICES.length])
+      ),
+      // One character per story, named after its first name-like word
+      characters: (prompt) => {
+        const story = (prompt.match(/^Story: (.*)$/m) || [null, ''])[1];
+        const existing = (prompt.match(/^Already on the sheet: (.*)$/m) || [null, ''])[1].split(', ');
+        const name = (story.match(/\b[A-Z][a-z]{2,}\b/) || [null])[0];
+        return JSON.stringify(name && !existing.includes(name) ?
+          { [name]: 'A small friendly character with big round eyes and a bright red scarf' } :
+          {});
+      },
+      scenes: (prompt) => {
+        const pages = prompt.split('\n').filter(line => /^Page \d+: /.test(line));
+        return JSON.stringify(pages.map(line => {
+          const firstSentence = line.replace(/^Page \d+: /, '').split(/[.!?]/)[0].trim();
+          return `An illustration of ${firstSentence}`;
+        }));
+      },
+      // Marks each page as translated rather than translating it
+      translation: (prompt, seed, messages) => {
+        const source = JSON.parse(prompt);
+        const language = (messages[0].content.match(/ to (\w+)\./) || [null, 'Translated'])[1];
+        return JSON.stringify({
+          title: `${source.title} (${language})`,
+          pages: source.pages.map(page => `[${language}] ${page}`)
+        });
+      },
+      // Breaks long sentences at commas and "and" rather than really simplifying
+      simplify: (prompt) => prompt
+        .replace(/,\s+(?:and\s+)?(\p{L})/gu, (match, letter) => `. ${letter.toUpperCase()}`)
+        .replace(/\s+and\s+(\p{L})/gu, (match, letter) => `. ${letter.toUpperCase()}`),
+      title: (prompt) => {
+        const story = prompt.split('\n\n').slice(1).join(' ');
+        const name = (story.match(/\b[A-Z][a-z]{2,}\b/) || ['Magic'])[0];
+        return `${name}'s Magical Day`;
+      }
+    };
+  }
+
+  async chat({ task, model, messages }) {
+    const prompt = messages.map(message => this.messageText(message)).join('\n');
+    const lastUserMessage = this.messageText([...messages].reverse().find(m => m.role === 'user') || {});
+    const seed = parseInt(crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8), 16);
+
+    const responder = this.responders[task];
+    const text = responder ? responder(lastUserMessage, seed, messages) : 'OK';
+
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+
+    return {
+      text,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      },
+      model: model || 'fake-llm',
+      provider: this.name
+    };
+  }
+
+  messageText(message) {
+    if (typeof message.content === 'string') return message.content;
+    if (Array.isArray(message.content)) {
+      return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+    return '';
+  }
+}
+
+module.exports = FakeLLMProvider;
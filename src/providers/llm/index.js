@@ -0,0 +1,47 @@
+// src/providers/llm/index.js
+const aiConfig = require('../../config/ai');
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const FakeLLMProvider = require('./fakeProvider');
+
+const factories = {
+  openai: () => new OpenAIProvider(aiConfig.llm.providers.openai),
+  local: () => new OpenAICompatibleProvider({ name: 'local', ...aiConfig.llm.providers.local }),
+  fake: () => new FakeLLMProvider()
+};
+
+const instances = {};
+
+/**
+ * Get a provider instance by name (created once)
+ */
+const getLLMProvider = (name) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+/**
+ * Get the configured provider and model for a task (story, title, continuation, scenes, vision)
+ */
+const getLLMForTask = (task) => {
+  const config = aiConfig.llm.tasks[task];
+  if (!config) {
+    throw new Error(`No LLM configuration for task: ${task}`);
+  }
+
+  return {
+    provider: getLLMProvider(config.provider),
+    model: config.model
+  };
+};
+
+module.exports = {
+  getLLMProvider,
+  getLLMForTask
+};
@@ -0,0 +1,51 @@
+// src/providers/llm/openaiCompatibleProvider.js
+const axios = require('axios');
+
+/**
+ * LLM provider for any server implementing the OpenAI chat completions API.
+ *
+ * Provider interface:
+ *   chat({ task, model, messages, maxTokens, temperature })
+ *     -> { text, usage: { promptTokens, completionTokens, totalTokens }, model, provider }
+ */
+class OpenAICompatibleProvider {
+  constructor({ name = 'local', baseUrl, apiKey, timeout = 60000 }) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  async chat({ model, messages, maxTokens, temperature }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model,
+        messages,
+        ...(maxTokens && { max_tokens: maxTokens }),
+        ...(temperature !== undefined && { temperature })
+      },
+      { headers, timeout: this.timeout }
+    );
+
+    const usage = response.data.usage || {};
+
+    return {
+      text: response.data.choices[0].message.content,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      },
+      model: response.data.model || model,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,17 @@
+// src/providers/llm/openaiProvider.js
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+
+/**
+ * LLM provider for the hosted OpenAI API
+ */
+class OpenAIProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey, baseUrl }) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai LLM provider');
+    }
+
+    super({ name: 'openai', baseUrl, apiKey });
+  }
+}
+
+module.exports = OpenAIProvider;
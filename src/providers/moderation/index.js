@@ -0,0 +1,29 @@
+// src/providers/moderation/index.js
+const aiConfig = require('../../config/ai');
+const LocalRulesModerationProvider = require('./localRulesProvider');
+const OpenAIModerationProvider = require('./openaiProvider');
+
+const factories = {
+  local: () => new LocalRulesModerationProvider(),
+  openai: () => new OpenAIModerationProvider(aiConfig.moderation.providers.openai)
+};
+
+const instances = {};
+
+/**
+ * Get a moderation provider by name, defaulting to the active one (created once)
+ */
+const getModerationProvider = (name = aiConfig.moderation.provider) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown moderation provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+module.exports = {
+  getModerationProvider
+};
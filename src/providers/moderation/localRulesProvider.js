@@ -0,0 +1,51 @@
+// src/providers/moderation/localRulesProvider.js
+const { CATEGORY_TERMS, CATEGORY_TERMS_LANGUAGE, CATEGORY_PATTERNS } = require('../../config/moderation');
+const { countTerms } = require('../../utils/textNormalization');
+
+/**
+ * Offline moderation provider: scores categories from weighted word lists and
+ * patterns (see src/config/moderation.js). The word lists are only used on
+ * text in their own language; the patterns on any text.
+ *
+ * Provider interface:
+ *   classify(text, { language }) -> { provider, categories: { [category]: score 0-1 }, matches: [{ category, term, count }] }
+ */
+class LocalRulesModerationProvider {
+  constructor({ categoryTerms = CATEGORY_TERMS, termsLanguage = CATEGORY_TERMS_LANGUAGE, categoryPatterns = CATEGORY_PATTERNS } = {}) {
+    this.name = 'local';
+    this.categoryTerms = categoryTerms;
+    this.termsLanguage = termsLanguage;
+    this.categoryPatterns = categoryPatterns;
+  }
+
+  async classify(text, { language = this.termsLanguage } = {}) {
+    const scores = {};
+    const matches = [];
+    const categoryTerms = language.split('-')[0] === this.termsLanguage ? this.categoryTerms : {};
+
+    Object.entries(categoryTerms).forEach(([category, terms]) => {
+      Object.entries(countTerms(text, Object.keys(terms))).forEach(([term, count]) => {
+        scores[category] = (scores[category] || 0) + terms[term] * count;
+        matches.push({ category, term, count });
+      });
+    });
+
+    Object.entries(this.categoryPatterns).forEach(([category, patterns]) => {
+      patterns.forEach(({ pattern, weight, label }) => {
+        if (pattern.test(text || '')) {
+          scores[category] = (scores[category] || 0) + weight;
+          matches.push({ category, term: label, count: 1 });
+        }
+      });
+    });
+
+    const categories = {};
+    Object.entries(scores).forEach(([category, score]) => {
+      categories[category] = Math.round(Math.min(score, 1) * 100) / 100;
+    });
+
+    return { provider: this.name, categories, matches };
+  }
+}
+
+module.exports = LocalRulesModerationProvider;
@@ -0,0 +1,64 @@
+// src/providers/moderation/openaiProvider.js
+const axios = require('axios');
+
+// OpenAI moderation categories and the category each one counts towards
+const CATEGORY_MAP = {
+  sexual: 'sexual',
+  'sexual/minors': 'sexual',
+  harassment: 'hate',
+  'harassment/threatening': 'hate',
+  hate: 'hate',
+  'hate/threatening': 'hate',
+  illicit: 'illicit',
+  'illicit/violent': 'illicit',
+  'self-harm': 'selfHarm',
+  'self-harm/intent': 'selfHarm',
+  'self-harm/instructions': 'selfHarm',
+  violence: 'violence',
+  'violence/graphic': 'violence'
+};
+
+/**
+ * Moderation provider for the OpenAI moderations API (multilingual)
+ */
+class OpenAIModerationProvider {
+  constructor({ apiKey, baseUrl, model, timeout = 30000 }) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai moderation provider');
+    }
+
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  async classify(text) {
+    const response = await axios.post(
+      `${this.baseUrl}/moderations`,
+      { model: this.model, input: text },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeout
+      }
+    );
+
+    const scores = response.data.results?.[0]?.category_scores || {};
+    const categories = {};
+
+    Object.entries(scores).forEach(([openaiCategory, score]) => {
+      const category = CATEGORY_MAP[openaiCategory];
+      if (category && score > 0.01) {
+        categories[category] = Math.max(categories[category] || 0, Math.round(score * 100) / 100);
+      }
+    });
+
+    return { provider: this.name, categories, matches: [] };
+  }
+}
+
+module.exports = OpenAIModerationProvider;
@@ -0,0 +1,134 @@
+// src/providers/tts/elevenLabsProvider.js
+const axios = require('axios');
+const { VoiceType } = require('../../models/storyModels');
+const { AUDIO_FORMATS, createWavBuffer, getAudioDuration } = require('../../utils/audio');
+
+const API_URL = 'https://api.elevenlabs.io/v1';
+const VOICE_CACHE_TTL_MS = 60 * 60 * 1000;
+const PCM_SAMPLE_RATE = 22050;
+
+/**
+ * Text-to-speech through the ElevenLabs REST API.
+ *
+ * Provider interface:
+ *   listVoices() -> [{ id, name, language, types }]
+ *   supportedFormats, getDefaultVoiceId()
+ *   mapSettings({ speed, voiceSettings }) -> provider settings
+ *   synthesize({ text, voiceId, format, settings })
+ *     -> { audioBuffer, format, contentType, duration, voiceId, provider, characters,
+ *          alignment? { characters, characterStartTimes, characterEndTimes } }
+ */
+class ElevenLabsProvider {
+  constructor({ apiKey, defaultVoiceId, modelId }) {
+    if (!apiKey) {
+      throw new Error('ELEVENLABS_API_KEY is required for the elevenlabs TTS provider');
+    }
+
+    this.name = 'elevenlabs';
+    this.apiKey = apiKey;
+    this.defaultVoiceId = defaultVoiceId;
+    this.modelId = modelId;
+    this.supportedFormats = ['mp3', 'wav'];
+    this.voiceCache = null;
+  }
+
+  getDefaultVoiceId() {
+    return this.defaultVoiceId;
+  }
+
+  async listVoices() {
+    if (this.voiceCache && this.voiceCache.expiresAt > Date.now()) {
+      return this.voiceCache.voices;
+    }
+
+    try {
+      const response = await axios.get(`${API_URL}/voices`, {
+        headers: { 'xi-api-key': this.apiKey },
+        timeout: 10000
+      });
+
+      const voices = response.data.voices.map(voice => ({
+        id: voice.voice_id,
+        name: voice.name,
+        language: voice.labels?.language || 'multilingual',
+        types: this.voiceTypesFromLabels(voice.labels || {})
+      }));
+
+      this.voiceCache = { voices, expiresAt: Date.now() + VOICE_CACHE_TTL_MS };
+      return voices;
+    } catch (error) {
+      console.error('Failed to list ElevenLabs voices:', error.response?.data || error.message);
+      return [{ id: this.defaultVoiceId, name: 'Default', language: 'multilingual', types: [VoiceType.NARRATOR] }];
+    }
+  }
+
+  voiceTypesFromLabels(labels) {
+    const useCase = (labels.use_case || labels.description || '').toLowerCase();
+    const types = [];
+
+    if (useCase.includes('narrat') || useCase.includes('story')) types.push(VoiceType.NARRATOR);
+    if (useCase.includes('character') || useCase.includes('animation')) types.push(VoiceType.CHARACTER);
+    if (useCase.includes('education') || useCase.includes('news')) types.push(VoiceType.EDUCATIONAL);
+    if (useCase.includes('dramatic') || useCase.includes('video games')) types.push(VoiceType.DRAMATIC);
+    if (labels.age === 'young' || useCase.includes('children')) types.push(VoiceType.CHILD_FRIENDLY);
+
+    return types;
+  }
+
+  mapSettings({ speed = 1, voiceSettings = {} } = {}) {
+    return {
+      stability: 0.6, // Slightly higher for short stories
+      similarity_boost: 0.8,
+      style: 0.3, // More expressive for children
+      use_speaker_boost: true,
+      // ElevenLabs accepts speeds between 0.7 and 1.2
+      speed: Math.min(Math.max(speed, 0.7), 1.2),
+      ...voiceSettings
+    };
+  }
+
+  async synthesize({ text, voiceId, format = 'mp3', settings = {} }) {
+    const voice = voiceId || this.defaultVoiceId;
+    const outputFormat = format === 'wav' ? `pcm_${PCM_SAMPLE_RATE}` : 'mp3_44100_128';
+
+    // The with-timestamps endpoint returns base64 audio plus per-character timing
+    const response = await axios.post(
+      `${API_URL}/text-to-speech/${voice}/with-timestamps?output_format=${outputFormat}`,
+      {
+        text,
+        model_id: this.modelId,
+        voice_settings: settings
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'xi-api-key': this.apiKey
+        },
+        timeout: 60000
+      }
+    );
+
+    const rawAudio = Buffer.from(response.data.audio_base64, 'base64');
+    const audioBuffer = format === 'wav' ?
+      createWavBuffer(rawAudio, { sampleRate: PCM_SAMPLE_RATE }) :
+      rawAudio;
+    const alignment = response.data.alignment;
+
+    return {
+      audioBuffer,
+      format,
+      contentType: AUDIO_FORMATS[format].contentType,
+      duration: getAudioDuration(audioBuffer, format),
+      voiceId: voice,
+      provider: this.name,
+      characters: text.length,
+      alignment: alignment ? {
+        characters: alignment.characters,
+        characterStartTimes: alignment.character_start_times_seconds,
+        characterEndTimes: alignment.character_end_times_seconds
+      } : null
+    };
+  }
+}
+
+module.exports = ElevenLabsProvider;
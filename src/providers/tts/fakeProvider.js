@@ -0,0 +1,74 @@
+// src/providers/tts/fakeProvider.js
+const { VoiceType } = require('../../models/storyModels');
+const { AUDIO_FORMATS, createSilentWav } = require('../../utils/audio');
+
+const SECONDS_PER_WORD = 0.4;
+
+/**
+ * Offline TTS provider that returns silent WAV audio with a realistic duration
+ * and an even per-word character alignment
+ */
+class FakeTTSProvider {
+  constructor() {
+    this.name = 'fake';
+    this.supportedFormats = ['wav'];
+    this.voices = [
+      { id: 'fake-narrator', name: 'Narrator', language: 'multilingual', types: [VoiceType.NARRATOR, VoiceType.CHILD_FRIENDLY] },
+      { id: 'fake-character-1', name: 'Character One', language: 'multilingual', types: [VoiceType.CHARACTER] },
+      { id: 'fake-character-2', name: 'Character Two', language: 'multilingual', types: [VoiceType.CHARACTER] },
+      { id: 'fake-character-3', name: 'Character Three', language: 'multilingual', types: [VoiceType.CHARACTER, VoiceType.DRAMATIC] },
+      { id: 'fake-teacher', name: 'Teacher', language: 'multilingual', types: [VoiceType.EDUCATIONAL] }
+    ];
+  }
+
+  getDefaultVoiceId() {
+    return 'fake-narrator';
+  }
+
+  async listVoices() {
+    return this.voices;
+  }
+
+  mapSettings({ speed = 1 } = {}) {
+    return { speed };
+  }
+
+  async synthesize({ text, voiceId, settings = {} }) {
+    const words = text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    const secondsPerWord = SECONDS_PER_WORD / (settings.speed || 1);
+    const duration = Math.max(words * secondsPerWord, 0.1);
+
+    return {
+      audioBuffer: createSilentWav(duration),
+      format: 'wav',
+      contentType: AUDIO_FORMATS.wav.contentType,
+      duration,
+      voiceId: voiceId || this.getDefaultVoiceId(),
+      provider: this.name,
+      characters: text.length,
+      alignment: this.alignCharacters(text, secondsPerWord)
+    };
+  }
+
+  alignCharacters(text, secondsPerWord) {
+    const characters = [...text];
+    const characterStartTimes = [];
+    const characterEndTimes = [];
+    let wordIndex = -1;
+    let inWord = false;
+
+    characters.forEach(character => {
+      const isSpace = /\s/.test(character);
+      if (!isSpace && !inWord) wordIndex++;
+      inWord = !isSpace;
+
+      const start = Math.max(wordIndex, 0) * secondsPerWord;
+      characterStartTimes.push(isSpace ? start + secondsPerWord : start);
+      characterEndTimes.push(isSpace ? start + secondsPerWord : start + secondsPerWord);
+    });
+
+    return { characters, characterStartTimes, characterEndTimes };
+  }
+}
+
+module.exports = FakeTTSProvider;
@@ -0,0 +1,31 @@
+// src/providers/tts/index.js
+const aiConfig = require('../../config/ai');
+const ElevenLabsProvider = require('./elevenLabsProvider');
+const LocalCliTTSProvider = require('./localCliProvider');
+const FakeTTSProvider = require('./fakeProvider');
+
+const factories = {
+  elevenlabs: () => new ElevenLabsProvider(aiConfig.tts.providers.elevenlabs),
+  local: () => new LocalCliTTSProvider(aiConfig.tts.providers.local),
+  fake: () => new FakeTTSProvider()
+};
+
+const instances = {};
+
+/**
+ * Get a TTS provider by name, defaulting to the active one (created once)
+ */
+const getTTSProvider = (name = aiConfig.tts.provider) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown TTS provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+module.exports = {
+  getTTSProvider
+};
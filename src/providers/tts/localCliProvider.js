@@ -0,0 +1,110 @@
+// src/providers/tts/localCliProvider.js
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { VoiceType } = require('../../models/storyModels');
+const { AUDIO_FORMATS, getAudioDuration } = require('../../utils/audio');
+
+/**
+ * Text-to-speech with a local engine run as a command-line program (e.g. Piper).
+ * The text is written to the program's stdin and it must write a WAV file.
+ */
+class LocalCliTTSProvider {
+  constructor({ command, voices, timeoutMs }) {
+    this.name = 'local';
+    this.command = command;
+    this.timeoutMs = timeoutMs;
+    this.supportedFormats = ['wav'];
+    this.voices = voices.split(',').filter(Boolean).map(entry => {
+      const [id, name, language] = entry.trim().split(':');
+      return {
+        id,
+        name: name || id,
+        language: language || 'en',
+        types: [VoiceType.NARRATOR, VoiceType.CHARACTER]
+      };
+    });
+  }
+
+  getDefaultVoiceId() {
+    return this.voices[0]?.id;
+  }
+
+  async listVoices() {
+    return this.voices;
+  }
+
+  mapSettings({ speed = 1 } = {}) {
+    // Engines like Piper take a length scale: larger is slower
+    return { lengthScale: (1 / speed).toFixed(2) };
+  }
+
+  async synthesize({ text, voiceId, format = 'wav', settings = {} }) {
+    if (format !== 'wav') {
+      throw new Error(`Local TTS only produces wav audio, not ${format}`);
+    }
+
+    const voice = voiceId || this.getDefaultVoiceId();
+    const outputPath = path.join(os.tmpdir(), `tts_${crypto.randomBytes(8).toString('hex')}.wav`);
+    const values = { voice, output: outputPath, lengthScale: settings.lengthScale || '1.00' };
+
+    // Substitute per argument so values are never interpreted by a shell
+    const [program, ...args] = this.command.split(/\s+/).map(part =>
+      part.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match)
+    );
+
+    try {
+      await this.run(program, args, text);
+      const audioBuffer = fs.readFileSync(outputPath);
+
+      return {
+        audioBuffer,
+        format,
+        contentType: AUDIO_FORMATS.wav.contentType,
+        duration: getAudioDuration(audioBuffer, 'wav'),
+        voiceId: voice,
+        provider: this.name,
+        characters: text.length
+      };
+    } finally {
+      fs.rm(outputPath, { force: true }, () => {});
+    }
+  }
+
+  run(program, args, input) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(program, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      const fail = (error) => {
+        clearTimeout(timer);
+        child.kill('SIGKILL');
+        reject(error);
+      };
+
+      const timer = setTimeout(() => {
+        fail(new Error(`Local TTS timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', (error) => {
+        fail(new Error(`Failed to start local TTS (${program}): ${error.message}`));
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) resolve();
+        else reject(new Error(`Local TTS exited with code ${code}: ${stderr.slice(-500)}`));
+      });
+      // A program that exits without reading the text (or never started) closes its stdin
+      child.stdin.on('error', (error) => {
+        fail(new Error(`Local TTS didn't read the text (${program}): ${error.message}`));
+      });
+
+      child.stdin.end(input);
+    });
+  }
+}
+
+module.exports = LocalCliTTSProvider;
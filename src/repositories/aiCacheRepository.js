@@ -0,0 +1,47 @@
+// src/repositories/aiCacheRepository.js
+const storyRepository = require('./storyRepository');
+
+/**
+ * Cached AI audio and images in Firebase Storage, under `ai-cache/<kind>/`.
+ * Each entry is the file itself plus a `<hash>.json` record describing it;
+ * the record is written last, so an entry only exists once both are saved.
+ */
+class AICacheRepository {
+  // Cached files live in the story media bucket
+  get bucket() {
+    return storyRepository.bucket;
+  }
+
+  recordPath(kind, hash) {
+    return `ai-cache/${kind}/${hash}.json`;
+  }
+
+  /**
+   * The file and record of an entry, or null when it isn't cached
+   */
+  async getEntry(kind, hash) {
+    const recordFile = this.bucket.file(this.recordPath(kind, hash));
+    const [exists] = await recordFile.exists();
+    if (!exists) return null;
+
+    const [recordBuffer] = await recordFile.download();
+    const record = JSON.parse(recordBuffer.toString('utf8'));
+    const [buffer] = await this.bucket.file(record.path).download();
+
+    return { buffer, record };
+  }
+
+  async saveEntry(kind, hash, buffer, { contentType, extension, metadata = {} }) {
+    const path = `ai-cache/${kind}/${hash}.${extension}`;
+    await this.bucket.file(path).save(buffer, { metadata: { contentType } });
+
+    const record = { path, contentType, metadata, createdAt: new Date().toISOString() };
+    await this.bucket.file(this.recordPath(kind, hash)).save(JSON.stringify(record), {
+      metadata: { contentType: 'application/json' }
+    });
+
+    return record;
+  }
+}
+
+module.exports = new AICacheRepository();
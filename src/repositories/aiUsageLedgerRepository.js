@@ -0,0 +1,65 @@
+// src/repositories/aiUsageLedgerRepository.js
+const { getFirestore } = require('../config/firebase');
+
+/**
+ * One entry per AI provider call in `aiUsageLedger`, with the usage the
+ * provider reported and what it cost. Entries are never updated.
+ */
+class AIUsageLedgerRepository {
+  constructor() {
+    this._db = null;
+  }
+
+  // Lazy initialization of Firestore
+  get db() {
+    if (!this._db) {
+      this._db = getFirestore();
+    }
+    return this._db;
+  }
+
+  get collection() {
+    return this.db.collection('aiUsageLedger');
+  }
+
+  async addEntry(entry) {
+    const docRef = await this.collection.add(entry);
+    return { id: docRef.id, ...entry };
+  }
+
+  /**
+   * Entries of a story, oldest first
+   */
+  async getEntriesByStory(storyId) {
+    const snapshot = await this.collection.where('storyId', '==', storyId).get();
+    return this.toEntries(snapshot);
+  }
+
+  /**
+   * Entries between two dates (YYYY-MM-DD, inclusive), optionally of one user.
+   * Filtering by user needs the (userId, date) index in firestore.indexes.json.
+   */
+  async getEntriesByDateRange(fromDate, toDate, userId = null) {
+    let query = this.collection;
+    if (userId) {
+      query = query.where('userId', '==', userId);
+    }
+
+    const snapshot = await query
+      .where('date', '>=', fromDate)
+      .where('date', '<=', toDate)
+      .get();
+    return this.toEntries(snapshot);
+  }
+
+  toEntries(snapshot) {
+    return snapshot.docs
+      .map(doc => {
+        const data = doc.data();
+        return { id: doc.id, ...data, createdAt: data.createdAt?.toDate?.() || data.createdAt };
+      })
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+}
+
+module.exports = new AIUsageLedgerRepository();
@@ -1,6 +1,7 @@
 // src/repositories/storyRepository.js
 const { getFirestore } = require('../config/firebase');
 const admin = require('firebase-admin');
+const axios = require('axios');
 
 class StoryRepository {
   constructor() {
@@ -97,6 +98,41 @@ class StoryRepository {
     }
   }
 
+  /**
+   * Create a story type
+   */
+  async createStoryType(storyTypeData) {
+    try {
+      const docRef = await this.db.collection('storyTypes').add({
+        ...storyTypeData,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      return { id: docRef.id, ...storyTypeData };
+    } catch (error) {
+      console.error('Error creating story type:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a story type
+   */
+  async updateStoryType(storyTypeId, updateData) {
+    try {
+      await this.db.collection('storyTypes').doc(storyTypeId).update({
+        ...updateData,
+        updatedAt: new Date()
+      });
+
+      return this.getStoryTypeById(storyTypeId);
+    } catch (error) {
+      console.error('Error updating story type:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get active daily challenges
    */
@@ -169,6 +205,177 @@ class StoryRepository {
     }
   }
 
+  /**
+   * Save the output of a completed generation pipeline step
+   */
+  async saveGenerationCheckpoint(storyId, pipelineName, stepName, output) {
+    try {
+      // Round-trip through JSON to drop undefined values Firestore rejects
+      const cleanOutput = JSON.parse(JSON.stringify(output || {}));
+
+      await this.db.collection('stories').doc(storyId).update({
+        [`checkpoints.${pipelineName}.${stepName}`]: {
+          output: cleanOutput,
+          completedAt: new Date()
+        },
+        updatedAt: new Date()
+      });
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving generation checkpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the finished story of a pipeline run and remove the run's checkpoints
+   * in the same update
+   */
+  async completeGeneration(storyId, pipelineName, updateData) {
+    try {
+      await this.db.collection('stories').doc(storyId).update({
+        ...updateData,
+        [`checkpoints.${pipelineName}`]: admin.firestore.FieldValue.delete(),
+        updatedAt: new Date()
+      });
+
+      return { id: storyId, ...updateData };
+    } catch (error) {
+      console.error('Error completing story generation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a new remix of a story
+   */
+  async incrementRemixCount(storyId) {
+    try {
+      await this.db.collection('stories').doc(storyId).update({
+        remixCount: admin.firestore.FieldValue.increment(1)
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error counting story remix:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove all checkpoints of a pipeline so it starts from the first step
+   */
+  async clearGenerationCheckpoints(storyId, pipelineName) {
+    try {
+      await this.db.collection('stories').doc(storyId).update({
+        [`checkpoints.${pipelineName}`]: admin.firestore.FieldValue.delete(),
+        updatedAt: new Date()
+      });
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing generation checkpoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save `toSnapshot(story)` of the story as it is now as its next version.
+   * Runs in a transaction so two changes can't take the same number; versions
+   * are created once and never updated.
+   */
+  async createStoryVersion(storyId, toSnapshot, versionData) {
+    try {
+      const storyRef = this.db.collection('stories').doc(storyId);
+
+      return await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(storyRef);
+        if (!doc.exists) {
+          throw new Error(`Story ${storyId} not found`);
+        }
+
+        const story = doc.data();
+        const versionNumber = (story.currentVersion || 0) + 1;
+
+        const version = {
+          versionNumber,
+          ...versionData,
+          summary: {
+            title: story.title || null,
+            wordCount: story.metadata?.wordCount || 0,
+            chapterCount: story.chapters?.length || (story.content ? 1 : 0),
+            pageCount: story.pages?.length || 0
+          },
+          snapshot: toSnapshot(story),
+          createdAt: new Date()
+        };
+
+        transaction.create(storyRef.collection('versions').doc(String(versionNumber)), version);
+        transaction.update(storyRef, { currentVersion: versionNumber });
+        return version;
+      });
+    } catch (error) {
+      console.error('Error creating story version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Versions of a story, newest first. Without `withSnapshots` only the
+   * version details and summaries are read.
+   */
+  async getStoryVersions(storyId, { withSnapshots = false } = {}) {
+    try {
+      let query = this.db.collection('stories').doc(storyId).collection('versions');
+      if (!withSnapshots) {
+        query = query.select('versionNumber', 'reason', 'createdBy', 'note', 'restoredFrom', 'summary', 'createdAt');
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map(doc => this.toStoryVersion(doc))
+        .sort((a, b) => b.versionNumber - a.versionNumber);
+    } catch (error) {
+      console.error('Error getting story versions:', error);
+      throw error;
+    }
+  }
+
+  async getStoryVersion(storyId, versionNumber) {
+    try {
+      const doc = await this.db.collection('stories').doc(storyId)
+        .collection('versions').doc(String(versionNumber)).get();
+
+      return doc.exists ? this.toStoryVersion(doc) : null;
+    } catch (error) {
+      console.error('Error getting story version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every version of a story (Firestore keeps subcollections of deleted documents)
+   */
+  async deleteStoryVersions(storyId) {
+    try {
+      const snapshot = await this.db.collection('stories').doc(storyId).collection('versions').get();
+      const batch = this.db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      return { deleted: snapshot.size };
+    } catch (error) {
+      console.error('Error deleting story versions:', error);
+      throw error;
+    }
+  }
+
+  toStoryVersion(doc) {
+    const data = doc.data();
+    return { ...data, createdAt: data.createdAt?.toDate?.() || data.createdAt };
+  }
+
   /**
    * Get story by ID
    */
@@ -237,6 +444,42 @@ class StoryRepository {
     }
   }
 
+  /**
+   * Get a page of stories in any of the given statuses (used to resume stranded
+   * generations). Pass the returned cursor back to get the next page; it is
+   * null after the last one.
+   */
+  async getStoriesByStatus(statuses, { limit = 100, cursor = null } = {}) {
+    try {
+      let query = this.db.collection('stories')
+        .where('status', 'in', statuses)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(limit);
+
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.get();
+
+      const stories = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        createdAt: doc.data().createdAt?.toDate?.() || new Date(doc.data().createdAt),
+        updatedAt: doc.data().updatedAt?.toDate?.() || new Date(doc.data().updatedAt),
+        completedAt: doc.data().completedAt?.toDate?.() || null
+      }));
+
+      return {
+        stories,
+        cursor: stories.length === limit ? stories[stories.length - 1].id : null
+      };
+    } catch (error) {
+      console.error('Error getting stories by status:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get featured stories
    */
@@ -336,6 +579,23 @@ class StoryRepository {
     }
   }
 
+  /**
+   * Download a stored file from its signed URL
+   */
+  async downloadFile(fileUrl) {
+    try {
+      const response = await axios.get(fileUrl, {
+        responseType: 'arraybuffer',
+        timeout: 30000
+      });
+      
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('❌ Error downloading file:', error.message);
+      throw new Error(`Failed to download file: ${error.message}`);
+    }
+  }
+
   /**
    * Save drawing image to Firebase Storage
    */
@@ -401,7 +661,7 @@ class StoryRepository {
   /**
    * Save generated audio narration to Firebase Storage
    */
-  async saveGeneratedAudio(storyId, audioBuffer) {
+  async saveGeneratedAudio(storyId, audioBuffer, { contentType = 'audio/mpeg', extension = 'mp3' } = {}) {
     try {
       console.log('🔊 Saving generated audio to Firebase Storage...');
       console.log(`📦 Audio buffer size: ${audioBuffer?.length || 0} bytes`);
@@ -411,14 +671,14 @@ class StoryRepository {
       }
       
       const timestamp = Date.now();
-      const filePath = `stories/${storyId}/narration_${timestamp}.mp3`;
+      const filePath = `stories/${storyId}/narration_${timestamp}.${extension}`;
       
       console.log(`📁 Target path: ${filePath}`);
       
       const downloadUrl = await this.uploadFile(
         filePath,
         audioBuffer,
-        'audio/mpeg',
+        contentType,
         {
           type: 'narration',
           storyId,
@@ -478,6 +738,24 @@ class StoryRepository {
     }
   }
 
+  /**
+   * Get a user document
+   */
+  async getUserById(userId) {
+    try {
+      const userDoc = await this.db.collection('users').doc(userId).get();
+
+      if (!userDoc.exists) {
+        return null;
+      }
+
+      return { uid: userDoc.id, ...userDoc.data() };
+    } catch (error) {
+      console.error('Error getting user:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update user progress
    */
@@ -0,0 +1,60 @@
+// src/repositories/usageRepository.js
+const { getFirestore } = require('../config/firebase');
+const admin = require('firebase-admin');
+
+/**
+ * Daily screen-time totals, one document per user and day in `dailyUsage`
+ * (ID `<userId>_<YYYY-MM-DD>`)
+ */
+class UsageRepository {
+  constructor() {
+    this._db = null;
+  }
+
+  // Lazy initialization of Firestore
+  get db() {
+    if (!this._db) {
+      this._db = getFirestore();
+    }
+    return this._db;
+  }
+
+  dayRef(userId, date) {
+    return this.db.collection('dailyUsage').doc(`${userId}_${date}`);
+  }
+
+  /**
+   * Parental controls of a user, for their limit settings
+   */
+  async getParentalControls(userId) {
+    const userDoc = await this.db.collection('users').doc(userId).get();
+    return userDoc.exists ? userDoc.data().parentalControls || {} : null;
+  }
+
+  /**
+   * Record newly active minutes of a day. `minutes` is the day's total so far.
+   */
+  async recordMinutes(userId, date, { minutes, activity, addedMinutes, limitMinutes, limitReached }) {
+    await this.dayRef(userId, date).set({
+      userId,
+      date,
+      minutes,
+      byActivity: { [activity]: admin.firestore.FieldValue.increment(addedMinutes) },
+      limitMinutes: limitMinutes || null,
+      ...(limitReached && { limitReachedAt: new Date() }),
+      updatedAt: new Date()
+    }, { merge: true });
+  }
+
+  /**
+   * Totals of the given days, in the same order (null for days without usage)
+   */
+  async getDays(userId, dates) {
+    if (dates.length === 0) return [];
+
+    const docs = await this.db.getAll(...dates.map(date => this.dayRef(userId, date)));
+    return docs.map(doc => (doc.exists ? { id: doc.id, ...doc.data() } : null));
+  }
+}
+
+module.exports = new UsageRepository();
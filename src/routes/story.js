@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const storyController = require('../controllers/storyController');
 const { protect, authorize } = require('../middleware/auth');
+const { meterUsage } = require('../middleware/usageLimit');
 
 // Apply authentication middleware to all routes
 router.use(protect);
 
+// Story activity counts towards daily screen time (parental controls)
+router.use(meterUsage);
+
 // Debug route (remove in production) - must be before parameterized routes
 router.get('/debug', storyController.debugDatabase);
 
@@ -13,9 +17,22 @@ router.get('/debug', storyController.debugDatabase);
 router.get('/types', storyController.getStoryTypes);
 router.get('/challenges/daily', storyController.getDailyChallenges);
 
+// Narration voices of the active text-to-speech provider
+router.get('/voices', storyController.getNarrationVoices);
+
+// Story lengths allowed for the user's subscription and preferences
+router.get('/lengths', storyController.getStoryLengths);
+
 // Featured and popular stories
 router.get('/featured', storyController.getFeaturedStories);
 
+// Actual AI costs from the cost ledger (finance)
+router.get('/costs/daily', authorize('admin'), storyController.getDailyAICosts);
+router.get('/costs/users/:userId', authorize('admin'), storyController.getUserAICosts);
+
+// Hit and miss counts of the AI output cache
+router.get('/cache/stats', authorize('admin'), storyController.getAICacheStats);
+
 // User story management
 router.get('/my-stories', storyController.getUserStories);
 router.get('/user', storyController.getUserStories); // Alias for backward compatibility
@@ -24,8 +41,27 @@ router.post('/create', storyController.createStory);
 // Individual story operations
 router.get('/:storyId', storyController.getStory);
 router.get('/:storyId/status', storyController.getStoryStatus);
+router.get('/:storyId/events', storyController.streamStoryEvents);
+router.get('/:storyId/costs', storyController.getStoryCosts);
 router.put('/:storyId/share', storyController.toggleStoryShare);
+router.patch('/:storyId/content', storyController.editStoryContent);
 router.post('/:storyId/continue', storyController.continueStory);
+router.get('/:storyId/chapters', storyController.getChapters);
+router.delete('/:storyId/chapters/:chapterNumber', storyController.deleteLastChapter);
+router.get('/:storyId/versions', storyController.getVersions);
+router.get('/:storyId/versions/compare', storyController.compareVersions);
+router.get('/:storyId/versions/:versionNumber', storyController.getVersion);
+router.post('/:storyId/versions/:versionNumber/restore', storyController.restoreVersion);
+router.get('/:storyId/branches', storyController.getBranches);
+router.post('/:storyId/branches/choose', storyController.chooseBranch);
+router.post('/:storyId/branches/:nodeId/select', storyController.selectBranchNode);
+router.post('/:storyId/regenerate/title', storyController.regenerateTitle);
+router.post('/:storyId/regenerate/illustrations/:pageNumber', storyController.regenerateIllustration);
+router.post('/:storyId/regenerate/narration', storyController.regenerateNarration);
+router.post('/:storyId/regenerate/music', storyController.regenerateBackgroundMusic);
+router.post('/:storyId/translate', storyController.translateStory);
+router.post('/:storyId/remix', storyController.remixStory);
+router.post('/:storyId/retry', storyController.retryStory);
 router.delete('/:storyId', storyController.deleteStory);
 
 // Admin routes for managing story types and content
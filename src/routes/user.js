@@ -2,10 +2,28 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const { protect, authorize } = require('../middleware/auth');
+const { meterUsage } = require('../middleware/usageLimit');
 
 // Apply authentication middleware to all routes
 router.use(protect);
 
+// Parental controls routes (parent/guardian access), reachable after the daily limit
+router.put('/parental-controls', 
+  authorize(['parent', 'admin']), 
+  userController.updateParentalControls
+);
+
+router.get('/usage',
+  authorize('parent', 'admin'),
+  userController.getUsageHistory
+);
+
+// Playback heartbeats report today's usage instead of being blocked
+router.post('/usage/heartbeat', userController.recordUsageHeartbeat);
+
+// Everything below counts towards daily screen time
+router.use(meterUsage);
+
 // User profile routes
 router.get('/profile', userController.getProfile);
 router.put('/profile', userController.updateProfile);
@@ -19,12 +37,6 @@ router.put('/progress', userController.updateProgress);
 router.put('/stories/saved', userController.manageSavedStories);
 router.put('/stories/favorites', userController.manageFavoriteStories);
 
-// Parental controls routes (parent/guardian access)
-router.put('/parental-controls', 
-  authorize(['parent', 'admin']), 
-  userController.updateParentalControls
-);
-
 // Admin only routes
 router.get('/all', 
   authorize(['admin', 'moderator']), 
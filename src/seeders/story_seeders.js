@@ -80,6 +80,7 @@ function generateStoryTypes() {
         id: `${category.toLowerCase()}_${setting}_${character}_${age}_${i}`.replace(/[^a-z0-9_]/g, ''),
         name: `${category} in ${setting.charAt(0).toUpperCase() + setting.slice(1)}`,
         description: `${getAgeAppropriateDescription(category, setting, character, age)}`,
+        genre: category,
         iconUrl: `https://storage.googleapis.com/pictotale-assets/icons/${category.toLowerCase()}.svg`,
         coverImageUrl: `https://storage.googleapis.com/pictotale-assets/covers/${category.toLowerCase()}_${setting}.jpg`,
         characteristics: getCharacteristics(category, theme, setting, character, age),
@@ -14,6 +14,8 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const storyRoutes = require('./routes/story');
 const debugRoutes = require('./routes/debug');
+const { startStoryWorker, resumeStrandedStories } = require('./workers/storyWorker');
+const storyQueue = require('./services/storyQueue');
 const logger = require('./utils/logger');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('../docs/swagger.json');
@@ -137,12 +139,24 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
+// Background story generation (set STORY_WORKER_ENABLED=false when running `npm run worker` separately)
+if (process.env.STORY_WORKER_ENABLED !== 'false') {
+  // Then pick up stories that were mid-generation when the previous process stopped
+  startStoryWorker()
+    .then(resumeStrandedStories)
+    .catch(error => {
+      logger.error('Failed to start story worker:', error);
+    });
+}
+
+// Graceful shutdown: stop taking requests and let running story jobs finish
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM signal received: closing HTTP server');
   server.close(() => {
     logger.info('HTTP server closed');
   });
+  await storyQueue.stop();
+  process.exit(0);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,229 @@
+// src/services/aiCacheService.js
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const aiConfig = require('../config/ai');
+const aiCacheRepository = require('../repositories/aiCacheRepository');
+const { getAIUsageContext } = require('../utils/aiUsageContext');
+const logger = require('../utils/logger');
+
+// What is cached, and where: text outputs in Redis, audio and images in storage.
+// Transcriptions of children's voice recordings are never cached.
+const CACHE_KINDS = {
+  llm: 'text',
+  tts: 'file',
+  image: 'file'
+};
+
+const STATS_KEY = 'aicache:stats';
+const OUTCOMES = ['hits', 'misses', 'bypassed'];
+
+/**
+ * JSON with object keys sorted, so equal values always hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Content-addressed cache of AI provider outputs.
+ *
+ * Entries are keyed by a hash of the provider, model, settings and input of a
+ * call, so the same drawing, prompt or narration text is only sent to a
+ * provider once. A pipeline run with `bypassCache` in its AI usage context
+ * (the request's bypassCache option) doesn't read the cache, but still stores
+ * what it generates. Cache hits are not provider calls and cost nothing in
+ * the ledger.
+ */
+class AICacheService {
+  constructor() {
+    this.localEntries = new Map();
+    this.localStats = {};
+  }
+
+  /**
+   * Hash identifying a call: { provider, model, settings, input }
+   */
+  buildKey(kind, { provider = null, model = null, settings = {}, input }) {
+    return crypto.createHash('sha256')
+      .update(stableStringify({ kind, provider, model, settings, input }))
+      .digest('hex');
+  }
+
+  isBypassed() {
+    return getAIUsageContext().bypassCache === true;
+  }
+
+  /**
+   * Cached text output (any JSON value) of a call, or `create()`'s result,
+   * which is then cached. Returns { value, cached }.
+   */
+  async getOrCreate(kind, call, create) {
+    if (!aiConfig.cache.enabled) {
+      return { value: await create(), cached: false };
+    }
+
+    const key = `aicache:${kind}:${this.buildKey(kind, call)}`;
+
+    if (this.isBypassed()) {
+      await this.count(kind, 'bypassed');
+    } else {
+      const cached = await this.getText(key);
+      if (cached !== null) {
+        await this.count(kind, 'hits');
+        return { value: JSON.parse(cached), cached: true };
+      }
+      await this.count(kind, 'misses');
+    }
+
+    const value = await create();
+    await this.setText(key, JSON.stringify(value));
+    return { value, cached: false };
+  }
+
+  /**
+   * Cached file output of a call, or `create()`'s result
+   * ({ buffer, contentType, extension, metadata }), which is then cached.
+   * Returns { buffer, contentType, metadata, cached }.
+   */
+  async getOrCreateFile(kind, call, create) {
+    if (!aiConfig.cache.enabled) {
+      return { ...(await create()), cached: false };
+    }
+
+    const hash = this.buildKey(kind, call);
+
+    if (this.isBypassed()) {
+      await this.count(kind, 'bypassed');
+    } else {
+      let entry = null;
+      try {
+        entry = await aiCacheRepository.getEntry(kind, hash);
+      } catch (error) {
+        logger.error(`AI cache lookup of ${kind} ${hash} failed:`, error.message);
+      }
+
+      if (entry) {
+        await this.count(kind, 'hits');
+        return { buffer: entry.buffer, contentType: entry.record.contentType, metadata: entry.record.metadata, cached: true };
+      }
+      await this.count(kind, 'misses');
+    }
+
+    const created = await create();
+    try {
+      await aiCacheRepository.saveEntry(kind, hash, created.buffer, created);
+    } catch (error) {
+      logger.error(`Failed to cache ${kind} ${hash}:`, error.message);
+    }
+    return { ...created, cached: false };
+  }
+
+  async getText(key) {
+    const client = redis.getClient();
+    if (client && redis.isConnected()) {
+      try {
+        return await client.get(key);
+      } catch (error) {
+        logger.error('Redis AI cache lookup failed, using the in-process cache:', error.message);
+      }
+    }
+    return this.localEntries.has(key) ? this.localEntries.get(key) : null;
+  }
+
+  async setText(key, value) {
+    const client = redis.getClient();
+    if (client && redis.isConnected()) {
+      try {
+        await client.set(key, value, { EX: aiConfig.cache.textTtlSeconds });
+        return;
+      } catch (error) {
+        logger.error('Redis AI cache write failed, using the in-process cache:', error.message);
+      }
+    }
+
+    // Oldest entries go first once the in-process cache is full
+    this.localEntries.delete(key);
+    this.localEntries.set(key, value);
+    while (this.localEntries.size > aiConfig.cache.maxLocalEntries) {
+      this.localEntries.delete(this.localEntries.keys().next().value);
+    }
+  }
+
+  /**
+   * Count a lookup outcome (hits, misses or bypassed) of a kind
+   */
+  async count(kind, outcome) {
+    const field = `${kind}:${outcome}`;
+    const client = redis.getClient();
+    if (client && redis.isConnected()) {
+      try {
+        await client.hIncrBy(STATS_KEY, field, 1);
+        return;
+      } catch (error) {
+        logger.error('Failed to count an AI cache lookup in Redis:', error.message);
+      }
+    }
+    this.localStats[field] = (this.localStats[field] || 0) + 1;
+  }
+
+  /**
+   * Hit and miss counts per kind and in total, across all servers when they
+   * are counted in Redis (this server's otherwise)
+   */
+  async getStats() {
+    let counts = this.localStats;
+    let source = 'process';
+
+    const client = redis.getClient();
+    if (client && redis.isConnected()) {
+      try {
+        counts = await client.hGetAll(STATS_KEY);
+        source = 'redis';
+      } catch (error) {
+        logger.error('Failed to read AI cache stats from Redis:', error.message);
+      }
+    }
+
+    return {
+      enabled: aiConfig.cache.enabled,
+      source,
+      ...this.summarizeStats(counts)
+    };
+  }
+
+  /**
+   * { kinds: { [kind]: { hits, misses, bypassed, hitRate } }, total } from
+   * `kind:outcome` counters
+   */
+  summarizeStats(counts) {
+    const summarize = (values) => {
+      const lookups = values.hits + values.misses;
+      return { ...values, hitRate: lookups ? Math.round((values.hits / lookups) * 1000) / 1000 : null };
+    };
+
+    const kinds = {};
+    const total = { hits: 0, misses: 0, bypassed: 0 };
+
+    Object.keys(CACHE_KINDS).forEach(kind => {
+      const values = {};
+      OUTCOMES.forEach(outcome => {
+        values[outcome] = Number(counts[`${kind}:${outcome}`] || 0);
+        total[outcome] += values[outcome];
+      });
+      kinds[kind] = { storage: CACHE_KINDS[kind] === 'file' ? 'storage' : 'redis', ...summarize(values) };
+    });
+
+    return { kinds, total: summarize(total) };
+  }
+}
+
+module.exports = new AICacheService();
@@ -0,0 +1,241 @@
+// src/services/aiCostService.js
+const pricing = require('../config/pricing');
+const aiUsageLedgerRepository = require('../repositories/aiUsageLedgerRepository');
+const { getAIUsageContext } = require('../utils/aiUsageContext');
+const { subtractDays } = require('../utils/localTime');
+const { AppError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const roundCost = (cost) => Math.round(cost * 1000000) / 1000000;
+
+/**
+ * Actual cost of AI provider calls.
+ *
+ * Every LLM completion, text-to-speech request, generated image and
+ * transcription is written to the `aiUsageLedger` with the usage the provider
+ * reported (tokens, characters sent, images, audio minutes), the unit prices
+ * from config/pricing.js and the resulting cost. Calls are attributed to the
+ * story, user and pipeline step they ran for (see utils/aiUsageContext).
+ */
+class AICostService {
+  /**
+   * Cost of a usage at the configured prices: { unitPrices, priced, cost }
+   */
+  calculateCost(type, { model, provider }, usage) {
+    const { prices, priced } = pricing.getUnitPrices(type, { model, provider });
+    const cost = Object.entries(usage).reduce((sum, [unit, amount]) => {
+      if (!prices[unit]) return sum;
+      return sum + (amount * prices[unit]) / pricing.PRICE_UNITS[unit];
+    }, 0);
+
+    return { unitPrices: prices, priced, cost: roundCost(cost) };
+  }
+
+  /**
+   * Record one provider call. Saving happens in the background so a ledger
+   * failure never fails the generation; the entry is returned either way.
+   */
+  record({ type, task = null, provider, model, usage }) {
+    const context = getAIUsageContext();
+    const { unitPrices, priced, cost } = this.calculateCost(type, { model, provider }, usage);
+    const createdAt = new Date();
+
+    const entry = {
+      storyId: context.storyId || null,
+      userId: context.userId || null,
+      pipeline: context.pipeline || null,
+      step: context.step || null,
+      type,
+      task,
+      provider: provider || null,
+      model: model || null,
+      usage,
+      unitPrices,
+      priced,
+      cost,
+      currency: pricing.currency,
+      date: createdAt.toISOString().slice(0, 10),
+      createdAt
+    };
+
+    if (!priced) {
+      logger.warn(`No price configured for ${type} model ${model || provider}, recording it at no cost`);
+    }
+
+    aiUsageLedgerRepository.addEntry(entry)
+      .catch(error => logger.error(`Failed to record ${type} usage in the AI cost ledger:`, error.message));
+
+    return entry;
+  }
+
+  /**
+   * Record a chat completion from its reported token usage
+   */
+  recordCompletion(task, response) {
+    return this.record({
+      type: 'llm',
+      task,
+      provider: response.provider,
+      model: response.model,
+      usage: {
+        inputTokens: response.usage?.promptTokens || 0,
+        outputTokens: response.usage?.completionTokens || 0
+      }
+    });
+  }
+
+  /**
+   * Record a text-to-speech request from the characters sent to the provider
+   */
+  recordSpeech(provider, result, text) {
+    return this.record({
+      type: 'tts',
+      task: 'narration',
+      provider: result.provider || provider.name,
+      model: provider.modelId || result.provider || provider.name,
+      usage: { characters: result.characters ?? text.length }
+    });
+  }
+
+  recordImages(model, count, provider = 'openai') {
+    return this.record({ type: 'image', task: 'illustration', provider, model, usage: { images: count } });
+  }
+
+  recordTranscription(model, seconds, provider = 'openai') {
+    return this.record({
+      type: 'transcription',
+      task: 'transcription',
+      provider,
+      model,
+      usage: { audioMinutes: Math.round((seconds / 60) * 1000) / 1000 }
+    });
+  }
+
+  /**
+   * Totals of ledger entries: cost, calls and usage by type and by model
+   */
+  summarize(entries) {
+    const group = (keyOf) => {
+      const groups = {};
+      entries.forEach(entry => {
+        const key = keyOf(entry);
+        const totals = groups[key] || (groups[key] = { totalCost: 0, calls: 0, usage: {} });
+        totals.totalCost = roundCost(totals.totalCost + entry.cost);
+        totals.calls++;
+        Object.entries(entry.usage || {}).forEach(([unit, amount]) => {
+          totals.usage[unit] = (totals.usage[unit] || 0) + amount;
+        });
+      });
+      return groups;
+    };
+
+    return {
+      totalCost: roundCost(entries.reduce((sum, entry) => sum + entry.cost, 0)),
+      currency: pricing.currency,
+      calls: entries.length,
+      unpricedCalls: entries.filter(entry => !entry.priced).length,
+      byType: group(entry => entry.type),
+      byModel: group(entry => entry.model || entry.provider || 'unknown')
+    };
+  }
+
+  /**
+   * Costs of a story, with every call made for it
+   */
+  async getStoryCosts(storyId) {
+    const entries = await aiUsageLedgerRepository.getEntriesByStory(storyId);
+    return {
+      ...this.summarize(entries),
+      byStep: this.summarizeBy(entries, entry => [entry.pipeline, entry.step].filter(Boolean).join('.') || 'other'),
+      entries
+    };
+  }
+
+  /**
+   * Costs of a user's calls in a date range, per story and per day
+   */
+  async getUserCosts(userId, range = {}) {
+    const { from, to } = this.resolveDateRange(range);
+    const entries = await aiUsageLedgerRepository.getEntriesByDateRange(from, to, userId);
+
+    return {
+      userId,
+      from,
+      to,
+      ...this.summarize(entries),
+      byStory: this.summarizeBy(entries, entry => entry.storyId || 'none'),
+      days: this.summarizeDays(entries, from, to)
+    };
+  }
+
+  /**
+   * Costs of all calls (or one user's) per day in a date range
+   */
+  async getDailyCosts(range = {}, userId = null) {
+    const { from, to } = this.resolveDateRange(range);
+    const entries = await aiUsageLedgerRepository.getEntriesByDateRange(from, to, userId);
+
+    return {
+      from,
+      to,
+      userId,
+      ...this.summarize(entries),
+      days: this.summarizeDays(entries, from, to)
+    };
+  }
+
+  /**
+   * { [key]: { totalCost, calls } } of entries grouped by `keyOf`
+   */
+  summarizeBy(entries, keyOf) {
+    const groups = {};
+    entries.forEach(entry => {
+      const key = keyOf(entry);
+      const totals = groups[key] || (groups[key] = { totalCost: 0, calls: 0 });
+      totals.totalCost = roundCost(totals.totalCost + entry.cost);
+      totals.calls++;
+    });
+    return groups;
+  }
+
+  /**
+   * One summary per day of the range, newest first (days without calls included)
+   */
+  summarizeDays(entries, from, to) {
+    const days = [];
+    for (let date = to; date >= from; date = subtractDays(date, 1)) {
+      const { byModel, ...summary } = this.summarize(entries.filter(entry => entry.date === date));
+      days.push({ date, ...summary });
+    }
+    return days;
+  }
+
+  /**
+   * Validated { from, to } (YYYY-MM-DD, UTC). Defaults to the last 30 days.
+   */
+  resolveDateRange({ from, to } = {}) {
+    const isDate = (value) => DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      throw new AppError('Dates must be given as YYYY-MM-DD', 400);
+    }
+
+    const end = to || new Date().toISOString().slice(0, 10);
+    const start = from || subtractDays(end, DEFAULT_RANGE_DAYS - 1);
+
+    if (start > end) {
+      throw new AppError('The start date must not be after the end date', 400);
+    }
+    if (subtractDays(end, MAX_RANGE_DAYS - 1) > start) {
+      throw new AppError(`Date ranges can cover at most ${MAX_RANGE_DAYS} days`, 400);
+    }
+
+    return { from: start, to: end };
+  }
+}
+
+module.exports = new AICostService();
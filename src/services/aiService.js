@@ -2,23 +2,34 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getLLMForTask } = require('../providers/llm');
+const { getTTSProvider } = require('../providers/tts');
+const aiCostService = require('./aiCostService');
+const aiCacheService = require('./aiCacheService');
+const pricing = require('../config/pricing');
+const { renderTemplate, validateTemplate } = require('../utils/promptTemplate');
+const { LENGTH_POLICIES, tokensForWords } = require('../utils/storyLengthPolicy');
+const { tokenize, timingFromCharacterAlignment, estimateTiming, combineTimings } = require('../utils/narrationTiming');
+const { concatAudio } = require('../utils/audio');
+const { splitDialogue } = require('../utils/dialogue');
+const { StoryLength, VoiceType, StoryStyle } = require('../models/storyModels');
+const { isSupportedLanguage, getLanguageName } = require('../config/languages');
+const {
+  STORY_PROMPT_VARIABLES,
+  CONTINUATION_PROMPT_VARIABLES,
+  DEFAULT_STORY_TEMPLATE,
+  DEFAULT_CONTINUATION_TEMPLATE,
+  REMIX_TEMPLATE,
+  ILLUSTRATION_STYLES
+} = require('../config/storyPrompts');
 
 class AIService {
   constructor() {
     this.openaiApiKey = process.env.OPENAI_API_KEY;
-    this.elevenLabsApiKey = process.env.ELEVENLABS_API_KEY;
-    this.defaultVoiceId = process.env.ELEVENLABS_DEFAULT_VOICE_ID || 'EXAVITQu4vr4xnSDxMaL';
     
-    // Cost optimization settings
-    this.maxStoryWords = 200; // Maximum words for cost savings
-    this.maxTokensForStory = 250; // Reduced tokens since we want short stories
     
     if (!this.openaiApiKey) {
-      console.warn('⚠️  OpenAI API key not found. Story generation will be simulated.');
-    }
-    
-    if (!this.elevenLabsApiKey) {
-      console.warn('⚠️  ElevenLabs API key not found. Voice generation will be simulated.');
+      console.warn('⚠️  OpenAI API key not found. Transcription and illustrations will be simulated.');
     }
   }
 /**
@@ -52,7 +63,7 @@ class AIService {
   /**
    * Enhance story with expressions if it lacks them
    */
-  enhanceWithExpressions(story) {
+  enhanceWithExpressions(story, maxWords) {
     // Check if story already has good expressions
     const expressionCount = this.countExpressions(story);
     
@@ -74,7 +85,6 @@ class AIService {
     }
     
     // Ensure we don't exceed word limit after enhancements
-    const maxWords = 50;
     if (this.countWords(enhanced) > maxWords) {
       return this.enforceWordLimit(enhanced, maxWords);
     }
@@ -82,47 +92,89 @@ class AIService {
     return enhanced;
   }
   /**
-   * Analyze drawing using OpenAI Vision API
+   * Run a chat completion on the provider and model configured for a task
    */
-  async analyzeDrawing(imageBase64) {
-    if (!this.openaiApiKey) {
-      // Simulate analysis for development
-      return 'A wonderful drawing showing creative elements including characters, objects, and a colorful scene that tells a story.';
-    }
+  async complete(task, { messages, maxTokens, temperature }) {
+    const { provider, model } = getLLMForTask(task);
+
+    const { value: response } = await aiCacheService.getOrCreate('llm', {
+      provider: provider.name,
+      model,
+      settings: { maxTokens, temperature },
+      input: messages
+    }, async () => {
+      const result = await provider.chat({
+        task,
+        model,
+        messages,
+        maxTokens,
+        temperature
+      });
+
+      aiCostService.recordCompletion(task, result);
+      return result;
+    });
 
+    return response;
+  }
+
+  /**
+   * Synthesize speech on a TTS provider, recording the characters sent in the
+   * cost ledger. Returns the provider's result with the `cost` of the call
+   * (0 when the clip came from the AI cache).
+   */
+  async synthesizeSpeech(provider, request) {
+    let cost = 0;
+
+    const { buffer, metadata } = await aiCacheService.getOrCreateFile('tts', {
+      provider: provider.name,
+      model: provider.modelId || null,
+      settings: { voiceId: request.voiceId || null, format: request.format || null, settings: request.settings || {} },
+      input: request.text
+    }, async () => {
+      const { audioBuffer, ...result } = await provider.synthesize(request);
+      cost = aiCostService.recordSpeech(provider, result, request.text).cost;
+      return { buffer: audioBuffer, contentType: result.contentType, extension: result.format, metadata: result };
+    });
+
+    return { ...metadata, audioBuffer: buffer, cost };
+  }
+
+  /**
+   * Provider and model currently configured for a task (recorded with generated stories)
+   */
+  describeTask(task) {
+    const { provider, model } = getLLMForTask(task);
+    return { provider: provider.name, model };
+  }
+
+  /**
+   * Analyze drawing using a vision-capable model
+   */
+  async analyzeDrawing(imageBase64) {
     try {
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: 'gpt-4-vision-preview',
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: 'Analyze this child\'s drawing and describe what you see in 1-2 sentences. Focus on key characters, objects, and story elements. Keep it brief for a short story.'
-                },
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: `data:image/jpeg;base64,${imageBase64}`
-                  }
+      const response = await this.complete('vision', {
+        messages: [
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: 'Analyze this child\'s drawing and describe what you see in 1-2 sentences. Focus on key characters, objects, and story elements. Keep it brief for a short story.'
+              },
+              {
+                type: 'image_url',
+                image_url: {
+                  url: `data:image/jpeg;base64,${imageBase64}`
                 }
-              ]
-            }
-          ],
-          max_tokens: 100 // Reduced for cost savings
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.openaiApiKey}`,
-            'Content-Type': 'application/json'
+              }
+            ]
           }
-        }
-      );
+        ],
+        maxTokens: 100 // Reduced for cost savings
+      });
 
-      return response.data.choices[0].message.content;
+      return response.text;
     } catch (error) {
       console.error('Drawing analysis failed:', error.response?.data || error.message);
       return 'A wonderful drawing with creative elements that inspire an amazing story.';
@@ -130,21 +182,25 @@ class AIService {
   }
 
   /**
-   * Transcribe voice input using OpenAI Whisper
+   * Transcribe voice input using OpenAI Whisper, in the language of the story
    */
-  async transcribeVoice(audioBase64) {
+  async transcribeVoice(audioBase64, language = 'en') {
     if (!this.openaiApiKey) {
       // Simulate transcription for development
       return 'I want to tell a story about adventure and friendship.';
     }
 
+    // Whisper detects the language itself when it isn't one we know
+    const transcriptionLanguage = isSupportedLanguage(language) ? language : null;
+
+    // Not cached: what children say in their recordings isn't kept
     try {
       // Create temporary file
       const tempDir = path.join(process.cwd(), 'temp');
       if (!fs.existsSync(tempDir)) {
         fs.mkdirSync(tempDir, { recursive: true });
       }
-      
+
       const tempPath = path.join(tempDir, `voice_${Date.now()}.wav`);
       const audioBuffer = Buffer.from(audioBase64, 'base64');
       fs.writeFileSync(tempPath, audioBuffer);
@@ -153,7 +209,11 @@ class AIService {
       const formData = new FormData();
       formData.append('file', fs.createReadStream(tempPath));
       formData.append('model', 'whisper-1');
-      formData.append('language', 'en');
+      // verbose_json includes the audio duration, which transcription is billed by
+      formData.append('response_format', 'verbose_json');
+      if (transcriptionLanguage) {
+        formData.append('language', transcriptionLanguage);
+      }
 
       const response = await axios.post(
         'https://api.openai.com/v1/audio/transcriptions',
@@ -169,6 +229,8 @@ class AIService {
       // Clean up temp file
       fs.unlinkSync(tempPath);
 
+      aiCostService.recordTranscription('whisper-1', response.data.duration || 0);
+
       return response.data.text;
     } catch (error) {
       console.error('Voice transcription failed:', error.response?.data || error.message);
@@ -176,26 +238,18 @@ class AIService {
     }
   }
 
-/**
- * Generate story content using OpenAI GPT-4 (REPLACE your existing generateStory method with this)
- */
-async generateStory(storyPrompt) {
-  if (!this.openaiApiKey) {
-    // Return simulated SHORT story for development
-    return this.generateSimulatedShortStory();
-  }
+  /**
+   * Generate story content with the configured story model
+   */
+  async generateStory(storyPrompt, { wordBudget, maxTokens, language = 'en' }) {
+    try {
+      console.log(`📝 Generating expressive story with ${wordBudget}-word limit...`);
 
-  try {
-    console.log('📝 Generating expressive story with 80-200word limit...');
-    
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-3.5-turbo',
+      const response = await this.complete('story', {
         messages: [
           {
             role: 'system',
-            content: `You are a children's story writer who creates VERY SHORT, EXPRESSIVE stories of exactly 200 words or less. Every story must include:
+            content: `You are a children's story writer who creates SHORT, EXPRESSIVE stories of exactly ${wordBudget} words or less. Every story must include:
 
 SOUND EFFECTS & EXPRESSIONS:
 - Use sound words like: "whoosh", "splash", "boom", "giggle", "gasp", "wow", "yay"
@@ -206,84 +260,67 @@ STORY REQUIREMENTS:
 - Complete with beginning, middle, and end
 - Magical and engaging for children ages 3-12
 - Positive and safe
-- EXACTLY 200 words or fewer (count carefully!)
+- EXACTLY ${wordBudget} words or fewer (count carefully!)
 - Include dialogue with expressions
 - Make it come alive with sounds
 - should end with a positive message 
 - should end with words like "The end!" to signal completion
+- Written entirely in ${getLanguageName(language)}${language === 'en' ? '' : ', using the sound words and expressions children know in that language'}
 
 Example: "Luna found a magic acorn. WHOOSH! It grew into a rainbow tree! 'Wow!' gasped Luna. Animals came running - pitter-patter, pitter-patter. 'Yay!' they cheered, playing under sparkly branches. Giggle, giggle! Luna learned sharing magic makes everything more wonderful. The end!"
 
-Write an expressive, sound-filled story in 200 words or less.`
+Write an expressive, sound-filled story in ${wordBudget} words or less.`
           },
           {
             role: 'user',
             content: storyPrompt
           }
         ],
-        max_tokens: 500, // Reduced for short stories
+        maxTokens,
         temperature: 0.9 // Higher for more creativity with expressions
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        }
+      });
+
+      let storyContent = response.text.trim();
+
+      // Add expressions if story lacks them (the expressions we add are English)
+      if (language === 'en') {
+        storyContent = this.enhanceWithExpressions(storyContent, wordBudget);
       }
-    );
 
-    let storyContent = response.data.choices[0].message.content.trim();
-    
-    // Add expressions if story lacks them
-    storyContent = this.enhanceWithExpressions(storyContent);
-    
-    // Enforce word limit on the generated content
-    storyContent = this.enforceWordLimit(storyContent, 200);
-    
-    const wordCount = this.countWords(storyContent);
-    console.log(`📊 Generated expressive story: ${wordCount} words (limit: 200)`);
-    console.log(`🎭 Expression count: ${this.countExpressions(storyContent)}`);
-    console.log(`💰 ElevenLabs cost savings: ~${Math.round(((250 - wordCount) / 250) * 100)}%`);
-    
-    return storyContent;
-    
-  } catch (error) {
-    console.error('Story generation failed:', error.response?.data || error.message);
-    throw new Error('Failed to generate story content');
+      // Enforce word limit on the generated content
+      storyContent = this.enforceWordLimit(storyContent, wordBudget);
+
+      const wordCount = this.countWords(storyContent);
+      console.log(`📊 Generated expressive story: ${wordCount} words (limit: ${wordBudget}) via ${response.provider}/${response.model}`);
+      console.log(`🎭 Expression count: ${this.countExpressions(storyContent)}`);
+      console.log(`💰 ElevenLabs cost savings: ~${Math.round(((250 - wordCount) / 250) * 100)}%`);
+
+      return storyContent;
+
+    } catch (error) {
+      console.error('Story generation failed:', error.response?.data || error.message);
+      throw new Error('Failed to generate story content');
+    }
   }
-}
 
   /**
-   * Generate story title (shorter for cost savings)
+   * Generate story title (shorter for cost savings). `guidance` is added to the
+   * prompt, e.g. when a title is regenerated after moderation.
    */
-  async generateTitle(storyContent, storyType) {
-    if (!this.openaiApiKey) {
-      return `A Magical ${storyType.name} Tale`;
-    }
-
+  async generateTitle(storyContent, storyType, language = 'en', guidance = '') {
     try {
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'user',
-              content: `Create a short, catchy title (maximum 5 words) for this ${storyType.name} children's story:\n\n${storyContent}`
-            }
-          ],
-          max_tokens: 20, // Very short for titles
-          temperature: 0.9
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.openaiApiKey}`,
-            'Content-Type': 'application/json'
+      const response = await this.complete('title', {
+        messages: [
+          {
+            role: 'user',
+            content: `Create a short, catchy title (maximum 5 words) in ${getLanguageName(language)} for this ${storyType.name} children's story:\n\n${storyContent}${guidance ? `\n\n${guidance}` : ''}`
           }
-        }
-      );
+        ],
+        maxTokens: 20, // Very short for titles
+        temperature: 0.9
+      });
 
-      return response.data.choices[0].message.content.replace(/"/g, '').trim();
+      return response.text.replace(/"/g, '').trim();
     } catch (error) {
       console.error('Title generation failed:', error.response?.data || error.message);
       return `A Magical ${storyType.name} Tale`;
@@ -291,71 +328,403 @@ Write an expressive, sound-filled story in 200 words or less.`
   }
 
   /**
-   * Generate audio narration using ElevenLabs (optimized for short stories)
+   * Translate a story's title and pages, keeping the page breaks so the
+   * translation can reuse the original illustrations
    */
-  async generateNarration(text, voiceSettings = {}) {
-    console.log('🔊 Generating narration for cost-optimized story...');
-    console.log(`📊 Text length: ${text.length} characters, ${this.countWords(text)} words`);
-    
-    if (!this.elevenLabsApiKey) {
-      // Return simulated audio data for development
-      const wordCount = this.countWords(text);
+  async translateStory({ title, pages }, { sourceLanguage, targetLanguage, guidance = '' }) {
+    const source = JSON.stringify({ title, pages: pages.map(page => page.text) });
+
+    try {
+      const response = await this.complete('translation', {
+        messages: [
+          {
+            role: 'system',
+            content: `You translate children's stories from ${getLanguageName(sourceLanguage)} to ${getLanguageName(targetLanguage)}. Keep the meaning, tone, names, dialogue and sound effects, using words a child reading in ${getLanguageName(targetLanguage)} knows. Answer with only a JSON object {"title": string, "pages": string[]} with exactly one translated string per page, in order.${guidance ? ` ${guidance}` : ''}`
+          },
+          {
+            role: 'user',
+            content: source
+          }
+        ],
+        maxTokens: tokensForWords(this.countWords(source)) * 2,
+        temperature: 0.3
+      });
+
+      const match = response.text.match(/\{[\s\S]*\}/);
+      const translation = match ? JSON.parse(match[0]) : null;
+
+      if (!translation || !Array.isArray(translation.pages) || translation.pages.length !== pages.length ||
+        translation.pages.some(page => typeof page !== 'string' || !page.trim())) {
+        throw new Error('Translation did not match the story\'s pages');
+      }
+
       return {
-        audioBuffer: Buffer.from('simulated-audio-data'),
-        duration: Math.ceil(wordCount * 0.5), // ~0.5 seconds per word
-        voiceId: this.defaultVoiceId,
-        estimatedCost: wordCount * 0.0005 // Approximate cost
+        title: typeof translation.title === 'string' && translation.title.trim() ? translation.title.trim() : title,
+        pages: translation.pages.map(page => page.trim())
       };
+    } catch (error) {
+      console.error('Story translation failed:', error.response?.data || error.message);
+      throw new Error('Failed to translate story');
     }
+  }
 
+  /**
+   * Rewrite a story in simpler words and shorter sentences for a younger
+   * reader, keeping its plot, names, dialogue and sound effects
+   */
+  async simplifyStory(text, { age, maxGrade, language = 'en', wordBudget, guidance = '' }) {
     try {
-      const startTime = Date.now();
-      
-      const response = await axios.post(
-        `https://api.elevenlabs.io/v1/text-to-speech/${this.defaultVoiceId}`,
-        {
-          text,
-          model_id: 'eleven_multilingual_v2',
-          voice_settings: {
-            stability: 0.6, // Slightly higher for short stories
-            similarity_boost: 0.8,
-            style: 0.3, // More expressive for children
-            use_speaker_boost: true,
-            ...voiceSettings
+      const reader = age ? `a ${age}-year-old` : `a reader at grade ${Math.max(1, Math.floor(maxGrade))} or below`;
+
+      const response = await this.complete('simplify', {
+        messages: [
+          {
+            role: 'system',
+            content: `You make children's stories easier to read. Rewrite the story so ${reader} can follow it: short sentences, common everyday words, and no more than ${wordBudget} words. Keep the plot, character names, dialogue, sound effects and the happy ending. Write in ${getLanguageName(language)}. Answer with only the rewritten story.${guidance ? ` ${guidance}` : ''}`
+          },
+          {
+            role: 'user',
+            content: text
           }
-        },
-        {
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': this.elevenLabsApiKey
+        ],
+        maxTokens: tokensForWords(wordBudget),
+        temperature: 0.4
+      });
+
+      return this.enforceWordLimit(response.text.trim(), wordBudget);
+    } catch (error) {
+      console.error('Story simplification failed:', error.response?.data || error.message);
+      throw new Error('Failed to simplify story');
+    }
+  }
+
+  /**
+   * Two or three things the main character could do next in a branching
+   * story, each a short sentence the child can pick
+   */
+  async generateStoryChoices(storyContent, { age, language = 'en', guidance = '' }) {
+    try {
+      const reader = age ? `a ${age}-year-old` : 'a young child';
+
+      const response = await this.complete('choices', {
+        messages: [
+          {
+            role: 'system',
+            content: `You write the choices of a choose-your-own-adventure story for children. Read the story so far and offer two or three different things the main character could do next. Each choice is one short sentence (at most 10 words) that ${reader} can read, kind, safe and exciting, in ${getLanguageName(language)}. Answer with only a JSON array of strings.${guidance ? ` ${guidance}` : ''}`
           },
-          responseType: 'arraybuffer',
-          timeout: 30000 // Shorter timeout for short stories
+          {
+            role: 'user',
+            content: storyContent
+          }
+        ],
+        maxTokens: 120,
+        temperature: 0.9
+      });
+
+      const match = response.text.match(/\[[\s\S]*\]/);
+      const choices = (match ? JSON.parse(match[0]) : [])
+        .filter(choice => typeof choice === 'string' && choice.trim())
+        .map(choice => choice.trim());
+
+      if (choices.length < 2) {
+        throw new Error('Fewer than two choices were suggested');
+      }
+
+      return choices.slice(0, 3);
+    } catch (error) {
+      console.error('Story choice generation failed:', error.response?.data || error.message);
+      throw new Error('Failed to suggest story choices');
+    }
+  }
+
+  /**
+   * Reference sheet of a story's characters: how each main character looks,
+   * in one sentence, from the story, the child's drawing and the character
+   * descriptions they gave. Characters already on the `existing` sheet are
+   * left as they are. Falls back to the given descriptions if the model's
+   * answer can't be used.
+   */
+  async describeCharacters(storyContent, { storyType, drawingAnalysis, characterDescriptions = {}, existing = {} }) {
+    const onSheet = new Set(Object.keys(existing).map(name => name.trim()));
+    const fallback = {};
+    Object.entries(characterDescriptions).forEach(([name, description]) => {
+      if (!onSheet.has(name.trim())) fallback[name.trim()] = description;
+    });
+
+    try {
+      const details = [
+        `Story: ${storyContent.replace(/\s+/g, ' ')}`,
+        drawingAnalysis && `The child's drawing: ${drawingAnalysis}`,
+        Object.keys(characterDescriptions).length > 0 &&
+          `Given descriptions: ${Object.entries(characterDescriptions).map(([name, description]) => `${name} is ${description}.`).join(' ')}`,
+        Object.keys(existing).length > 0 && `Already on the sheet: ${Object.keys(existing).join(', ')}`
+      ].filter(Boolean);
+
+      const response = await this.complete('characters', {
+        messages: [
+          {
+            role: 'system',
+            content: `You keep the character sheet of a ${storyType.name} picture book, so that every illustration draws each character the same way. For each main character of the story that isn't already on the sheet, describe in one sentence only how they look: what they are, size, colors, clothes and one feature that stands out. Follow the child's drawing and the given descriptions where they describe a character. Answer with only a JSON object mapping each character's name to their description.`
+          },
+          {
+            role: 'user',
+            content: details.join('\n')
+          }
+        ],
+        maxTokens: 300,
+        temperature: 0.5
+      });
+
+      const match = response.text.match(/\{[\s\S]*\}/);
+      const sheet = match ? JSON.parse(match[0]) : null;
+      if (!sheet || typeof sheet !== 'object' || Array.isArray(sheet)) {
+        console.warn('⚠️ Character descriptions could not be read, using the given descriptions instead');
+        return fallback;
+      }
+
+      const characters = { ...fallback };
+      Object.entries(sheet).forEach(([name, description]) => {
+        if (!onSheet.has(name.trim()) && typeof description === 'string' && description.trim()) {
+          characters[name.trim()] = description.trim().slice(0, 300);
         }
+      });
+      return characters;
+    } catch (error) {
+      console.error('Character description failed:', error.response?.data || error.message);
+      return fallback;
+    }
+  }
+
+  /**
+   * Describe the picture for each page of a story, for illustrators and the app.
+   * Falls back to a sentence from each page if the model's answer can't be used.
+   */
+  async describeScenes(pages, storyType) {
+    const fallback = pages.map(page => this.extractKeyScenes(page.text, 1)[0]);
+
+    try {
+      const pageList = pages.map(page => `Page ${page.pageNumber}: ${page.text}`).join('\n');
+
+      const response = await this.complete('scenes', {
+        messages: [
+          {
+            role: 'user',
+            content: `For each page of this ${storyType.name} picture book, describe in one sentence what the illustration should show: characters (by name), setting and action. Answer with only a JSON array of ${pages.length} strings, one per page, in order.\n\n${pageList}`
+          }
+        ],
+        maxTokens: 60 * pages.length,
+        temperature: 0.7
+      });
+
+      const match = response.text.match(/\[[\s\S]*\]/);
+      const scenes = match ? JSON.parse(match[0]) : null;
+
+      if (!Array.isArray(scenes) || scenes.length !== pages.length) {
+        console.warn('⚠️ Scene descriptions did not match the pages, using page text instead');
+        return fallback;
+      }
+
+      return scenes.map((scene, index) =>
+        typeof scene === 'string' && scene.trim() ? scene.trim() : fallback[index]
       );
+    } catch (error) {
+      console.error('Scene description failed:', error.response?.data || error.message);
+      return fallback;
+    }
+  }
 
-      const endTime = Date.now();
-      const generationTime = (endTime - startTime) / 1000;
-      
-      const audioBuffer = Buffer.from(response.data);
-      const wordCount = this.countWords(text);
-      const duration = Math.ceil(wordCount * 0.5); // Approximate duration
-      const estimatedCost = wordCount * 0.0005; // Approximate cost
+  /**
+   * Voices and output formats of the active TTS provider
+   */
+  async listVoices() {
+    const provider = getTTSProvider();
+    const voices = await provider.listVoices();
+
+    return {
+      provider: provider.name,
+      formats: provider.supportedFormats,
+      defaultVoiceId: provider.getDefaultVoiceId(),
+      voices
+    };
+  }
+
+  /**
+   * Pick a voice that speaks the language: an explicit voice ID if the provider
+   * has it, otherwise the first voice of the requested type, otherwise the
+   * default (or the first narrator voice when the default doesn't speak it).
+   */
+  async selectVoice(provider, { voiceId, voiceType, language } = {}) {
+    const voices = (await provider.listVoices()).filter(voice => this.voiceSpeaks(voice, language));
+
+    if (voiceId && voices.some(voice => voice.id === voiceId)) {
+      return voiceId;
+    }
+
+    const byType = voiceType && voices.find(voice => voice.types.includes(voiceType));
+    if (byType) return byType.id;
+
+    // The default voice, unless it can't speak the story's language
+    const defaultVoiceId = provider.getDefaultVoiceId();
+    const narrator = voices.find(voice => voice.types.includes(VoiceType.NARRATOR)) || voices[0];
+    return voices.length === 0 || voices.some(voice => voice.id === defaultVoiceId) ? defaultVoiceId : narrator.id;
+  }
+
+  voiceSpeaks(voice, language) {
+    return !language || voice.language === 'multilingual' || voice.language.startsWith(language);
+  }
+
+  /**
+   * Give every character a voice of their own, as { name: voiceId }.
+   * Assignments in `existing` are kept while the provider still has the voice;
+   * new characters get an unused character voice, then any other voice that
+   * isn't the narrator's. Voices are only shared once all of them are taken.
+   */
+  async assignCharacterVoices(provider, characterNames = [], { narratorVoiceId, existing = {}, language } = {}) {
+    const voices = await provider.listVoices();
+    const available = new Set(voices.map(voice => voice.id));
+    const candidates = voices
+      .filter(voice => voice.id !== narratorVoiceId && this.voiceSpeaks(voice, language))
+      .sort((a, b) => Number(b.types.includes(VoiceType.CHARACTER)) - Number(a.types.includes(VoiceType.CHARACTER)))
+      .map(voice => voice.id);
+
+    const assignments = {};
+    const used = new Set();
+
+    characterNames.forEach(name => {
+      if (existing?.[name] && available.has(existing[name])) {
+        assignments[name] = existing[name];
+        used.add(existing[name]);
+      }
+    });
+
+    characterNames.forEach((name, index) => {
+      if (assignments[name]) return;
+
+      const voiceId = candidates.find(id => !used.has(id)) ||
+        candidates[index % candidates.length] ||
+        narratorVoiceId;
+      assignments[name] = voiceId;
+      used.add(voiceId);
+    });
+
+    return assignments;
+  }
+
+  /**
+   * Word timing for a clip: the provider's alignment when it has one, estimated otherwise
+   */
+  getNarrationTiming(text, clip, alignment) {
+    return (alignment && timingFromCharacterAlignment(text, alignment)) ||
+      estimateTiming(text, clip.duration, { audioBuffer: clip.audioBuffer, format: clip.format });
+  }
+
+  /**
+   * Narrate each segment in its speaker's voice and join the clips into one recording
+   */
+  async narrateSegments(provider, text, segments, { voiceId, characterVoices, format, settings }) {
+    const clips = [];
+
+    for (const segment of segments) {
+      const segmentVoiceId = segment.character ? characterVoices[segment.character] : voiceId;
+      const { alignment, ...clip } = await this.synthesizeSpeech(provider, { text: segment.text, voiceId: segmentVoiceId, format, settings });
+      clips.push({ ...clip, timing: this.getNarrationTiming(segment.text, clip, alignment) });
+    }
+
+    const audioBuffer = concatAudio(clips.map(clip => clip.audioBuffer), clips[0].format);
+    const duration = clips.reduce((total, clip) => total + clip.duration, 0);
+
+    let offset = 0;
+    let timing = combineTimings(clips.map(clip => {
+      const part = { timing: clip.timing, offset };
+      offset += clip.duration;
+      return part;
+    }));
+
+    if (timing.words.length !== tokenize(text).length) {
+      timing = estimateTiming(text, duration, { audioBuffer, format: clips[0].format });
+    }
+
+    return {
+      result: {
+        audioBuffer,
+        format: clips[0].format,
+        contentType: clips[0].contentType,
+        duration,
+        voiceId,
+        provider: clips[0].provider,
+        characters: clips.reduce((total, clip) => total + clip.characters, 0),
+        cost: clips.reduce((total, clip) => total + clip.cost, 0)
+      },
+      timing
+    };
+  }
+
+  /**
+   * Narrate text with the active TTS provider.
+   *
+   * Options come from the user's narration preferences: voiceId, voiceType,
+   * speed, voiceSettings (provider-specific overrides), language and format.
+   * With characterNames, dialogue is read in a voice per character; pass the
+   * story's earlier characterVoices to keep them.
+   */
+  async generateNarration(text, options = {}) {
+    console.log('🔊 Generating narration for cost-optimized story...');
+    console.log(`📊 Text length: ${text.length} characters, ${this.countWords(text)} words`);
+
+    const provider = getTTSProvider();
+    const format = provider.supportedFormats.includes(options.format) ? options.format : provider.supportedFormats[0];
+
+    try {
+      const startTime = Date.now();
+
+      const voiceId = await this.selectVoice(provider, options);
+      const settings = provider.mapSettings({
+        speed: options.speed || 1,
+        voiceSettings: options.voiceSettings || {}
+      });
+
+      const characterVoices = await this.assignCharacterVoices(provider, options.characterNames || [], {
+        narratorVoiceId: voiceId,
+        existing: options.characterVoices,
+        language: options.language
+      });
+
+      // One call per voice change when characters speak, one call otherwise
+      const segments = splitDialogue(text, Object.keys(characterVoices));
+      let narrated = null;
+
+      if (segments.some(segment => segment.character)) {
+        try {
+          narrated = await this.narrateSegments(provider, text, segments, { voiceId, characterVoices, format, settings });
+          console.log(`🎭 Multi-voice narration: ${segments.length} segments, ${Object.keys(characterVoices).length} character voice(s)`);
+        } catch (error) {
+          console.warn('Multi-voice narration failed, narrating the text at once:', error.message);
+        }
+      }
+
+      if (!narrated) {
+        const { alignment, ...result } = await this.synthesizeSpeech(provider, { text, voiceId, format, settings });
+        narrated = { result, timing: this.getNarrationTiming(text, result, alignment) };
+      }
+
+      const { result: { cost, ...result }, timing } = narrated;
+
+      const generationTime = (Date.now() - startTime) / 1000;
 
       console.log('✅ Audio generation completed:');
-      console.log(`   📦 Size: ${audioBuffer.length} bytes`);
-      console.log(`   ⏱️ Duration: ~${duration} seconds`);
-      console.log(`   💰 Estimated cost: ~$${estimatedCost.toFixed(4)}`);
+      console.log(`   🎙️ Provider: ${result.provider}, voice: ${result.voiceId}`);
+      console.log(`   📦 Size: ${result.audioBuffer.length} bytes (${result.format})`);
+      console.log(`   ⏱️ Duration: ${result.duration.toFixed(1)} seconds (${timing.source} word timing)`);
+      console.log(`   💰 Cost: $${cost.toFixed(4)} for ${result.characters} characters`);
       console.log(`   🚀 Generation time: ${generationTime.toFixed(2)}s`);
 
       return {
-        audioBuffer,
-        duration,
-        voiceId: this.defaultVoiceId,
-        estimatedCost,
+        ...result,
+        characterVoices,
+        timing,
+        cost,
         generationTime,
-        settings: voiceSettings
+        settings
       };
     } catch (error) {
       console.error('Narration generation failed:', error.response?.data || error.message);
@@ -364,120 +733,206 @@ Write an expressive, sound-filled story in 200 words or less.`
   }
 
   /**
-   * Generate story illustrations using DALL-E (reduced for cost)
+   * Image prompt for one scene in the story's style, with the reference
+   * descriptions of the characters in it so they look the same in every picture
+   */
+  buildIllustrationPrompt(scene, storyType, { style = StoryStyle.ILLUSTRATED, characterSheet = {} } = {}) {
+    const characters = Object.entries(characterSheet)
+      .filter(([name]) => new RegExp(`(?<![\\p{L}\\p{N}])${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'iu').test(scene))
+      .map(([name, description]) => `${name}: ${description}`);
+
+    return [
+      `Children's book illustration: ${scene}.`,
+      `${storyType.name} story. Style: ${ILLUSTRATION_STYLES[style] || ILLUSTRATION_STYLES[StoryStyle.ILLUSTRATED]}, child-friendly.`,
+      characters.length > 0 && `Draw the characters exactly as described: ${characters.join('; ')}.`,
+      'No text.'
+    ].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Generate one illustration per scene description using DALL-E, all in
+   * the story's style and with its character sheet
    */
-  async generateIllustrations(storyContent, storyType, numImages = 1) { // Reduced default to 1
+  async generateIllustrations(scenes, storyType, look = {}) {
     if (!this.openaiApiKey) {
       // Return simulated image data for development
-      return [{
+      return scenes.map(scene => ({
         imageBuffer: Buffer.from('simulated-image-data'),
-        description: 'A beautiful illustration for the story'
-      }];
+        description: scene
+      }));
     }
 
-    try {
-      console.log(`🎨 Generating ${numImages} illustration(s) for short story...`);
-      
-      const scenes = this.extractKeyScenes(storyContent, numImages);
-      const illustrations = [];
-
-      for (const scene of scenes) {
-        // Shorter, more focused prompt for cost savings
-        const prompt = `Simple children's book illustration: ${scene}. ${storyType.name} style, bright colors, child-friendly. No text.`;
+    console.log(`🎨 Generating ${scenes.length} illustration(s)...`);
+    const illustrations = [];
 
-        const response = await axios.post(
-          'https://api.openai.com/v1/images/generations',
-          {
-            model: 'dall-e-3',
-            prompt,
-            n: 1,
-            size: '1024x1024',
-            quality: 'standard', // Standard quality for cost savings
-            style: 'vivid'
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${this.openaiApiKey}`,
-              'Content-Type': 'application/json'
+    for (const scene of scenes) {
+      try {
+        const prompt = this.buildIllustrationPrompt(scene, storyType, look);
+
+        const imageSettings = {
+          n: 1,
+          size: '1024x1024',
+          quality: 'standard', // Standard quality for cost savings
+          style: 'vivid'
+        };
+
+        const { buffer } = await aiCacheService.getOrCreateFile('image', {
+          provider: 'openai',
+          model: 'dall-e-3',
+          settings: imageSettings,
+          input: prompt
+        }, async () => {
+          const response = await axios.post(
+            'https://api.openai.com/v1/images/generations',
+            {
+              model: 'dall-e-3',
+              prompt,
+              ...imageSettings
+            },
+            {
+              headers: {
+                'Authorization': `Bearer ${this.openaiApiKey}`,
+                'Content-Type': 'application/json'
+              }
             }
+          );
+
+          // Billed once the image is generated, even if downloading it fails
+          aiCostService.recordImages('dall-e-3', response.data.data.length);
+
+          if (!response.data.data[0]?.url) {
+            throw new Error('No image returned');
           }
-        );
 
-        if (response.data.data[0]?.url) {
           // Download the image
           const imageResponse = await axios.get(response.data.data[0].url, {
             responseType: 'arraybuffer'
           });
 
-          illustrations.push({
-            imageBuffer: Buffer.from(imageResponse.data),
-            description: scene
-          });
-        }
-      }
+          return {
+            buffer: Buffer.from(imageResponse.data),
+            contentType: imageResponse.headers?.['content-type'] || 'image/png',
+            extension: 'png'
+          };
+        });
 
-      console.log(`✅ Generated ${illustrations.length} illustration(s)`);
-      return illustrations;
-    } catch (error) {
-      console.error('Illustration generation failed:', error.response?.data || error.message);
-      return [{
-        imageBuffer: Buffer.from('simulated-image-data'),
-        description: 'A beautiful illustration for the story'
-      }];
+        illustrations.push({
+          imageBuffer: buffer,
+          description: scene
+        });
+      } catch (error) {
+        console.error('Illustration generation failed:', error.response?.data || error.message);
+        illustrations.push({
+          imageBuffer: Buffer.from('simulated-image-data'),
+          description: scene,
+          failed: true
+        });
+      }
     }
+
+    console.log(`✅ Generated ${illustrations.length} illustration(s)`);
+    return illustrations;
   }
 
   /**
-   * Build comprehensive story prompt with 50-word limit
+   * Build the story prompt from the story type's template and word budget
    */
   buildStoryPrompt(input) {
     const {
       storyType,
       drawingAnalysis,
       voiceTranscription,
-      characterNames,
-      characterDescriptions,
+      characterNames = [],
+      characterDescriptions = {},
       userPrompt,
-      length,
-      language
+      age,
+      language = 'en',
+      wordBudget,
+      blockedWords = []
     } = input;
 
-    let prompt = `Create a complete children's story in EXACTLY ${this.maxStoryWords} words or less. Genre: ${storyType.name}. `;
+    const promptTemplate = storyType.aiPromptTemplate || {};
 
-    if (drawingAnalysis) {
-      prompt += `Based on this drawing: ${drawingAnalysis}. `;
+    return renderTemplate(promptTemplate.template || DEFAULT_STORY_TEMPLATE, {
+      storyTypeName: storyType.name,
+      basePrompt: promptTemplate.basePrompt,
+      themes: promptTemplate.themes,
+      vocabulary: promptTemplate.vocabulary,
+      structure: promptTemplate.structure,
+      characteristics: storyType.characteristics,
+      drawingAnalysis,
+      voiceTranscription,
+      characterNames,
+      // Keep character descriptions brief
+      characterDescriptions: Object.entries(characterDescriptions)
+        .map(([name, description]) => `${name} is ${description}.`)
+        .join(' '),
+      userPrompt,
+      age,
+      ageRange: this.formatAgeRange(storyType),
+      language,
+      languageName: getLanguageName(language),
+      wordBudget,
+      blockedWords
+    });
+  }
+
+  /**
+   * Instruction added to the story prompt of a remix: the title and opening
+   * of the shared story it is based on
+   */
+  buildRemixGuidance({ title, premise }) {
+    return renderTemplate(REMIX_TEMPLATE, { title, premise });
+  }
+
+  /**
+   * Recommended age range of a story type, e.g. "4-7"
+   */
+  formatAgeRange(storyType) {
+    if (!storyType.recommendedAgeMin || !storyType.recommendedAgeMax) {
+      return '3-12';
     }
+    return `${storyType.recommendedAgeMin}-${storyType.recommendedAgeMax}`;
+  }
 
-    if (voiceTranscription) {
-      prompt += `Include: "${voiceTranscription}". `;
+  /**
+   * Check a story type's aiPromptTemplate. Returns a list of problems (empty when valid).
+   */
+  validatePromptTemplate(aiPromptTemplate) {
+    if (aiPromptTemplate === undefined || aiPromptTemplate === null) {
+      return [];
     }
 
-    if (characterNames.length > 0) {
-      prompt += `Characters: ${characterNames.join(', ')}. `;
+    if (typeof aiPromptTemplate !== 'object' || Array.isArray(aiPromptTemplate)) {
+      return ['aiPromptTemplate must be an object'];
     }
 
-    // Keep character descriptions brief
-    Object.entries(characterDescriptions).forEach(([name, description]) => {
-      prompt += `${name} is ${description}. `;
+    const errors = [];
+    const { basePrompt, themes, vocabulary, structure, template, continuationTemplate } = aiPromptTemplate;
+
+    [['basePrompt', basePrompt], ['vocabulary', vocabulary], ['structure', structure]].forEach(([field, value]) => {
+      if (value !== undefined && typeof value !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
     });
 
-    if (userPrompt) {
-      prompt += `Request: ${userPrompt}. `;
+    if (themes !== undefined && (!Array.isArray(themes) || themes.some(theme => typeof theme !== 'string'))) {
+      errors.push('themes must be an array of strings');
     }
 
-    prompt += `
-CRITICAL REQUIREMENTS:
-- MAXIMUM ${this.maxStoryWords} words (count carefully!)
-- Complete story: beginning, middle, end
-- Age-appropriate for children 3-12
-- ${storyType.characteristics.slice(0, 2).join(', ')}
-- Language: ${language}
-- Positive and magical
-- Every word must count
+    const templates = [
+      ['template', template, Object.keys(STORY_PROMPT_VARIABLES)],
+      ['continuationTemplate', continuationTemplate, Object.keys(CONTINUATION_PROMPT_VARIABLES)]
+    ];
+
+    templates.forEach(([field, source, allowedVariables]) => {
+      if (source === undefined) return;
 
-Write a complete, enchanting ${this.maxStoryWords}-word story.`;
+      const result = validateTemplate(source, allowedVariables);
+      result.errors.forEach(error => errors.push(`${field}: ${error}`));
+    });
 
-    return prompt;
+    return errors;
   }
 
   /**
@@ -527,108 +982,58 @@ Write a complete, enchanting ${this.maxStoryWords}-word story.`;
    * Extract key scenes from story content (optimized for short stories)
    */
   extractKeyScenes(content, numScenes = 1) {
-    // For short stories, just take the main scene
     const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 10);
     
     if (sentences.length === 0) {
       return ['A magical adventure scene'];
     }
     
-    // For very short stories, just use the first meaningful sentence
-    const mainScene = sentences[0].trim();
-    return [mainScene];
+    // Spread the scenes evenly through the story
+    const count = Math.min(numScenes, sentences.length);
+    const scenes = [];
+    for (let i = 0; i < count; i++) {
+      scenes.push(sentences[Math.floor((i * sentences.length) / count)].trim());
+    }
+    return scenes;
   }
 
   /**
-   * Get word count target for story length (always 50 for cost optimization)
+   * Word budget for a story length
    */
   getWordCountForLength(length) {
-    // Override all lengths to use our cost-optimized word count
-    return this.maxStoryWords;
+    return (LENGTH_POLICIES[length] || LENGTH_POLICIES[StoryLength.SHORT]).words;
   }
 
-/**
- * Generate simulated SHORT story with expressions for development (REPLACE your existing one)
- */
-generateSimulatedShortStory() {
-  const expressiveShortStories = [
-    "Luna found a magic acorn. WHOOSH! It grew into a rainbow tree! 'Wow!' gasped the forest animals. Pitter-patter, they ran to play under sparkly branches. 'Giggle, giggle!' went Luna. 'Sharing magic makes everything wonderful!' she cheered. Hooray!",
-    
-    "Tommy opened his backpack. SURPRISE! A tiny dragon popped out! 'Oh my!' Tommy whispered. The dragon went PUFF and granted a wish. 'I wish Grandma feels better!' SPARKLE! Magic worked instantly. 'Yay!' cheered Tommy and his new friend.",
-    
-    "Princess Mia lost her crown in the forest. 'Uh oh!' she sighed. FLUTTER-FLUTTER, a wise owl appeared. 'Hoot! I'll help!' Together they solved riddles. DING! They found it in a fairy circle, glowing bright. 'Amazing!' Mia gasped. Friendship wins!",
-    
-    "Captain Sam sailed his cloud ship across starry skies. WHOOSH! A shooting star fell down. 'Gasp!' went Sam, catching it gently. ZOOM! He returned it to the grateful moon. 'Thank you!' sang the moon, giving Sam a magical compass. Adventure awaits!",
-    
-    "Ella planted seeds in grandmother's garden. POP! Overnight, flowers became a magical portal! 'Wow!' she giggled, stepping through. FLUTTER! Butterfly friends welcomed her with tea. 'Wonderful!' Ella learned flower language before skipping home with special seeds."
-  ];
-  
-  // Return a random expressive short story and verify word count
-  const randomStory = expressiveShortStories[Math.floor(Math.random() * expressiveShortStories.length)];
-  const wordCount = this.countWords(randomStory);
-  const expressionCount = this.countExpressions(randomStory);
-  
-  console.log(`📝 Simulated expressive story: ${wordCount} words, ${expressionCount} expressions`);
-  
-  if (wordCount > 50) {
-    return this.enforceWordLimit(randomStory, 50);
-  }
-  
-  return randomStory;
-}
-
   /**
-   * Calculate estimated costs for story generation
+   * Estimate what generating and narrating a story costs at the configured
+   * prices, before the calls are made. Actual costs are in the AI cost ledger.
    */
   calculateEstimatedCosts(storyContent) {
     const wordCount = this.countWords(storyContent);
     const characterCount = storyContent.length;
-    
-    // Approximate costs (these are estimates)
-    const elevenLabsCost = wordCount * 0.0005; // ~$0.0005 per word
-    const openAICost = (wordCount * 1.5) * 0.000001; // Approximate token cost
-    const totalCost = elevenLabsCost + openAICost;
-    
-    // Cost comparison with longer stories
-    const longStoryCost = 250 * 0.0005; // 250-word story cost
-    const savings = longStoryCost - elevenLabsCost;
-    const savingsPercentage = (savings / longStoryCost) * 100;
-    
-    return {
-      wordCount,
-      characterCount,
-      estimatedElevenLabsCost: elevenLabsCost,
-      estimatedOpenAICost: openAICost,
-      estimatedTotalCost: totalCost,
-      comparedToLongStory: {
-        longStoryCost,
-        savings,
-        savingsPercentage: Math.round(savingsPercentage)
-      }
-    };
-  }
 
-  /**
-   * Validate content safety
-   */
-  isContentSafe(content) {
-    const inappropriateWords = [
-      'scary', 'frightening', 'terrifying', 'violence', 'fight', 
-      'hurt', 'pain', 'danger', 'weapon', 'death', 'kill'
-    ];
+    const { provider: llmProvider, model } = getLLMForTask('story');
+    const ttsProvider = getTTSProvider();
 
-    const lowercaseContent = content.toLowerCase();
-    const foundWords = inappropriateWords.filter(word => 
-      lowercaseContent.includes(word)
-    );
+    const storyCost = aiCostService.calculateCost('llm', { model, provider: llmProvider.name }, {
+      outputTokens: tokensForWords(wordCount)
+    }).cost;
+    const narrationCost = aiCostService.calculateCost('tts', {
+      model: ttsProvider.modelId || ttsProvider.name,
+      provider: ttsProvider.name
+    }, { characters: characterCount }).cost;
 
     return {
-      isSafe: foundWords.length === 0,
-      flaggedWords: foundWords,
-      severity: foundWords.length > 2 ? 'high' : foundWords.length > 0 ? 'medium' : 'safe'
+      wordCount,
+      characterCount,
+      estimatedStoryCost: storyCost,
+      estimatedNarrationCost: narrationCost,
+      estimatedTotalCost: storyCost + narrationCost,
+      currency: pricing.currency
     };
   }
 
+
   /**
    * Test story generation with cost analysis
    */
@@ -655,21 +1060,21 @@ generateSimulatedShortStory() {
       console.log('-'.repeat(40));
       
       try {
+        const lengthPolicy = LENGTH_POLICIES[StoryLength.SHORT];
         const prompt = this.buildStoryPrompt({
           ...test,
           characterDescriptions: {},
-          length: 'short',
-          language: 'en'
+          language: 'en',
+          wordBudget: lengthPolicy.words
         });
         
-        const story = await this.generateStory(prompt);
+        const story = await this.generateStory(prompt, { wordBudget: lengthPolicy.words, maxTokens: lengthPolicy.maxTokens });
         const costs = this.calculateEstimatedCosts(story);
         const title = await this.generateTitle(story, test.storyType);
         
         console.log('📝 Title:', title);
         console.log('📊 Word count:', costs.wordCount);
         console.log('💰 Estimated cost: $', costs.estimatedTotalCost.toFixed(4));
-        console.log('💚 Savings vs long story:', costs.comparedToLongStory.savingsPercentage + '%');
         console.log('📖 Story:', story);
         
       } catch (error) {
@@ -686,66 +1091,63 @@ generateSimulatedShortStory() {
       existingContent,
       additionalPrompt,
       newCharacters = [],
-      storyType,
-      language = 'en'
+      storyType = {},
+      age,
+      language = 'en',
+      wordBudget,
+      blockedWords = []
     } = options;
 
-    let prompt = `Continue this story in the same style and tone:\n\n"${existingContent}"\n\n`;
-
-    prompt += `Additional direction: ${additionalPrompt}\n`;
+    const promptTemplate = storyType.aiPromptTemplate || {};
 
-    if (newCharacters.length > 0) {
-      prompt += `New characters to introduce: ${newCharacters.join(', ')}\n`;
-    }
-
-    prompt += `
-CONTINUATION REQUIREMENTS:
-- MAXIMUM 50 additional words
-- Maintain the same writing style and tone
-- Continue the story naturally from where it left off
-- Include the additional direction: "${additionalPrompt}"
-- Age-appropriate for children
-- Language: ${language}
-- Keep it magical and positive
-- Make it feel like a natural continuation
-
-Write a brief, engaging continuation (50 words max):`;
-
-    return prompt;
+    return renderTemplate(promptTemplate.continuationTemplate || DEFAULT_CONTINUATION_TEMPLATE, {
+      storyTypeName: storyType.name,
+      themes: promptTemplate.themes,
+      vocabulary: promptTemplate.vocabulary,
+      existingContent,
+      additionalPrompt,
+      newCharacters,
+      age,
+      ageRange: this.formatAgeRange(storyType),
+      language,
+      languageName: getLanguageName(language),
+      wordBudget,
+      blockedWords
+    });
   }
 
   /**
    * Generate story continuation
    */
-  async generateStoryContinuation(prompt) {
+  async generateStoryContinuation(prompt, { wordBudget }) {
     try {
       console.log('🔄 Generating story continuation...');
 
-      // For development, return a simulated continuation
-      const continuations = [
-        "Suddenly, a friendly rabbit hopped out from behind a mushroom. 'Hello there!' said the rabbit with a warm smile. 'I know the way to the magical garden you're looking for. Follow me!' Together, they skipped down the sparkling path toward new adventures.",
-
-        "Just then, a gentle breeze carried the sound of tinkling bells. Looking up, they saw a beautiful butterfly with wings that shimmered like rainbows. 'I can show you something wonderful,' whispered the butterfly. 'But first, you must believe in magic!' And they did.",
-
-        "As they walked deeper into the forest, the trees began to glow with soft, golden light. 'This is amazing!' they gasped. The forest was alive with magic, and every step revealed new wonders. Flowers sang sweet melodies, and the path sparkled beneath their feet.",
-
-        "A wise old owl perched on a nearby branch hooted softly. 'Welcome, young adventurer,' said the owl. 'I have been waiting for someone brave like you. There's a special quest that needs completing, and I believe you're just the right person for it!'"
-      ];
+      const response = await this.complete('continuation', {
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        maxTokens: tokensForWords(wordBudget),
+        temperature: 0.9
+      });
 
-      const randomContinuation = continuations[Math.floor(Math.random() * continuations.length)];
-      const wordCount = this.countWords(randomContinuation);
+      const continuation = response.text.trim();
+      const wordCount = this.countWords(continuation);
 
       console.log(`📝 Generated continuation: ${wordCount} words`);
 
-      // Ensure it doesn't exceed 50 words
-      if (wordCount > 50) {
-        return this.enforceWordLimit(randomContinuation, 50);
+      // Ensure it doesn't exceed the continuation word budget
+      if (wordCount > wordBudget) {
+        return this.enforceWordLimit(continuation, wordBudget);
       }
 
-      return randomContinuation;
+      return continuation;
 
     } catch (error) {
-      console.error('❌ Story continuation generation failed:', error);
+      console.error('❌ Story continuation generation failed:', error.response?.data || error.message);
       throw new Error('Failed to generate story continuation');
     }
   }
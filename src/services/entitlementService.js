@@ -0,0 +1,239 @@
+// src/services/entitlementService.js
+const redis = require('../config/redis');
+const entitlementsConfig = require('../config/entitlements');
+const usageService = require('./usageService');
+const { getLocalTime } = require('../utils/localTime');
+const { AppError } = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const { QUOTAS, getEntitlements } = entitlementsConfig;
+
+// Consume several quotas at once, all or nothing, so parallel requests can't
+// both take the last story of the day.
+// KEYS: one counter per quota. ARGV: ttl, then limit (-1 = unlimited) and
+// amount per key. Returns { index of the first quota that would be exceeded
+// (0 when everything was consumed), count of each key }.
+const CONSUME_QUOTAS_SCRIPT = `
+local counts = {}
+for i = 1, #KEYS do
+  counts[i] = tonumber(redis.call('GET', KEYS[i]) or '0')
+end
+for i = 1, #KEYS do
+  local limit = tonumber(ARGV[i * 2])
+  local amount = tonumber(ARGV[i * 2 + 1])
+  if limit >= 0 and amount > 0 and counts[i] + amount > limit then
+    return { i, unpack(counts) }
+  end
+end
+for i = 1, #KEYS do
+  local amount = tonumber(ARGV[i * 2 + 1])
+  if amount ~= 0 then
+    counts[i] = redis.call('INCRBY', KEYS[i], amount)
+    if counts[i] < 0 then
+      redis.call('SET', KEYS[i], 0)
+      counts[i] = 0
+    end
+    redis.call('EXPIRE', KEYS[i], ARGV[1])
+  end
+end
+return { 0, unpack(counts) }
+`;
+
+const QUOTA_MESSAGES = {
+  stories: 'You\'ve made all your stories for today! Come back tomorrow for more.',
+  continuations: 'You\'ve continued all the stories you can for today! Come back tomorrow for more.',
+  illustratedStories: 'You\'ve used all your illustrated stories for today. Try one without pictures!',
+  regenerations: 'You\'ve remade all the story parts you can for today! Come back tomorrow for more.'
+};
+
+/**
+ * Features and daily quotas of subscription tiers (config/entitlements.js).
+ *
+ * Quotas are counted per user and day (in the user's time zone) in Redis,
+ * in-process when Redis is unavailable. A request consumes everything it
+ * needs in one atomic step before any work starts, and gives it back if the
+ * request fails before its job is queued.
+ */
+class EntitlementService {
+  constructor() {
+    this.localCounts = new Map();
+  }
+
+  getEntitlements(user) {
+    return getEntitlements(user);
+  }
+
+  /**
+   * Reject story options the user's tier doesn't include, with 403 FEATURE_NOT_AVAILABLE
+   */
+  assertFeatures(user, { voiceType, voiceId, generateIllustrations } = {}) {
+    const entitlements = getEntitlements(user);
+
+    if (voiceType && !entitlements.voiceTypes.includes(voiceType)) {
+      throw new AppError(`The ${voiceType} voice isn't included in your plan. You can use: ${entitlements.voiceTypes.join(', ')}`, 403, 'FEATURE_NOT_AVAILABLE');
+    }
+    if (voiceId && !entitlements.customVoices) {
+      throw new AppError('Choosing a specific voice isn\'t included in your plan', 403, 'FEATURE_NOT_AVAILABLE');
+    }
+    if (generateIllustrations === true && entitlements.illustratedStoriesPerDay === 0) {
+      throw new AppError('Illustrated stories aren\'t included in your plan', 403, 'FEATURE_NOT_AVAILABLE');
+    }
+  }
+
+  /**
+   * Narration options limited to what the user's tier includes. Voices saved
+   * in preferences under an earlier plan fall back to the default voice.
+   */
+  limitNarrationOptions(user, options) {
+    const entitlements = getEntitlements(user);
+    return {
+      ...options,
+      voiceId: entitlements.customVoices ? options.voiceId : undefined,
+      voiceType: entitlements.voiceTypes.includes(options.voiceType) ? options.voiceType : undefined
+    };
+  }
+
+  /**
+   * Consume quotas for a request, e.g. { stories: 1, illustratedStories: 1 }.
+   * Throws 403 QUOTA_EXCEEDED (nothing consumed) when one would go over its
+   * limit. Returns the quota status after consuming.
+   */
+  async consumeQuota(userId, user, amounts) {
+    const entitlements = getEntitlements(user);
+    const date = await this.getQuotaDate(userId);
+    const names = Object.keys(QUOTAS);
+    const limits = names.map(name => this.getLimit(entitlements, name));
+
+    const { exceeded, counts } = await this.updateCounts(userId, date, names.map((name, index) => ({
+      name,
+      limit: limits[index],
+      amount: amounts[name] || 0
+    })));
+
+    if (exceeded) {
+      const error = new AppError(QUOTA_MESSAGES[exceeded], 403, 'QUOTA_EXCEEDED');
+      error.details = { quota: exceeded, ...this.buildStatus(entitlements, date, counts) };
+      throw error;
+    }
+
+    return this.buildStatus(entitlements, date, counts);
+  }
+
+  /**
+   * Give back quotas consumed by a request that didn't go ahead
+   */
+  async releaseQuota(userId, amounts) {
+    try {
+      const date = await this.getQuotaDate(userId);
+      await this.updateCounts(userId, date, Object.keys(QUOTAS).map(name => ({
+        name,
+        limit: null,
+        amount: -(amounts[name] || 0)
+      })));
+    } catch (error) {
+      logger.error(`Failed to release quota for ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Today's quotas of a user without consuming any
+   */
+  async getQuotaStatus(userId, user) {
+    return this.consumeQuota(userId, user, {});
+  }
+
+  getLimit(entitlements, name) {
+    const limit = entitlements[QUOTAS[name]];
+    return limit === null || limit === undefined ? null : limit;
+  }
+
+  /**
+   * Quotas reset at midnight in the user's time zone, like screen time
+   */
+  async getQuotaDate(userId) {
+    let timezone = 'UTC';
+    try {
+      ({ timezone } = await usageService.getSettings(userId));
+    } catch (error) {
+      logger.error(`Failed to load the time zone of ${userId}, counting quotas in UTC:`, error.message);
+    }
+    return getLocalTime(new Date(), timezone).date;
+  }
+
+  async updateCounts(userId, date, quotas) {
+    const client = redis.getClient();
+
+    if (client && redis.isConnected()) {
+      try {
+        const [exceededIndex, ...counts] = await client.eval(CONSUME_QUOTAS_SCRIPT, {
+          keys: quotas.map(quota => `quota:${userId}:${date}:${quota.name}`),
+          arguments: [
+            String(entitlementsConfig.quotaTtlSeconds),
+            ...quotas.flatMap(quota => [String(quota.limit ?? -1), String(quota.amount)])
+          ]
+        });
+        return this.toResult(quotas, Number(exceededIndex), counts.map(Number));
+      } catch (error) {
+        logger.error('Redis quota check failed, counting in-process:', error.message);
+      }
+    }
+
+    return this.updateCountsLocally(userId, date, quotas);
+  }
+
+  /**
+   * In-process fallback for one server, with the same all-or-nothing rule
+   */
+  updateCountsLocally(userId, date, quotas) {
+    const prefix = `${userId}:${date}:`;
+    // Only today matters here; forget earlier days
+    this.localCounts.forEach((value, key) => {
+      if (!key.includes(`:${date}:`)) this.localCounts.delete(key);
+    });
+
+    const counts = quotas.map(quota => this.localCounts.get(prefix + quota.name) || 0);
+    const exceededIndex = quotas.findIndex((quota, index) =>
+      quota.limit !== null && quota.amount > 0 && counts[index] + quota.amount > quota.limit);
+
+    if (exceededIndex >= 0) {
+      return this.toResult(quotas, exceededIndex + 1, counts);
+    }
+
+    quotas.forEach((quota, index) => {
+      counts[index] = Math.max(0, counts[index] + quota.amount);
+      this.localCounts.set(prefix + quota.name, counts[index]);
+    });
+    return this.toResult(quotas, 0, counts);
+  }
+
+  toResult(quotas, exceededIndex, counts) {
+    const byName = {};
+    quotas.forEach((quota, index) => {
+      byName[quota.name] = counts[index];
+    });
+    return { exceeded: exceededIndex > 0 ? quotas[exceededIndex - 1].name : null, counts: byName };
+  }
+
+  buildStatus(entitlements, date, counts) {
+    const quotas = {};
+    Object.keys(QUOTAS).forEach(name => {
+      const limit = this.getLimit(entitlements, name);
+      const used = counts[name] || 0;
+      quotas[name] = { used, limit, remaining: limit === null ? null : Math.max(0, limit - used) };
+    });
+
+    return {
+      tier: entitlements.tier,
+      date,
+      quotas,
+      features: {
+        storyLengths: entitlements.storyLengths,
+        voiceTypes: entitlements.voiceTypes,
+        customVoices: entitlements.customVoices,
+        characterVoices: entitlements.characterVoices
+      }
+    };
+  }
+}
+
+module.exports = new EntitlementService();
@@ -0,0 +1,180 @@
+// src/services/moderationService.js
+const aiConfig = require('../config/ai');
+const { MODERATION_CATEGORIES, BLOCKED_TERMS } = require('../config/moderation');
+const { getModerationProvider } = require('../providers/moderation');
+const { findTerms } = require('../utils/textNormalization');
+const { runWithAIUsageContext } = require('../utils/aiUsageContext');
+
+/**
+ * Content moderation for everything that ends up in a story.
+ *
+ * A text is checked in layers: keyword rules on normalized text (blocked terms
+ * always fail), then category classification by the configured provider. The
+ * local rules engine always runs too, since it covers categories other
+ * providers don't (such as personal information), and it takes over if the
+ * provider fails. Words blocked by the child's parent are checked like
+ * blocked terms. Each check returns a verdict with human-readable reasons;
+ * the verdicts of a story are kept on it as `story.moderation`.
+ */
+class ModerationService {
+  constructor() {
+    this.maxRegenerations = aiConfig.moderation.maxRegenerations;
+  }
+
+  /**
+   * Moderate a text. `source` says what it is (userInput, voiceTranscription,
+   * story, title, continuation, ...); `blockedWords` come from parental controls.
+   * `language` is the text's language, for the local engine's word lists.
+   */
+  async moderate(text, { source = 'text', blockedWords = [], language = 'en' } = {}) {
+    const reasons = [];
+    const flagged = new Set();
+
+    const foundBlockedWords = findTerms(text, blockedWords).map(term => term.replace(/\*$/, ''));
+    if (foundBlockedWords.length > 0) {
+      flagged.add('parentalControls');
+      reasons.push(`Words blocked by parental controls: ${foundBlockedWords.join(', ')}`);
+    }
+
+    Object.entries(BLOCKED_TERMS).forEach(([category, terms]) => {
+      findTerms(text, terms).forEach(term => {
+        flagged.add(category);
+        reasons.push(`Blocked term "${term.replace(/\*$/, '')}" (${MODERATION_CATEGORIES[category].description})`);
+      });
+    });
+
+    const classification = await this.classify(text, language);
+
+    Object.entries(classification.categories).forEach(([category, score]) => {
+      const { threshold = 0.5, description = category } = MODERATION_CATEGORIES[category] || {};
+      if (score < threshold) return;
+
+      const terms = classification.matches.filter(match => match.category === category).map(match => match.term);
+      flagged.add(category);
+      reasons.push(`${description}: score ${score.toFixed(2)} (limit ${threshold})${terms.length ? ` - ${terms.join(', ')}` : ''}`);
+    });
+
+    return {
+      source,
+      allowed: flagged.size === 0,
+      severity: this.getSeverity(flagged, classification.categories, reasons),
+      flaggedCategories: [...flagged],
+      categories: classification.categories,
+      reasons,
+      ...(foundBlockedWords.length > 0 && { blockedWords: foundBlockedWords }),
+      provider: classification.provider,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Category scores from the configured provider, merged with the local rules engine
+   */
+  async classify(text, language = 'en') {
+    const local = await getModerationProvider('local').classify(text, { language });
+    const provider = getModerationProvider();
+
+    if (provider.name === local.provider) {
+      return local;
+    }
+
+    try {
+      const result = await provider.classify(text);
+      const categories = { ...local.categories };
+      Object.entries(result.categories).forEach(([category, score]) => {
+        categories[category] = Math.max(categories[category] || 0, score);
+      });
+
+      return { provider: `${result.provider}+local`, categories, matches: local.matches };
+    } catch (error) {
+      console.error('Moderation provider failed, using local rules only:', error.response?.data || error.message);
+      return { ...local, provider: 'local (fallback)' };
+    }
+  }
+
+  getSeverity(flagged, categories, reasons) {
+    if (reasons.some(reason => reason.startsWith('Blocked term')) || Object.values(categories).some(score => score >= 0.8)) {
+      return 'high';
+    }
+    if (flagged.size > 0) return 'medium';
+
+    const borderline = Object.entries(categories).some(([category, score]) =>
+      score >= (MODERATION_CATEGORIES[category]?.threshold || 0.5) / 2
+    );
+    return borderline ? 'low' : 'none';
+  }
+
+  /**
+   * Moderate generated text, asking `regenerate(verdict)` for a new version
+   * while it is flagged, up to the configured number of times.
+   * Returns { text, checks }; throws an Error with `moderationChecks` when
+   * every version was flagged. `options` are passed on to moderate().
+   */
+  async moderateGenerated(source, text, regenerate, options = {}) {
+    const checks = [];
+    let current = text;
+
+    for (let attempt = 0; attempt <= this.maxRegenerations; attempt++) {
+      if (attempt > 0) {
+        console.warn(`🛡️  ${source} flagged (${checks[checks.length - 1].reasons.join('; ')}), regenerating (${attempt}/${this.maxRegenerations})...`);
+        // A regeneration must be a new text, never the flagged one from the AI cache
+        current = await runWithAIUsageContext({ bypassCache: true }, () => regenerate(checks[checks.length - 1]));
+      }
+
+      const verdict = await this.moderate(current, { ...options, source });
+      checks.push({ ...verdict, attempt });
+
+      if (verdict.allowed) {
+        return { text: current, checks };
+      }
+    }
+
+    const last = checks[checks.length - 1];
+    const error = new Error(`The ${source} did not pass moderation after ${this.maxRegenerations} regeneration(s): ${last.reasons.join('; ')}`);
+    error.moderationChecks = checks;
+    throw error;
+  }
+
+  /**
+   * Instruction added to a prompt when regenerating flagged text
+   */
+  getRegenerationGuidance(verdict) {
+    const guidance = [];
+    const concerns = verdict.flaggedCategories
+      .filter(category => MODERATION_CATEGORIES[category])
+      .map(category => MODERATION_CATEGORIES[category].description.toLowerCase())
+      .join(', ');
+
+    if (concerns) {
+      guidance.push(`IMPORTANT: A previous version was rejected as unsuitable for young children (${concerns}). Keep it gentle, kind and completely free of ${concerns}.`);
+    }
+    if (verdict.blockedWords?.length) {
+      guidance.push(`IMPORTANT: Never use these words: ${verdict.blockedWords.join(', ')}.`);
+    }
+
+    return guidance.join('\n');
+  }
+
+  /**
+   * Add checks to a story's moderation record. The story is approved while the
+   * latest check of every source passed.
+   */
+  recordChecks(moderation, checks) {
+    const allChecks = [...(moderation?.checks || []), ...checks];
+
+    const latestBySource = {};
+    allChecks.forEach(check => {
+      latestBySource[check.source] = check;
+    });
+    const rejected = Object.values(latestBySource).filter(check => !check.allowed);
+
+    return {
+      status: rejected.length > 0 ? 'rejected' : 'approved',
+      reasons: rejected.flatMap(check => check.reasons),
+      regenerations: allChecks.filter(check => check.attempt > 0).length,
+      checks: allChecks
+    };
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,254 @@
+// src/services/storyBranchService.js
+const storyRepository = require('../repositories/storyRepository');
+const storyService = require('./storyService');
+const storyVersionService = require('./storyVersionService');
+const moderationService = require('./moderationService');
+const entitlementService = require('./entitlementService');
+const { StoryStatus, StoryJobType, StoryMode, StoryVersionReason } = require('../models/storyModels');
+const { AppError } = require('../utils/AppError');
+const { assignNarrationOffsets } = require('../utils/storyPages');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+const { getParentalControls } = require('../utils/parentalControls');
+
+class StoryBranchService {
+  /**
+   * A branching story, checked for the request
+   */
+  async getBranchingStory(storyId, userId, { ownerOnly = true } = {}) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      throw new AppError('Story not found', 404);
+    }
+
+    if (story.userId !== userId && (ownerOnly || !story.isShared)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    if (story.mode !== StoryMode.BRANCHING || !story.branching) {
+      throw new AppError('This story doesn\'t have choices', 400);
+    }
+
+    return story;
+  }
+
+  /**
+   * The parts of a branching story, the path being read and the choices at its end
+   */
+  async getBranches(storyId, userId) {
+    const story = await this.getBranchingStory(storyId, userId, { ownerOnly: false });
+    const { rootNodeId, currentNodeId, nodes } = story.branching;
+
+    return {
+      storyId,
+      title: story.title,
+      rootNodeId,
+      currentNodeId,
+      currentPath: storyService.getBranchPath(story.branching, currentNodeId).map(node => node.nodeId),
+      choices: nodes[currentNodeId].choices,
+      nodes: Object.values(nodes)
+        .sort((a, b) => a.depth - b.depth || a.nodeId.localeCompare(b.nodeId, undefined, { numeric: true }))
+        .map(({ pages, narration, joinedNarration, ...node }) => ({
+          ...node,
+          pageCount: pages.length,
+          narration: { url: narration.url, duration: narration.duration }
+        }))
+    };
+  }
+
+  /**
+   * Follow one of the choices at the end of the current path. A choice picked
+   * before is read again as it was written; a new one is written, narrated
+   * and illustrated like a continuation, and counts against the same quota.
+   */
+  async chooseBranch(storyId, userId, { choiceId, bypassCache = false }) {
+    const story = await this.getBranchingStory(storyId, userId);
+
+    if (story.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Choices can only be picked in completed stories', 400);
+    }
+
+    const current = story.branching.nodes[story.branching.currentNodeId];
+    const choice = current.choices.find(option => option.choiceId === choiceId);
+
+    if (!choice) {
+      throw new AppError(current.choices.length > 0 ?
+        `Pick one of the choices at this point of the story: ${current.choices.map(option => option.choiceId).join(', ')}` :
+        'This is the end of the story - go back to an earlier part to choose differently', 400);
+    }
+
+    if (choice.nodeId) {
+      return { ...(await this.selectBranchNode(storyId, userId, choice.nodeId)), generated: false };
+    }
+
+    const user = await storyRepository.getUserById(userId);
+    const parentalControls = getParentalControls(user);
+    const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+    if (storyType) {
+      storyService.assertGenreAllowed(parentalControls, storyType);
+    }
+
+    // The choice was checked when it was offered; the parent's rules may have changed since
+    const inputCheck = await storyService.moderateUserInput('storyChoice', [choice.text], parentalControls, {
+      language: story.metadata?.language
+    });
+
+    const { quota, quotaAmounts, illustrate } = await storyService.consumeContinuationQuota(userId, user, story);
+
+    try {
+      await storyRepository.clearGenerationCheckpoints(storyId, 'continuation');
+
+      await storyRepository.updateStory(storyId, {
+        status: StoryStatus.GENERATING,
+        pendingContinuation: {
+          additionalPrompt: choice.text,
+          newCharacters: [],
+          illustrate,
+          branch: { parentNodeId: current.nodeId, choiceId },
+          requestedAt: new Date()
+        },
+        bypassCache: bypassCache === true,
+        moderation: moderationService.recordChecks(story.moderation, [inputCheck]),
+        updatedAt: new Date()
+      });
+
+      await storyService.enqueueStoryJob(StoryJobType.CONTINUE, storyId);
+    } catch (error) {
+      await entitlementService.releaseQuota(userId, quotaAmounts);
+      throw error;
+    }
+
+    return {
+      storyId,
+      status: StoryStatus.GENERATING,
+      message: 'Writing what happens next',
+      estimatedTime: '1-2 minutes',
+      generated: true,
+      choice,
+      chapterNumber: current.depth + 2,
+      illustrate,
+      quota
+    };
+  }
+
+  /**
+   * Read a branching story along the path to one of its parts: back to an
+   * earlier part, or along a branch chosen before. The story's text, pages,
+   * chapters and full recording are put together from the parts on the path;
+   * nothing is generated again.
+   */
+  async selectBranchNode(storyId, userId, nodeId) {
+    const story = await this.getBranchingStory(storyId, userId);
+
+    if (story.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Only completed stories can go back to an earlier part', 400);
+    }
+
+    const node = story.branching.nodes[nodeId];
+    if (!node) {
+      throw new AppError(`Part ${nodeId} of this story not found`, 404);
+    }
+
+    if (nodeId === story.branching.currentNodeId) {
+      throw new AppError('The story is already at this part', 400);
+    }
+
+    const path = storyService.getBranchPath(story.branching, nodeId);
+    const pages = [];
+    const chapters = [];
+    let startTime = 0;
+
+    path.forEach((part, index) => {
+      const partPages = part.pages.map((page, pageIndex) => ({
+        ...page,
+        pageNumber: pages.length + pageIndex + 1,
+        chapterNumber: index + 1
+      }));
+      chapters.push(storyService.buildChapter(index + 1, {
+        content: part.content,
+        pages: partPages,
+        narration: { ...part.narration, narratorVoiceUrl: part.narration.url },
+        startTime,
+        prompt: part.prompt,
+        newCharacters: part.newCharacters,
+        createdAt: part.createdAt
+      }));
+      pages.push(...partPages);
+      startTime += part.narration.duration;
+    });
+
+    // The story's recording: the first part's own, or the parts on the path
+    // joined. A path's joined recording is kept on its last part and used
+    // again for as long as the parts keep their recordings.
+    const nodes = { ...story.branching.nodes };
+    const currentPath = storyService.getBranchPath(story.branching, story.branching.currentNodeId);
+    const currentNode = nodes[story.branching.currentNodeId];
+    if (currentPath.length > 1 && story.media?.narratorVoiceUrl && currentNode.joinedNarration?.url !== story.media.narratorVoiceUrl) {
+      nodes[story.branching.currentNodeId] = {
+        ...currentNode,
+        joinedNarration: { url: story.media.narratorVoiceUrl, joinedFrom: currentPath.map(part => part.narration.url) }
+      };
+    }
+
+    const joinedFrom = path.map(part => part.narration.url);
+    let narration;
+    if (path.length === 1) {
+      narration = { url: node.narration.url, duration: node.narration.duration, timing: node.narration.timing };
+    } else if (node.joinedNarration && node.joinedNarration.joinedFrom.join('\n') === joinedFrom.join('\n')) {
+      narration = { url: node.joinedNarration.url, ...storyService.joinTimings(path.map(part => part.narration)) };
+    } else {
+      try {
+        narration = await storyService.joinNarrations(storyId, path.map(part => part.narration));
+      } catch (error) {
+        throw new AppError(`The parts of this path can't be put together: ${error.message}`, 409);
+      }
+      nodes[nodeId] = { ...node, joinedNarration: { url: narration.url, joinedFrom } };
+    }
+
+    const content = path.map(part => part.content).join('\n\n');
+    const wordCount = storyService.countWords(content);
+    const timedPages = assignNarrationOffsets(pages, narration.duration, narration.timing?.words);
+
+    const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+    const language = story.metadata?.language || DEFAULT_LANGUAGE;
+    const target = await storyService.getReadabilityTarget({ userId: story.userId, storyType });
+
+    await storyRepository.updateStory(storyId, {
+      content,
+      pages: timedPages,
+      chapters,
+      characterNames: [...new Set(path.flatMap(part => part.newCharacters || []))],
+      branching: { ...story.branching, nodes, currentNodeId: nodeId },
+      media: {
+        ...story.media,
+        narratorVoiceUrl: narration.url,
+        illustrationUrls: timedPages.map(page => page.illustrationUrl).filter(Boolean),
+        narrationTiming: narration.timing || null,
+        totalDuration: narration.duration
+      },
+      metadata: {
+        ...story.metadata,
+        wordCount,
+        actualWordCount: wordCount,
+        ...storyService.getReadabilityMetadata({ ...storyService.scoreReadability(content, language, target), rewrites: 0 }),
+        continued: path.length > 1
+      },
+      updatedAt: new Date()
+    });
+
+    const version = await storyVersionService.recordVersion(storyId, StoryVersionReason.BRANCH_SELECTED, userId, {
+      note: node.prompt ? `Went to "${node.prompt}"` : 'Went back to the beginning'
+    });
+
+    return {
+      storyId,
+      nodeId,
+      chapters: path.length,
+      wordCount,
+      choices: node.choices,
+      versionNumber: version?.versionNumber || null
+    };
+  }
+}
+
+module.exports = new StoryBranchService();
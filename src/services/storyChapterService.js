@@ -0,0 +1,239 @@
+// src/services/storyChapterService.js
+const storyRepository = require('../repositories/storyRepository');
+const storyService = require('./storyService');
+const storyVersionService = require('./storyVersionService');
+const moderationService = require('./moderationService');
+const entitlementService = require('./entitlementService');
+const { StoryStatus, StoryJobType, StoryMode, StoryVersionReason } = require('../models/storyModels');
+const { AppError } = require('../utils/AppError');
+const { assignNarrationOffsets } = require('../utils/storyPages');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+const { getParentalControls } = require('../utils/parentalControls');
+const { tokenize, combineTimings } = require('../utils/narrationTiming');
+
+class StoryChapterService {
+  /**
+   * Continue an existing story
+   */
+  async continueStory(storyId, userId, options) {
+    const { additionalPrompt, newCharacters = [], characterDescriptions = {}, bypassCache = false } = options;
+
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      throw new AppError('Story not found', 404);
+    }
+
+    // Check access permissions
+    if (story.userId !== userId) {
+      throw new AppError('Access denied - you can only continue your own stories', 403);
+    }
+
+    // Check if story is completed
+    if (story.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Can only continue completed stories', 400);
+    }
+
+    if (story.mode === StoryMode.BRANCHING) {
+      throw new AppError('Branching stories are continued by picking one of their choices', 400);
+    }
+
+    const lengthPolicy = storyService.getStoryLengthPolicy(story);
+    const remainingWords = storyService.getRemainingContinuationWords(story.content, lengthPolicy);
+    if (remainingWords <= 0) {
+      throw new AppError(`This story has reached its maximum length of ${lengthPolicy.maxTotalWords} words`, 400);
+    }
+
+    const user = await storyRepository.getUserById(userId);
+    const parentalControls = getParentalControls(user);
+    const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+    if (storyType) {
+      storyService.assertGenreAllowed(parentalControls, storyType);
+    }
+
+    const inputCheck = await storyService.moderateUserInput('continuationPrompt', [
+      additionalPrompt,
+      ...newCharacters,
+      ...Object.values(characterDescriptions)
+    ], parentalControls, {
+      language: story.metadata?.language
+    });
+
+    const { quota, quotaAmounts, illustrate } = await storyService.consumeContinuationQuota(userId, user, story);
+
+    try {
+      // A new continuation starts its pipeline from scratch
+      await storyRepository.clearGenerationCheckpoints(storyId, 'continuation');
+
+      // Record the request on the story so it survives restarts, then queue it
+      await storyRepository.updateStory(storyId, {
+        status: StoryStatus.GENERATING,
+        pendingContinuation: {
+          additionalPrompt,
+          newCharacters,
+          characterDescriptions,
+          illustrate,
+          requestedAt: new Date()
+        },
+        bypassCache: bypassCache === true,
+        moderation: moderationService.recordChecks(story.moderation, [inputCheck]),
+        updatedAt: new Date()
+      });
+
+      await storyService.enqueueStoryJob(StoryJobType.CONTINUE, storyId);
+    } catch (error) {
+      await entitlementService.releaseQuota(userId, quotaAmounts);
+      throw error;
+    }
+
+    return {
+      storyId,
+      status: StoryStatus.GENERATING,
+      message: 'Story continuation started',
+      estimatedTime: '1-2 minutes',
+      chapterNumber: storyService.getStoryChapters(story).length + 1,
+      maxWords: remainingWords,
+      maxTotalWords: lengthPolicy.maxTotalWords,
+      illustrate,
+      quota
+    };
+  }
+
+  /**
+   * Chapters of a story with their pages
+   */
+  async getChapters(storyId, userId) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      throw new AppError('Story not found', 404);
+    }
+
+    if (story.userId !== userId && !story.isShared) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const pages = storyService.getStoryPages(story);
+
+    return {
+      storyId,
+      title: story.title,
+      totalDuration: story.media?.totalDuration || 0,
+      chapters: storyService.getStoryChapters(story).map(chapter => ({
+        ...chapter,
+        pages: pages.filter(page => (page.chapterNumber || 1) === chapter.chapterNumber)
+      }))
+    };
+  }
+
+  /**
+   * Delete the last chapter of a story, with the characters it brought in. The
+   * story's text, pages and full recording are put together again from the
+   * chapters that remain; nothing is generated again. The chapter's narration
+   * and pictures stay in storage for its earlier versions until the story is
+   * deleted. The chapter number must be given so a repeated request can't
+   * delete the chapter before it.
+   */
+  async deleteLastChapter(storyId, userId, chapterNumber) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      throw new AppError('Story not found', 404);
+    }
+
+    if (story.userId !== userId) {
+      throw new AppError('Access denied - you can only change your own stories', 403);
+    }
+
+    if (story.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Chapters can only be deleted from completed stories', 400);
+    }
+
+    if (story.mode === StoryMode.BRANCHING) {
+      throw new AppError('Go back to an earlier part of a branching story instead of deleting chapters', 400);
+    }
+
+    const chapters = storyService.getStoryChapters(story);
+    const last = chapters[chapters.length - 1];
+
+    if (chapters.length <= 1) {
+      throw new AppError('The first chapter can\'t be deleted - delete the story instead', 400);
+    }
+
+    if (chapterNumber !== last.chapterNumber) {
+      throw new AppError(`Only the last chapter (${last.chapterNumber}) can be deleted`, 400);
+    }
+
+    const remaining = chapters.slice(0, -1);
+    const content = remaining.map(chapter => chapter.content).join('\n\n');
+    const wordCount = storyService.countWords(content);
+
+    // The story's recording: the first chapter's own, or the remaining chapters joined
+    let narration;
+    if (remaining.length === 1) {
+      narration = { url: remaining[0].narration.url, duration: remaining[0].narration.duration };
+    } else {
+      try {
+        narration = await storyService.joinNarrations(storyId, remaining.map(chapter => chapter.narration));
+      } catch (error) {
+        throw new AppError(`The remaining chapters can't be put back together: ${error.message}`, 409);
+      }
+    }
+
+    // Word timing of the remaining chapters is the start of the story's timing,
+    // counted in the words the timing was made from
+    const timedWords = story.media?.narrationTiming?.words;
+    const timing = timedWords && timedWords.length === tokenize(story.content).length ?
+      combineTimings([{ timing: { ...story.media.narrationTiming, words: timedWords.slice(0, tokenize(content).length) }, offset: 0 }]) :
+      null;
+
+    const pages = assignNarrationOffsets(
+      storyService.getStoryPages(story).filter(page => (page.chapterNumber || 1) !== last.chapterNumber),
+      narration.duration,
+      timing?.words
+    );
+
+    const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+    const language = story.metadata?.language || DEFAULT_LANGUAGE;
+    const target = await storyService.getReadabilityTarget({ userId: story.userId, storyType });
+
+    await storyVersionService.ensureBaselineVersion(story);
+    await storyRepository.updateStory(storyId, {
+      content,
+      pages,
+      chapters: remaining,
+      characterNames: (story.characterNames || []).filter(name => !(last.newCharacters || []).includes(name)),
+      characterSheet: Object.fromEntries(Object.entries(story.characterSheet || {})
+        .filter(([name]) => !(last.newCharacters || []).includes(name))),
+      media: {
+        ...story.media,
+        narratorVoiceUrl: narration.url,
+        illustrationUrls: pages.map(page => page.illustrationUrl).filter(Boolean),
+        narrationTiming: timing,
+        totalDuration: narration.duration
+      },
+      metadata: {
+        ...story.metadata,
+        wordCount,
+        actualWordCount: wordCount,
+        ...storyService.getReadabilityMetadata({ ...storyService.scoreReadability(content, language, target), rewrites: 0 }),
+        continued: remaining.length > 1
+      },
+      updatedAt: new Date()
+    });
+
+    const version = await storyVersionService.recordVersion(storyId, StoryVersionReason.CHAPTER_DELETED, userId, {
+      note: `Chapter ${last.chapterNumber} deleted`
+    });
+
+    return {
+      storyId,
+      deletedChapter: last.chapterNumber,
+      chapters: remaining.length,
+      wordCount,
+      versionNumber: version?.versionNumber || null
+    };
+  }
+}
+
+module.exports = new StoryChapterService();
@@ -0,0 +1,617 @@
+// src/services/storyEditService.js
+const storyRepository = require('../repositories/storyRepository');
+const storyService = require('./storyService');
+const storyVersionService = require('./storyVersionService');
+const aiService = require('./aiService');
+const moderationService = require('./moderationService');
+const entitlementService = require('./entitlementService');
+const { StoryStatus, StoryStyle, StoryVersionReason } = require('../models/storyModels');
+const { AppError } = require('../utils/AppError');
+const { assignNarrationOffsets, replaceWordRange } = require('../utils/storyPages');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+const { concatAudio, sliceAudio, getAudioDuration, AUDIO_FORMATS } = require('../utils/audio');
+const { combineTimings, estimateTiming } = require('../utils/narrationTiming');
+const { runWithAIUsageContext } = require('../utils/aiUsageContext');
+const { BACKGROUND_MUSIC } = require('../config/backgroundMusic');
+
+class StoryEditService {
+  /**
+   * Change the text of some pages of a completed story, e.g. to fix a word.
+   * The new text is checked like the child's own input. Only the edited
+   * pages are narrated again, in the story's voices, and spliced into the
+   * story's recording; the pictures and everything else stay as they are.
+   */
+  async editStoryContent(storyId, userId, edits) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      throw new AppError('Story not found', 404);
+    }
+
+    if (story.userId !== userId) {
+      throw new AppError('Access denied - you can only edit your own stories', 403);
+    }
+
+    if (story.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Only completed stories can be edited', 400);
+    }
+
+    const pages = storyService.getStoryPages(story);
+    const changes = new Map();
+    for (const edit of edits) {
+      const page = pages.find(candidate => candidate.pageNumber === edit.pageNumber);
+      if (!page) {
+        throw new AppError(`Page ${edit.pageNumber} not found`, 404);
+      }
+
+      const text = edit.text.replace(/\s+/g, ' ').trim();
+      if (!text) {
+        throw new AppError(`Page ${edit.pageNumber} can't be empty`, 400);
+      }
+      // Only a change of words counts, not how the page's lines were broken
+      if (text !== page.text.replace(/\s+/g, ' ').trim()) {
+        changes.set(page.pageNumber, text);
+      }
+    }
+
+    if (changes.size === 0) {
+      throw new AppError('The pages already have this text', 400);
+    }
+
+    const parentalControls = await storyService.getUserParentalControls(userId);
+    const inputCheck = await storyService.moderateUserInput('storyEdit', [...changes.values()], parentalControls, {
+      language: story.metadata?.language
+    });
+
+    // Each chapter's text with the new words of its pages in place of the old
+    const chapters = storyService.getStoryChapters(story);
+    const chapterContents = chapters.map(chapter => {
+      const replacements = [];
+      let wordsBefore = 0;
+      pages.filter(page => (page.chapterNumber || 1) === chapter.chapterNumber).forEach(page => {
+        const words = storyService.countWords(page.text);
+        if (changes.has(page.pageNumber)) {
+          replacements.push({ firstWord: wordsBefore, words, text: changes.get(page.pageNumber) });
+        }
+        wordsBefore += words;
+      });
+
+      if (wordsBefore !== storyService.countWords(chapter.content)) {
+        throw new AppError('The pages of this story don\'t match its text, so it can\'t be edited', 409);
+      }
+
+      // From the end, so the positions of earlier words stay the same
+      return replacements.reverse().reduce(
+        (content, { firstWord, words, text }) => replaceWordRange(content, firstWord, words, text),
+        chapter.content
+      );
+    });
+
+    const content = chapterContents.join('\n\n');
+    const wordCount = storyService.countWords(content);
+    const lengthPolicy = storyService.getStoryLengthPolicy(story);
+    if (wordCount > lengthPolicy.maxTotalWords) {
+      throw new AppError(`This story can have at most ${lengthPolicy.maxTotalWords} words`, 400);
+    }
+
+    const editedPages = pages.map(page => changes.has(page.pageNumber) ? { ...page, text: changes.get(page.pageNumber) } : page);
+    const editedChapters = chapters.map(chapter => editedPages.some(page =>
+      (page.chapterNumber || 1) === chapter.chapterNumber && changes.has(page.pageNumber)
+    ));
+
+    const narration = await runWithAIUsageContext({ storyId, userId, pipeline: 'edit', step: 'narration' }, async () => {
+      try {
+        return await this.narrateEditedPages(story, { pages, editedPages, changes, chapters });
+      } catch (error) {
+        console.warn('Could not splice the edited pages into the story\'s recording, narrating the edited chapters:', error.message);
+        return this.narrateEditedChapters(story, { chapters, chapterContents, editedChapters, content });
+      }
+    });
+
+    const timedPages = assignNarrationOffsets(editedPages, narration.duration, narration.timing?.words);
+    const newChapters = chapters.map((chapter, index) => storyService.buildChapter(chapter.chapterNumber, {
+      content: chapterContents[index],
+      pages: timedPages.filter(page => (page.chapterNumber || 1) === chapter.chapterNumber),
+      narration: narration.chapters[index].narration,
+      startTime: narration.chapters[index].startTime,
+      prompt: chapter.prompt,
+      newCharacters: chapter.newCharacters,
+      characterDescriptions: chapter.characterDescriptions,
+      createdAt: chapter.createdAt
+    }));
+
+    const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+    const language = story.metadata?.language || DEFAULT_LANGUAGE;
+    const target = await storyService.getReadabilityTarget({ userId: story.userId, storyType });
+
+    const updateData = {
+      content,
+      pages: timedPages,
+      chapters: newChapters,
+      moderation: moderationService.recordChecks(story.moderation, [inputCheck]),
+      media: {
+        ...story.media,
+        narratorVoiceUrl: narration.url,
+        narrationTiming: narration.timing || null,
+        totalDuration: narration.duration
+      },
+      metadata: {
+        ...story.metadata,
+        wordCount,
+        actualWordCount: wordCount,
+        ...storyService.getReadabilityMetadata({ ...storyService.scoreReadability(content, language, target), rewrites: 0 }),
+        editedAt: new Date()
+      },
+      updatedAt: new Date()
+    };
+
+    if (story.branching) {
+      updateData.branching = storyService.updateBranchPath(story.branching, (node, index) => !editedChapters[index] ? node : {
+        ...node,
+        content: newChapters[index].content,
+        wordCount: newChapters[index].wordCount,
+        pages: timedPages.filter(page => (page.chapterNumber || 1) === newChapters[index].chapterNumber),
+        narration: {
+          ...node.narration,
+          url: newChapters[index].narration.url,
+          duration: newChapters[index].narration.duration,
+          timing: narration.chapters[index].timing
+        }
+      });
+    }
+
+    await storyVersionService.ensureBaselineVersion(story);
+    await storyRepository.updateStory(storyId, updateData);
+    const version = await storyVersionService.recordVersion(storyId, StoryVersionReason.EDITED, userId, {
+      note: `Edited page${changes.size > 1 ? 's' : ''} ${[...changes.keys()].join(', ')}`
+    });
+
+    return {
+      storyId,
+      editedPages: [...changes.keys()],
+      wordCount,
+      renarrated: narration.renarrated,
+      totalDuration: narration.duration,
+      versionNumber: version?.versionNumber || null
+    };
+  }
+
+  /**
+   * Narration options of an existing story: its narrator, character voices
+   * and audio format, so new clips can be joined to its recordings
+   */
+  async getStoryNarrationOptions(story) {
+    const narrationOptions = await storyService.getNarrationOptions(
+      story.userId,
+      story.userInput?.preferences || {},
+      story.metadata?.language || DEFAULT_LANGUAGE,
+      story.characterNames || []
+    );
+
+    return {
+      ...narrationOptions,
+      voiceId: story.media?.narratorVoiceId || narrationOptions.voiceId,
+      characterVoices: story.media?.characterVoices || {},
+      format: story.media?.narrationFormat || narrationOptions.format
+    };
+  }
+
+  /**
+   * Narrate the edited pages and splice them into the story's recording in
+   * place of the old ones. Unchanged pages are cut out of the recording
+   * halfway through the pause before and after them.
+   */
+  async narrateEditedPages(story, { pages, editedPages, changes, chapters }) {
+    const format = story.media?.narrationFormat;
+    if (!story.media?.narratorVoiceUrl || !AUDIO_FORMATS[format]) {
+      throw new Error('The story has no recording to splice into');
+    }
+
+    const recording = await storyRepository.downloadFile(story.media.narratorVoiceUrl);
+    const cuts = pages.map((page, index) => index === 0 ? 0 : (pages[index - 1].narrationEndTime + page.narrationStartTime) / 2);
+    cuts.push(getAudioDuration(recording, format));
+    if (cuts.some(cut => !Number.isFinite(cut))) {
+      throw new Error('The pages have no narration times');
+    }
+
+    // Word timing of unchanged pages is kept when the story's timing covers every word
+    const storyTiming = story.media.narrationTiming;
+    const timedWords = storyTiming?.words?.length === pages.reduce((total, page) => total + storyService.countWords(page.text), 0) ?
+      storyTiming.words :
+      null;
+
+    const options = await this.getStoryNarrationOptions(story);
+    const parts = [];
+    for (const [index, page] of editedPages.entries()) {
+      if (changes.has(page.pageNumber)) {
+        const clip = await aiService.generateNarration(page.text, options);
+        if (clip.format !== format) {
+          throw new Error('The edited pages were narrated in a different audio format');
+        }
+        parts.push({ page, audioBuffer: clip.audioBuffer, duration: clip.duration, timing: clip.timing });
+      } else {
+        const audioBuffer = sliceAudio(recording, format, cuts[index], cuts[index + 1]);
+        const words = timedWords && timedWords.slice(pages[index].wordStartIndex, pages[index].wordEndIndex + 1);
+        parts.push({
+          page,
+          audioBuffer,
+          duration: getAudioDuration(audioBuffer, format),
+          timing: words && {
+            source: storyTiming.source,
+            words: words.map(word => ({
+              text: word.text,
+              start: Math.max(0, word.start - cuts[index]),
+              end: Math.max(0, word.end - cuts[index])
+            }))
+          }
+        });
+      }
+    }
+
+    const save = async (clips) => {
+      const audioBuffer = concatAudio(clips.map(clip => clip.audioBuffer), format);
+      const duration = clips.reduce((total, clip) => total + clip.duration, 0);
+      const url = await storyRepository.saveGeneratedAudio(story.id, audioBuffer, {
+        contentType: AUDIO_FORMATS[format].contentType,
+        extension: AUDIO_FORMATS[format].extension
+      });
+
+      let offset = 0;
+      const timing = clips.every(clip => clip.timing?.words) ?
+        combineTimings(clips.map(clip => {
+          const part = { timing: clip.timing, offset };
+          offset += clip.duration;
+          return part;
+        })) :
+        estimateTiming(clips.map(clip => clip.page.text).join(' '), duration, { audioBuffer, format });
+
+      return { url, duration, timing };
+    };
+
+    const full = await save(parts);
+
+    // Chapters with an edited page get a recording of their own spliced the same way
+    let startTime = 0;
+    const chapterNarrations = [];
+    for (const chapter of chapters) {
+      const chapterParts = parts.filter(part => (part.page.chapterNumber || 1) === chapter.chapterNumber);
+      const changed = chapterParts.some(part => changes.has(part.page.pageNumber));
+      const own = changed ? await save(chapterParts) : null;
+
+      chapterNarrations.push({
+        narration: own ?
+          { narratorVoiceUrl: own.url, voiceId: chapter.narration.voiceId, format, duration: own.duration } :
+          { ...chapter.narration, narratorVoiceUrl: chapter.narration.url },
+        startTime,
+        timing: own ? own.timing : null
+      });
+      startTime += chapterParts.reduce((total, part) => total + part.duration, 0);
+    }
+
+    return {
+      ...full,
+      format,
+      chapters: chapterNarrations,
+      renarrated: { pages: [...changes.keys()] }
+    };
+  }
+
+  /**
+   * Narrate the edited chapters in full and join them with the others, for
+   * recordings that can't be spliced page by page
+   */
+  async narrateEditedChapters(story, { chapters, chapterContents, editedChapters, content }) {
+    const options = await this.getStoryNarrationOptions(story);
+    const parts = [];
+
+    for (const [index, chapter] of chapters.entries()) {
+      if (!editedChapters[index]) {
+        parts.push({ ...chapter.narration, timing: null, edited: false });
+        continue;
+      }
+
+      const clip = await aiService.generateNarration(chapterContents[index], options);
+      const url = await storyRepository.saveGeneratedAudio(story.id, clip.audioBuffer, {
+        contentType: clip.contentType,
+        extension: clip.format
+      });
+      parts.push({ url, audioBuffer: clip.audioBuffer, voiceId: clip.voiceId, format: clip.format, duration: clip.duration, timing: clip.timing, edited: true });
+    }
+
+    let full;
+    if (parts.length === 1) {
+      full = { url: parts[0].url, format: parts[0].format, duration: parts[0].duration, timing: parts[0].timing };
+    } else {
+      try {
+        full = await storyService.joinNarrations(story.id, parts);
+      } catch (error) {
+        throw new AppError(`The story's recording can't be updated: ${error.message}`, 409);
+      }
+    }
+
+    let startTime = 0;
+    return {
+      ...full,
+      timing: full.timing || estimateTiming(content, full.duration),
+      chapters: parts.map(part => {
+        const chapter = {
+          narration: { narratorVoiceUrl: part.url, voiceId: part.voiceId || null, format: part.format, duration: part.duration },
+          startTime,
+          timing: part.edited ? part.timing : null
+        };
+        startTime += part.duration;
+        return chapter;
+      }),
+      renarrated: { chapters: chapters.filter((chapter, index) => editedChapters[index]).map(chapter => chapter.chapterNumber) }
+    };
+  }
+
+  /**
+   * Make one asset of a completed story again with `regenerate(story)`,
+   * which returns { updateData, note, data }. Counts against the daily
+   * `regenerations` quota, given back when it fails, and its AI calls are
+   * charged to the story. The AI cache is skipped so the asset really
+   * changes. The change is saved as a new version.
+   */
+  async regenerateAsset(storyId, userId, asset, regenerate, features = {}) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      throw new AppError('Story not found', 404);
+    }
+
+    if (story.userId !== userId) {
+      throw new AppError('Access denied - you can only change your own stories', 403);
+    }
+
+    if (story.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Only completed stories can be changed', 400);
+    }
+
+    const user = await storyRepository.getUserById(userId);
+    entitlementService.assertFeatures(user, features);
+    const quotaAmounts = { regenerations: 1 };
+    const quota = await entitlementService.consumeQuota(userId, user, quotaAmounts);
+
+    try {
+      const { updateData, note, data } = await runWithAIUsageContext(
+        { storyId, userId, pipeline: 'regenerate', step: asset, bypassCache: true },
+        () => regenerate(story)
+      );
+
+      await storyVersionService.ensureBaselineVersion(story);
+      await storyRepository.updateStory(storyId, { ...updateData, updatedAt: new Date() });
+      const version = await storyVersionService.recordVersion(storyId, StoryVersionReason.REGENERATED, userId, { note });
+
+      return { storyId, asset, ...data, versionNumber: version?.versionNumber || null, quota };
+    } catch (error) {
+      await entitlementService.releaseQuota(userId, quotaAmounts);
+      throw error;
+    }
+  }
+
+  /**
+   * Give a story a new title, different from the one it has
+   */
+  async regenerateTitle(storyId, userId) {
+    return this.regenerateAsset(storyId, userId, 'title', async (story) => {
+      const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+      const language = story.metadata?.language || DEFAULT_LANGUAGE;
+      const guidance = `Don't use the current title, "${story.title}".`;
+      const ctx = { parentalControls: await storyService.getUserParentalControls(userId), moderation: story.moderation, language };
+
+      const storyTitle = await aiService.generateTitle(story.content, storyType, language, guidance);
+      const { text, moderation } = await storyService.moderateGeneratedText(ctx, 'title', storyTitle, (verdict) =>
+        aiService.generateTitle(story.content, storyType, language, `${guidance} ${moderationService.getRegenerationGuidance(verdict)}`)
+      );
+
+      return {
+        updateData: { title: text, moderation },
+        note: 'New title',
+        data: { title: text }
+      };
+    });
+  }
+
+  /**
+   * Draw the picture of one page again, optionally from a new description
+   * of what it should show (checked like the child's own input)
+   */
+  async regenerateIllustration(storyId, userId, pageNumber, { sceneDescription } = {}) {
+    return this.regenerateAsset(storyId, userId, 'illustration', async (story) => {
+      const pages = storyService.getStoryPages(story);
+      const page = pages.find(candidate => candidate.pageNumber === pageNumber);
+      if (!page) {
+        throw new AppError(`Page ${pageNumber} not found`, 404);
+      }
+
+      const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+      let moderation = story.moderation;
+      let scene = page.sceneDescription;
+      if (sceneDescription) {
+        const inputCheck = await storyService.moderateUserInput('sceneDescription', [sceneDescription], await storyService.getUserParentalControls(userId), {
+          language: story.metadata?.language
+        });
+        moderation = moderationService.recordChecks(moderation, [inputCheck]);
+        scene = sceneDescription;
+      } else if (!scene) {
+        [scene] = await aiService.describeScenes([page], storyType);
+      }
+
+      // Stories illustrated before character sheets existed get one now, from
+      // the descriptions given when the story was created and continued
+      let characterSheet = story.characterSheet;
+      if (!characterSheet || Object.keys(characterSheet).length === 0) {
+        characterSheet = await aiService.describeCharacters(story.content, {
+          storyType,
+          drawingAnalysis: story.metadata?.aiGenerationData?.drawingAnalysis,
+          characterDescriptions: storyService.getStoryChapters(story).reduce(
+            (descriptions, chapter) => ({ ...descriptions, ...(chapter.characterDescriptions || {}) }),
+            story.userInput?.characterDescriptions || {}
+          )
+        });
+      }
+
+      const [illustration] = await aiService.generateIllustrations([scene], storyType, {
+        style: story.style || StoryStyle.ILLUSTRATED,
+        characterSheet
+      });
+      if (illustration.failed) {
+        throw new AppError('The picture couldn\'t be drawn. Please try again.', 502);
+      }
+      const illustrationUrl = await storyRepository.saveIllustration(storyId, illustration.imageBuffer, pageNumber - 1);
+
+      const newPages = pages.map(candidate => candidate.pageNumber === pageNumber ?
+        { ...candidate, sceneDescription: scene, illustrationUrl } :
+        candidate);
+      const illustrationUrlOf = (number) => newPages.find(candidate => candidate.pageNumber === number)?.illustrationUrl;
+      const chapterNumber = page.chapterNumber || 1;
+
+      const updateData = {
+        pages: newPages,
+        chapters: storyService.getStoryChapters(story).map(chapter => ({
+          ...chapter,
+          illustrationUrls: chapter.pageNumbers.map(illustrationUrlOf).filter(Boolean)
+        })),
+        media: {
+          ...story.media,
+          illustrationUrls: newPages.map(candidate => candidate.illustrationUrl).filter(Boolean)
+        },
+        characterSheet,
+        moderation
+      };
+
+      if (story.branching) {
+        updateData.branching = storyService.updateBranchPath(story.branching, (node, index) => index + 1 !== chapterNumber ? node : {
+          ...node,
+          pages: newPages.filter(candidate => (candidate.chapterNumber || 1) === chapterNumber)
+        });
+      }
+
+      return {
+        updateData,
+        note: `New picture for page ${pageNumber}`,
+        data: { pageNumber, illustrationUrl, sceneDescription: scene }
+      };
+    }, { generateIllustrations: true });
+  }
+
+  /**
+   * Narrate the whole story again in another voice. Each chapter gets a new
+   * recording, and later chapters are narrated in the new voice too.
+   */
+  async regenerateNarration(storyId, userId, { voiceId, voiceType } = {}) {
+    return this.regenerateAsset(storyId, userId, 'narration', async (story) => {
+      const narrationOptions = await storyService.getNarrationOptions(
+        userId,
+        { ...(story.userInput?.preferences || {}), voiceId, voiceType },
+        story.metadata?.language || DEFAULT_LANGUAGE,
+        story.characterNames || []
+      );
+      const options = {
+        ...narrationOptions,
+        characterVoices: story.media?.characterVoices || {},
+        format: story.media?.narrationFormat || narrationOptions.format
+      };
+
+      const chapters = storyService.getStoryChapters(story);
+      const parts = [];
+      for (const chapter of chapters) {
+        const audioData = await aiService.generateNarration(chapter.content, options);
+        const url = await storyRepository.saveGeneratedAudio(storyId, audioData.audioBuffer, {
+          contentType: audioData.contentType,
+          extension: audioData.format
+        });
+        parts.push({ ...audioData, url });
+      }
+
+      const narration = parts.length === 1 ? parts[0] : await storyService.joinNarrations(storyId, parts);
+      const pages = assignNarrationOffsets(storyService.getStoryPages(story), narration.duration, narration.timing?.words);
+
+      let startTime = 0;
+      const newChapters = chapters.map((chapter, index) => {
+        const newChapter = storyService.buildChapter(chapter.chapterNumber, {
+          content: chapter.content,
+          pages: pages.filter(page => (page.chapterNumber || 1) === chapter.chapterNumber),
+          narration: {
+            narratorVoiceUrl: parts[index].url,
+            voiceId: parts[index].voiceId,
+            format: parts[index].format,
+            duration: parts[index].duration
+          },
+          startTime,
+          prompt: chapter.prompt,
+          newCharacters: chapter.newCharacters,
+          characterDescriptions: chapter.characterDescriptions,
+          createdAt: chapter.createdAt
+        });
+        startTime += parts[index].duration;
+        return newChapter;
+      });
+
+      const updateData = {
+        pages,
+        chapters: newChapters,
+        media: {
+          ...story.media,
+          narratorVoiceUrl: narration.url,
+          narratorVoiceId: parts[0].voiceId,
+          narrationProvider: parts[0].provider,
+          narrationFormat: narration.format,
+          characterVoices: parts[parts.length - 1].characterVoices || {},
+          voiceSettings: parts[0].settings || {},
+          narrationTiming: narration.timing || null,
+          totalDuration: narration.duration
+        }
+      };
+
+      // Parts of a branching story off the current path keep their old recordings
+      if (story.branching) {
+        updateData.branching = storyService.updateBranchPath(story.branching, (node, index) => ({
+          ...node,
+          pages: pages.filter(page => (page.chapterNumber || 1) === newChapters[index].chapterNumber),
+          narration: {
+            ...node.narration,
+            url: parts[index].url,
+            voiceId: parts[index].voiceId,
+            format: parts[index].format,
+            duration: parts[index].duration,
+            timing: parts[index].timing || null
+          }
+        }));
+      }
+
+      return {
+        updateData,
+        note: 'New narration voice',
+        data: { voiceId: parts[0].voiceId, totalDuration: narration.duration }
+      };
+    }, { voiceId, voiceType });
+  }
+
+  /**
+   * Pick other background music for a story: the given theme, or any theme
+   * other than the current one
+   */
+  async regenerateBackgroundMusic(storyId, userId, { theme } = {}) {
+    if (theme && !BACKGROUND_MUSIC[theme]) {
+      throw new AppError(`Unknown music theme. Use one of: ${Object.keys(BACKGROUND_MUSIC).join(', ')}`, 400);
+    }
+
+    return this.regenerateAsset(storyId, userId, 'backgroundMusic', async (story) => {
+      const themes = Object.keys(BACKGROUND_MUSIC).filter(candidate =>
+        storyService.getBackgroundMusicUrl(candidate) !== story.media?.backgroundMusicUrl
+      );
+      const newTheme = theme || themes[Math.floor(Math.random() * themes.length)];
+      const backgroundMusicUrl = storyService.getBackgroundMusicUrl(newTheme);
+
+      return {
+        updateData: { media: { ...story.media, backgroundMusicUrl } },
+        note: 'New background music',
+        data: { theme: newTheme, backgroundMusicUrl }
+      };
+    });
+  }
+}
+
+module.exports = new StoryEditService();
@@ -0,0 +1,155 @@
+// src/services/storyEvents.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+
+const CHANNEL_PREFIX = 'story-events:';
+const HISTORY_LENGTH = 50;
+const HISTORY_TTL_SECONDS = 60 * 60;
+
+/**
+ * Story generation progress events.
+ *
+ * Events are published on a Redis channel per story so that every server
+ * instance can forward them to its own SSE clients. Each instance holds a single
+ * pattern subscription and fans messages out to local listeners. A short event
+ * history is kept per story so a client that connects (or reconnects) late can
+ * catch up. Without Redis, events are delivered within this process only.
+ */
+class StoryEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.subscriber = null;
+    this.subscriberReady = null;
+  }
+
+  historyKey(storyId) {
+    return `${CHANNEL_PREFIX}${storyId}:history`;
+  }
+
+  /**
+   * Publish an event for a story. Never throws: progress events are best-effort.
+   */
+  async publish(storyId, type, data = {}) {
+    const event = {
+      id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      storyId,
+      type,
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+
+    const client = redis.getClient();
+    if (!client || !redis.isConnected()) {
+      this.emitter.emit(storyId, event);
+      return event;
+    }
+
+    try {
+      const payload = JSON.stringify(event);
+      const historyKey = this.historyKey(storyId);
+
+      await client.rPush(historyKey, payload);
+      await client.lTrim(historyKey, -HISTORY_LENGTH, -1);
+      await client.expire(historyKey, HISTORY_TTL_SECONDS);
+      await client.publish(`${CHANNEL_PREFIX}${storyId}`, payload);
+
+      // Without a working subscription this instance would never see its own events
+      if (!this.subscriber) {
+        this.emitter.emit(storyId, event);
+      }
+    } catch (error) {
+      logger.error(`Failed to publish story event ${type} for ${storyId}:`, error);
+      this.emitter.emit(storyId, event);
+    }
+
+    return event;
+  }
+
+  /**
+   * Listen for a story's events. Returns a function that removes the listener.
+   */
+  async subscribe(storyId, listener) {
+    await this.ensureSubscriber();
+
+    this.emitter.on(storyId, listener);
+    return () => this.emitter.off(storyId, listener);
+  }
+
+  /**
+   * Recent events for a story, optionally only those after a given event ID
+   */
+  async getHistory(storyId, afterEventId = null) {
+    const client = redis.getClient();
+    if (!client || !redis.isConnected()) return [];
+
+    try {
+      const entries = await client.lRange(this.historyKey(storyId), 0, -1);
+      const events = entries.map(entry => JSON.parse(entry));
+
+      if (!afterEventId) return events;
+
+      const index = events.findIndex(event => event.id === afterEventId);
+      return index === -1 ? events : events.slice(index + 1);
+    } catch (error) {
+      logger.error(`Failed to read story event history for ${storyId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Forget a story's events, so a new run doesn't replay the last one's end
+   */
+  async clearHistory(storyId) {
+    const client = redis.getClient();
+    if (!client || !redis.isConnected()) return;
+
+    try {
+      await client.del(this.historyKey(storyId));
+    } catch (error) {
+      logger.error(`Failed to clear story event history for ${storyId}:`, error);
+    }
+  }
+
+  /**
+   * Open the shared pattern subscription for this instance (once)
+   */
+  async ensureSubscriber() {
+    const client = redis.getClient();
+    if (this.subscriber || !client || !redis.isConnected()) return;
+
+    if (!this.subscriberReady) {
+      this.subscriberReady = (async () => {
+        try {
+          const subscriber = client.duplicate();
+          subscriber.on('error', (error) => {
+            logger.error('Story events subscriber error:', error);
+          });
+
+          await subscriber.connect();
+          await subscriber.pSubscribe(`${CHANNEL_PREFIX}*`, (message, channel) => {
+            const storyId = channel.slice(CHANNEL_PREFIX.length);
+            try {
+              this.emitter.emit(storyId, JSON.parse(message));
+            } catch (error) {
+              logger.error('Invalid story event message:', error);
+            }
+          });
+
+          this.subscriber = subscriber;
+          logger.info('Story events subscriber ready');
+        } catch (error) {
+          logger.error('Failed to start story events subscriber:', error);
+        } finally {
+          this.subscriberReady = null;
+        }
+      })();
+    }
+
+    await this.subscriberReady;
+  }
+}
+
+module.exports = new StoryEvents();
@@ -0,0 +1,9 @@
+// src/services/storyQueue.js
+const { JobQueue } = require('../utils/jobQueue');
+
+// Shared queue for story generation jobs; workers register handlers in storyService
+module.exports = new JobQueue('story-generation', {
+  visibilityTimeoutMs: parseInt(process.env.STORY_QUEUE_VISIBILITY_TIMEOUT_MS || '300000'),
+  maxAttempts: parseInt(process.env.STORY_QUEUE_MAX_ATTEMPTS || '3'),
+  pollIntervalMs: parseInt(process.env.STORY_QUEUE_POLL_INTERVAL_MS || '1000')
+});
@@ -0,0 +1,75 @@
+// src/services/storyRemixService.js
+const storyRepository = require('../repositories/storyRepository');
+const storyService = require('./storyService');
+const { StoryStatus, StoryLength } = require('../models/storyModels');
+const { AppError } = require('../utils/AppError');
+const { getAllowedLengths } = require('../utils/storyLengthPolicy');
+
+// Words of a shared story's opening given to the story prompt of a remix
+const REMIX_PREMISE_WORDS = 80;
+
+class StoryRemixService {
+  /**
+   * A new story of the caller's, based on a shared story: the same type,
+   * characters and illustration style, the title and opening of the original as its premise, and
+   * the caller's own twist as the request. Nothing else of the original is
+   * copied - not the author's drawing, recording, prompts, character
+   * descriptions, voices or preferences. It counts as a new story against
+   * the caller's quota.
+   */
+  async remixStory(storyId, userId, { twist, length, language, mode, style, preferences = {}, bypassCache = false }) {
+    const original = await storyRepository.getStoryById(storyId);
+
+    if (!original) {
+      throw new AppError('Story not found', 404);
+    }
+
+    if (original.userId !== userId && !original.isShared) {
+      throw new AppError('Only shared stories can be remixed', 403);
+    }
+
+    if (original.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Only completed stories can be remixed', 400);
+    }
+
+    const opening = storyService.getStoryChapters(original)[0]?.content || original.content;
+    const words = opening.split(/\s+/).filter(Boolean);
+    const premise = words.length > REMIX_PREMISE_WORDS ?
+      `${words.slice(0, REMIX_PREMISE_WORDS).join(' ')}...` :
+      words.join(' ');
+
+    // The original's length only when the caller's plan has it, else the usual default
+    const user = await storyRepository.getUserById(userId);
+    const originalLength = original.metadata?.lengthPolicy?.length;
+    const defaultLength = getAllowedLengths(user).includes(originalLength) ? originalLength : StoryLength.SHORT;
+
+    const result = await storyService.createStory(userId, {
+      storyTypeId: original.storyTypeId,
+      userPrompt: twist,
+      characterNames: original.characterNames || [],
+      length: length || defaultLength,
+      language: language || original.metadata?.language,
+      mode,
+      style: style || original.style,
+      preferences,
+      bypassCache
+    }, {
+      remixOf: {
+        storyId,
+        title: original.title,
+        premise,
+        lineage: [...(original.lineage || []), { storyId, title: original.title }]
+      }
+    });
+
+    try {
+      await storyRepository.incrementRemixCount(storyId);
+    } catch (error) {
+      console.warn(`Failed to count the remix of story ${storyId}:`, error.message);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new StoryRemixService();
@@ -2,14 +2,55 @@
 
 const storyRepository = require('../repositories/storyRepository');
 const aiService = require('./aiService');
-const { StoryStatus, StoryLength } = require('../models/storyModels');
+const moderationService = require('./moderationService');
+const aiCostService = require('./aiCostService');
+const entitlementService = require('./entitlementService');
+const aiConfig = require('../config/ai');
+const storyQueue = require('./storyQueue');
+const storyEvents = require('./storyEvents');
+const storyVersionService = require('./storyVersionService');
+const {
+  StoryType,
+  StoryStatus,
+  StoryJobType,
+  StoryLength,
+  StoryMode,
+  StoryStyle,
+  StoryVersionReason
+} = require('../models/storyModels');
 const { AppError } = require('../utils/AppError');
+const { paginateText, wordsPerPageForAge, assignNarrationOffsets } = require('../utils/storyPages');
+const {
+  LENGTH_POLICIES,
+  getAllowedLengths,
+  getSubscriptionTier,
+  resolveLengthPolicy
+} = require('../utils/storyLengthPolicy');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage, getLanguageName } = require('../config/languages');
+const {
+  getStoryTypeGenre,
+  getParentalControls,
+  isGenreAllowed,
+  findBlockedWords,
+  getPromptBlockedWords
+} = require('../utils/parentalControls');
+const { analyzeReadability, getReadabilityTarget, assessReadability } = require('../utils/readability');
+const { concatAudio, AUDIO_FORMATS } = require('../utils/audio');
+const { combineTimings } = require('../utils/narrationTiming');
+const { runWithAIUsageContext } = require('../utils/aiUsageContext');
+const { BRANCHING_GUIDANCE } = require('../config/storyPrompts');
+const { BACKGROUND_MUSIC } = require('../config/backgroundMusic');
+
+// Words a branching story needs left for another part; with less, the part
+// just written is an ending and offers no choices
+const MIN_BRANCH_WORDS = 20;
 
 class StoryService {
   /**
-   * Get story types with optional filtering
+   * Get story types with optional filtering. With a userId, only genres allowed
+   * by the user's parental controls are returned.
    */
-  async getStoryTypes(filters = {}) {
+  async getStoryTypes(filters = {}, userId = null) {
     let storyTypes = await storyRepository.getStoryTypes(filters);
     
     // Sort by sortOrder
@@ -22,10 +63,101 @@ class StoryService {
         userAge >= type.recommendedAgeMin && userAge <= type.recommendedAgeMax
       );
     }
+
+    if (userId) {
+      const controls = await this.getUserParentalControls(userId);
+      storyTypes = storyTypes.filter(type => isGenreAllowed(controls, type));
+    }
     
     return storyTypes;
   }
 
+  /**
+   * Create a story type (admin)
+   */
+  async createStoryType(storyTypeData) {
+    this.assertValidPromptTemplate(storyTypeData.aiPromptTemplate);
+
+    const storyType = new StoryType(storyTypeData).toFirestore();
+
+    // Firestore rejects undefined values
+    Object.keys(storyType).forEach(key => storyType[key] === undefined && delete storyType[key]);
+
+    return storyRepository.createStoryType(storyType);
+  }
+
+  /**
+   * Update a story type (admin)
+   */
+  async updateStoryType(storyTypeId, updateData) {
+    const existing = await storyRepository.getStoryTypeById(storyTypeId);
+    if (!existing) {
+      throw new AppError('Story type not found', 404);
+    }
+
+    const allowedFields = [
+      'name',
+      'description',
+      'iconUrl',
+      'coverImageUrl',
+      'characteristics',
+      'colorScheme',
+      'recommendedAgeMin',
+      'recommendedAgeMax',
+      'isActive',
+      'sortOrder',
+      'aiPromptTemplate',
+      'sampleStoryTitles'
+    ];
+
+    const updates = {};
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updates[key] = updateData[key];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      throw new AppError('No valid fields to update', 400);
+    }
+
+    const ageMin = updates.recommendedAgeMin ?? existing.recommendedAgeMin;
+    const ageMax = updates.recommendedAgeMax ?? existing.recommendedAgeMax;
+    if (ageMin < 3 || ageMax > 17 || ageMin >= ageMax) {
+      throw new AppError('Invalid age range. Must be between 3-17 and min < max', 400);
+    }
+
+    this.assertValidPromptTemplate(updates.aiPromptTemplate);
+
+    return storyRepository.updateStoryType(storyTypeId, updates);
+  }
+
+  /**
+   * Reject an aiPromptTemplate that would fail when stories are generated
+   */
+  assertValidPromptTemplate(aiPromptTemplate) {
+    const errors = aiService.validatePromptTemplate(aiPromptTemplate);
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid aiPromptTemplate: ${errors.join('; ')}`, 400);
+    }
+  }
+
+  /**
+   * Get narration voices, optionally only those that speak a language
+   */
+  async getNarrationVoices({ language } = {}) {
+    const narration = await aiService.listVoices();
+
+    if (language) {
+      narration.voices = narration.voices.filter(voice =>
+        voice.language === 'multilingual' || voice.language.startsWith(language)
+      );
+    }
+
+    return narration;
+  }
+
   /**
    * Get active daily challenges
    */
@@ -56,7 +188,7 @@ class StoryService {
   /**
    * Create a new story with AI generation (optimized for cost)
    */
-  async createStory(userId, storyData) {
+  async createStory(userId, storyData, { remixOf = null } = {}) {
     const {
       storyTypeId,
       drawingImageBase64,
@@ -65,8 +197,10 @@ class StoryService {
       characterDescriptions = {},
       userPrompt,
       preferences = {},
-      length = StoryLength.SHORT, // Force short length for cost savings
-      language = 'en'
+      length = StoryLength.SHORT,
+      mode = StoryMode.LINEAR,
+      style = StoryStyle.ILLUSTRATED,
+      bypassCache = false
     } = storyData;
 
     // Validate story type exists
@@ -80,6 +214,39 @@ class StoryService {
       throw new AppError('At least one input method is required (drawing, voice, or text prompt)', 400);
     }
 
+    if (!Object.values(StoryMode).includes(mode)) {
+      throw new AppError(`Unknown story mode. Use one of: ${Object.values(StoryMode).join(', ')}`, 400);
+    }
+
+    if (!Object.values(StoryStyle).includes(style)) {
+      throw new AppError(`Unknown illustration style. Use one of: ${Object.values(StoryStyle).join(', ')}`, 400);
+    }
+
+    const user = await storyRepository.getUserById(userId);
+    const parentalControls = getParentalControls(user);
+    this.assertGenreAllowed(parentalControls, storyType);
+
+    // Stories are written in the child's preferred language unless another is asked for
+    const language = storyData.language || user?.profile?.preferredLanguage || DEFAULT_LANGUAGE;
+    if (!isSupportedLanguage(language)) {
+      throw new AppError(`Unsupported language. Use one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`, 400);
+    }
+
+    const inputCheck = await this.moderateUserInput('userInput', [
+      userPrompt,
+      ...characterNames,
+      ...Object.values(characterDescriptions),
+      // A remix's premise is checked against this child's rules, not the author's
+      ...(remixOf ? [remixOf.premise] : [])
+    ], parentalControls, { language });
+
+    const lengthPolicy = this.resolveLengthPolicy(user, length);
+
+    // Plan features first, then the daily quotas, consumed before any work starts
+    entitlementService.assertFeatures(user, preferences);
+    const quotaAmounts = { stories: 1, illustratedStories: preferences.generateIllustrations === true ? 1 : 0 };
+    const quota = await entitlementService.consumeQuota(userId, user, quotaAmounts);
+
     // Create initial story record with cost optimization note
     const initialStoryData = {
       userId,
@@ -87,16 +254,28 @@ class StoryService {
       content: '',
       storyTypeId,
       status: StoryStatus.GENERATING,
+      mode,
+      style,
       characterNames,
+      // How each character looks in the pictures, filled in when the story is illustrated
+      characterSheet: {},
+      // AI calls of the generation skip the AI cache (see runCheckpointedSteps)
+      bypassCache: bypassCache === true,
+      moderation: moderationService.recordChecks(null, [inputCheck]),
       userInput: {
         drawingProvided: !!drawingImageBase64,
         voiceProvided: !!voiceInputBase64,
         characterDescriptions,
         userPrompt,
         preferences,
-        length: 'short', // Always short for cost optimization
-        language
+        length: lengthPolicy.length,
+        language,
+        remix: remixOf ? { title: remixOf.title, premise: remixOf.premise } : null
       },
+      ...(remixOf && {
+        remixedFrom: { storyId: remixOf.storyId, title: remixOf.title },
+        lineage: remixOf.lineage
+      }),
       media: {
         narratorVoiceUrl: null,
         backgroundMusicUrl: null,
@@ -106,7 +285,8 @@ class StoryService {
       metadata: {
         language,
         wordCount: 0,
-        maxWordLimit: 50, // Track the word limit used
+        maxWordLimit: lengthPolicy.wordBudget, // Track the word limit used
+        lengthPolicy,
         readingLevel: 1,
         estimatedReadingTime: 0,
         isAgeAppropriate: true,
@@ -117,181 +297,1286 @@ class StoryService {
       isFavorite: false,
       isShared: false,
       likesCount: 0,
+      remixCount: 0,
       tags: []
     };
 
-    const story = await storyRepository.createStory(initialStoryData);
+    let story;
+    try {
+      story = await storyRepository.createStory(initialStoryData);
 
-    // Start AI generation process asynchronously
-    this.generateStoryWithAI(story.id, {
-      storyType,
-      drawingImageBase64,
-      voiceInputBase64,
-      characterNames,
-      characterDescriptions,
-      userPrompt,
-      preferences,
-      length: 'short', // Always short
+      // Persist raw inputs first so any worker (or a restarted server) can run the job
+      try {
+        const inputUpdates = {};
+
+        if (drawingImageBase64) {
+          inputUpdates.drawingImageUrl = await storyRepository.saveDrawing(userId, story.id, drawingImageBase64);
+        }
+
+        if (voiceInputBase64) {
+          inputUpdates.voiceInputUrl = await storyRepository.saveVoiceInput(userId, story.id, voiceInputBase64);
+        }
+
+        if (Object.keys(inputUpdates).length > 0) {
+          await storyRepository.updateStory(story.id, inputUpdates);
+        }
+      } catch (error) {
+        await storyRepository.updateStory(story.id, {
+          status: StoryStatus.FAILED,
+          error: error.message
+        });
+        throw new AppError('Failed to save your drawing or voice recording. Please try again.', 500);
+      }
+
+      // Hand AI generation over to the background queue
+      await this.enqueueStoryJob(StoryJobType.GENERATE, story.id);
+    } catch (error) {
+      // The story never started, so it doesn't count against today's quota
+      await entitlementService.releaseQuota(userId, quotaAmounts);
+      throw error;
+    }
+
+    return {
+      storyId: story.id,
+      status: StoryStatus.GENERATING,
+      estimatedTime: '1-2 minutes', // Faster with shorter stories
+      storyType: storyType.name,
+      costOptimized: true,
+      length: lengthPolicy.length,
+      maxWords: lengthPolicy.wordBudget,
+      lengthPolicy,
       language,
-      userId
-    }).catch(error => {
-      console.error('Story generation failed:', error);
-      // Update story status to failed
-      storyRepository.updateStory(story.id, {
+      mode,
+      ...(remixOf && { remixedFrom: { storyId: remixOf.storyId, title: remixOf.title } }),
+      quota
+    };
+  }
+
+  /**
+   * Limits for a new story of the requested length, as allowed for this user
+   */
+  resolveLengthPolicy(user, length) {
+    try {
+      return resolveLengthPolicy(user, length);
+    } catch (error) {
+      const isKnownLength = Object.values(StoryLength).includes(length);
+      throw new AppError(error.message, isKnownLength ? 403 : 400);
+    }
+  }
+
+  /**
+   * Limits a story was created with. Stories created before length policies
+   * existed were always short.
+   */
+  getStoryLengthPolicy(story) {
+    if (story.metadata?.lengthPolicy) {
+      return story.metadata.lengthPolicy;
+    }
+
+    const policy = LENGTH_POLICIES[StoryLength.SHORT];
+    return {
+      length: StoryLength.SHORT,
+      wordBudget: story.metadata?.maxWordLimit || policy.words,
+      maxTokens: policy.maxTokens,
+      continuationWords: policy.continuationWords,
+      maxTotalWords: policy.maxTotalWords
+    };
+  }
+
+  /**
+   * Story lengths and their limits for a user
+   */
+  async getStoryLengths(userId) {
+    const user = await storyRepository.getUserById(userId);
+    const allowedLengths = getAllowedLengths(user);
+
+    const lengths = Object.values(StoryLength).map(length => {
+      const allowed = allowedLengths.includes(length);
+      const limits = allowed ? resolveLengthPolicy(user, length) : null;
+
+      return {
+        length,
+        allowed,
+        words: limits ? limits.wordBudget : LENGTH_POLICIES[length].words,
+        continuationWords: LENGTH_POLICIES[length].continuationWords,
+        maxTotalWords: limits ? limits.maxTotalWords : LENGTH_POLICIES[length].maxTotalWords
+      };
+    });
+
+    return {
+      subscriptionTier: getSubscriptionTier(user),
+      maxStoryLength: user?.preferences?.maxStoryLength || null,
+      allowedLengths,
+      lengths
+    };
+  }
+
+  /**
+   * Enqueue a background job for a story (one pending job per story and type)
+   */
+  async enqueueStoryJob(jobType, storyId) {
+    const result = await storyQueue.enqueue(jobType, { storyId }, {
+      jobId: `${jobType}:${storyId}`
+    });
+
+    if (result.queued) {
+      // Late subscribers replay this run's events, not an earlier run's 'completed'
+      await storyEvents.clearHistory(storyId);
+      await storyEvents.publish(storyId, 'status', { status: StoryStatus.GENERATING, jobType });
+    }
+
+    return result;
+  }
+
+  /**
+   * Queue handler: rebuild generation input from the stored story and run the pipeline
+   */
+  async processGenerationJob({ storyId }, job = null) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      console.warn(`⚠️  Story ${storyId} no longer exists, dropping generation job`);
+      return;
+    }
+
+    if (![StoryStatus.GENERATING, StoryStatus.PROCESSING].includes(story.status)) {
+      console.log(`⏭️  Story ${storyId} is ${story.status}, skipping generation job`);
+      return;
+    }
+
+    const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+    if (!storyType) {
+      await storyRepository.updateStory(storyId, {
         status: StoryStatus.FAILED,
-        error: error.message
+        error: 'Story type no longer exists'
       });
+      return;
+    }
+
+    const userInput = story.userInput || {};
+
+    await this.generateStoryWithAI(storyId, {
+      storyType,
+      drawingImageUrl: story.drawingImageUrl,
+      voiceInputUrl: story.voiceInputUrl,
+      characterNames: story.characterNames || [],
+      characterDescriptions: userInput.characterDescriptions || {},
+      userPrompt: userInput.userPrompt,
+      preferences: userInput.preferences || {},
+      lengthPolicy: this.getStoryLengthPolicy(story),
+      language: userInput.language || 'en',
+      mode: story.mode || StoryMode.LINEAR,
+      style: story.style || StoryStyle.ILLUSTRATED,
+      remix: userInput.remix || null,
+      moderation: story.moderation || null,
+      parentalControls: await this.getUserParentalControls(story.userId),
+      userId: story.userId
+    }, job);
+  }
+
+  /**
+   * Queue handler: run a pending continuation for a story
+   */
+  async processContinuationJob({ storyId }, job = null) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      console.warn(`⚠️  Story ${storyId} no longer exists, dropping continuation job`);
+      return;
+    }
+
+    if (![StoryStatus.GENERATING, StoryStatus.PROCESSING].includes(story.status) || !story.pendingContinuation) {
+      console.log(`⏭️  Story ${storyId} has no pending continuation, skipping job`);
+      return;
+    }
+
+    const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
+
+    await this.generateStoryContinuation(storyId, {
+      existingContent: story.content,
+      additionalPrompt: story.pendingContinuation.additionalPrompt,
+      newCharacters: story.pendingContinuation.newCharacters || [],
+      characterDescriptions: story.pendingContinuation.characterDescriptions || {},
+      storyType,
+      language: story.metadata?.language || 'en',
+      preferences: {
+        ...(story.userInput?.preferences || {}),
+        // Continued without pictures when the illustration quota had run out
+        ...(story.pendingContinuation.illustrate === false && { generateIllustrations: false })
+      },
+      lengthPolicy: this.getStoryLengthPolicy(story),
+      existingPages: this.getStoryPages(story),
+      existingChapters: this.getStoryChapters(story),
+      storyNarration: {
+        url: story.media?.narratorVoiceUrl || null,
+        format: story.media?.narrationFormat || null,
+        duration: story.media?.totalDuration || 0,
+        timing: story.media?.narrationTiming || null
+      },
+      narratorVoiceId: story.media?.narratorVoiceId,
+      characterNames: [...new Set([...(story.characterNames || []), ...(story.pendingContinuation.newCharacters || [])])],
+      characterVoices: story.media?.characterVoices || {},
+      style: story.style || StoryStyle.ILLUSTRATED,
+      characterSheet: story.characterSheet || {},
+      // The choice being followed in a branching story
+      branch: story.pendingContinuation.branch || null,
+      moderation: story.moderation || null,
+      parentalControls: await this.getUserParentalControls(story.userId),
+      userId: story.userId
+    }, job);
+  }
+
+  /**
+   * Queue handler: translate the original story into a pending translated copy
+   */
+  async processTranslationJob({ storyId }, job = null) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      console.warn(`⚠️  Story ${storyId} no longer exists, dropping translation job`);
+      return;
+    }
+
+    if (![StoryStatus.GENERATING, StoryStatus.PROCESSING].includes(story.status) || !story.pendingTranslation) {
+      console.log(`⏭️  Story ${storyId} has no pending translation, skipping job`);
+      return;
+    }
+
+    const source = await storyRepository.getStoryById(story.pendingTranslation.sourceStoryId);
+    if (!source) {
+      await storyRepository.updateStory(storyId, {
+        status: StoryStatus.FAILED,
+        error: 'The original story no longer exists'
+      });
+      return;
+    }
+
+    await this.translateStoryWithAI(storyId, {
+      sourceTitle: source.title,
+      sourcePages: this.getStoryPages(source),
+      sourceLanguage: source.metadata?.language || DEFAULT_LANGUAGE,
+      language: story.metadata?.language,
+      characterNames: story.characterNames || [],
+      preferences: story.userInput?.preferences || {},
+      lengthPolicy: this.getStoryLengthPolicy(story),
+      moderation: story.moderation || null,
+      parentalControls: await this.getUserParentalControls(story.userId),
+      userId: story.userId
+    }, job);
+  }
+
+  /**
+   * Check text written by the child (prompt, character names and descriptions)
+   * before any generation starts, including the words blocked by their parent.
+   * Returns the verdict, or rejects with a message meant for the child.
+   */
+  async moderateUserInput(source, texts, parentalControls = getParentalControls(null), { language = DEFAULT_LANGUAGE } = {}) {
+    const text = texts.filter(value => typeof value === 'string' && value.trim()).join('\n');
+    if (!text) return { source, allowed: true, reasons: [], checkedAt: new Date().toISOString() };
+
+    const blockedWords = findBlockedWords(text, parentalControls);
+    if (blockedWords.length > 0) {
+      throw new AppError(
+        `Let's try some different words! Your grown-up has asked for stories without: ${blockedWords.join(', ')}.`,
+        400,
+        'BLOCKED_WORDS'
+      );
+    }
+
+    const verdict = await moderationService.moderate(text, { source, language });
+    if (!verdict.allowed) {
+      console.warn(`🛡️  ${source} rejected: ${verdict.reasons.join('; ')}`);
+      throw new AppError('Let\'s think of a different idea! Stories here need to be kind and safe for everyone.', 400, 'CONTENT_NOT_ALLOWED');
+    }
+    return verdict;
+  }
+
+  /**
+   * Parental controls of a story's owner
+   */
+  async getUserParentalControls(userId) {
+    const user = userId ? await storyRepository.getUserById(userId) : null;
+    return getParentalControls(user);
+  }
+
+  /**
+   * Reject story types whose genre the child's parent has not allowed
+   */
+  assertGenreAllowed(parentalControls, storyType) {
+    if (!isGenreAllowed(parentalControls, storyType)) {
+      throw new AppError(
+        `${getStoryTypeGenre(storyType)} stories aren't available for you right now. Let's pick a different kind of story!`,
+        403,
+        'GENRE_NOT_ALLOWED'
+      );
+    }
+  }
+
+  /**
+   * Moderate generated text in a pipeline step, regenerating it while it is
+   * flagged. Returns { text, moderation } with the checks added to the story's
+   * record; a rejection error carries the record as `error.moderation`.
+   */
+  async moderateGeneratedText(ctx, source, text, regenerate) {
+    try {
+      const { text: approvedText, checks } = await moderationService.moderateGenerated(source, text, regenerate, {
+        blockedWords: ctx.parentalControls?.blockedWords,
+        language: ctx.language
+      });
+      return { text: approvedText, moderation: moderationService.recordChecks(ctx.moderation, checks) };
+    } catch (error) {
+      if (error.moderationChecks) {
+        error.moderation = moderationService.recordChecks(ctx.moderation, error.moderationChecks);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add a continuation to the story, trimmed so the story stays within its maximum length
+   */
+  appendContinuation(ctx, continuation) {
+    const room = ctx.lengthPolicy.maxTotalWords - this.countWords(ctx.existingContent);
+    let trimmed = continuation;
+
+    if (this.countWords(continuation) > room) {
+      console.log('⚠️ Continuation exceeded word limit, truncating...');
+      trimmed = aiService.enforceWordLimit(continuation, room);
+    }
+
+    return { continuation: trimmed, newContent: `${ctx.existingContent}\n\n${trimmed}` };
+  }
+
+  /**
+   * Words a continuation may add: the per-continuation cap, limited by how much
+   * room is left before the story reaches its maximum total length
+   */
+  getRemainingContinuationWords(content, lengthPolicy) {
+    const room = lengthPolicy.maxTotalWords - this.countWords(content || '');
+    return Math.min(lengthPolicy.continuationWords, room);
+  }
+
+  /**
+   * Readability band for the story's reader: their age when the child's
+   * profile has one, otherwise the story type's recommended ages
+   */
+  async getReadabilityTarget(ctx) {
+    return getReadabilityTarget({
+      age: await this.getChildAge(ctx.userId),
+      ageMin: ctx.storyType?.recommendedAgeMin,
+      ageMax: ctx.storyType?.recommendedAgeMax
+    });
+  }
+
+  /**
+   * Readability scores of a text with the verdict against a target band
+   */
+  scoreReadability(text, language, target = null) {
+    const scores = analyzeReadability(text, language);
+    const { verdict, reasons } = target ? assessReadability(scores, target) : { verdict: 'notAssessed', reasons: [] };
+    return { ...scores, target, verdict, reasons };
+  }
+
+  /**
+   * Bring generated text into the reader's band: too hard text is simplified
+   * with `simplify(text, target)`, too easy text is regenerated with
+   * `regenerate(guidance)`. Rewrites are moderated like any generated text and
+   * kept only when they score closer to the band, so a failed rewrite leaves
+   * the original. Returns { text, readability, target, rewrites, moderation }.
+   */
+  async adjustReadability(ctx, source, text, { simplify, regenerate }) {
+    const target = await this.getReadabilityTarget(ctx);
+    const evaluate = (candidate) => {
+      const scores = analyzeReadability(candidate, ctx.language);
+      return { text: candidate, scores, assessment: assessReadability(scores, target) };
+    };
+
+    let best = evaluate(text);
+    let rewrites = 0;
+    const checks = [];
+
+    for (let attempt = 1; attempt <= aiConfig.readability.maxRewrites; attempt++) {
+      const { verdict, reasons } = best.assessment;
+      if (verdict !== 'tooHard' && verdict !== 'tooEasy') break;
+
+      console.log(`📚 ${source} reads ${verdict === 'tooHard' ? 'too hard' : 'too easy'} (${reasons.join('; ')}), rewriting (${attempt}/${aiConfig.readability.maxRewrites})...`);
+
+      let candidate;
+      try {
+        // Each rewrite must be new, not the rejected one from the AI cache
+        candidate = await runWithAIUsageContext({ bypassCache: true }, () => (verdict === 'tooHard'
+          ? simplify(best.text, target)
+          : regenerate(`IMPORTANT: Write for a reader of about ${target.age || target.ageRange?.[1] || 8}: use some richer words and varied sentences.`)));
+      } catch (error) {
+        console.error(`Readability rewrite of ${source} failed:`, error.message);
+        break;
+      }
+
+      const check = await moderationService.moderate(candidate, {
+        source,
+        blockedWords: ctx.parentalControls?.blockedWords,
+        language: ctx.language
+      });
+      if (!check.allowed) {
+        console.warn(`🛡️  Rewritten ${source} flagged (${check.reasons.join('; ')}), keeping the previous version`);
+        continue;
+      }
+
+      const rewritten = evaluate(candidate);
+      if (rewritten.assessment.distance < best.assessment.distance) {
+        best = rewritten;
+        rewrites++;
+        checks.push({ ...check, attempt: 0 });
+      }
+    }
+
+    return {
+      text: best.text,
+      target,
+      rewrites,
+      readability: {
+        ...best.scores,
+        target,
+        verdict: best.assessment.verdict,
+        reasons: best.assessment.reasons,
+        rewrites
+      },
+      moderation: checks.length ? moderationService.recordChecks(ctx.moderation, checks) : ctx.moderation
+    };
+  }
+
+  /**
+   * Story metadata fields derived from its readability
+   */
+  getReadabilityMetadata(readability) {
+    if (!readability) return {};
+    return {
+      readability,
+      ...(readability.assessed && { readingLevel: Math.max(1, Math.round(readability.fleschKincaidGrade)) }),
+      isAgeAppropriate: readability.verdict === 'ok' || readability.verdict === 'notAssessed'
+    };
+  }
+
+  /**
+   * Split text into picture-book pages sized for the reader, each with a scene description
+   */
+  async buildPages(text, { storyType, userId }, startPageNumber = 1, chapterNumber = 1) {
+    const age = (await this.getChildAge(userId)) || storyType.recommendedAgeMin;
+    const pages = paginateText(text, { wordsPerPage: wordsPerPageForAge(age), startPageNumber });
+    const scenes = await aiService.describeScenes(pages, storyType);
+
+    console.log(`📄 Laid out ${pages.length} page(s) starting at page ${startPageNumber}`);
+
+    return pages.map((page, index) => ({
+      ...page,
+      chapterNumber,
+      sceneDescription: scenes[index],
+      illustrationUrl: null
+    }));
+  }
+
+  /**
+   * Generate and store an illustration for each page from its scene description
+   */
+  async illustratePages(storyId, pages, storyType, look = {}) {
+    const illustrations = await aiService.generateIllustrations(
+      pages.map(page => page.sceneDescription),
+      storyType,
+      look
+    );
+
+    const illustratedPages = [];
+    for (let i = 0; i < pages.length; i++) {
+      const illustrationUrl = await storyRepository.saveIllustration(
+        storyId,
+        illustrations[i].imageBuffer,
+        pages[i].pageNumber - 1
+      );
+      illustratedPages.push({ ...pages[i], illustrationUrl });
+    }
+
+    return illustratedPages;
+  }
+
+  /**
+   * Pages of a story. Stories created before picture-book pages existed are
+   * returned as a single page.
+   */
+  getStoryPages(story) {
+    if (story.pages?.length) {
+      return story.pages;
+    }
+
+    if (!story.content) {
+      return [];
+    }
+
+    return assignNarrationOffsets([{
+      pageNumber: 1,
+      text: story.content,
+      sceneDescription: null,
+      illustrationUrl: story.media?.illustrationUrls?.[0] || null
+    }], story.media?.totalDuration || 0);
+  }
+
+  /**
+   * Chapters of a story: the original story, then one per continuation.
+   * Stories from before chapters existed are a single chapter.
+   */
+  getStoryChapters(story) {
+    if (story.chapters?.length) {
+      return story.chapters;
+    }
+
+    if (!story.content) {
+      return [];
+    }
+
+    return [this.buildChapter(1, {
+      content: story.content,
+      pages: this.getStoryPages(story),
+      narration: {
+        narratorVoiceUrl: story.media?.narratorVoiceUrl || null,
+        voiceId: story.media?.narratorVoiceId || null,
+        format: story.media?.narrationFormat || null,
+        duration: story.media?.totalDuration || 0
+      },
+      createdAt: story.completedAt || story.createdAt || null
+    })];
+  }
+
+  /**
+   * Chapter record with its own narration; `startTime` is where it begins in
+   * the story's full recording
+   */
+  buildChapter(chapterNumber, { content, pages, narration, startTime = 0, prompt = null, newCharacters = [], characterDescriptions = {}, createdAt = new Date() }) {
+    return {
+      chapterNumber,
+      content,
+      prompt,
+      newCharacters,
+      characterDescriptions,
+      wordCount: this.countWords(content),
+      pageNumbers: pages.map(page => page.pageNumber),
+      illustrationUrls: pages.map(page => page.illustrationUrl).filter(Boolean),
+      narration: {
+        url: narration.narratorVoiceUrl,
+        voiceId: narration.voiceId || null,
+        format: narration.format || null,
+        duration: narration.duration || 0,
+        startTime: Math.round(startTime * 100) / 100
+      },
+      createdAt
+    };
+  }
+
+  /**
+   * Join recordings ({ url | audioBuffer, format, duration, timing? }) into a
+   * new file of the story. Word timing is joined too when every part has it.
+   * Throws when the parts can't be joined (missing or in different formats).
+   */
+  async joinNarrations(storyId, parts) {
+    const format = parts[0].format;
+    if (parts.some(part => !part.url && !part.audioBuffer)) {
+      throw new Error('A part of the story has no narration');
+    }
+    if (!AUDIO_FORMATS[format] || parts.some(part => part.format !== format)) {
+      throw new Error('The parts of the story were narrated in different audio formats');
+    }
+
+    const buffers = [];
+    for (const part of parts) {
+      buffers.push(part.audioBuffer || await storyRepository.downloadFile(part.url));
+    }
+
+    const url = await storyRepository.saveGeneratedAudio(storyId, concatAudio(buffers, format), {
+      contentType: AUDIO_FORMATS[format].contentType,
+      extension: AUDIO_FORMATS[format].extension
+    });
+
+    return { url, format, ...this.joinTimings(parts) };
+  }
+
+  /**
+   * Length and word timing of narrations played one after another
+   */
+  joinTimings(parts) {
+    let offset = 0;
+    const timedParts = parts.map(part => {
+      const timedPart = { timing: part.timing, offset };
+      offset += part.duration;
+      return timedPart;
+    });
+
+    return {
+      duration: offset,
+      timing: parts.every(part => part.timing?.words) ? combineTimings(timedParts) : null
+    };
+  }
+
+  /**
+   * Every media file of a story and of all its versions, each once
+   */
+  collectMediaUrls(...states) {
+    const urls = new Set();
+    const add = (url) => url && urls.add(url);
+
+    states.filter(Boolean).forEach(state => {
+      add(state.media?.narratorVoiceUrl);
+      (state.media?.illustrationUrls || []).forEach(add);
+      (state.chapters || []).forEach(chapter => {
+        add(chapter.narration?.url);
+        (chapter.illustrationUrls || []).forEach(add);
+      });
+      (state.pages || []).forEach(page => add(page.illustrationUrl));
+      // Parts of a branching story that are not on its current path
+      Object.values(state.branching?.nodes || {}).forEach(node => {
+        add(node.narration?.url);
+        add(node.joinedNarration?.url);
+        (node.pages || []).forEach(page => add(page.illustrationUrl));
+      });
+    });
+
+    return [...urls];
+  }
+
+  /**
+   * Whether a branching story of `wordCount` words has room for another part
+   */
+  hasRoomForChoices(wordCount, lengthPolicy) {
+    return lengthPolicy.maxTotalWords - wordCount >= MIN_BRANCH_WORDS;
+  }
+
+  /**
+   * Choices offered at the end of a branching story's latest part, checked
+   * like the story text. A story without room for another part gets none.
+   */
+  async suggestChoices(ctx, content) {
+    if (!this.hasRoomForChoices(this.countWords(content), ctx.lengthPolicy)) {
+      return { choices: [] };
+    }
+
+    const options = { age: await this.getChildAge(ctx.userId), language: ctx.language };
+    const choices = await aiService.generateStoryChoices(content, options);
+    const { text, moderation } = await this.moderateGeneratedText(ctx, 'choices', choices.join('\n'), async (verdict) =>
+      (await aiService.generateStoryChoices(content, {
+        ...options,
+        guidance: moderationService.getRegenerationGuidance(verdict)
+      })).join('\n')
+    );
+
+    return { choices: text.split('\n'), moderation };
+  }
+
+  /**
+   * A part of a branching story: its own text, pages and narration, the
+   * choice that led to it, and the choices offered at its end
+   */
+  buildBranchNode(nodeId, { parentNodeId = null, choiceId = null, prompt = null, depth = 0, content, pages, narration, newCharacters = [], choices = [] }) {
+    return {
+      nodeId,
+      parentNodeId,
+      choiceId,
+      prompt,
+      depth,
+      content,
+      wordCount: this.countWords(content),
+      pages,
+      newCharacters,
+      narration: {
+        url: narration.narratorVoiceUrl,
+        voiceId: narration.voiceId || null,
+        format: narration.format || null,
+        duration: narration.duration || 0,
+        timing: narration.timing || null
+      },
+      choices: choices.map((text, index) => ({ choiceId: `${nodeId}-${index + 1}`, text, nodeId: null })),
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * Branch graph with the part written for a choice added and made current
+   */
+  addBranchNode(branching, { parentNodeId, choiceId }, { content, pages, narration, prompt, choices }) {
+    const parent = branching.nodes[parentNodeId];
+    const node = this.buildBranchNode(`n${Object.keys(branching.nodes).length + 1}`, {
+      parentNodeId,
+      choiceId,
+      prompt,
+      depth: parent.depth + 1,
+      content,
+      pages,
+      narration,
+      choices
     });
 
-    return {
-      storyId: story.id,
-      status: StoryStatus.GENERATING,
-      estimatedTime: '1-2 minutes', // Faster with shorter stories
-      storyType: storyType.name,
-      costOptimized: true,
-      maxWords: 50
-    };
+    return {
+      ...branching,
+      currentNodeId: node.nodeId,
+      nodes: {
+        ...branching.nodes,
+        [parentNodeId]: {
+          ...parent,
+          choices: parent.choices.map(choice => choice.choiceId === choiceId ? { ...choice, nodeId: node.nodeId } : choice)
+        },
+        [node.nodeId]: node
+      }
+    };
+  }
+
+  /**
+   * Parts of a branching story from the beginning to a part
+   */
+  getBranchPath(branching, nodeId) {
+    const path = [];
+    for (let node = branching.nodes[nodeId]; node; node = branching.nodes[node.parentNodeId]) {
+      path.unshift(node);
+    }
+    return path;
+  }
+
+  /**
+   * Age from the child's profile, if the user has set one
+   */
+  async getChildAge(userId) {
+    const user = userId ? await storyRepository.getUserById(userId) : null;
+    return user?.profile?.age || null;
+  }
+
+  /**
+   * Narration options from the user's saved preferences, overridden by the
+   * preferences given for this story, within what the user's plan includes.
+   * Characters get their own voices only when the plan has character voices.
+   */
+  async getNarrationOptions(userId, storyPreferences = {}, language = 'en', characterNames = []) {
+    const user = userId ? await storyRepository.getUserById(userId) : null;
+    const preferences = { ...(user?.preferences || {}), ...storyPreferences };
+
+    return entitlementService.limitNarrationOptions(user, {
+      voiceId: preferences.voiceId,
+      voiceType: preferences.voiceType,
+      speed: preferences.narrationSpeed || 1,
+      voiceSettings: preferences.voiceSettings || {},
+      format: preferences.audioFormat,
+      language,
+      characterNames: entitlementService.getEntitlements(user).characterVoices ? characterNames : []
+    });
+  }
+
+  /**
+   * Re-enqueue stories left in generating/processing by a crash or restart
+   */
+  async resumeStrandedStories() {
+    let found = 0;
+    let resumed = 0;
+    let cursor = null;
+
+    do {
+      const page = await storyRepository.getStoriesByStatus([
+        StoryStatus.GENERATING,
+        StoryStatus.PROCESSING
+      ], { cursor });
+
+      for (const story of page.stories) {
+        const { jobType } = this.getPendingPipeline(story);
+        const result = await this.enqueueStoryJob(jobType, story.id);
+        if (result.queued) resumed++;
+      }
+
+      found += page.stories.length;
+      cursor = page.cursor;
+    } while (cursor);
+
+    console.log(`🔁 Found ${found} in-flight stories, resumed ${resumed}`);
+    return { found, resumed };
+  }
+
+  /**
+   * The pipeline a story in progress (or failed) is running: a continuation or
+   * translation it was asked for, otherwise its creation
+   */
+  getPendingPipeline(story) {
+    if (story.pendingContinuation) {
+      return { pipeline: 'continuation', jobType: StoryJobType.CONTINUE, steps: this.getContinuationSteps() };
+    }
+    if (story.pendingTranslation) {
+      return { pipeline: 'translation', jobType: StoryJobType.TRANSLATE, steps: this.getTranslationSteps() };
+    }
+    return { pipeline: 'create', jobType: StoryJobType.GENERATE, steps: this.getGenerationSteps() };
+  }
+
+  /**
+   * Steps of the story creation pipeline, in order. Each step returns the values
+   * it adds to the pipeline context; that output is checkpointed on the story so
+   * a retry or a resumed job skips every step that already finished.
+   */
+  getGenerationSteps() {
+    return [
+      {
+        name: 'analyzeDrawing',
+        stage: 'analyzing',
+        label: 'Looking at your drawing',
+        run: async (ctx) => {
+          // The drawing was stored when the story was created
+          if (!ctx.drawingImageUrl) return { drawingAnalysis: '' };
+
+          console.log('🖼️  Analyzing drawing...');
+          const drawingBuffer = await storyRepository.downloadFile(ctx.drawingImageUrl);
+          return { drawingAnalysis: await aiService.analyzeDrawing(drawingBuffer.toString('base64')) };
+        }
+      },
+      {
+        name: 'transcribeVoice',
+        stage: 'analyzing',
+        label: 'Listening to your idea',
+        run: async (ctx) => {
+          if (!ctx.voiceInputUrl) return { voiceTranscription: '' };
+
+          console.log('🎤 Transcribing voice input...');
+          const voiceBuffer = await storyRepository.downloadFile(ctx.voiceInputUrl);
+          const voiceTranscription = await aiService.transcribeVoice(voiceBuffer.toString('base64'), ctx.language);
+
+          // What the child said can't be regenerated, so a flagged recording fails the story
+          const verdict = await moderationService.moderate(voiceTranscription, {
+            source: 'voiceTranscription',
+            blockedWords: ctx.parentalControls?.blockedWords,
+            language: ctx.language
+          });
+          const moderation = moderationService.recordChecks(ctx.moderation, [verdict]);
+          if (!verdict.allowed) {
+            const error = new Error('We couldn\'t use your voice recording for a story. Try telling a different idea!');
+            error.moderation = moderation;
+            throw error;
+          }
+
+          return { voiceTranscription, moderation };
+        }
+      },
+      {
+        name: 'buildPrompt',
+        stage: 'writing',
+        label: 'Planning the story',
+        run: async (ctx) => {
+          console.log(`📝 Building story prompt (${ctx.lengthPolicy.wordBudget} words max)...`);
+          const storyPrompt = aiService.buildStoryPrompt({
+            age: await this.getChildAge(ctx.userId),
+            storyType: ctx.storyType,
+            drawingAnalysis: ctx.drawingAnalysis,
+            voiceTranscription: ctx.voiceTranscription,
+            characterNames: ctx.characterNames,
+            characterDescriptions: ctx.characterDescriptions,
+            userPrompt: ctx.userPrompt,
+            language: ctx.language,
+            wordBudget: ctx.lengthPolicy.wordBudget,
+            blockedWords: getPromptBlockedWords(ctx.parentalControls)
+          });
+
+          const guidance = [];
+          if (ctx.remix) {
+            guidance.push(aiService.buildRemixGuidance(ctx.remix));
+          }
+          // A branching story stops where the child decides what happens next
+          if (ctx.mode === StoryMode.BRANCHING && this.hasRoomForChoices(ctx.lengthPolicy.wordBudget, ctx.lengthPolicy)) {
+            guidance.push(BRANCHING_GUIDANCE.story);
+          }
+          return { storyPrompt: [storyPrompt, ...guidance].join('\n\n') };
+        }
+      },
+      {
+        name: 'generateStory',
+        stage: 'writing',
+        label: 'Writing the story',
+        run: async (ctx) => {
+          const { wordBudget, maxTokens } = ctx.lengthPolicy;
+          console.log(`📝 Generating ${ctx.lengthPolicy.length} story content (≤${wordBudget} words)...`);
+          let storyContent = await aiService.generateStory(ctx.storyPrompt, { wordBudget, maxTokens, language: ctx.language });
+
+          // Verify word count
+          const actualWordCount = this.countWords(storyContent);
+          console.log('📊 Generated story word count:', actualWordCount);
+
+          if (actualWordCount > wordBudget) {
+            console.log(`⚠️ Story exceeded ${wordBudget} words, enforcing limit...`);
+            storyContent = aiService.enforceWordLimit(storyContent, wordBudget);
+            console.log('✂️ Truncated to:', this.countWords(storyContent), 'words');
+          }
+
+          return { storyContent };
+        }
+      },
+      {
+        name: 'safetyCheck',
+        stage: 'writing',
+        label: 'Checking the story',
+        run: async (ctx) => {
+          const { wordBudget, maxTokens } = ctx.lengthPolicy;
+          const { text, moderation } = await this.moderateGeneratedText(ctx, 'story', ctx.storyContent, async (verdict) => {
+            const prompt = `${ctx.storyPrompt}\n\n${moderationService.getRegenerationGuidance(verdict)}`;
+            const storyContent = await aiService.generateStory(prompt, { wordBudget, maxTokens, language: ctx.language });
+            return aiService.enforceWordLimit(storyContent, wordBudget);
+          });
+          return { storyContent: text, moderation };
+        }
+      },
+      {
+        name: 'readability',
+        stage: 'writing',
+        label: 'Checking the reading level',
+        run: async (ctx) => {
+          const { wordBudget, maxTokens } = ctx.lengthPolicy;
+          const { text, readability, moderation } = await this.adjustReadability(ctx, 'story', ctx.storyContent, {
+            simplify: (current, target) => aiService.simplifyStory(current, {
+              age: target.age,
+              maxGrade: target.maxGrade,
+              language: ctx.language,
+              wordBudget
+            }),
+            regenerate: (guidance) => aiService.generateStory(`${ctx.storyPrompt}\n\n${guidance}`, {
+              wordBudget,
+              maxTokens,
+              language: ctx.language
+            })
+          });
+          return { storyContent: text, readability, moderation };
+        }
+      },
+      {
+        name: 'generateTitle',
+        stage: 'writing',
+        label: 'Choosing a title',
+        run: async (ctx) => {
+          console.log('🏷️  Generating story title...');
+          const storyTitle = await aiService.generateTitle(ctx.storyContent, ctx.storyType, ctx.language);
+          const { text, moderation } = await this.moderateGeneratedText(ctx, 'title', storyTitle, (verdict) =>
+            aiService.generateTitle(ctx.storyContent, ctx.storyType, ctx.language, moderationService.getRegenerationGuidance(verdict))
+          );
+          return { storyTitle: text, moderation };
+        }
+      },
+      {
+        name: 'pages',
+        stage: 'writing',
+        label: 'Laying out the pages',
+        run: async (ctx) => ({
+          pages: await this.buildPages(ctx.storyContent, ctx)
+        })
+      },
+      {
+        name: 'choices',
+        stage: 'writing',
+        label: 'Thinking of what could happen next',
+        run: async (ctx) => {
+          if (ctx.mode !== StoryMode.BRANCHING) return {};
+          return this.suggestChoices(ctx, ctx.storyContent);
+        }
+      },
+      {
+        name: 'narration',
+        stage: 'narrating',
+        label: 'Recording the narration',
+        run: async (ctx, storyId) => {
+          // This is where we save costs!
+          console.log('🔊 Generating audio narration...');
+
+          const narrationOptions = await this.getNarrationOptions(ctx.userId, ctx.preferences, ctx.language, ctx.characterNames);
+          const audioData = await aiService.generateNarration(ctx.storyContent, narrationOptions);
+          const narratorVoiceUrl = await storyRepository.saveGeneratedAudio(storyId, audioData.audioBuffer, {
+            contentType: audioData.contentType,
+            extension: audioData.format
+          });
+
+          return {
+            narration: {
+              narratorVoiceUrl,
+              voiceId: audioData.voiceId,
+              provider: audioData.provider,
+              format: audioData.format,
+              settings: audioData.settings || {},
+              characterVoices: audioData.characterVoices || {},
+              duration: audioData.duration,
+              timing: audioData.timing
+            }
+          };
+        }
+      },
+      {
+        name: 'characterSheet',
+        stage: 'illustrating',
+        label: 'Sketching the characters',
+        run: async (ctx) => {
+          if (ctx.preferences.generateIllustrations !== true) {
+            return {};
+          }
+
+          return {
+            characterSheet: await aiService.describeCharacters(ctx.storyContent, {
+              storyType: ctx.storyType,
+              drawingAnalysis: ctx.drawingAnalysis,
+              characterDescriptions: ctx.characterDescriptions
+            })
+          };
+        }
+      },
+      {
+        name: 'illustrations',
+        stage: 'illustrating',
+        label: 'Drawing the pictures',
+        run: async (ctx, storyId) => {
+          // Skip illustrations for further cost savings (optional)
+          if (ctx.preferences.generateIllustrations !== true) {
+            console.log('🎨 Skipping illustrations for cost optimization');
+            return {};
+          }
+
+          console.log(`🎨 Generating illustrations for ${ctx.pages.length} page(s)...`);
+          return {
+            pages: await this.illustratePages(storyId, ctx.pages, ctx.storyType, {
+              style: ctx.style,
+              characterSheet: ctx.characterSheet
+            })
+          };
+        }
+      },
+      {
+        name: 'metadata',
+        stage: 'finishing',
+        label: 'Adding finishing touches',
+        run: async (ctx) => ({
+          metadata: this.calculateStoryMetadata(ctx.storyContent, ctx.language, ctx.lengthPolicy, ctx.readability)
+        })
+      },
+      {
+        name: 'userProgress',
+        stage: 'finishing',
+        label: 'Updating your progress',
+        run: async (ctx) => {
+          await this.updateUserProgressForStoryCreation(ctx.userId);
+          return {};
+        }
+      },
+      {
+        name: 'finalize',
+        stage: 'finishing',
+        label: 'Saving your story',
+        run: async (ctx, storyId) => {
+          const pages = assignNarrationOffsets(ctx.pages, ctx.narration.duration, ctx.narration.timing?.words);
+          const updateData = {
+            title: ctx.storyTitle,
+            content: ctx.storyContent,
+            pages,
+            chapters: [this.buildChapter(1, { content: ctx.storyContent, pages, narration: ctx.narration })],
+            characterSheet: ctx.characterSheet || {},
+            status: StoryStatus.COMPLETED,
+            completedAt: new Date(),
+            error: null,
+            failedStep: null,
+            drawingImageUrl: ctx.drawingImageUrl || null,
+            voiceInputUrl: ctx.voiceInputUrl || null,
+            media: {
+              narratorVoiceUrl: ctx.narration.narratorVoiceUrl,
+              narratorVoiceId: ctx.narration.voiceId,
+              narrationProvider: ctx.narration.provider,
+              narrationFormat: ctx.narration.format,
+              characterVoices: ctx.narration.characterVoices || {},
+              backgroundMusicUrl: this.selectBackgroundMusic(ctx.storyType),
+              illustrationUrls: ctx.pages.map(page => page.illustrationUrl).filter(Boolean),
+              voiceSettings: ctx.narration.settings,
+              narrationTiming: ctx.narration.timing || null,
+              totalDuration: ctx.narration.duration
+            },
+            metadata: {
+              ...ctx.metadata,
+              costOptimized: true,
+              actualWordCount: this.countWords(ctx.storyContent),
+              tokensUsed: this.estimateTokensUsed(ctx.storyContent),
+              aiGenerationData: {
+                drawingAnalysis: ctx.drawingAnalysis,
+                voiceTranscription: ctx.voiceTranscription,
+                generatedAt: new Date(),
+                model: aiService.describeTask('story').model,
+                provider: aiService.describeTask('story').provider,
+                voiceModel: ctx.narration.provider
+              }
+            },
+            moderation: ctx.moderation
+          };
+
+          if (ctx.mode === StoryMode.BRANCHING) {
+            const root = this.buildBranchNode('n1', {
+              content: ctx.storyContent,
+              pages,
+              narration: ctx.narration,
+              newCharacters: ctx.characterNames,
+              choices: ctx.choices
+            });
+            updateData.branching = { rootNodeId: root.nodeId, currentNodeId: root.nodeId, nodes: { [root.nodeId]: root } };
+          }
+
+          await storyRepository.completeGeneration(storyId, 'create', updateData);
+          await storyVersionService.recordVersion(storyId, StoryVersionReason.CREATED, ctx.userId);
+          return {};
+        }
+      }
+    ];
   }
 
   /**
-   * AI Story Generation Pipeline (optimized for 50-word stories)
+   * Run pipeline steps in order, skipping steps that already have a checkpoint.
+   * Publishes a progress event when each step starts and finishes.
    */
-  async generateStoryWithAI(storyId, input) {
-    try {
-      console.log(`🎨 Starting cost-optimized AI generation for story ${storyId}`);
-      console.log('💰 Target: 50 words max for minimal ElevenLabs cost');
-      
-      // Update status to processing
-      await storyRepository.updateStory(storyId, { status: StoryStatus.PROCESSING });
+  async runCheckpointedSteps(storyId, pipelineName, steps, ctx) {
+    const story = await storyRepository.getStoryById(storyId);
+    const checkpoints = story?.checkpoints?.[pipelineName] || {};
 
-      // Step 1: Handle drawing analysis
-      let drawingAnalysis = '';
-      let drawingImageUrl = '';
-      
-      if (input.drawingImageBase64) {
-        console.log('🖼️  Analyzing drawing...');
-        drawingAnalysis = await aiService.analyzeDrawing(input.drawingImageBase64);
-        drawingImageUrl = await storyRepository.saveDrawing(input.userId, storyId, input.drawingImageBase64);
-      }
+    for (const [index, step] of steps.entries()) {
+      const checkpoint = checkpoints[step.name];
 
-      // Step 2: Handle voice input
-      let voiceTranscription = '';
-      let voiceInputUrl = '';
-      
-      if (input.voiceInputBase64) {
-        console.log('🎤 Transcribing voice input...');
-        voiceTranscription = await aiService.transcribeVoice(input.voiceInputBase64);
-        voiceInputUrl = await storyRepository.saveVoiceInput(input.userId, storyId, input.voiceInputBase64);
+      if (checkpoint?.completedAt) {
+        console.log(`⏭️  Step ${step.name} already completed, reusing its output`);
+        Object.assign(ctx, checkpoint.output || {});
+        continue;
       }
 
-      // Step 3: Build story prompt (with 50-word limit)
-      console.log('📝 Building cost-optimized story prompt (200 words max)...');
-      const storyPrompt = aiService.buildStoryPrompt({
-        storyType: input.storyType,
-        drawingAnalysis,
-        voiceTranscription,
-        characterNames: input.characterNames,
-        characterDescriptions: input.characterDescriptions,
-        userPrompt: input.userPrompt,
-        length: 'short', // Always short for cost savings
-        language: input.language
+      const stepInfo = {
+        pipeline: pipelineName,
+        step: step.name,
+        stage: step.stage,
+        label: step.label,
+        stepIndex: index + 1,
+        totalSteps: steps.length
+      };
+
+      await storyEvents.publish(storyId, 'step.started', {
+        ...stepInfo,
+        progress: Math.round((index / steps.length) * 100)
       });
 
-      // Step 4: Generate story content (200 words max)
-      console.log('📝 Generating short story content (≤200 words)...');
-      const storyContent = await aiService.generateStory(storyPrompt);
-      
-      // Verify word count
-      const actualWordCount = this.countWords(storyContent);
-      console.log('📊 Generated story word count:', actualWordCount);
-      
-      if (actualWordCount > 200) {
-        console.log('⚠️ Story exceeded 200 words, enforcing limit...');
-        storyContent = aiService.enforceWordLimit(storyContent, 200);
-        console.log('✂️ Truncated to:', this.countWords(storyContent), 'words');
+      let output;
+      try {
+        // AI calls made by the step are charged to this story in the cost ledger,
+        // and skip the AI cache when the request that started the run asked to
+        output = (await runWithAIUsageContext(
+          {
+            storyId,
+            userId: story?.userId || ctx.userId,
+            pipeline: pipelineName,
+            step: step.name,
+            bypassCache: story?.bypassCache === true
+          },
+          () => step.run(ctx, storyId)
+        )) || {};
+      } catch (error) {
+        error.pipelineStep = step.name;
+        throw error;
       }
 
-      // Step 5: Safety check
-      const safetyCheck = aiService.isContentSafe(storyContent);
-      if (!safetyCheck.isSafe) {
-        throw new Error(`Content safety check failed: ${safetyCheck.flaggedWords.join(', ')}`);
+      Object.assign(ctx, output);
+      // The last step saves the story and removes the run's checkpoints
+      if (index < steps.length - 1) {
+        await storyRepository.saveGenerationCheckpoint(storyId, pipelineName, step.name, output);
       }
 
-      // Step 6: Generate title
-      console.log('🏷️  Generating story title...');
-      const storyTitle = await aiService.generateTitle(storyContent, input.storyType);
+      await storyEvents.publish(storyId, 'step.completed', {
+        ...stepInfo,
+        progress: Math.round(((index + 1) / steps.length) * 100)
+      });
+    }
 
-      // Step 7: Generate audio narration (this is where we save costs!)
-      console.log('🔊 Generating audio narration...');
-      console.log('💰 ElevenLabs cost savings: ~80% with 200-word limit');
-      
-      const audioData = await aiService.generateNarration(storyContent, input.preferences.voiceSettings);
-      const narratorVoiceUrl = await storyRepository.saveGeneratedAudio(storyId, audioData.audioBuffer);
-
-      // Step 8: Skip illustrations for further cost savings (optional)
-      let illustrationUrls = [];
-      if (input.preferences.generateIllustrations === true) {
-        console.log('🎨 Generating story illustrations...');
-        const illustrations = await aiService.generateIllustrations(storyContent, input.storyType, 1); // Just 1 illustration
-        
-        for (let i = 0; i < illustrations.length; i++) {
-          const illustrationUrl = await storyRepository.saveIllustration(storyId, illustrations[i].imageBuffer, i);
-          illustrationUrls.push(illustrationUrl);
-        }
-      } else {
-        console.log('🎨 Skipping illustrations for cost optimization');
-      }
+    return ctx;
+  }
 
-      // Step 9: Calculate metadata with cost tracking
-      const metadata = this.calculateStoryMetadata(storyContent, input.language);
-
-      // Step 10: Update story with all generated content
-      const updateData = {
-        title: storyTitle,
-        content: storyContent,
-        status: StoryStatus.COMPLETED,
-        completedAt: new Date(),
-        drawingImageUrl,
-        voiceInputUrl,
-        media: {
-          narratorVoiceUrl,
-          narratorVoiceId: audioData.voiceId,
-          backgroundMusicUrl: this.selectBackgroundMusic(input.storyType),
-          illustrationUrls,
-          voiceSettings: audioData.settings || {},
-          totalDuration: audioData.duration
-        },
-        metadata: {
-          ...metadata,
-          costOptimized: true,
-          maxWordLimit: 50,
-          actualWordCount: this.countWords(storyContent),
-          tokensUsed: this.estimateTokensUsed(storyContent),
-          aiGenerationData: {
-            drawingAnalysis,
-            voiceTranscription,
-            generatedAt: new Date(),
-            model: 'gpt-3.5-turbo',
-            voiceModel: 'eleven-labs',
-            safetyCheck
-          }
-        }
-      };
+  /**
+   * Publish the final event of a pipeline run (the full story, or the failure)
+   */
+  async publishGenerationResult(storyId, pipelineName, error = null) {
+    if (error) {
+      await storyEvents.publish(storyId, 'failed', {
+        pipeline: pipelineName,
+        status: StoryStatus.FAILED,
+        step: error.pipelineStep || null,
+        error: error.message
+      });
+      return;
+    }
+
+    const story = await storyRepository.getStoryById(storyId);
+    const storyType = story ? await storyRepository.getStoryTypeById(story.storyTypeId) : null;
+
+    await storyEvents.publish(storyId, 'completed', {
+      pipeline: pipelineName,
+      status: StoryStatus.COMPLETED,
+      progress: 100,
+      story: story ? this.toEventPayload({ ...story, storyType }) : null
+    });
+  }
+
+  /**
+   * Save why a pipeline failed. While the queue still has attempts left the
+   * story stays in progress so the retried job resumes from its checkpoint.
+   */
+  async recordGenerationFailure(storyId, pipelineName, error, job) {
+    // Content that was blocked would only be blocked again
+    if (error.moderation) error.retryable = false;
+
+    if (storyQueue.willRetry(job, error)) {
+      await storyRepository.updateStory(storyId, { error: error.message, failedStep: error.pipelineStep || null });
+      await storyEvents.publish(storyId, 'status', {
+        pipeline: pipelineName,
+        status: StoryStatus.PROCESSING,
+        retrying: true,
+        step: error.pipelineStep || null
+      });
+      return;
+    }
+
+    await storyRepository.updateStory(storyId, {
+      status: StoryStatus.FAILED,
+      error: error.message,
+      failedStep: error.pipelineStep || null,
+      ...(error.moderation && { moderation: error.moderation })
+    });
+    await this.publishGenerationResult(storyId, pipelineName, error);
+  }
 
-      await storyRepository.updateStory(storyId, updateData);
+  /**
+   * Story fields sent to clients in the final progress event
+   */
+  toEventPayload(story) {
+    const { checkpoints, pendingContinuation, pendingTranslation, ...payload } = story;
+    return payload;
+  }
+
+  /**
+   * Name of the first step without a checkpoint (where a retry will resume)
+   */
+  getResumeStep(story, pipelineName, steps) {
+    const checkpoints = story.checkpoints?.[pipelineName] || {};
+    const pending = steps.find(step => !checkpoints[step.name]?.completedAt);
+    return pending ? pending.name : null;
+  }
+
+  /**
+   * AI Story Generation Pipeline (within the story's length policy)
+   */
+  async generateStoryWithAI(storyId, input, job = null) {
+    try {
+      console.log(`🎨 Starting cost-optimized AI generation for story ${storyId}`);
+      console.log(`💰 Target: ${input.lengthPolicy.wordBudget} words max (${input.lengthPolicy.length})`);
+      
+      // Update status to processing
+      await storyRepository.updateStory(storyId, { status: StoryStatus.PROCESSING });
+      await storyEvents.publish(storyId, 'status', { pipeline: 'create', status: StoryStatus.PROCESSING });
 
-      // Step 11: Update user progress
-      await this.updateUserProgressForStoryCreation(input.userId);
+      const ctx = await this.runCheckpointedSteps(storyId, 'create', this.getGenerationSteps(), { ...input });
+      await this.publishGenerationResult(storyId, 'create');
 
       console.log(`✅ Cost-optimized story ${storyId} generated successfully`);
-      console.log(`💰 ElevenLabs tokens used: ~${this.estimateTokensUsed(storyContent)} (vs ~250 for longer stories)`);
+      console.log(`💰 ElevenLabs tokens used: ~${this.estimateTokensUsed(ctx.storyContent)} (vs ~250 for longer stories)`);
 
     } catch (error) {
-      console.error(`❌ Story generation failed for ${storyId}:`, error);
-      await storyRepository.updateStory(storyId, {
-        status: StoryStatus.FAILED,
-        error: error.message
-      });
+      console.error(`❌ Story generation failed for ${storyId} at step ${error.pipelineStep || 'unknown'}:`, error);
+      await this.recordGenerationFailure(storyId, 'create', error, job);
       throw error;
     }
   }
@@ -313,7 +1598,7 @@ class StoryService {
   /**
    * Calculate story metadata with cost optimization tracking
    */
-  calculateStoryMetadata(content, language) {
+  calculateStoryMetadata(content, language, lengthPolicy, readability = null) {
     const words = this.countWords(content);
     const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
     const avgWordsPerSentence = sentences > 0 ? words / sentences : 0;
@@ -328,44 +1613,50 @@ class StoryService {
     
     return {
       wordCount: words,
-      maxWordLimit: 50,
-      withinLimit: words <= 50,
+      length: lengthPolicy.length,
+      maxWordLimit: lengthPolicy.wordBudget,
+      withinLimit: words <= lengthPolicy.wordBudget,
+      lengthPolicy,
       readingLevel,
       estimatedReadingTime: readingTimeSeconds,
       language,
       isAgeAppropriate: true,
       costOptimized: true,
-      estimatedTokenCost: words // Approximate token usage
+      estimatedTokenCost: words, // Approximate token usage
+      ...this.getReadabilityMetadata(readability)
     };
   }
 
   /**
-   * Get cost-optimized story creation summary
+   * Length and actual AI costs of a story, from the cost ledger. Only the
+   * story's owner (or an admin) can see them, even when it is shared.
    */
-  async getStoryCostSummary(storyId, userId) {
-    const story = await this.getStory(storyId, userId);
-    
+  async getStoryCostSummary(storyId, userId, role = null) {
+    const story = await storyRepository.getStoryById(storyId);
+
     if (!story) {
       throw new AppError('Story not found', 404);
     }
+    if (story.userId !== userId && role !== 'admin') {
+      throw new AppError('Access denied', 403);
+    }
 
     const metadata = story.metadata || {};
     const actualWords = metadata.actualWordCount || this.countWords(story.content || '');
-    
+    const lengthPolicy = this.getStoryLengthPolicy(story);
+
     return {
       storyId,
       title: story.title,
       wordCount: actualWords,
-      maxWordLimit: 50,
-      withinLimit: actualWords <= 50,
-      estimatedTokensUsed: actualWords,
-      costSavings: {
-        comparedToLongStory: Math.round(((250 - actualWords) / 250) * 100) + '%',
-        tokensReduced: 250 - actualWords
-      },
+      length: lengthPolicy.length,
+      maxWordLimit: lengthPolicy.wordBudget,
+      maxTotalWords: lengthPolicy.maxTotalWords,
+      withinLimit: actualWords <= lengthPolicy.maxTotalWords,
       readingTime: metadata.estimatedReadingTime || 0,
       audioGenerated: !!story.media?.narratorVoiceUrl,
-      status: story.status
+      status: story.status,
+      costs: await aiCostService.getStoryCosts(storyId)
     };
   }
 
@@ -391,6 +1682,7 @@ class StoryService {
     
     return {
       ...story,
+      pages: this.getStoryPages(story),
       storyType
     };
   }
@@ -399,33 +1691,28 @@ class StoryService {
    * Get user's stories
    */
   async getUserStories(userId, filters = {}) {
-    return await storyRepository.getStoriesByUserId(userId, filters);
+    const stories = await storyRepository.getStoriesByUserId(userId, filters);
+    return stories.map(story => ({ ...story, pages: this.getStoryPages(story) }));
   }
 
   /**
    * Get featured stories
    */
   async getFeaturedStories(limit = 10) {
-    return await storyRepository.getFeaturedStories(limit);
+    const stories = await storyRepository.getFeaturedStories(limit);
+    return stories.map(story => ({ ...story, pages: this.getStoryPages(story) }));
   }
 
   /**
    * Select background music based on story type
    */
   selectBackgroundMusic(storyType) {
-    const musicMap = {
-      adventure: 'adventure_theme.mp3',
-      fantasy: 'magical_theme.mp3',
-      mystery: 'mysterious_theme.mp3',
-      friendship: 'heartwarming_theme.mp3',
-      educational: 'learning_theme.mp3',
-      animal: 'nature_theme.mp3',
-      superhero: 'heroic_theme.mp3',
-      family: 'cozy_theme.mp3'
-    };
-    
-    const musicFile = musicMap[storyType.name.toLowerCase()] || 'general_theme.mp3';
-    return `https://storage.googleapis.com/pictotale-backend.firebasestorage.app/pictotale-music/${musicFile}`;
+    const theme = storyType.name.toLowerCase();
+    return this.getBackgroundMusicUrl(BACKGROUND_MUSIC[theme] ? theme : 'general');
+  }
+
+  getBackgroundMusicUrl(theme) {
+    return `https://storage.googleapis.com/pictotale-backend.firebasestorage.app/pictotale-music/${BACKGROUND_MUSIC[theme]}`;
   }
 
   /**
@@ -495,6 +1782,7 @@ class StoryService {
 
     const progress = this.getProgressFromStatus(story.status);
     const estimatedTime = this.getEstimatedTime(story.status);
+    const lengthPolicy = this.getStoryLengthPolicy(story);
 
     return {
       storyId,
@@ -506,144 +1794,644 @@ class StoryService {
       updatedAt: story.updatedAt,
       completedAt: story.completedAt,
       error: story.error || null,
+      failedStep: story.failedStep || null,
       metadata: {
         wordCount: story.metadata?.wordCount || 0,
-        maxWordLimit: story.metadata?.maxWordLimit || 50,
+        length: lengthPolicy.length,
+        maxWordLimit: lengthPolicy.wordBudget,
+        maxTotalWords: lengthPolicy.maxTotalWords,
+        language: story.metadata?.language || DEFAULT_LANGUAGE,
         costOptimized: story.metadata?.costOptimized || false
-      }
+      },
+      translatedFrom: story.translatedFrom || null
     };
   }
 
   /**
-   * Continue an existing story
+   * The branching record with each part on the current path replaced by
+   * `update(node, index)`; a part's index is its chapter's
+   */
+  updateBranchPath(branching, update) {
+    const nodes = { ...branching.nodes };
+    this.getBranchPath(branching, branching.currentNodeId).forEach((node, index) => {
+      nodes[node.nodeId] = update(node, index);
+    });
+    return { ...branching, nodes };
+  }
+
+  /**
+   * Consume a continuation, and an illustrated story when the story has
+   * pictures. Without illustrations left (or in the plan) the story is
+   * continued without pictures rather than refused.
    */
-  async continueStory(storyId, userId, options) {
-    const { additionalPrompt, newCharacters = [] } = options;
+  async consumeContinuationQuota(userId, user, story) {
+    const wantsIllustrations = story.userInput?.preferences?.generateIllustrations === true;
+
+    if (wantsIllustrations) {
+      try {
+        const quotaAmounts = { continuations: 1, illustratedStories: 1 };
+        const quota = await entitlementService.consumeQuota(userId, user, quotaAmounts);
+        return { quota, quotaAmounts, illustrate: true };
+      } catch (error) {
+        if (error.details?.quota !== 'illustratedStories') throw error;
+      }
+    }
+
+    const quotaAmounts = { continuations: 1 };
+    const quota = await entitlementService.consumeQuota(userId, user, quotaAmounts);
+    return { quota, quotaAmounts, illustrate: false };
+  }
 
+  /**
+   * Retry a failed generation or continuation from its first unfinished step
+   */
+  async retryStory(storyId, userId, { bypassCache = false } = {}) {
     const story = await storyRepository.getStoryById(storyId);
 
     if (!story) {
       throw new AppError('Story not found', 404);
     }
 
-    // Check access permissions
     if (story.userId !== userId) {
-      throw new AppError('Access denied - you can only continue your own stories', 403);
+      throw new AppError('Access denied - you can only retry your own stories', 403);
     }
 
-    // Check if story is completed
-    if (story.status !== StoryStatus.COMPLETED) {
-      throw new AppError('Can only continue completed stories', 400);
+    if (story.status !== StoryStatus.FAILED) {
+      throw new AppError('Only failed stories can be retried', 400);
     }
 
-    // Get story type for context
-    const storyType = await storyRepository.getStoryTypeById(story.storyTypeId);
-
-    // Create continuation prompt
-    const continuationPrompt = `Continue this story: "${story.content}"\n\nAdditional direction: ${additionalPrompt}`;
+    const { pipeline, jobType, steps } = this.getPendingPipeline(story);
+    const resumeFrom = this.getResumeStep(story, pipeline, steps);
 
-    // Update story status to generating
     await storyRepository.updateStory(storyId, {
       status: StoryStatus.GENERATING,
-      updatedAt: new Date()
+      error: null,
+      failedStep: null,
+      bypassCache: bypassCache === true
     });
 
-    // Start AI generation for continuation
-    this.generateStoryContinuation(storyId, {
-      existingContent: story.content,
-      additionalPrompt,
-      newCharacters,
-      storyType,
-      language: story.metadata?.language || 'en',
-      userId
-    }).catch(error => {
-      console.error('Story continuation failed:', error);
-      storyRepository.updateStory(storyId, {
-        status: StoryStatus.FAILED,
-        error: error.message
-      });
-    });
+    await this.enqueueStoryJob(jobType, storyId);
 
     return {
       storyId,
       status: StoryStatus.GENERATING,
-      message: 'Story continuation started',
-      estimatedTime: '1-2 minutes'
+      pipeline,
+      resumeFrom,
+      message: 'Story generation restarted'
     };
   }
 
+  /**
+   * Steps of the continuation pipeline, checkpointed like story creation
+   */
+  getContinuationSteps() {
+    return [
+      {
+        name: 'buildPrompt',
+        stage: 'writing',
+        label: 'Planning the story',
+        run: async (ctx) => {
+          const wordBudget = this.getRemainingContinuationWords(ctx.existingContent, ctx.lengthPolicy);
+          const continuationPrompt = aiService.buildContinuationPrompt({
+            existingContent: ctx.existingContent,
+            additionalPrompt: ctx.additionalPrompt,
+            newCharacters: ctx.newCharacters,
+            storyType: ctx.storyType,
+            age: await this.getChildAge(ctx.userId),
+            language: ctx.language,
+            wordBudget,
+            blockedWords: getPromptBlockedWords(ctx.parentalControls)
+          });
+
+          // A branch stops at the next decision, or ends the story when there's no room for another
+          if (ctx.branch) {
+            const hasRoom = this.hasRoomForChoices(this.countWords(ctx.existingContent) + wordBudget, ctx.lengthPolicy);
+            return { continuationPrompt: `${continuationPrompt}\n\n${hasRoom ? BRANCHING_GUIDANCE.decision : BRANCHING_GUIDANCE.ending}` };
+          }
+          return { continuationPrompt };
+        }
+      },
+      {
+        name: 'generateContinuation',
+        stage: 'writing',
+        label: 'Writing what happens next',
+        run: async (ctx) => {
+          const wordBudget = this.getRemainingContinuationWords(ctx.existingContent, ctx.lengthPolicy);
+          const continuation = await aiService.generateStoryContinuation(ctx.continuationPrompt, { wordBudget });
+
+          return this.appendContinuation(ctx, continuation);
+        }
+      },
+      {
+        name: 'safetyCheck',
+        stage: 'writing',
+        label: 'Checking the story',
+        run: async (ctx) => {
+          const wordBudget = this.getRemainingContinuationWords(ctx.existingContent, ctx.lengthPolicy);
+          const { text, moderation } = await this.moderateGeneratedText(ctx, 'continuation', ctx.continuation, (verdict) =>
+            aiService.generateStoryContinuation(
+              `${ctx.continuationPrompt}\n\n${moderationService.getRegenerationGuidance(verdict)}`,
+              { wordBudget }
+            )
+          );
+          return { ...this.appendContinuation(ctx, text), moderation };
+        }
+      },
+      {
+        name: 'readability',
+        stage: 'writing',
+        label: 'Checking the reading level',
+        run: async (ctx) => {
+          const wordBudget = this.getRemainingContinuationWords(ctx.existingContent, ctx.lengthPolicy);
+          const { text, target, rewrites, moderation } = await this.adjustReadability(ctx, 'continuation', ctx.continuation, {
+            simplify: (current, target) => aiService.simplifyStory(current, {
+              age: target.age,
+              maxGrade: target.maxGrade,
+              language: ctx.language,
+              wordBudget
+            }),
+            regenerate: (guidance) => aiService.generateStoryContinuation(`${ctx.continuationPrompt}\n\n${guidance}`, { wordBudget })
+          });
+          const { continuation, newContent } = this.appendContinuation(ctx, text);
+
+          // The continuation is adjusted on its own; the story keeps the scores of its full text
+          return {
+            continuation,
+            newContent,
+            readability: { ...this.scoreReadability(newContent, ctx.language, target), rewrites },
+            moderation
+          };
+        }
+      },
+      {
+        name: 'pages',
+        stage: 'writing',
+        label: 'Laying out the new pages',
+        run: async (ctx) => ({
+          newPages: await this.buildPages(ctx.continuation, ctx, ctx.existingPages.length + 1, ctx.existingChapters.length + 1)
+        })
+      },
+      {
+        name: 'choices',
+        stage: 'writing',
+        label: 'Thinking of what could happen next',
+        run: async (ctx) => {
+          if (!ctx.branch) return {};
+          return this.suggestChoices(ctx, ctx.newContent);
+        }
+      },
+      {
+        name: 'narration',
+        stage: 'narrating',
+        label: 'Recording the narration',
+        run: async (ctx, storyId) => {
+          // Only the new chapter is narrated, keeping the story's narrator,
+          // character voices and audio format so it can be joined to the story's recording
+          const narrationOptions = await this.getNarrationOptions(ctx.userId, ctx.preferences, ctx.language, ctx.characterNames);
+          const options = {
+            ...narrationOptions,
+            voiceId: ctx.narratorVoiceId || narrationOptions.voiceId,
+            characterVoices: ctx.characterVoices,
+            format: ctx.storyNarration.format || narrationOptions.format
+          };
+          const audioData = await aiService.generateNarration(ctx.continuation, options);
+          const chapterUrl = await storyRepository.saveGeneratedAudio(storyId, audioData.audioBuffer, {
+            contentType: audioData.contentType,
+            extension: audioData.format
+          });
+
+          let story;
+          try {
+            story = await this.joinNarrations(storyId, [ctx.storyNarration, audioData]);
+          } catch (error) {
+            console.warn('Could not add the chapter to the story\'s recording, narrating the whole story:', error.message);
+            const fullAudio = await aiService.generateNarration(ctx.newContent, options);
+            story = {
+              url: await storyRepository.saveGeneratedAudio(storyId, fullAudio.audioBuffer, {
+                contentType: fullAudio.contentType,
+                extension: fullAudio.format
+              }),
+              format: fullAudio.format,
+              duration: fullAudio.duration,
+              timing: fullAudio.timing
+            };
+          }
+
+          return {
+            narration: {
+              narratorVoiceUrl: story.url,
+              voiceId: audioData.voiceId,
+              provider: audioData.provider,
+              format: story.format,
+              settings: audioData.settings || {},
+              characterVoices: audioData.characterVoices || {},
+              duration: story.duration,
+              timing: story.timing,
+              chapter: {
+                narratorVoiceUrl: chapterUrl,
+                voiceId: audioData.voiceId,
+                format: audioData.format,
+                duration: audioData.duration,
+                timing: audioData.timing || null
+              }
+            }
+          };
+        }
+      },
+      {
+        name: 'characterSheet',
+        stage: 'illustrating',
+        label: 'Sketching the new characters',
+        run: async (ctx) => {
+          if (ctx.preferences.generateIllustrations !== true) {
+            return {};
+          }
+
+          // Characters already on the sheet keep their look
+          const newCharacters = await aiService.describeCharacters(ctx.continuation, {
+            storyType: ctx.storyType,
+            characterDescriptions: ctx.characterDescriptions,
+            existing: ctx.characterSheet
+          });
+          return { characterSheet: { ...ctx.characterSheet, ...newCharacters } };
+        }
+      },
+      {
+        name: 'illustrations',
+        stage: 'illustrating',
+        label: 'Drawing the new pictures',
+        run: async (ctx, storyId) => {
+          if (ctx.preferences.generateIllustrations !== true) {
+            return {};
+          }
+
+          return {
+            newPages: await this.illustratePages(storyId, ctx.newPages, ctx.storyType, {
+              style: ctx.style,
+              characterSheet: ctx.characterSheet
+            })
+          };
+        }
+      },
+      {
+        name: 'finalize',
+        stage: 'finishing',
+        label: 'Saving your story',
+        run: async (ctx, storyId) => {
+          // Get the current story for media info
+          const currentStory = await storyRepository.getStoryById(storyId);
+          const pages = assignNarrationOffsets(
+            [...ctx.existingPages.map(page => ({ ...page, chapterNumber: page.chapterNumber || 1 })), ...ctx.newPages],
+            ctx.narration.duration,
+            ctx.narration.timing?.words
+          );
+
+          const chapterNumber = ctx.existingChapters.length + 1;
+          const chapters = [
+            ...ctx.existingChapters,
+            this.buildChapter(chapterNumber, {
+              content: ctx.continuation,
+              pages: pages.filter(page => page.chapterNumber === chapterNumber),
+              narration: ctx.narration.chapter,
+              startTime: ctx.storyNarration.duration,
+              prompt: ctx.additionalPrompt,
+              newCharacters: ctx.newCharacters.filter(name => !(currentStory.characterNames || []).includes(name)),
+              characterDescriptions: ctx.characterDescriptions
+            })
+          ];
+
+          const updateData = {
+            content: ctx.newContent,
+            characterNames: ctx.characterNames,
+            characterSheet: ctx.characterSheet,
+            pages,
+            chapters,
+            status: StoryStatus.COMPLETED,
+            completedAt: new Date(),
+            pendingContinuation: null,
+            error: null,
+            failedStep: null,
+            moderation: ctx.moderation,
+            media: {
+              ...currentStory.media,
+              narratorVoiceUrl: ctx.narration.narratorVoiceUrl,
+              narratorVoiceId: ctx.narration.voiceId,
+              narrationProvider: ctx.narration.provider,
+              narrationFormat: ctx.narration.format,
+              characterVoices: ctx.narration.characterVoices || {},
+              voiceSettings: ctx.narration.settings,
+              illustrationUrls: pages.map(page => page.illustrationUrl).filter(Boolean),
+              narrationTiming: ctx.narration.timing || null,
+              totalDuration: ctx.narration.duration
+            },
+            metadata: {
+              ...currentStory.metadata,
+              wordCount: this.countWords(ctx.newContent),
+              actualWordCount: this.countWords(ctx.newContent),
+              ...this.getReadabilityMetadata(ctx.readability),
+              continued: true,
+              continuedAt: new Date()
+            }
+          };
+
+          if (ctx.branch) {
+            updateData.branching = this.addBranchNode(currentStory.branching, ctx.branch, {
+              content: ctx.continuation,
+              pages: pages.filter(page => page.chapterNumber === chapterNumber),
+              narration: ctx.narration.chapter,
+              prompt: ctx.additionalPrompt,
+              choices: ctx.choices
+            });
+          }
+
+          await storyVersionService.ensureBaselineVersion(currentStory);
+          await storyRepository.completeGeneration(storyId, 'continuation', updateData);
+          await storyVersionService.recordVersion(storyId, StoryVersionReason.CONTINUED, ctx.userId, {
+            note: ctx.branch ? `Chose "${ctx.additionalPrompt}"` : `Chapter ${chapterNumber} added`
+          });
+          return {};
+        }
+      }
+    ];
+  }
+
   /**
    * Generate story continuation
    */
-  async generateStoryContinuation(storyId, input) {
+  async generateStoryContinuation(storyId, input, job = null) {
     try {
       console.log(`📖 Continuing story ${storyId}...`);
 
-      // Get the current story for media info
-      const currentStory = await storyRepository.getStoryById(storyId);
-
       await storyRepository.updateStory(storyId, { status: StoryStatus.PROCESSING });
+      await storyEvents.publish(storyId, 'status', { pipeline: 'continuation', status: StoryStatus.PROCESSING });
 
-      // Build continuation prompt
-      const continuationPrompt = aiService.buildContinuationPrompt({
-        existingContent: input.existingContent,
-        additionalPrompt: input.additionalPrompt,
-        newCharacters: input.newCharacters,
-        storyType: input.storyType,
-        language: input.language
-      });
+      await this.runCheckpointedSteps(storyId, 'continuation', this.getContinuationSteps(), { ...input });
+      await this.publishGenerationResult(storyId, 'continuation');
+
+      console.log(`✅ Story ${storyId} continued successfully`);
+
+    } catch (error) {
+      console.error(`❌ Story continuation failed for ${storyId} at step ${error.pipelineStep || 'unknown'}:`, error);
+      await this.recordGenerationFailure(storyId, 'continuation', error, job);
+      throw error;
+    }
+  }
 
-      // Generate continuation (keeping it short for cost optimization)
-      const continuation = await aiService.generateStoryContinuation(continuationPrompt);
+  /**
+   * Translate a story into another language as a new, linked story with its own narration
+   */
+  async translateStory(storyId, userId, { language, bypassCache = false }) {
+    const story = await storyRepository.getStoryById(storyId);
 
-      // Combine with existing content
-      let newContent = input.existingContent + '\n\n' + continuation;
+    if (!story) {
+      throw new AppError('Story not found', 404);
+    }
 
-      // Verify total word count doesn't exceed limits
-      const totalWords = this.countWords(newContent);
-      if (totalWords > 100) { // Allow slightly more for continuations
-        console.log('⚠️ Continuation exceeded word limit, truncating...');
-        newContent = aiService.enforceWordLimit(newContent, 100);
-      }
+    if (story.userId !== userId) {
+      throw new AppError('Access denied - you can only translate your own stories', 403);
+    }
 
-      // Safety check
-      const safetyCheck = aiService.isContentSafe(continuation);
-      if (!safetyCheck.isSafe) {
-        throw new Error(`Content safety check failed: ${safetyCheck.flaggedWords.join(', ')}`);
-      }
+    if (story.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Can only translate completed stories', 400);
+    }
 
-      // Generate new audio for the full story
-      const audioData = await aiService.generateNarration(newContent, {});
-      const narratorVoiceUrl = await storyRepository.saveGeneratedAudio(storyId, audioData.audioBuffer);
-
-      // Update story with continuation
-      const updateData = {
-        content: newContent,
-        status: StoryStatus.COMPLETED,
-        completedAt: new Date(),
-        media: {
-          ...currentStory.media,
-          narratorVoiceUrl,
-          totalDuration: audioData.duration
-        },
-        metadata: {
-          ...currentStory.metadata,
-          wordCount: this.countWords(newContent),
-          actualWordCount: this.countWords(newContent),
-          continued: true,
-          continuedAt: new Date()
+    if (!isSupportedLanguage(language)) {
+      throw new AppError(`Unsupported language. Use one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`, 400);
+    }
+
+    const sourceLanguage = story.metadata?.language || DEFAULT_LANGUAGE;
+    if (language === sourceLanguage) {
+      throw new AppError(`This story is already in ${getLanguageName(language)}`, 400);
+    }
+
+    const existingId = story.translations?.[language];
+    if (existingId && await storyRepository.getStoryById(existingId)) {
+      throw new AppError(`This story already has a ${getLanguageName(language)} translation (${existingId})`, 409);
+    }
+
+    const lengthPolicy = this.getStoryLengthPolicy(story);
+    const translation = await storyRepository.createStory({
+      userId,
+      title: 'Translating your story...',
+      content: '',
+      storyTypeId: story.storyTypeId,
+      status: StoryStatus.GENERATING,
+      characterNames: story.characterNames || [],
+      style: story.style || StoryStyle.ILLUSTRATED,
+      characterSheet: story.characterSheet || {},
+      translatedFrom: { storyId, language: sourceLanguage },
+      pendingTranslation: { sourceStoryId: storyId, requestedAt: new Date() },
+      bypassCache: bypassCache === true,
+      userInput: { ...story.userInput, language },
+      media: {
+        narratorVoiceUrl: null,
+        backgroundMusicUrl: story.media?.backgroundMusicUrl || null,
+        illustrationUrls: [],
+        voiceSettings: story.media?.voiceSettings || {}
+      },
+      metadata: {
+        language,
+        wordCount: 0,
+        maxWordLimit: lengthPolicy.wordBudget,
+        lengthPolicy,
+        readingLevel: 1,
+        estimatedReadingTime: 0,
+        isAgeAppropriate: true,
+        costOptimized: true
+      },
+      drawingImageUrl: null,
+      voiceInputUrl: null,
+      isFavorite: false,
+      isShared: false,
+      likesCount: 0,
+      tags: story.tags || []
+    });
+
+    await storyRepository.updateStory(storyId, { [`translations.${language}`]: translation.id });
+    await this.enqueueStoryJob(StoryJobType.TRANSLATE, translation.id);
+
+    return {
+      storyId: translation.id,
+      translatedFrom: storyId,
+      language,
+      status: StoryStatus.GENERATING,
+      message: 'Story translation started',
+      estimatedTime: '1-2 minutes'
+    };
+  }
+
+  /**
+   * Steps of the translation pipeline, checkpointed like story creation
+   */
+  getTranslationSteps() {
+    return [
+      {
+        name: 'translate',
+        stage: 'writing',
+        label: 'Translating the story',
+        run: async (ctx) => {
+          console.log(`🌍 Translating story from ${ctx.sourceLanguage} to ${ctx.language}...`);
+          const translation = await aiService.translateStory(
+            { title: ctx.sourceTitle, pages: ctx.sourcePages },
+            { sourceLanguage: ctx.sourceLanguage, targetLanguage: ctx.language }
+          );
+
+          return {
+            storyTitle: translation.title,
+            storyContent: translation.pages.join('\n\n'),
+            pages: ctx.sourcePages.map((page, index) => ({
+              pageNumber: page.pageNumber,
+              // The translation is narrated at once, as a single chapter
+              chapterNumber: 1,
+              text: translation.pages[index],
+              sceneDescription: page.sceneDescription || null,
+              illustrationUrl: null
+            }))
+          };
         }
-      };
+      },
+      {
+        name: 'safetyCheck',
+        stage: 'writing',
+        label: 'Checking the story',
+        run: async (ctx) => {
+          // A flagged translation is translated again; the title is checked with the text
+          let translation = { title: ctx.storyTitle, pages: ctx.pages.map(page => page.text) };
+          const { moderation } = await this.moderateGeneratedText(ctx, 'translation', `${ctx.storyTitle}\n\n${ctx.storyContent}`, async (verdict) => {
+            translation = await aiService.translateStory(
+              { title: ctx.sourceTitle, pages: ctx.sourcePages },
+              { sourceLanguage: ctx.sourceLanguage, targetLanguage: ctx.language, guidance: moderationService.getRegenerationGuidance(verdict) }
+            );
+            return `${translation.title}\n\n${translation.pages.join('\n\n')}`;
+          });
+
+          return {
+            storyTitle: translation.title,
+            storyContent: translation.pages.join('\n\n'),
+            pages: ctx.pages.map((page, index) => ({ ...page, text: translation.pages[index] })),
+            moderation
+          };
+        }
+      },
+      {
+        name: 'narration',
+        stage: 'narrating',
+        label: 'Recording the narration',
+        run: async (ctx, storyId) => {
+          // Voices are chosen again: the original ones may not speak this language
+          const narrationOptions = await this.getNarrationOptions(ctx.userId, ctx.preferences, ctx.language, ctx.characterNames);
+          const audioData = await aiService.generateNarration(ctx.storyContent, narrationOptions);
+          const narratorVoiceUrl = await storyRepository.saveGeneratedAudio(storyId, audioData.audioBuffer, {
+            contentType: audioData.contentType,
+            extension: audioData.format
+          });
+
+          return {
+            narration: {
+              narratorVoiceUrl,
+              voiceId: audioData.voiceId,
+              provider: audioData.provider,
+              format: audioData.format,
+              settings: audioData.settings || {},
+              characterVoices: audioData.characterVoices || {},
+              duration: audioData.duration,
+              timing: audioData.timing
+            }
+          };
+        }
+      },
+      {
+        name: 'illustrations',
+        stage: 'illustrating',
+        label: 'Copying the pictures',
+        run: async (ctx, storyId) => {
+          // The translation keeps its own copies so either story can be deleted
+          const pages = [];
+          for (const [index, page] of ctx.pages.entries()) {
+            const sourceUrl = ctx.sourcePages[index].illustrationUrl;
+            const illustrationUrl = sourceUrl ?
+              await storyRepository.saveIllustration(storyId, await storyRepository.downloadFile(sourceUrl), page.pageNumber - 1) :
+              null;
+            pages.push({ ...page, illustrationUrl });
+          }
+          return { pages };
+        }
+      },
+      {
+        name: 'finalize',
+        stage: 'finishing',
+        label: 'Saving your story',
+        run: async (ctx, storyId) => {
+          const currentStory = await storyRepository.getStoryById(storyId);
+          const pages = assignNarrationOffsets(ctx.pages, ctx.narration.duration, ctx.narration.timing?.words);
+
+          await storyRepository.completeGeneration(storyId, 'translation', {
+            title: ctx.storyTitle,
+            content: ctx.storyContent,
+            pages,
+            chapters: [this.buildChapter(1, { content: ctx.storyContent, pages, narration: ctx.narration })],
+            status: StoryStatus.COMPLETED,
+            completedAt: new Date(),
+            pendingTranslation: null,
+            error: null,
+            failedStep: null,
+            moderation: ctx.moderation,
+            media: {
+              ...currentStory.media,
+              narratorVoiceUrl: ctx.narration.narratorVoiceUrl,
+              narratorVoiceId: ctx.narration.voiceId,
+              narrationProvider: ctx.narration.provider,
+              narrationFormat: ctx.narration.format,
+              characterVoices: ctx.narration.characterVoices || {},
+              illustrationUrls: ctx.pages.map(page => page.illustrationUrl).filter(Boolean),
+              voiceSettings: ctx.narration.settings,
+              narrationTiming: ctx.narration.timing || null,
+              totalDuration: ctx.narration.duration
+            },
+            metadata: {
+              ...this.calculateStoryMetadata(
+                ctx.storyContent,
+                ctx.language,
+                ctx.lengthPolicy,
+                this.scoreReadability(ctx.storyContent, ctx.language)
+              ),
+              costOptimized: true,
+              actualWordCount: this.countWords(ctx.storyContent),
+              aiGenerationData: {
+                translatedAt: new Date(),
+                model: aiService.describeTask('translation').model,
+                provider: aiService.describeTask('translation').provider,
+                voiceModel: ctx.narration.provider
+              }
+            }
+          });
+          await storyVersionService.recordVersion(storyId, StoryVersionReason.TRANSLATED, ctx.userId, {
+            note: `Translated into ${getLanguageName(ctx.language)}`
+          });
+          return {};
+        }
+      }
+    ];
+  }
 
-      await storyRepository.updateStory(storyId, updateData);
-      console.log(`✅ Story ${storyId} continued successfully`);
+  /**
+   * Translation pipeline for a translated copy of a story
+   */
+  async translateStoryWithAI(storyId, input, job = null) {
+    try {
+      console.log(`🌍 Translating story into ${storyId}...`);
+
+      await storyRepository.updateStory(storyId, { status: StoryStatus.PROCESSING });
+      await storyEvents.publish(storyId, 'status', { pipeline: 'translation', status: StoryStatus.PROCESSING });
+
+      await this.runCheckpointedSteps(storyId, 'translation', this.getTranslationSteps(), { ...input });
+      await this.publishGenerationResult(storyId, 'translation');
+
+      console.log(`✅ Story ${storyId} translated successfully`);
 
     } catch (error) {
-      console.error(`❌ Story continuation failed for ${storyId}:`, error);
-      await storyRepository.updateStory(storyId, {
-        status: StoryStatus.FAILED,
-        error: error.message
-      });
+      console.error(`❌ Story translation failed for ${storyId} at step ${error.pipelineStep || 'unknown'}:`, error);
+      await this.recordGenerationFailure(storyId, 'translation', error, job);
       throw error;
     }
   }
@@ -668,6 +2456,14 @@ class StoryService {
       throw new AppError('Can only share completed stories', 400);
     }
 
+    // Making a story private is always allowed
+    if (isShared) {
+      const parentalControls = await this.getUserParentalControls(userId);
+      if (!parentalControls.allowSocialFeatures) {
+        throw new AppError('Sharing stories is turned off for your account. Ask a grown-up if you\'d like to share this one!', 403, 'SHARING_NOT_ALLOWED');
+      }
+    }
+
     // Update sharing status
     await storyRepository.updateStory(storyId, {
       isShared,
@@ -697,15 +2493,18 @@ class StoryService {
       throw new AppError('Access denied - you can only delete your own stories', 403);
     }
 
-    // Delete associated media files
+    // Delete associated media files, including those only earlier versions use
+    let versions = [];
     try {
-      if (story.media?.narratorVoiceUrl) {
-        await storyRepository.deleteFile(story.media.narratorVoiceUrl);
-      }
-      if (story.media?.illustrationUrls?.length > 0) {
-        for (const url of story.media.illustrationUrls) {
-          await storyRepository.deleteFile(url);
-        }
+      versions = await storyRepository.getStoryVersions(storyId, { withSnapshots: true });
+    } catch (error) {
+      console.warn('Failed to read the story\'s versions:', error.message);
+    }
+
+    try {
+      const mediaUrls = this.collectMediaUrls(story, ...versions.map(version => version.snapshot));
+      for (const url of mediaUrls) {
+        await storyRepository.deleteFile(url);
       }
       if (story.drawingImageUrl) {
         await storyRepository.deleteFile(story.drawingImageUrl);
@@ -717,8 +2516,21 @@ class StoryService {
       console.warn('Failed to delete some media files:', error.message);
     }
 
-    // Delete the story record
+    // Delete the story record and its history
     await storyRepository.deleteStory(storyId);
+    try {
+      await storyRepository.deleteStoryVersions(storyId);
+    } catch (error) {
+      console.warn('Failed to delete the story\'s versions:', error.message);
+    }
+
+    // A deleted translation can be made again
+    if (story.translatedFrom?.storyId) {
+      const original = await storyRepository.getStoryById(story.translatedFrom.storyId);
+      if (original?.translations?.[story.metadata?.language] === storyId) {
+        await storyRepository.updateStory(original.id, { [`translations.${story.metadata.language}`]: null });
+      }
+    }
 
     return {
       message: 'Story deleted successfully',
@@ -727,4 +2539,21 @@ class StoryService {
   }
 }
 
-module.exports = new StoryService();
\ No newline at end of file
+const storyService = new StoryService();
+
+// Background job handlers (run by workers, or in-process when Redis is unavailable)
+storyQueue.process(StoryJobType.GENERATE, (data, job) => storyService.processGenerationJob(data, job));
+storyQueue.process(StoryJobType.CONTINUE, (data, job) => storyService.processContinuationJob(data, job));
+storyQueue.process(StoryJobType.TRANSLATE, (data, job) => storyService.processTranslationJob(data, job));
+
+// A job that kept crashing its worker is given up on
+storyQueue.on('exhausted', (job) => {
+  storyRepository.updateStory(job.data.storyId, {
+    status: StoryStatus.FAILED,
+    error: 'Story generation was interrupted too many times'
+  }).catch(error => {
+    console.error(`Failed to mark story ${job.data.storyId} as failed:`, error);
+  });
+});
+
+module.exports = storyService;
\ No newline at end of file
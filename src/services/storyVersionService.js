@@ -0,0 +1,244 @@
+// src/services/storyVersionService.js
+const storyRepository = require('../repositories/storyRepository');
+const { StoryStatus, StoryVersionReason, StoryVersionFields } = require('../models/storyModels');
+const { AppError } = require('../utils/AppError');
+const { diffWords, countChangedWords } = require('../utils/textDiff');
+const { tokenize, estimateTiming } = require('../utils/narrationTiming');
+
+class StoryVersionService {
+  /**
+   * Save the story as it is now as its next version. Media files of earlier
+   * versions are kept until the story is deleted, so any version can be
+   * restored. A version that can't be saved doesn't undo the change.
+   */
+  async recordVersion(storyId, reason, createdBy, { note = null, restoredFrom = null } = {}) {
+    try {
+      return await storyRepository.createStoryVersion(storyId, (story) => this.toSnapshot(story), {
+        reason,
+        createdBy,
+        note,
+        restoredFrom
+      });
+    } catch (error) {
+      console.error(`Failed to save a version of story ${storyId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * The fields of a story a version keeps, without word timing. Timing takes
+   * more room than the rest of the story and a version has to fit in one
+   * Firestore document (1 MB); it is worked out again when the version is
+   * restored.
+   */
+  toSnapshot(story) {
+    const snapshot = {};
+    StoryVersionFields.forEach(field => {
+      if (story[field] !== undefined) snapshot[field] = story[field];
+    });
+
+    if (snapshot.media) {
+      snapshot.media = { ...snapshot.media, narrationTiming: null };
+    }
+    if (snapshot.branching?.nodes) {
+      const nodes = {};
+      Object.entries(snapshot.branching.nodes).forEach(([nodeId, node]) => {
+        nodes[nodeId] = { ...node, narration: { ...node.narration, timing: null } };
+      });
+      snapshot.branching = { ...snapshot.branching, nodes };
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Word timing for a restored version. Recordings the story still has keep
+   * their timing; the story's full recording is timed again otherwise.
+   */
+  async restoreWordTiming(story, restored) {
+    if (restored.media?.narratorVoiceUrl) {
+      let narrationTiming = null;
+      if (restored.media.narratorVoiceUrl === story.media?.narratorVoiceUrl &&
+          story.media.narrationTiming?.words?.length === tokenize(restored.content || '').length) {
+        narrationTiming = story.media.narrationTiming;
+      }
+
+      if (!narrationTiming) {
+        const format = restored.media.narrationFormat;
+        let audioBuffer = null;
+        if (format === 'wav') {
+          try {
+            audioBuffer = await storyRepository.downloadFile(restored.media.narratorVoiceUrl);
+          } catch (error) {
+            console.warn(`Failed to download the recording of story ${story.id} to time its words:`, error.message);
+          }
+        }
+        narrationTiming = estimateTiming(restored.content || '', restored.media.totalDuration || 0, { audioBuffer, format });
+      }
+
+      restored.media = { ...restored.media, narrationTiming };
+    }
+
+    if (restored.branching?.nodes) {
+      const nodes = {};
+      Object.entries(restored.branching.nodes).forEach(([nodeId, node]) => {
+        const current = story.branching?.nodes?.[nodeId]?.narration;
+        nodes[nodeId] = current?.url === node.narration.url ?
+          { ...node, narration: { ...node.narration, timing: current.timing || null } } :
+          node;
+      });
+      restored.branching = { ...restored.branching, nodes };
+    }
+
+    return restored;
+  }
+
+  /**
+   * Stories from before version history get their current state saved as a
+   * first version before it is changed
+   */
+  async ensureBaselineVersion(story) {
+    if (!story.currentVersion && story.content) {
+      await this.recordVersion(story.id, StoryVersionReason.BASELINE, story.userId, {
+        note: 'Saved before the first change tracked in the story\'s history'
+      });
+    }
+  }
+
+  /**
+   * A story its owner can see the history of
+   */
+  async getOwnStoryForVersions(storyId, userId) {
+    const story = await storyRepository.getStoryById(storyId);
+
+    if (!story) {
+      throw new AppError('Story not found', 404);
+    }
+
+    if (story.userId !== userId) {
+      throw new AppError('Access denied - you can only see the history of your own stories', 403);
+    }
+
+    return story;
+  }
+
+  async getStoryVersionOrThrow(storyId, versionNumber) {
+    const version = await storyRepository.getStoryVersion(storyId, versionNumber);
+
+    if (!version) {
+      throw new AppError(`Version ${versionNumber} of this story not found`, 404);
+    }
+
+    return version;
+  }
+
+  /**
+   * Saved versions of a story, newest first, without their contents
+   */
+  async getVersions(storyId, userId) {
+    const story = await this.getOwnStoryForVersions(storyId, userId);
+    const versions = await storyRepository.getStoryVersions(storyId);
+
+    return {
+      storyId,
+      currentVersion: story.currentVersion || null,
+      versions
+    };
+  }
+
+  /**
+   * One saved version of a story, with its contents
+   */
+  async getVersion(storyId, userId, versionNumber) {
+    const story = await this.getOwnStoryForVersions(storyId, userId);
+    const version = await this.getStoryVersionOrThrow(storyId, versionNumber);
+
+    return {
+      storyId,
+      isCurrent: version.versionNumber === story.currentVersion,
+      ...version
+    };
+  }
+
+  /**
+   * What changed between two versions of a story: a word-level diff of the
+   * text, and which chapters, pages, pictures and narration differ. `to`
+   * defaults to the current version.
+   */
+  async compareVersions(storyId, userId, fromVersion, toVersion = null) {
+    const story = await this.getOwnStoryForVersions(storyId, userId);
+    const to = toVersion || story.currentVersion;
+
+    if (!to) {
+      throw new AppError('This story has no saved versions yet', 404);
+    }
+
+    const [from, target] = await Promise.all([
+      this.getStoryVersionOrThrow(storyId, fromVersion),
+      this.getStoryVersionOrThrow(storyId, to)
+    ]);
+
+    const before = from.snapshot || {};
+    const after = target.snapshot || {};
+    const contentDiff = diffWords(before.content, after.content);
+    const illustrationsBefore = before.media?.illustrationUrls || [];
+    const illustrationsAfter = after.media?.illustrationUrls || [];
+
+    return {
+      storyId,
+      from: { versionNumber: from.versionNumber, reason: from.reason, createdAt: from.createdAt, ...from.summary },
+      to: { versionNumber: target.versionNumber, reason: target.reason, createdAt: target.createdAt, ...target.summary },
+      changes: {
+        title: before.title !== after.title ? { from: before.title || null, to: after.title || null } : null,
+        wordCount: (after.metadata?.wordCount || 0) - (before.metadata?.wordCount || 0),
+        chapters: (target.summary?.chapterCount || 0) - (from.summary?.chapterCount || 0),
+        pages: (target.summary?.pageCount || 0) - (from.summary?.pageCount || 0),
+        narrationChanged: (before.media?.narratorVoiceUrl || null) !== (after.media?.narratorVoiceUrl || null),
+        illustrations: {
+          added: illustrationsAfter.filter(url => !illustrationsBefore.includes(url)).length,
+          removed: illustrationsBefore.filter(url => !illustrationsAfter.includes(url)).length
+        },
+        ...countChangedWords(contentDiff)
+      },
+      contentDiff
+    };
+  }
+
+  /**
+   * Put a story back as it was in an earlier version, text and media alike.
+   * Restoring is itself saved as a new version, so it can be undone the same way.
+   */
+  async restoreVersion(storyId, userId, versionNumber) {
+    const story = await this.getOwnStoryForVersions(storyId, userId);
+
+    if (story.status !== StoryStatus.COMPLETED) {
+      throw new AppError('Only completed stories can be restored to an earlier version', 400);
+    }
+
+    const version = await this.getStoryVersionOrThrow(storyId, versionNumber);
+
+    if (version.versionNumber === story.currentVersion) {
+      throw new AppError(`Version ${versionNumber} is already the current version`, 400);
+    }
+
+    const updateData = { updatedAt: new Date() };
+    StoryVersionFields.forEach(field => {
+      updateData[field] = version.snapshot?.[field] !== undefined ? version.snapshot[field] : null;
+    });
+
+    await storyRepository.updateStory(storyId, await this.restoreWordTiming(story, updateData));
+    const restored = await this.recordVersion(storyId, StoryVersionReason.RESTORED, userId, {
+      note: `Restored version ${version.versionNumber}`,
+      restoredFrom: version.versionNumber
+    });
+
+    return {
+      message: `Story restored to version ${version.versionNumber}`,
+      storyId,
+      restoredFrom: version.versionNumber,
+      versionNumber: restored?.versionNumber || null
+    };
+  }
+}
+
+module.exports = new StoryVersionService();
@@ -0,0 +1,221 @@
+// src/services/usageService.js
+const redis = require('../config/redis');
+const usageConfig = require('../config/usage');
+const usageRepository = require('../repositories/usageRepository');
+const { getLocalTime, subtractDays } = require('../utils/localTime');
+const logger = require('../utils/logger');
+
+// Mark minutes of a day as active and count them. Minutes past the limit are
+// not recorded while blocking, so requests that were refused don't add usage.
+// KEYS: minute bitmap, activity hash. ARGV: activity, ttl, limit (0 = none),
+// block (1/0), minutes... Returns { total minutes, newly recorded minutes }.
+const RECORD_MINUTES_SCRIPT = `
+local limit = tonumber(ARGV[3])
+local count = redis.call('BITCOUNT', KEYS[1])
+local added = 0
+for i = 5, #ARGV do
+  if limit > 0 and ARGV[4] == '1' and count >= limit then
+    break
+  end
+  if redis.call('SETBIT', KEYS[1], ARGV[i], 1) == 0 then
+    added = added + 1
+    count = count + 1
+  end
+end
+if added > 0 then
+  redis.call('HINCRBY', KEYS[2], ARGV[1], added)
+end
+redis.call('EXPIRE', KEYS[1], ARGV[2])
+redis.call('EXPIRE', KEYS[2], ARGV[2])
+return { count, added }
+`;
+
+/**
+ * Daily screen time per user.
+ *
+ * Time is counted in active minutes of the user's day (in their parental
+ * controls' time zone): API requests and playback heartbeats mark the minute
+ * they happen in, so listening while the app polls counts once. Today's minutes
+ * are kept in Redis (in-process when Redis is unavailable) and every day's
+ * total is saved to Firestore for the parent's history.
+ */
+class UsageService {
+  constructor() {
+    this.settingsCache = new Map();
+    this.localDays = new Map(); // userId -> { date, active minutes }
+  }
+
+  /**
+   * Limit settings of a user: { limitMinutes, limitAction, timezone }, cached briefly
+   */
+  async getSettings(userId) {
+    const cached = this.settingsCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.settings;
+    }
+
+    const controls = (await usageRepository.getParentalControls(userId)) || {};
+    const settings = {
+      limitMinutes: controls.maxDailyUsageMinutes || null,
+      limitAction: usageConfig.DAILY_LIMIT_ACTIONS.includes(controls.dailyLimitAction) ? controls.dailyLimitAction : 'block',
+      timezone: controls.timezone || 'UTC'
+    };
+
+    this.settingsCache.set(userId, { settings, expiresAt: Date.now() + usageConfig.settingsCacheMs });
+    return settings;
+  }
+
+  /**
+   * Drop cached settings after the parent changes them
+   */
+  forgetSettings(userId) {
+    this.settingsCache.delete(userId);
+  }
+
+  /**
+   * Record activity of a user, counting the minutes of the last `seconds`
+   * (the current minute only by default). Returns the usage status for today.
+   */
+  async recordActivity(userId, activity, { seconds = 0, at = new Date() } = {}) {
+    const settings = await this.getSettings(userId);
+    const { date, minute } = getLocalTime(at, settings.timezone);
+
+    // Minutes of today covered by the reported stretch
+    const span = Math.min(Math.max(0, Math.round(seconds)), usageConfig.maxHeartbeatSeconds);
+    const minutes = [minute];
+    for (let offset = 60; offset <= span; offset += 60) {
+      const earlier = getLocalTime(new Date(at.getTime() - offset * 1000), settings.timezone);
+      if (earlier.date === date && !minutes.includes(earlier.minute)) minutes.push(earlier.minute);
+    }
+
+    const block = settings.limitAction === 'block';
+    const { total, added } = await this.recordMinutes(userId, date, activity, minutes, settings.limitMinutes, block);
+
+    const status = this.buildStatus(date, total, settings);
+
+    if (added > 0) {
+      const crossedLimit = !!settings.limitMinutes && total >= settings.limitMinutes && total - added < settings.limitMinutes;
+      usageRepository.recordMinutes(userId, date, {
+        minutes: total,
+        activity,
+        addedMinutes: added,
+        limitMinutes: settings.limitMinutes,
+        limitReached: crossedLimit
+      }).catch(error => logger.error(`Failed to save usage for ${userId}:`, error.message));
+    }
+
+    return status;
+  }
+
+  /**
+   * Today's usage of a user, without recording anything
+   */
+  async getTodayStatus(userId) {
+    const settings = await this.getSettings(userId);
+    const { date } = getLocalTime(new Date(), settings.timezone);
+    const { total } = await this.recordMinutes(userId, date, 'api', [], settings.limitMinutes, true);
+    return this.buildStatus(date, total, settings);
+  }
+
+  async recordMinutes(userId, date, activity, minutes, limitMinutes, block) {
+    const client = redis.getClient();
+
+    if (client && redis.isConnected()) {
+      try {
+        const [total, added] = await client.eval(RECORD_MINUTES_SCRIPT, {
+          keys: [`usage:${userId}:${date}:minutes`, `usage:${userId}:${date}:activities`],
+          arguments: [
+            activity,
+            String(usageConfig.redisTtlSeconds),
+            String(limitMinutes || 0),
+            block ? '1' : '0',
+            ...minutes.map(String)
+          ]
+        });
+        return { total: Number(total), added: Number(added) };
+      } catch (error) {
+        logger.error('Redis usage metering failed, counting in-process:', error.message);
+      }
+    }
+
+    return this.recordMinutesLocally(userId, date, minutes, limitMinutes, block);
+  }
+
+  /**
+   * In-process fallback for one server: each user's minutes of their own
+   * today. A user's earlier day is dropped when their next one starts, so
+   * users in other time zones keep their counts.
+   */
+  recordMinutesLocally(userId, date, minutes, limitMinutes, block) {
+    let day = this.localDays.get(userId);
+    if (!day || day.date !== date) {
+      day = { date, active: new Set() };
+      this.localDays.set(userId, day);
+    }
+
+    const { active } = day;
+    let added = 0;
+    for (const minute of minutes) {
+      if (limitMinutes && block && active.size >= limitMinutes) break;
+      if (!active.has(minute)) {
+        active.add(minute);
+        added++;
+      }
+    }
+
+    return { total: active.size, added };
+  }
+
+  buildStatus(date, minutesUsed, settings) {
+    const { limitMinutes, limitAction, timezone } = settings;
+    const remainingMinutes = limitMinutes ? Math.max(0, limitMinutes - minutesUsed) : null;
+    const limitReached = !!limitMinutes && minutesUsed >= limitMinutes;
+
+    let warning = null;
+    if (limitReached) {
+      warning = 'limit-reached';
+    } else if (limitMinutes && remainingMinutes <= usageConfig.warningMinutes) {
+      warning = 'limit-near';
+    }
+
+    return { date, timezone, minutesUsed, limitMinutes, remainingMinutes, limitReached, limitAction, warning };
+  }
+
+  /**
+   * Daily totals of the last `days` days, newest first, with today's live status
+   */
+  async getUsageHistory(userId, days = 7) {
+    const settings = await this.getSettings(userId);
+    const today = await this.getTodayStatus(userId);
+    const dayCount = Math.min(Math.max(1, days), usageConfig.maxHistoryDays);
+
+    const dates = Array.from({ length: dayCount }, (_, index) => subtractDays(today.date, index));
+    const records = await usageRepository.getDays(userId, dates);
+
+    const history = dates.map((date, index) => {
+      const record = records[index];
+      const minutes = date === today.date ? Math.max(today.minutesUsed, record?.minutes || 0) : record?.minutes || 0;
+      const limitMinutes = date === today.date ? settings.limitMinutes : record?.limitMinutes || null;
+
+      return {
+        date,
+        minutes,
+        byActivity: record?.byActivity || {},
+        limitMinutes,
+        limitReached: !!limitMinutes && minutes >= limitMinutes,
+        limitReachedAt: record?.limitReachedAt?.toDate?.() || record?.limitReachedAt || null
+      };
+    });
+
+    return {
+      timezone: settings.timezone,
+      limitMinutes: settings.limitMinutes,
+      limitAction: settings.limitAction,
+      today,
+      days: history,
+      totalMinutes: history.reduce((sum, day) => sum + day.minutes, 0)
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -1,7 +1,8 @@
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code) {
     super(message);
     this.statusCode = statusCode;
+    if (code) this.code = code; // Machine-readable reason, e.g. GENRE_NOT_ALLOWED
     this.isOperational = true;
     
     Error.captureStackTrace(this, this.constructor);
@@ -0,0 +1,21 @@
+// src/utils/aiUsageContext.js
+// What an AI provider call is made for (story, user, pipeline step), carried
+// through async calls so the cost ledger can attribute calls made deep inside
+// aiService without passing the story through every method.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with calls attributed to `context` ({ storyId, userId, pipeline, step }),
+ * added to any context it runs in
+ */
+const runWithAIUsageContext = (context, fn) => storage.run({ ...(storage.getStore() || {}), ...context }, fn);
+
+const getAIUsageContext = () => storage.getStore() || {};
+
+module.exports = {
+  runWithAIUsageContext,
+  getAIUsageContext
+};
@@ -0,0 +1,235 @@
+// src/utils/audio.js
+// Helpers for the audio formats our TTS providers produce (MP3 and PCM WAV)
+
+const MP3_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+const AUDIO_FORMATS = {
+  mp3: { contentType: 'audio/mpeg', extension: 'mp3' },
+  wav: { contentType: 'audio/wav', extension: 'wav' }
+};
+
+/**
+ * Build a PCM WAV file from raw samples
+ */
+const createWavBuffer = (pcmData, { sampleRate = 22050, channels = 1, bitsPerSample = 16 } = {}) => {
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcmData.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcmData.length, 40);
+
+  return Buffer.concat([header, pcmData]);
+};
+
+/**
+ * Read the format and data location of a PCM WAV file
+ */
+const parseWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let offset = 12;
+  let format = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        byteRate: buffer.readUInt32LE(chunkStart + 8),
+        blockAlign: buffer.readUInt16LE(chunkStart + 12),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) throw new Error('WAV data chunk before fmt chunk');
+
+      // Streaming encoders may leave the size unset; use what is actually there
+      const dataLength = Math.min(chunkSize, buffer.length - chunkStart);
+      return {
+        ...format,
+        dataOffset: chunkStart,
+        dataLength,
+        duration: dataLength / format.byteRate
+      };
+    }
+
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no data chunk');
+};
+
+/**
+ * Locate every MPEG audio frame in an MP3 buffer
+ */
+const parseMp3Frames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  // Skip an ID3v2 tag
+  if (buffer.length > 10 && buffer.toString('ascii', 0, 3) === 'ID3') {
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    offset = 10 + size;
+  }
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+      offset++;
+      continue;
+    }
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+
+    const version = { 0: 2.5, 2: 2, 3: 1 }[versionBits];
+    const layer = { 1: 3, 2: 2, 3: 1 }[layerBits];
+
+    if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      offset++;
+      continue;
+    }
+
+    const bitrate = MP3_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+
+    let samples;
+    let length;
+    if (layer === 1) {
+      samples = 384;
+      length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+    } else {
+      samples = layer === 3 && version !== 1 ? 576 : 1152;
+      length = Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+    }
+
+    if (length <= 0 || offset + length > buffer.length) break;
+
+    frames.push({ offset, length, duration: samples / sampleRate });
+    offset += length;
+  }
+
+  return frames;
+};
+
+/**
+ * Real playback duration of an audio buffer in seconds
+ */
+const getAudioDuration = (buffer, format) => {
+  if (format === 'wav') {
+    return parseWav(buffer).duration;
+  }
+
+  if (format === 'mp3') {
+    return parseMp3Frames(buffer).reduce((total, frame) => total + frame.duration, 0);
+  }
+
+  throw new Error(`Unsupported audio format: ${format}`);
+};
+
+/**
+ * Silent PCM WAV of the given duration
+ */
+const createSilentWav = (durationSeconds, { sampleRate = 16000 } = {}) => {
+  const samples = Math.round(durationSeconds * sampleRate);
+  return createWavBuffer(Buffer.alloc(samples * 2), { sampleRate, channels: 1, bitsPerSample: 16 });
+};
+
+/**
+ * Join audio clips of the same format into one, in order. WAV clips must share
+ * their sample rate, channels and sample size.
+ */
+const concatAudio = (buffers, format) => {
+  if (buffers.length === 1) return buffers[0];
+
+  if (format === 'wav') {
+    const clips = buffers.map(buffer => ({ buffer, wav: parseWav(buffer) }));
+    const { sampleRate, channels, bitsPerSample } = clips[0].wav;
+
+    if (clips.some(({ wav }) => wav.sampleRate !== sampleRate || wav.channels !== channels || wav.bitsPerSample !== bitsPerSample)) {
+      throw new Error('Cannot join WAV clips with different sample formats');
+    }
+
+    const pcmData = Buffer.concat(clips.map(({ buffer, wav }) => buffer.subarray(wav.dataOffset, wav.dataOffset + wav.dataLength)));
+    return createWavBuffer(pcmData, { sampleRate, channels, bitsPerSample });
+  }
+
+  if (format === 'mp3') {
+    // Keep only the audio frames so ID3 tags don't end up in the middle of the file
+    return Buffer.concat(buffers.flatMap(buffer =>
+      parseMp3Frames(buffer).map(frame => buffer.subarray(frame.offset, frame.offset + frame.length))
+    ));
+  }
+
+  throw new Error(`Unsupported audio format: ${format}`);
+};
+
+/**
+ * The part of an audio buffer from `start` to `end` seconds. MP3 is cut at
+ * frame boundaries (frames starting in the range), WAV at sample boundaries.
+ */
+const sliceAudio = (buffer, format, start, end) => {
+  if (format === 'wav') {
+    const wav = parseWav(buffer);
+    const toByte = (seconds) => Math.min(
+      wav.dataLength,
+      Math.max(0, Math.round(seconds * wav.sampleRate) * wav.blockAlign)
+    );
+    const data = buffer.subarray(wav.dataOffset + toByte(start), wav.dataOffset + toByte(end));
+    return createWavBuffer(data, { sampleRate: wav.sampleRate, channels: wav.channels, bitsPerSample: wav.bitsPerSample });
+  }
+
+  if (format === 'mp3') {
+    let time = 0;
+    const frames = parseMp3Frames(buffer).filter(frame => {
+      const frameStart = time;
+      time += frame.duration;
+      return frameStart >= start - frame.duration / 2 && frameStart < end - frame.duration / 2;
+    });
+    return Buffer.concat(frames.map(frame => buffer.subarray(frame.offset, frame.offset + frame.length)));
+  }
+
+  throw new Error(`Unsupported audio format: ${format}`);
+};
+
+module.exports = {
+  AUDIO_FORMATS,
+  createWavBuffer,
+  parseWav,
+  parseMp3Frames,
+  getAudioDuration,
+  createSilentWav,
+  concatAudio,
+  sliceAudio
+};
@@ -0,0 +1,134 @@
+// src/utils/dialogue.js
+// Splitting story text into narrator and character lines for multi-voice narration
+
+// Double quotes, or single quotes that open before a word and close after
+// punctuation (so apostrophes in "you're" or "the kids' toys" don't count)
+const QUOTE_PATTERN = /“[^”]*”|"[^"]*"|(?<![\p{L}\p{N}])['‘](?=\S)[^\n]*?[.,!?;:]['’](?![\p{L}\p{N}])/gu;
+
+// How far around a quote to look for the name of the speaker
+const ATTRIBUTION_WINDOW = 80;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The character named closest to `position` in `text`, if any.
+ * `fromEnd` prefers names near the end of the text instead of the start.
+ */
+const findNamedCharacter = (text, characterNames, fromEnd = false) => {
+  let best = null;
+
+  characterNames.forEach(name => {
+    const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(name)}(?![\\p{L}])`, 'giu');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const index = match.index + match[1].length;
+      const distance = fromEnd ? text.length - (index + name.length) : index;
+      if (!best || distance < best.distance) best = { name, distance };
+    }
+  });
+
+  return best ? best.name : null;
+};
+
+/**
+ * The narration between a quote and the previous/next quote or paragraph
+ * break, limited to the sentence touching the quote, and all narration of
+ * the quote's paragraph before it
+ */
+const surroundingNarration = (text, quotes, index) => {
+  const quote = quotes[index];
+  const previousEnd = index > 0 ? quotes[index - 1].end : 0;
+  const nextStart = index < quotes.length - 1 ? quotes[index + 1].start : text.length;
+
+  const paragraph = text.slice(previousEnd, quote.start).split(/\n\s*\n/).pop();
+  const before = paragraph.slice(-ATTRIBUTION_WINDOW).split(/[.!?]\s+/).pop();
+
+  // Narration of the paragraph so far, leaving out what was said in it
+  const paragraphStart = quote.start - text.slice(0, quote.start).split(/\n\s*\n/).pop().length;
+  const narration = quotes.slice(0, index)
+    .filter(earlier => earlier.start >= paragraphStart)
+    .reduceRight((narrated, earlier) =>
+      `${narrated.slice(0, earlier.start - paragraphStart)} ${narrated.slice(earlier.end - paragraphStart)}`,
+    text.slice(paragraphStart, quote.start));
+  const after = text.slice(quote.end, Math.min(nextStart, quote.end + ATTRIBUTION_WINDOW))
+    .split(/\n\s*\n/)[0]
+    .split(/[.!?](\s+|$)/)[0];
+
+  return { narration, before, after, newParagraph: /\n\s*\n/.test(text.slice(previousEnd, quote.start)) };
+};
+
+/**
+ * Split text into segments of narration and character dialogue:
+ * [{ character: name | null, text }], where null is the narrator.
+ *
+ * A quote is given to the character named in the sentence around it
+ * ("...," said Luna / Luna whispered, "..."). One followed by "she said" goes to
+ * the character last named in the paragraph's narration; another unattributed
+ * quote continues the previous speaker within a paragraph, and anything else
+ * is read by the narrator.
+ * Segments always start and end between words, so joining their texts with
+ * spaces gives the same words as the original text.
+ */
+const splitDialogue = (text, characterNames = []) => {
+  const names = characterNames.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim());
+  const quotes = [];
+  let match;
+
+  QUOTE_PATTERN.lastIndex = 0;
+  while ((match = QUOTE_PATTERN.exec(text)) !== null) {
+    // Widen to whole words so punctuation next to the quote stays with it
+    let start = match.index;
+    let end = match.index + match[0].length;
+    while (start > 0 && !/\s/.test(text[start - 1])) start--;
+    while (end < text.length && !/\s/.test(text[end])) end++;
+
+    if (quotes.length > 0 && start < quotes[quotes.length - 1].end) continue;
+    quotes.push({ start, end });
+  }
+
+  let previousSpeaker = null;
+  quotes.forEach((quote, index) => {
+    const { narration, before, after, newParagraph } = surroundingNarration(text, quotes, index);
+    if (newParagraph) previousSpeaker = null;
+
+    // "Hi," said Luna / "Hi!" she said: the sentence carries on after the quote
+    const quoteText = text.slice(quote.start, quote.end);
+    const continuesAfter = /,['"”’)]*$/.test(quoteText) || /^\s*\p{Ll}/u.test(after);
+
+    quote.character = (continuesAfter && findNamedCharacter(after, names)) ||
+      findNamedCharacter(before, names, true) ||
+      findNamedCharacter(after, names) ||
+      // "...," she said: the character last named in the paragraph
+      (continuesAfter && findNamedCharacter(narration, names, true)) ||
+      previousSpeaker ||
+      null;
+    previousSpeaker = quote.character;
+  });
+
+  const segments = [];
+  const addSegment = (character, segmentText) => {
+    const trimmed = segmentText.trim();
+    if (!trimmed) return;
+
+    const last = segments[segments.length - 1];
+    if (last && last.character === character) {
+      last.text += ` ${trimmed}`;
+    } else {
+      segments.push({ character, text: trimmed });
+    }
+  };
+
+  let position = 0;
+  quotes.forEach(quote => {
+    addSegment(null, text.slice(position, quote.start));
+    addSegment(quote.character, text.slice(quote.start, quote.end));
+    position = quote.end;
+  });
+  addSegment(null, text.slice(position));
+
+  return segments;
+};
+
+module.exports = {
+  splitDialogue
+};
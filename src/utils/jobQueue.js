@@ -0,0 +1,323 @@
+// src/utils/jobQueue.js
+const EventEmitter = require('events');
+const redis = require('../config/redis');
+const logger = require('./logger');
+
+// Atomically move the oldest waiting job into the active set with its visibility deadline
+const RESERVE_SCRIPT = `
+local jobId = redis.call('RPOP', KEYS[1])
+if not jobId then
+  return nil
+end
+redis.call('ZADD', KEYS[2], ARGV[1], jobId)
+return jobId
+`;
+
+// Put jobs whose visibility deadline has passed back at the front of the waiting list
+const REQUEUE_EXPIRED_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 100)
+for _, jobId in ipairs(expired) do
+  redis.call('ZREM', KEYS[1], jobId)
+  redis.call('RPUSH', KEYS[2], jobId)
+end
+return #expired
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+/**
+ * Durable job queue backed by Redis.
+ *
+ * Jobs live in a hash keyed by job ID. IDs move from the waiting list into an
+ * active sorted set (scored by visibility deadline) when a worker reserves them,
+ * and are removed on ack. A worker that dies mid-job stops extending the
+ * deadline, so the job is requeued for another worker once it expires.
+ *
+ * A job whose handler throws goes back to the waiting list until it has been
+ * tried maxAttempts times, then moves to the failed list. Handlers can throw
+ * an error with `retryable: false` to fail the job straight away.
+ *
+ * When Redis is unavailable, jobs are run once in-process so the API keeps working.
+ *
+ * Events: 'completed' (job), 'retrying' (job, error), 'failed' (job, error), 'exhausted' (job)
+ */
+class JobQueue extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.visibilityTimeoutMs = options.visibilityTimeoutMs || 5 * 60 * 1000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.handlers = new Map();
+    this.running = false;
+    this.activeJobs = new Set();
+    this.keys = {
+      jobs: `queue:${name}:jobs`,
+      waiting: `queue:${name}:waiting`,
+      active: `queue:${name}:active`,
+      failed: `queue:${name}:failed`
+    };
+  }
+
+  /**
+   * Register the handler for a job type
+   */
+  process(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Whether jobs can currently be persisted to Redis
+   */
+  isDurable() {
+    return !!(redis.getClient() && redis.isConnected());
+  }
+
+  /**
+   * Whether a job that failed with this error will be run again
+   */
+  willRetry(job, error) {
+    return !!job && job.attempts > 0 && job.attempts < job.maxAttempts && error?.retryable !== false && this.isDurable();
+  }
+
+  /**
+   * Add a job to the queue. A job with the same ID that is still waiting or
+   * active is not enqueued twice.
+   */
+  async enqueue(type, data, { jobId } = {}) {
+    const job = {
+      id: jobId || `${type}:${Date.now()}:${Math.random().toString(36).slice(2, 10)}`,
+      type,
+      data,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      enqueuedAt: new Date().toISOString()
+    };
+
+    if (!this.isDurable()) {
+      logger.warn(`Queue ${this.name}: Redis not available, running job ${job.id} in-process`);
+      setImmediate(() => this._execute(job));
+      return { jobId: job.id, queued: true, durable: false };
+    }
+
+    const client = redis.getClient();
+    const created = await client.hSetNX(this.keys.jobs, job.id, JSON.stringify(job));
+
+    if (!created) {
+      logger.info(`Queue ${this.name}: job ${job.id} is already queued`);
+      return { jobId: job.id, queued: false, durable: true };
+    }
+
+    await client.lPush(this.keys.waiting, job.id);
+    logger.info(`Queue ${this.name}: enqueued job ${job.id}`);
+
+    return { jobId: job.id, queued: true, durable: true };
+  }
+
+  /**
+   * Reserve the next waiting job for this worker
+   */
+  async reserve() {
+    const client = redis.getClient();
+    const deadline = Date.now() + this.visibilityTimeoutMs;
+
+    const jobId = await client.eval(RESERVE_SCRIPT, {
+      keys: [this.keys.waiting, this.keys.active],
+      arguments: [deadline.toString()]
+    });
+
+    if (!jobId) return null;
+
+    const raw = await client.hGet(this.keys.jobs, jobId);
+    if (!raw) {
+      // Job data was removed (acked elsewhere) - drop the dangling ID
+      await client.zRem(this.keys.active, jobId);
+      return null;
+    }
+
+    const job = JSON.parse(raw);
+    job.attempts += 1;
+
+    if (job.attempts > job.maxAttempts) {
+      logger.error(`Queue ${this.name}: job ${job.id} exceeded ${job.maxAttempts} attempts`);
+      await this._deadLetter(job, 'Maximum attempts exceeded');
+      this.emit('exhausted', job);
+      return null;
+    }
+
+    await client.hSet(this.keys.jobs, job.id, JSON.stringify(job));
+    return job;
+  }
+
+  /**
+   * Push the visibility deadline of an active job forward
+   */
+  async extend(jobId) {
+    const client = redis.getClient();
+    await client.zAdd(
+      this.keys.active,
+      { score: Date.now() + this.visibilityTimeoutMs, value: jobId },
+      { condition: 'XX' }
+    );
+  }
+
+  /**
+   * Mark a job as done and remove it
+   */
+  async ack(jobId) {
+    const client = redis.getClient();
+    await client.zRem(this.keys.active, jobId);
+    await client.hDel(this.keys.jobs, jobId);
+  }
+
+  /**
+   * Requeue jobs whose workers stopped extending their visibility deadline
+   */
+  async requeueExpired() {
+    const client = redis.getClient();
+    const count = await client.eval(REQUEUE_EXPIRED_SCRIPT, {
+      keys: [this.keys.active, this.keys.waiting],
+      arguments: [Date.now().toString()]
+    });
+
+    if (count > 0) {
+      logger.warn(`Queue ${this.name}: requeued ${count} expired job(s)`);
+    }
+    return count;
+  }
+
+  /**
+   * Get queue sizes
+   */
+  async getStats() {
+    if (!this.isDurable()) {
+      return { durable: false, active: this.activeJobs.size };
+    }
+
+    const client = redis.getClient();
+    const [waiting, active, failed] = await Promise.all([
+      client.lLen(this.keys.waiting),
+      client.zCard(this.keys.active),
+      client.lLen(this.keys.failed)
+    ]);
+
+    return { durable: true, waiting, active, failed };
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start({ concurrency = 1 } = {}) {
+    if (this.running) return;
+    this.running = true;
+
+    for (let i = 0; i < concurrency; i++) {
+      this._poll();
+    }
+
+    this.reaperTimer = setInterval(() => {
+      if (!this.isDurable()) return;
+      this.requeueExpired().catch(error => {
+        logger.error(`Queue ${this.name}: failed to requeue expired jobs`, error);
+      });
+    }, Math.max(this.visibilityTimeoutMs / 2, 1000));
+    this.reaperTimer.unref();
+
+    logger.info(`Queue ${this.name}: worker started with concurrency ${concurrency}`);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.reaperTimer);
+
+    while (this.activeJobs.size > 0) {
+      await sleep(100);
+    }
+
+    logger.info(`Queue ${this.name}: worker stopped`);
+  }
+
+  async _poll() {
+    while (this.running) {
+      let job = null;
+
+      try {
+        if (this.isDurable()) {
+          job = await this.reserve();
+        }
+      } catch (error) {
+        logger.error(`Queue ${this.name}: failed to reserve job`, error);
+      }
+
+      if (!job) {
+        await sleep(this.pollIntervalMs);
+        continue;
+      }
+
+      await this._execute(job);
+    }
+  }
+
+  async _execute(job) {
+    const handler = this.handlers.get(job.type);
+    const durable = this.isDurable() && job.attempts > 0;
+
+    if (!handler) {
+      logger.error(`Queue ${this.name}: no handler registered for job type ${job.type}`);
+      if (durable) await this._deadLetter(job, `No handler for ${job.type}`);
+      return;
+    }
+
+    this.activeJobs.add(job.id);
+
+    // Keep the job invisible to other workers while we are alive
+    const heartbeat = durable ? setInterval(() => {
+      this.extend(job.id).catch(error => {
+        logger.error(`Queue ${this.name}: failed to extend job ${job.id}`, error);
+      });
+    }, Math.max(this.visibilityTimeoutMs / 3, 500)) : null;
+    if (heartbeat) heartbeat.unref();
+
+    try {
+      await handler(job.data, job);
+      if (durable) await this.ack(job.id);
+      this.emit('completed', job);
+    } catch (error) {
+      if (durable && this.willRetry(job, error)) {
+        logger.warn(`Queue ${this.name}: job ${job.id} failed on attempt ${job.attempts} of ${job.maxAttempts}, retrying: ${error.message}`);
+        await this._retry(job, error.message);
+        this.emit('retrying', job, error);
+      } else {
+        logger.error(`Queue ${this.name}: job ${job.id} failed`, error);
+        if (durable) await this._deadLetter(job, error.message);
+        this.emit('failed', job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(job.id);
+    }
+  }
+
+  async _retry(job, reason) {
+    const client = redis.getClient();
+    await client.hSet(this.keys.jobs, job.id, JSON.stringify({ ...job, lastError: reason }));
+    await client.zRem(this.keys.active, job.id);
+    await client.lPush(this.keys.waiting, job.id);
+  }
+
+  async _deadLetter(job, reason) {
+    const client = redis.getClient();
+    await client.lPush(this.keys.failed, JSON.stringify({
+      ...job,
+      failedAt: new Date().toISOString(),
+      reason
+    }));
+    await client.lTrim(this.keys.failed, 0, 999);
+    await this.ack(job.id);
+  }
+}
+
+module.exports = { JobQueue };
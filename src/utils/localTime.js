@@ -0,0 +1,51 @@
+// src/utils/localTime.js
+// Calendar dates and minutes in a user's time zone, so daily limits reset at
+// the user's midnight rather than the server's.
+
+const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Local date (YYYY-MM-DD) and minute of the day (0-1439) of a moment in a time zone
+ */
+const getLocalTime = (at = new Date(), timeZone = 'UTC') => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minute: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+/**
+ * The date `days` days before a YYYY-MM-DD date
+ */
+const subtractDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - days);
+  return day.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  isValidTimezone,
+  getLocalTime,
+  subtractDays
+};
@@ -0,0 +1,237 @@
+// src/utils/narrationTiming.js
+// Word and sentence timestamps for narration audio, used by the reader to
+// highlight words as they are spoken.
+//
+// Timing comes from the TTS provider's character alignment when it returns one.
+// Otherwise it is estimated: pauses are found in the audio (for PCM WAV), sentence
+// ends are snapped to the nearest pause, and each sentence's time is shared
+// between its words by their length.
+
+const { parseWav } = require('./audio');
+
+const WINDOW_SECONDS = 0.02;
+const MIN_PAUSE_SECONDS = 0.15;
+const SNAP_TOLERANCE_SECONDS = 0.6;
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Whitespace-separated words of a text with their character offsets
+ */
+const tokenize = (text) => {
+  const words = [];
+  const pattern = /\S+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({ text: match[0], charStart: match.index, charEnd: match.index + match[0].length });
+  }
+  return words;
+};
+
+const endsSentence = (word) => /[.!?]['"”’)]*$/.test(word);
+
+/**
+ * Relative time a word takes to say: its letters plus a pause after punctuation
+ */
+const wordWeight = (word) => {
+  const letters = word.replace(/[^\p{L}\p{N}]/gu, '').length;
+  let weight = Math.max(letters, 2);
+  if (endsSentence(word)) weight += 4;
+  else if (/[,;:]['"”’)]*$/.test(word)) weight += 2;
+  return weight;
+};
+
+/**
+ * Group timed words into sentences
+ */
+const buildSentences = (words) => {
+  const sentences = [];
+  let first = 0;
+
+  words.forEach((word, index) => {
+    if (endsSentence(word.text) || index === words.length - 1) {
+      sentences.push({
+        text: words.slice(first, index + 1).map(w => w.text).join(' '),
+        start: words[first].start,
+        end: word.end,
+        wordStart: first,
+        wordEnd: index
+      });
+      first = index + 1;
+    }
+  });
+
+  return sentences;
+};
+
+/**
+ * Word timing from a provider's character alignment
+ * ({ characters, characterStartTimes, characterEndTimes }, all the same length)
+ */
+const timingFromCharacterAlignment = (text, alignment) => {
+  const { characters, characterStartTimes, characterEndTimes } = alignment;
+  const alignedText = characters.join('');
+
+  const words = tokenize(alignedText).map(word => ({
+    text: word.text,
+    start: round(characterStartTimes[word.charStart]),
+    end: round(characterEndTimes[word.charEnd - 1])
+  }));
+
+  // Providers may normalize the text; only trust alignment that matches ours word for word
+  if (words.length !== tokenize(text).length) {
+    return null;
+  }
+
+  return { source: 'provider', words, sentences: buildSentences(words) };
+};
+
+/**
+ * Silent stretches of a PCM WAV file as [{ start, end }] in seconds
+ */
+const detectPauses = (wavBuffer) => {
+  const wav = parseWav(wavBuffer);
+  if (wav.bitsPerSample !== 16) return [];
+
+  const samplesPerWindow = Math.max(Math.floor(wav.sampleRate * WINDOW_SECONDS), 1);
+  const bytesPerWindow = samplesPerWindow * wav.blockAlign;
+  const levels = [];
+
+  for (let offset = wav.dataOffset; offset + bytesPerWindow <= wav.dataOffset + wav.dataLength; offset += bytesPerWindow) {
+    let sum = 0;
+    for (let i = 0; i < samplesPerWindow; i++) {
+      const sample = wavBuffer.readInt16LE(offset + i * wav.blockAlign);
+      sum += sample * sample;
+    }
+    levels.push(Math.sqrt(sum / samplesPerWindow));
+  }
+
+  const loud = levels.filter(level => level > 0).sort((a, b) => a - b);
+  if (loud.length === 0) return [];
+
+  // Quieter than a tenth of the typical speech level counts as silence
+  const threshold = loud[Math.floor(loud.length / 2)] * 0.1;
+  const pauses = [];
+  let pauseStart = null;
+
+  levels.forEach((level, index) => {
+    if (level <= threshold && pauseStart === null) pauseStart = index;
+    if ((level > threshold || index === levels.length - 1) && pauseStart !== null) {
+      const end = level > threshold ? index : index + 1;
+      if ((end - pauseStart) * WINDOW_SECONDS >= MIN_PAUSE_SECONDS) {
+        pauses.push({ start: round(pauseStart * WINDOW_SECONDS), end: round(end * WINDOW_SECONDS) });
+      }
+      pauseStart = null;
+    }
+  });
+
+  return pauses;
+};
+
+/**
+ * Spread words over [start, end] in proportion to their weights
+ */
+const distributeWords = (words, start, end) => {
+  const totalWeight = words.reduce((sum, word) => sum + word.weight, 0);
+  let elapsed = 0;
+
+  return words.map(word => {
+    const wordStart = start + (elapsed / totalWeight) * (end - start);
+    elapsed += word.weight;
+    const wordEnd = start + (elapsed / totalWeight) * (end - start);
+    return { text: word.text, start: round(wordStart), end: round(wordEnd) };
+  });
+};
+
+/**
+ * Estimated word timing for narration of `text` lasting `duration` seconds.
+ * Pass the audio (PCM WAV) to align sentence ends with pauses in the speech.
+ */
+const estimateTiming = (text, duration, { audioBuffer = null, format = null } = {}) => {
+  const words = tokenize(text).map(word => ({ text: word.text, weight: wordWeight(word.text) }));
+  if (words.length === 0) {
+    return { source: 'estimated', words: [], sentences: [] };
+  }
+
+  let pauses = [];
+  if (audioBuffer && format === 'wav') {
+    try {
+      pauses = detectPauses(audioBuffer);
+    } catch (error) {
+      pauses = [];
+    }
+  }
+
+  // Leading and trailing silence is not speech
+  let speechStart = 0;
+  let speechEnd = duration;
+  if (pauses.length > 0 && pauses[0].start === 0) speechStart = pauses.shift().end;
+  if (pauses.length > 0 && pauses[pauses.length - 1].end >= duration - WINDOW_SECONDS) speechEnd = pauses.pop().start;
+  if (speechEnd <= speechStart) {
+    speechStart = 0;
+    speechEnd = duration;
+    pauses = [];
+  }
+
+  // Split into sentences and give each an estimated time span
+  const totalWeight = words.reduce((sum, word) => sum + word.weight, 0);
+  const sentenceRanges = [];
+  let first = 0;
+  let weightBefore = 0;
+  let sentenceStart = speechStart;
+
+  words.forEach((word, index) => {
+    weightBefore += word.weight;
+    if (!endsSentence(word.text) && index !== words.length - 1) return;
+
+    let sentenceEnd = speechStart + (weightBefore / totalWeight) * (speechEnd - speechStart);
+
+    if (index !== words.length - 1) {
+      // Snap to the closest pause, if one is near the estimate
+      const nearest = pauses
+        .filter(pause => pause.start > sentenceStart)
+        .sort((a, b) => Math.abs(a.start - sentenceEnd) - Math.abs(b.start - sentenceEnd))[0];
+      if (nearest && Math.abs(nearest.start - sentenceEnd) <= SNAP_TOLERANCE_SECONDS) {
+        sentenceEnd = nearest.start;
+        sentenceRanges.push({ first, last: index, start: sentenceStart, end: sentenceEnd });
+        sentenceStart = nearest.end;
+        first = index + 1;
+        return;
+      }
+    } else {
+      sentenceEnd = speechEnd;
+    }
+
+    sentenceRanges.push({ first, last: index, start: sentenceStart, end: sentenceEnd });
+    sentenceStart = sentenceEnd;
+    first = index + 1;
+  });
+
+  const timedWords = sentenceRanges.flatMap(range =>
+    distributeWords(words.slice(range.first, range.last + 1), range.start, Math.max(range.end, range.start))
+  );
+
+  return { source: 'estimated', words: timedWords, sentences: buildSentences(timedWords) };
+};
+
+/**
+ * Timing for clips played one after another: [{ timing, offset }] where offset is
+ * when the clip starts (seconds). Provider timing only if every clip has it.
+ */
+const combineTimings = (parts) => {
+  const words = parts.flatMap(({ timing, offset }) =>
+    timing.words.map(word => ({ text: word.text, start: round(word.start + offset), end: round(word.end + offset) }))
+  );
+  const source = parts.every(({ timing }) => timing.source === 'provider') ? 'provider' : 'estimated';
+
+  return { source, words, sentences: buildSentences(words) };
+};
+
+module.exports = {
+  tokenize,
+  timingFromCharacterAlignment,
+  detectPauses,
+  estimateTiming,
+  combineTimings
+};
@@ -0,0 +1,76 @@
+// src/utils/parentalControls.js
+// Parental controls a parent sets with PUT /api/user/parental-controls, as they
+// apply to stories: words that must not appear, the story genres the child may
+// use, and whether stories can be shared.
+
+const { normalizeText, findTerms } = require('./textNormalization');
+
+/**
+ * Story genre of a story type: its `genre`, or the part of its name before
+ * " in " ("Adventure in Forest" -> "Adventure") for types created before genres
+ */
+const getStoryTypeGenre = (storyType) => storyType?.genre || (storyType?.name || '').split(' in ')[0];
+
+// "Fairy Tale", "fairy-tale" and "fairytale" are the same genre
+const normalizeGenre = (genre) => normalizeText(genre).replace(/ /g, '');
+
+// Shortest blocked word, not counting a trailing *: shorter ones would match
+// too much of an ordinary story ("a*")
+const MIN_BLOCKED_WORD_LENGTH = 3;
+
+/**
+ * Whether a blocked word can be matched: letters and digits, words joined by
+ * spaces, hyphens or apostrophes, and optionally a trailing *
+ */
+const isValidBlockedWord = (word) => {
+  if (typeof word !== 'string') return false;
+  const term = word.trim();
+  return /^[\p{L}\p{N}]+(?:[ '’-][\p{L}\p{N}]+)*\*?$/u.test(term) &&
+    normalizeText(term.replace(/\*$/, '')).replace(/ /g, '').length >= MIN_BLOCKED_WORD_LENGTH;
+};
+
+const asWordList = (value) =>
+  (Array.isArray(value) ? value : [])
+    .filter(word => typeof word === 'string' && word.trim())
+    .map(word => word.trim());
+
+/**
+ * Parental controls of a user, with defaults: no blocked words, every genre
+ * allowed (an empty allowedGenres list) and sharing allowed
+ */
+const getParentalControls = (user) => {
+  const controls = user?.parentalControls || {};
+
+  return {
+    blockedWords: asWordList(controls.blockedWords).filter(isValidBlockedWord),
+    allowedGenres: asWordList(controls.allowedGenres).map(normalizeGenre),
+    allowSocialFeatures: controls.allowSocialFeatures !== false
+  };
+};
+
+const isGenreAllowed = (controls, storyType) =>
+  controls.allowedGenres.length === 0 || controls.allowedGenres.includes(normalizeGenre(getStoryTypeGenre(storyType)));
+
+// A blocked word ending in * also blocks every word starting with it ("monster*")
+const displayWord = (word) => word.replace(/\*$/, '');
+
+/**
+ * Blocked words that occur in a text, matched like the moderation word lists
+ * (look-alike characters, stretched and spaced-out letters)
+ */
+const findBlockedWords = (text, controls) => findTerms(text, controls.blockedWords).map(displayWord);
+
+/**
+ * Blocked words as written in a generation prompt
+ */
+const getPromptBlockedWords = (controls) => (controls?.blockedWords || []).map(displayWord);
+
+module.exports = {
+  MIN_BLOCKED_WORD_LENGTH,
+  isValidBlockedWord,
+  getStoryTypeGenre,
+  getParentalControls,
+  isGenreAllowed,
+  findBlockedWords,
+  getPromptBlockedWords
+};
@@ -0,0 +1,172 @@
+// src/utils/promptTemplate.js
+// A small logic-less template language for AI prompts.
+//
+//   {{name}}                          value of a variable (arrays are joined with ", ")
+//   {{#if name}} ... {{else}} ... {{/if}}
+//   {{#unless name}} ... {{/unless}}
+//
+// Empty strings, empty arrays, null and undefined are falsy in conditions.
+
+const TAG_PATTERN = /\{\{\s*([#/]?)(\w+)(?:\s+(\w+))?\s*\}\}/g;
+const MAX_TEMPLATE_LENGTH = 5000;
+
+/**
+ * Parse a template into a tree of text, variable and block nodes.
+ * Every problem found is collected in `errors` instead of stopping at the first.
+ */
+const parseTemplate = (source) => {
+  const errors = [];
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+
+  if (typeof source !== 'string') {
+    return { tree: root, errors: ['Template must be a string'] };
+  }
+
+  if (source.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`Template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, prefix, keyword, argument] = match;
+
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (prefix === '#') {
+      if (keyword !== 'if' && keyword !== 'unless') {
+        errors.push(`Unknown block "${keyword}" at position ${match.index}`);
+        continue;
+      }
+      if (!argument) {
+        errors.push(`{{#${keyword}}} needs a variable name at position ${match.index}`);
+        continue;
+      }
+
+      const block = { type: keyword, name: argument, children: [], alternate: null, position: match.index };
+      current.push(block);
+      stack.push(block);
+      current = block.children;
+    } else if (prefix === '/') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.type !== keyword) {
+        errors.push(`Unexpected {{/${keyword}}} at position ${match.index}`);
+        continue;
+      }
+
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.alternate && parent.alternate.includes(block) ? parent.alternate : parent.children;
+    } else if (keyword === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.alternate) {
+        errors.push(`Unexpected {{else}} at position ${match.index}`);
+        continue;
+      }
+
+      block.alternate = [];
+      current = block.alternate;
+    } else if (argument) {
+      errors.push(`Unexpected "${tag}" at position ${match.index}`);
+    } else {
+      current.push({ type: 'variable', name: keyword, position: match.index });
+    }
+  }
+
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  stack.slice(1).forEach(block => {
+    errors.push(`{{#${block.type} ${block.name}}} at position ${block.position} is never closed`);
+  });
+
+  return { tree: root, errors };
+};
+
+/**
+ * Names of all variables a parsed template refers to
+ */
+const collectVariables = (nodes, names = new Set()) => {
+  nodes.forEach(node => {
+    if (node.type === 'variable') names.add(node.name);
+    if (node.type === 'if' || node.type === 'unless') {
+      names.add(node.name);
+      collectVariables(node.children, names);
+      if (node.alternate) collectVariables(node.alternate, names);
+    }
+  });
+  return names;
+};
+
+const isTruthy = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return value !== null && value !== undefined && value !== false && value !== 0;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.filter(item => item !== null && item !== undefined).join(', ');
+  return String(value);
+};
+
+const renderNodes = (nodes, variables) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'variable':
+      return formatValue(variables[node.name]);
+    case 'if':
+    case 'unless': {
+      const show = isTruthy(variables[node.name]) === (node.type === 'if');
+      if (show) return renderNodes(node.children, variables);
+      return node.alternate ? renderNodes(node.alternate, variables) : '';
+    }
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * Check a template's syntax and, if a list is given, that it only uses known variables.
+ * Returns { valid, errors, variables }.
+ */
+const validateTemplate = (source, allowedVariables = null) => {
+  const { tree, errors } = parseTemplate(source);
+  const variables = [...collectVariables(tree.children)];
+
+  if (allowedVariables) {
+    variables
+      .filter(name => !allowedVariables.includes(name))
+      .forEach(name => errors.push(`Unknown variable "${name}"`));
+  }
+
+  return { valid: errors.length === 0, errors, variables };
+};
+
+/**
+ * Render a template with the given variables. Throws if the template is invalid.
+ */
+const renderTemplate = (source, variables = {}) => {
+  const { tree, errors } = parseTemplate(source);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid prompt template: ${errors.join('; ')}`);
+  }
+
+  return renderNodes(tree.children, variables)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+module.exports = {
+  parseTemplate,
+  validateTemplate,
+  renderTemplate
+};
@@ -0,0 +1,201 @@
+// src/utils/readability.js
+// Readability scoring for stories: Flesch-Kincaid grade, syllable counts and
+// the share of rare words, compared with a target band for the reader's age.
+// The formulas are for English, so other languages are scored but not assessed.
+
+const { COMMON_WORDS } = require('../config/commonWords');
+
+// Most rare words a reader of each age copes with (share of all words)
+const MAX_RARE_WORD_RATIO = [
+  { maxAge: 5, ratio: 0.15 },
+  { maxAge: 8, ratio: 0.2 },
+  { maxAge: 12, ratio: 0.3 },
+  { maxAge: Infinity, ratio: 0.4 }
+];
+
+// A story may read up to this many grades above the reader (stories are listened
+// to as much as read), or below the youngest age of the story type. Nothing is
+// too easy for children below grade 3, so they get no lower bound.
+const GRADES_ABOVE_TARGET = 3;
+const GRADES_BELOW_TARGET = 2;
+
+/**
+ * US school grade of an age (6-year-olds are in grade 1)
+ */
+const gradeForAge = (age) => age - 5;
+
+/**
+ * Estimated syllables of an English word
+ */
+const countSyllables = (word) => {
+  let letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+
+  // Silent endings: "jumped", "makes", "made" (but not "wanted", "boxes", "table", "giggled")
+  if (/[^aeiouy]ed$/.test(letters) && !/(?:[td]|[^aeiouy]l)ed$/.test(letters)) {
+    letters = letters.slice(0, -2);
+  } else if (/[^aeiouy]es$/.test(letters) && !/(?:[sxzcg]|ch|sh|[^aeiouy]l)es$/.test(letters)) {
+    letters = letters.slice(0, -2);
+  } else if (/[^aeiouy]e$/.test(letters) && !/[^aeiouy]le$/.test(letters)) {
+    letters = letters.slice(0, -1);
+  }
+
+  const groups = letters.replace(/^y/, '').match(/[aeiouy]+/g) || [];
+  // Vowel pairs said as two syllables: "lion", "giant", "being"
+  const splits = (letters.match(/i[ao]|[aeiouy]ing$/g) || []).length;
+
+  return Math.max(1, groups.length + splits);
+};
+
+/**
+ * Forms of a word to look up in the common word list ("bunnies" -> "bunny")
+ */
+const baseForms = (word) => {
+  const forms = [word];
+  const rules = [
+    [/ies$/, 'y'], [/ied$/, 'y'], [/ier$/, 'y'], [/iest$/, 'y'], [/ily$/, 'y'],
+    [/es$/, ''], [/s$/, ''], [/ed$/, ''], [/ed$/, 'e'], [/d$/, ''], [/ing$/, ''], [/ing$/, 'e'],
+    [/er$/, ''], [/er$/, 'e'], [/est$/, ''], [/ly$/, ''], [/'s$/, '']
+  ];
+
+  rules.forEach(([suffix, replacement]) => {
+    if (!suffix.test(word)) return;
+    const base = word.replace(suffix, replacement);
+    forms.push(base);
+    // "running" -> "runn" -> "run"
+    if (/([^aeiou])\1$/.test(base)) forms.push(base.slice(0, -1));
+  });
+
+  return forms;
+};
+
+const isCommonWord = (word) => baseForms(word).some(form => COMMON_WORDS.has(form));
+
+/**
+ * Sentences and words of a text. Each word keeps whether it starts a sentence,
+ * so names can be told apart from capitalized first words.
+ */
+const tokenize = (text) => {
+  const sentences = (text || '')
+    .split(/(?<=[.!?]["'”’]?)\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => /\p{L}/u.test(sentence));
+
+  const words = [];
+  sentences.forEach(sentence => {
+    (sentence.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).forEach((word, index) => {
+      words.push({ text: word, sentenceStart: index === 0 });
+    });
+  });
+
+  return { sentences, words };
+};
+
+/**
+ * Readability scores of a story. Names (capitalized mid-sentence), sound
+ * effects in capitals ("WHOOSH") and numbers don't count as rare words.
+ */
+const analyzeReadability = (text, language = 'en') => {
+  const { sentences, words } = tokenize(text);
+  const wordCount = words.length;
+  const sentenceCount = Math.max(1, sentences.length);
+  const averageWordsPerSentence = wordCount / sentenceCount;
+
+  const scores = {
+    language,
+    wordCount,
+    sentenceCount: sentences.length,
+    averageWordsPerSentence: Math.round(averageWordsPerSentence * 10) / 10
+  };
+
+  if (language !== 'en' || wordCount === 0) {
+    return { ...scores, assessed: false };
+  }
+
+  const syllableCount = words.reduce((sum, word) =>
+    sum + word.text.split('-').reduce((total, part) => total + countSyllables(part), 0), 0);
+  const averageSyllablesPerWord = syllableCount / wordCount;
+
+  // Capitalized mid-sentence, so a name wherever it appears
+  const names = new Set(words.filter(word => !word.sentenceStart && /^\p{Lu}/u.test(word.text)).map(word => word.text));
+
+  const rareWords = words.filter(({ text: word }) => {
+    if (/\d/.test(word) || (word.length > 1 && word === word.toUpperCase())) return false;
+    if (names.has(word)) return false;
+    return word.toLowerCase().split('-').some(part => part.length > 2 && !isCommonWord(part));
+  }).map(({ text: word }) => word.toLowerCase());
+
+  const round = (value) => Math.round(value * 10) / 10;
+
+  return {
+    ...scores,
+    assessed: true,
+    syllableCount,
+    averageSyllablesPerWord: Math.round(averageSyllablesPerWord * 100) / 100,
+    fleschKincaidGrade: round(0.39 * averageWordsPerSentence + 11.8 * averageSyllablesPerWord - 15.59),
+    fleschReadingEase: round(206.835 - 1.015 * averageWordsPerSentence - 84.6 * averageSyllablesPerWord),
+    rareWordRatio: Math.round((rareWords.length / wordCount) * 100) / 100,
+    rareWords: [...new Set(rareWords)].slice(0, 20)
+  };
+};
+
+/**
+ * Readability band a story should fall in: around the child's age when it is
+ * known, otherwise the story type's recommended age range
+ */
+const getReadabilityTarget = ({ age, ageMin, ageMax } = {}) => {
+  const readerAge = age || ageMax || 8;
+  const youngestAge = Math.min(readerAge, ageMin || readerAge);
+  const minGrade = gradeForAge(youngestAge) - GRADES_BELOW_TARGET;
+
+  return {
+    age: age || null,
+    ageRange: ageMin && ageMax ? [ageMin, ageMax] : null,
+    minGrade: minGrade >= 1 ? minGrade : null,
+    maxGrade: gradeForAge(readerAge) + GRADES_ABOVE_TARGET,
+    maxRareWordRatio: MAX_RARE_WORD_RATIO.find(band => readerAge <= band.maxAge).ratio
+  };
+};
+
+/**
+ * Compare scores with a target band: { verdict, reasons, distance }, where
+ * verdict is 'ok', 'tooHard', 'tooEasy' or 'notAssessed' and distance says
+ * how far outside the band the story is (0 inside it)
+ */
+const assessReadability = (scores, target) => {
+  if (!scores.assessed) {
+    return { verdict: 'notAssessed', reasons: [], distance: 0 };
+  }
+
+  const reasons = [];
+  let hard = 0;
+  let easy = 0;
+
+  if (scores.fleschKincaidGrade > target.maxGrade) {
+    hard += scores.fleschKincaidGrade - target.maxGrade;
+    reasons.push(`Reading grade ${scores.fleschKincaidGrade} is above ${target.maxGrade}`);
+  }
+  if (scores.rareWordRatio > target.maxRareWordRatio) {
+    hard += (scores.rareWordRatio - target.maxRareWordRatio) * 10;
+    reasons.push(`${Math.round(scores.rareWordRatio * 100)}% rare words is above ${Math.round(target.maxRareWordRatio * 100)}%`);
+  }
+  if (target.minGrade !== null && scores.fleschKincaidGrade < target.minGrade) {
+    easy += target.minGrade - scores.fleschKincaidGrade;
+    reasons.push(`Reading grade ${scores.fleschKincaidGrade} is below ${target.minGrade}`);
+  }
+
+  let verdict = 'ok';
+  if (hard > 0) verdict = 'tooHard';
+  else if (easy > 0) verdict = 'tooEasy';
+
+  return { verdict, reasons, distance: Math.round((hard + easy) * 100) / 100 };
+};
+
+module.exports = {
+  gradeForAge,
+  countSyllables,
+  analyzeReadability,
+  getReadabilityTarget,
+  assessReadability
+};
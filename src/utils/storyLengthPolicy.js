@@ -0,0 +1,76 @@
+// src/utils/storyLengthPolicy.js
+// The single source of story size limits: word budgets, LLM token limits and
+// how far a story may grow through continuations.
+
+const { StoryLength } = require('../models/storyModels');
+const { getSubscriptionTier, getEntitlements } = require('../config/entitlements');
+
+const LENGTH_POLICIES = {
+  [StoryLength.SHORT]: { words: 200, maxTokens: 500, continuationWords: 50, maxTotalWords: 400 },
+  [StoryLength.MEDIUM]: { words: 400, maxTokens: 900, continuationWords: 100, maxTotalWords: 800 },
+  [StoryLength.LONG]: { words: 600, maxTokens: 1300, continuationWords: 150, maxTotalWords: 1200 },
+  [StoryLength.EPIC]: { words: 1000, maxTokens: 2100, continuationWords: 250, maxTotalWords: 2000 }
+};
+
+// Tokens needed per word of output, with headroom for the model to finish its sentence
+const TOKENS_PER_WORD = 2;
+
+/**
+ * Story lengths a user may choose: those in their subscription that fit within
+ * preferences.maxStoryLength. Short stories are always allowed (capped to the preference).
+ */
+const getAllowedLengths = (user) => {
+  const maxStoryLength = user?.preferences?.maxStoryLength;
+  // Story lengths of the user's subscription tier (config/entitlements.js)
+  const lengths = getEntitlements(user).storyLengths;
+
+  return lengths.filter(length =>
+    length === StoryLength.SHORT || !maxStoryLength || LENGTH_POLICIES[length].words <= maxStoryLength
+  );
+};
+
+/**
+ * The limits a story of the given length is generated with for this user.
+ * Throws an Error with `allowedLengths` if the length is unknown or not allowed.
+ */
+const resolveLengthPolicy = (user, requestedLength = StoryLength.SHORT) => {
+  const allowedLengths = getAllowedLengths(user);
+
+  if (!LENGTH_POLICIES[requestedLength]) {
+    const error = new Error(`Unknown story length "${requestedLength}". Use one of: ${Object.keys(LENGTH_POLICIES).join(', ')}`);
+    error.allowedLengths = allowedLengths;
+    throw error;
+  }
+
+  if (!allowedLengths.includes(requestedLength)) {
+    const error = new Error(`${requestedLength} stories are not available. You can create: ${allowedLengths.join(', ')}`);
+    error.allowedLengths = allowedLengths;
+    throw error;
+  }
+
+  const policy = LENGTH_POLICIES[requestedLength];
+  const maxStoryLength = user?.preferences?.maxStoryLength;
+  const wordBudget = maxStoryLength ? Math.min(policy.words, maxStoryLength) : policy.words;
+
+  return {
+    length: requestedLength,
+    wordBudget,
+    maxTokens: policy.maxTokens,
+    continuationWords: policy.continuationWords,
+    maxTotalWords: Math.max(policy.maxTotalWords, wordBudget),
+    subscriptionTier: getSubscriptionTier(user)
+  };
+};
+
+/**
+ * LLM token limit for a word budget
+ */
+const tokensForWords = (words) => Math.ceil(words * TOKENS_PER_WORD) + 50;
+
+module.exports = {
+  LENGTH_POLICIES,
+  getSubscriptionTier,
+  getAllowedLengths,
+  resolveLengthPolicy,
+  tokensForWords
+};
@@ -0,0 +1,131 @@
+// src/utils/storyPages.js
+// Splitting story text into picture-book pages and timing each page against the narration
+
+// Younger children get fewer words per page
+const WORDS_PER_PAGE_BY_AGE = [
+  { maxAge: 5, words: 30 },
+  { maxAge: 8, words: 50 },
+  { maxAge: 12, words: 80 },
+  { maxAge: Infinity, words: 120 }
+];
+
+const countWords = (text) => text.split(/\s+/).filter(word => word.length > 0).length;
+
+/**
+ * Target number of words on a page for a reader of the given age
+ */
+const wordsPerPageForAge = (age) => {
+  const band = WORDS_PER_PAGE_BY_AGE.find(entry => (age || 6) <= entry.maxAge);
+  return band.words;
+};
+
+/**
+ * Split text into sentences, keeping closing quotes with their sentence
+ */
+const splitSentences = (text) => {
+  const sentences = text.match(/[^.!?]+(?:[.!?]+['"”’)]*|$)/g) || [];
+  return sentences.map(sentence => sentence.trim()).filter(sentence => sentence.length > 0);
+};
+
+/**
+ * Split story text into pages at sentence boundaries, starting a new page at a
+ * paragraph break once the current page is reasonably full.
+ * Returns [{ pageNumber, text }].
+ */
+const paginateText = (text, { wordsPerPage = 50, startPageNumber = 1 } = {}) => {
+  const pageTexts = [];
+  let current = [];
+  let currentWords = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      pageTexts.push(current.join(' '));
+      current = [];
+      currentWords = 0;
+    }
+  };
+
+  (text || '').split(/\n\s*\n/).forEach(paragraph => {
+    splitSentences(paragraph).forEach(sentence => {
+      const words = countWords(sentence);
+      if (currentWords > 0 && currentWords + words > wordsPerPage) {
+        flush();
+      }
+      current.push(sentence);
+      currentWords += words;
+    });
+
+    if (currentWords >= wordsPerPage * 0.6) {
+      flush();
+    }
+  });
+  flush();
+
+  // Fold a very short last page into the one before it
+  if (pageTexts.length > 1 && countWords(pageTexts[pageTexts.length - 1]) < wordsPerPage / 3) {
+    const last = pageTexts.pop();
+    pageTexts[pageTexts.length - 1] += ` ${last}`;
+  }
+
+  return pageTexts.map((pageText, index) => ({
+    pageNumber: startPageNumber + index,
+    text: pageText
+  }));
+};
+
+/**
+ * Set narrationStartTime/narrationEndTime (seconds) on each page, along with the
+ * range of narration words it covers. Uses word timestamps when given (one per
+ * word of the pages' text); otherwise the duration is split by word count.
+ */
+const assignNarrationOffsets = (pages, totalDuration, timedWords = null) => {
+  const wordCounts = pages.map(page => countWords(page.text));
+  const totalWords = wordCounts.reduce((sum, count) => sum + count, 0);
+  const useTiming = Array.isArray(timedWords) && timedWords.length === totalWords;
+  let wordsBefore = 0;
+
+  return pages.map((page, index) => {
+    const words = wordCounts[index];
+    const firstWord = wordsBefore;
+    wordsBefore += words;
+
+    let start = totalWords > 0 ? (firstWord / totalWords) * totalDuration : 0;
+    let end = totalWords > 0 ? (wordsBefore / totalWords) * totalDuration : 0;
+
+    if (useTiming && words > 0) {
+      start = timedWords[firstWord].start;
+      end = timedWords[wordsBefore - 1].end;
+    }
+
+    return {
+      ...page,
+      narrationStartTime: Math.round(start * 100) / 100,
+      narrationEndTime: Math.round(end * 100) / 100,
+      wordStartIndex: firstWord,
+      wordEndIndex: Math.max(wordsBefore - 1, firstWord)
+    };
+  });
+};
+
+/**
+ * Replace `wordCount` words of text, starting at word `firstWord`, keeping
+ * the whitespace (and paragraph breaks) around them
+ */
+const replaceWordRange = (text, firstWord, wordCount, replacement) => {
+  const words = [...text.matchAll(/\S+/g)];
+  if (wordCount <= 0 || firstWord + wordCount > words.length) {
+    throw new Error('Word range is outside the text');
+  }
+
+  const start = words[firstWord].index;
+  const last = words[firstWord + wordCount - 1];
+  return `${text.slice(0, start)}${replacement}${text.slice(last.index + last[0].length)}`;
+};
+
+module.exports = {
+  wordsPerPageForAge,
+  splitSentences,
+  paginateText,
+  assignNarrationOffsets,
+  replaceWordRange
+};
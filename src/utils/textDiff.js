@@ -0,0 +1,83 @@
+// src/utils/textDiff.js
+// Word-level differences between two versions of a story's text
+
+/**
+ * Words and the whitespace between them, so joining the tokens gives the text back
+ */
+const tokenize = (text) => (text || '').match(/\s+|\S+/g) || [];
+
+/**
+ * Changes from `before` to `after` as runs of
+ * [{ type: 'equal' | 'removed' | 'added', text }], in order. Joining the
+ * equal and removed runs gives `before`; the equal and added runs give `after`.
+ */
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Continuations and small edits leave most of the text alone at both ends
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const columns = midB.length + 1;
+  const lengths = new Uint32Array((midA.length + 1) * columns);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = midA[i] === midB[j]
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, token) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += token;
+    } else {
+      runs.push({ type, text: token });
+    }
+  };
+
+  a.slice(0, prefix).forEach(token => push('equal', token));
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      push('equal', midA[i++]);
+      j++;
+    } else if (j < midB.length && (i === midA.length || lengths[i * columns + j + 1] >= lengths[(i + 1) * columns + j])) {
+      push('added', midB[j++]);
+    } else {
+      push('removed', midA[i++]);
+    }
+  }
+
+  a.slice(a.length - suffix).forEach(token => push('equal', token));
+
+  return runs;
+};
+
+/**
+ * Words added and removed in a diff
+ */
+const countChangedWords = (runs) => {
+  const count = (type) => runs
+    .filter(run => run.type === type)
+    .reduce((total, run) => total + (run.text.match(/\S+/g) || []).length, 0);
+
+  return { wordsAdded: count('added'), wordsRemoved: count('removed') };
+};
+
+module.exports = {
+  diffWords,
+  countChangedWords
+};
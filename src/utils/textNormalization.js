@@ -0,0 +1,79 @@
+// src/utils/textNormalization.js
+// Normalizing text before matching it against word lists, so that "K!LL",
+// "kiiill", "k i l l" and "kíll" are all seen as "kill".
+
+const LOOKALIKES = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+/**
+ * Lowercase words without accents, look-alike characters, stretched letters,
+ * punctuation or spaced-out letters, separated by single spaces
+ */
+const normalizeText = (text) => {
+  if (typeof text !== 'string' || !text) return '';
+
+  let normalized = text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+
+  // Look-alikes only count inside words ("k1ll", "$cary"), not in "5 apples" or "Wow!"
+  normalized = normalized.replace(/[\p{L}\p{N}@$!|+]+/gu, (word) =>
+    /\p{L}/u.test(word) ?
+      word.replace(/[0134578]|[@$!|+](?=[\p{L}\p{N}])/gu, (character) => LOOKALIKES[character]) :
+      word
+  );
+
+  normalized = normalized
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    // Stretched letters ("kiiill") are cut to two; terms match any number of repeats
+    .replace(/(\p{L})\1{2,}/gu, '$1$1')
+    .trim();
+
+  // "k i l l" -> "kill"
+  normalized = normalized.replace(/(?:^|(?<= ))(?:\p{L} ){2,}\p{L}(?= |$)/gu, (letters) => letters.replace(/ /g, ''));
+
+  return normalized;
+};
+
+/**
+ * Build a matcher for a word-list term. A trailing * matches any word ending
+ * ("kill*" matches "killed"); multi-word terms match as a phrase.
+ */
+const termPattern = (term) => {
+  const prefix = term.endsWith('*');
+  const words = normalizeText(prefix ? term.slice(0, -1) : term);
+  // "kill" -> k+i+l+l+, so "kiill" matches but "kil" doesn't
+  const letters = [...words].map(character =>
+    character === ' ' ? ' ' : `${character.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}+`
+  ).join('');
+  return new RegExp(`(?:^| )${letters}${prefix ? '\\p{L}*' : ''}(?= |$)`, 'gu');
+};
+
+/**
+ * Count how often each term occurs in a text: { term: count } for terms that occur
+ */
+const countTerms = (text, terms) => {
+  const normalized = normalizeText(text);
+  const counts = {};
+
+  terms.forEach(term => {
+    const count = (normalized.match(termPattern(term)) || []).length;
+    if (count > 0) counts[term] = count;
+  });
+
+  return counts;
+};
+
+/**
+ * Terms of a word list that occur in a text
+ */
+const findTerms = (text, terms) => Object.keys(countTerms(text, terms));
+
+module.exports = {
+  normalizeText,
+  countTerms,
+  findTerms
+};
@@ -0,0 +1,55 @@
+// src/workers/storyWorker.js
+require('dotenv').config();
+const redis = require('../config/redis');
+const storyQueue = require('../services/storyQueue');
+const storyService = require('../services/storyService');
+const logger = require('../utils/logger');
+
+/**
+ * Start processing story generation jobs in this process
+ */
+const startStoryWorker = async () => {
+  await redis.whenReady();
+
+  storyQueue.start({
+    concurrency: parseInt(process.env.STORY_WORKER_CONCURRENCY || '2')
+  });
+};
+
+/**
+ * Resume stories left in generating/processing by a crash or restart
+ */
+const resumeStrandedStories = async () => {
+  await redis.whenReady();
+
+  try {
+    return await storyService.resumeStrandedStories();
+  } catch (error) {
+    logger.error('Failed to resume stranded stories:', error);
+    return null;
+  }
+};
+
+// Standalone worker process: `npm run worker`
+if (require.main === module) {
+  const { initializeFirebase } = require('../config/firebase');
+  initializeFirebase();
+
+  startStoryWorker()
+    .then(resumeStrandedStories)
+    .catch(error => {
+      logger.error('Story worker failed to start:', error);
+      process.exit(1);
+    });
+
+  process.on('SIGTERM', async () => {
+    logger.info('SIGTERM signal received: stopping story worker');
+    await storyQueue.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = {
+  startStoryWorker,
+  resumeStrandedStories
+};
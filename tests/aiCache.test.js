@@ -0,0 +1,37 @@
+// Text entries and stats are kept in-process when Redis isn't connected
+jest.mock('../src/config/redis', () => ({ getClient: () => null, isConnected: () => false }));
+
+const aiCacheService = require('../src/services/aiCacheService');
+const { runWithAIUsageContext } = require('../src/utils/aiUsageContext');
+
+describe('AI cache', () => {
+  describe('buildKey', () => {
+    it('should hash equal calls the same regardless of key order', () => {
+      const key = aiCacheService.buildKey('llm', { provider: 'openai', model: 'gpt-3.5-turbo', settings: { maxTokens: 100, temperature: 0.7 }, input: 'Hi' });
+
+      expect(aiCacheService.buildKey('llm', { input: 'Hi', settings: { temperature: 0.7, maxTokens: 100 }, model: 'gpt-3.5-turbo', provider: 'openai' })).toBe(key);
+      expect(aiCacheService.buildKey('llm', { provider: 'openai', model: 'gpt-4o-mini', settings: { maxTokens: 100, temperature: 0.7 }, input: 'Hi' })).not.toBe(key);
+      expect(aiCacheService.buildKey('tts', { provider: 'openai', model: 'gpt-3.5-turbo', settings: { maxTokens: 100, temperature: 0.7 }, input: 'Hi' })).not.toBe(key);
+    });
+  });
+
+  describe('getOrCreate', () => {
+    it('should create once, then serve the cached value unless bypassed', async () => {
+      const call = { provider: 'fake', model: 'fake-llm', input: 'Tell a story' };
+      const create = jest.fn()
+        .mockResolvedValueOnce({ text: 'First' })
+        .mockResolvedValueOnce({ text: 'Second' });
+
+      expect(await aiCacheService.getOrCreate('llm', call, create)).toEqual({ value: { text: 'First' }, cached: false });
+      expect(await aiCacheService.getOrCreate('llm', call, create)).toEqual({ value: { text: 'First' }, cached: true });
+      expect(await runWithAIUsageContext({ bypassCache: true }, () => aiCacheService.getOrCreate('llm', call, create)))
+        .toEqual({ value: { text: 'Second' }, cached: false });
+      // A bypassed call still refreshes the cache
+      expect((await aiCacheService.getOrCreate('llm', call, create)).value).toEqual({ text: 'Second' });
+      expect(create).toHaveBeenCalledTimes(2);
+
+      const { kinds } = await aiCacheService.getStats();
+      expect(kinds.llm).toEqual({ storage: 'redis', hits: 2, misses: 1, bypassed: 1, hitRate: 0.667 });
+    });
+  });
+});
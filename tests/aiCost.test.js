@@ -0,0 +1,47 @@
+const aiCostService = require('../src/services/aiCostService');
+const { getUnitPrices } = require('../src/config/pricing');
+
+describe('AI cost ledger', () => {
+  describe('getUnitPrices', () => {
+    it('should look prices up by model, then by provider', () => {
+      expect(getUnitPrices('llm', { model: 'gpt-4o-mini', provider: 'openai' })).toEqual({
+        prices: { inputTokens: 0.15, outputTokens: 0.6 },
+        priced: true
+      });
+      expect(getUnitPrices('llm', { model: 'llama3.1', provider: 'local' }).prices).toEqual({ inputTokens: 0, outputTokens: 0 });
+      expect(getUnitPrices('llm', { model: 'unknown-model', provider: 'openai' })).toEqual({ prices: {}, priced: false });
+    });
+  });
+
+  describe('calculateCost', () => {
+    it('should price each usage unit per its quoted quantity', () => {
+      expect(aiCostService.calculateCost('llm', { model: 'gpt-3.5-turbo' }, { inputTokens: 1000, outputTokens: 2000 }).cost).toBe(0.0035);
+      expect(aiCostService.calculateCost('tts', { model: 'eleven_multilingual_v2' }, { characters: 500 }).cost).toBe(0.15);
+      expect(aiCostService.calculateCost('image', { model: 'dall-e-3' }, { images: 3 }).cost).toBe(0.12);
+    });
+  });
+
+  describe('summarize', () => {
+    it('should total costs and usage by type and model', () => {
+      const summary = aiCostService.summarize([
+        { type: 'llm', model: 'gpt-3.5-turbo', usage: { inputTokens: 100, outputTokens: 50 }, cost: 0.0001, priced: true },
+        { type: 'llm', model: 'gpt-3.5-turbo', usage: { inputTokens: 200, outputTokens: 50 }, cost: 0.0002, priced: true },
+        { type: 'tts', model: 'eleven_multilingual_v2', usage: { characters: 300 }, cost: 0.09, priced: true }
+      ]);
+
+      expect(summary.totalCost).toBe(0.0903);
+      expect(summary.calls).toBe(3);
+      expect(summary.byType.llm).toEqual({ totalCost: 0.0003, calls: 2, usage: { inputTokens: 300, outputTokens: 100 } });
+      expect(summary.byModel.eleven_multilingual_v2.usage).toEqual({ characters: 300 });
+    });
+  });
+
+  describe('resolveDateRange', () => {
+    it('should default to the last 30 days and reject bad ranges', () => {
+      expect(aiCostService.resolveDateRange({ to: '2026-03-10' })).toEqual({ from: '2026-02-09', to: '2026-03-10' });
+      expect(() => aiCostService.resolveDateRange({ from: '10/03/2026' })).toThrow('YYYY-MM-DD');
+      expect(() => aiCostService.resolveDateRange({ from: '2026-03-10', to: '2026-03-01' })).toThrow('start date');
+      expect(() => aiCostService.resolveDateRange({ from: '2024-01-01', to: '2026-01-01' })).toThrow('366 days');
+    });
+  });
+});
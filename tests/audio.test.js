@@ -0,0 +1,35 @@
+const { createWavBuffer, parseWav, sliceAudio, concatAudio } = require('../src/utils/audio');
+const { replaceWordRange } = require('../src/utils/storyPages');
+
+describe('Audio splicing', () => {
+  // One second of 8 kHz 16-bit mono audio, each sample holding its own index
+  const samples = Buffer.alloc(8000 * 2);
+  for (let i = 0; i < 8000; i++) samples.writeUInt16LE(i, i * 2);
+  const wav = createWavBuffer(samples, { sampleRate: 8000 });
+
+  it('should cut a WAV clip at sample boundaries', () => {
+    const slice = sliceAudio(wav, 'wav', 0.25, 0.5);
+    const parsed = parseWav(slice);
+
+    expect(parsed.duration).toBeCloseTo(0.25);
+    expect(slice.readUInt16LE(parsed.dataOffset)).toBe(2000);
+  });
+
+  it('should give the whole clip back from its slices', () => {
+    const joined = concatAudio([
+      sliceAudio(wav, 'wav', 0, 0.3),
+      sliceAudio(wav, 'wav', 0.3, 0.7),
+      sliceAudio(wav, 'wav', 0.7, 5)
+    ], 'wav');
+
+    expect(joined.equals(wav)).toBe(true);
+  });
+
+  it('should replace words of a page, keeping paragraph breaks', () => {
+    const text = 'Luna found an acorn.\n\nIt grew into a tree!';
+
+    expect(replaceWordRange(text, 2, 2, 'a shiny pebble.')).toBe('Luna found a shiny pebble.\n\nIt grew into a tree!');
+    expect(replaceWordRange(text, 4, 5, 'Nothing happened.')).toBe('Luna found an acorn.\n\nNothing happened.');
+    expect(() => replaceWordRange(text, 8, 2, 'Oops')).toThrow();
+  });
+});
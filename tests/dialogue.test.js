@@ -0,0 +1,44 @@
+const { splitDialogue } = require('../src/utils/dialogue');
+
+describe('Dialogue', () => {
+  const names = ['Luna', 'Max'];
+  const speakers = (text) => splitDialogue(text, names).map(segment => segment.character);
+
+  describe('splitDialogue', () => {
+    it('should give quotes to the character named next to them', () => {
+      expect(splitDialogue('"Hello," said Luna. Max grinned, "Hi!"', names)).toEqual([
+        { character: 'Luna', text: '"Hello,"' },
+        { character: null, text: 'said Luna. Max grinned,' },
+        { character: 'Max', text: '"Hi!"' }
+      ]);
+      expect(speakers('Max whispered, "Shh." The owl hooted.')).toEqual([null, 'Max', null]);
+    });
+
+    it('should give a quote tagged with a pronoun to the character last named', () => {
+      expect(speakers('"Come on," said Max. Luna looked at the stars. "Yes," she said.'))
+        .toEqual(['Max', null, 'Luna', null]);
+      // A name inside a quote is who is spoken to, not the speaker
+      expect(speakers('Luna laughed. "Hi, Max!" "Hello," she said.'))
+        .toEqual([null, 'Luna', null]);
+    });
+
+    it('should continue the previous speaker only within a paragraph', () => {
+      expect(speakers('"Look," said Luna. "A shooting star!"')).toEqual(['Luna', null, 'Luna']);
+      // The narrator reads it, together with the narration before
+      expect(speakers('"Look," said Luna.\n\n"A shooting star!"')).toEqual(['Luna', null]);
+    });
+
+    it('should leave apostrophes alone and read unknown speakers as the narrator', () => {
+      expect(splitDialogue('The kids\' toys weren\'t put away.', names))
+        .toEqual([{ character: null, text: 'The kids\' toys weren\'t put away.' }]);
+      expect(speakers('"Who is there?" asked the owl.')).toEqual([null]);
+    });
+
+    it('should keep every word of the text', () => {
+      const text = 'Luna smiled. "Ready?"\n\n"Always," Max said, "let\'s go."';
+
+      expect(splitDialogue(text, names).map(segment => segment.text).join(' ').split(/\s+/))
+        .toEqual(text.split(/\s+/));
+    });
+  });
+});
@@ -0,0 +1,55 @@
+// Quotas are counted in-process when Redis isn't connected
+jest.mock('../src/config/redis', () => ({ getClient: () => null, isConnected: () => false }));
+
+const entitlementService = require('../src/services/entitlementService');
+const { getSubscriptionTier, getEntitlements } = require('../src/config/entitlements');
+const { getAllowedLengths } = require('../src/utils/storyLengthPolicy');
+
+describe('Entitlements', () => {
+  const free = { preferences: {} };
+  const premium = { subscriptionInfo: { tier: 'premium', isActive: true } };
+
+  describe('tiers', () => {
+    it('should treat missing, inactive and unknown subscriptions as free', () => {
+      expect(getSubscriptionTier(free)).toBe('free');
+      expect(getSubscriptionTier({ subscriptionInfo: { tier: 'premium', isActive: false } })).toBe('free');
+      expect(getSubscriptionTier({ subscriptionInfo: { tier: 'gold', isActive: true } })).toBe('free');
+      expect(getEntitlements(premium)).toMatchObject({ tier: 'premium', customVoices: true });
+    });
+
+    it('should take story lengths from the tier', () => {
+      expect(getAllowedLengths(free)).toEqual(['short']);
+      expect(getAllowedLengths(premium)).toEqual(['short', 'medium', 'long']);
+    });
+  });
+
+  describe('assertFeatures', () => {
+    it('should reject voices and illustrations outside the plan', () => {
+      expect(() => entitlementService.assertFeatures(free, { voiceType: 'dramatic' })).toThrow('isn\'t included');
+      expect(() => entitlementService.assertFeatures(free, { voiceId: 'voice-1' })).toThrow('specific voice');
+      expect(() => entitlementService.assertFeatures(free, { generateIllustrations: true })).toThrow('Illustrated');
+      expect(() => entitlementService.assertFeatures(premium, { voiceType: 'dramatic', voiceId: 'voice-1', generateIllustrations: true })).not.toThrow();
+    });
+  });
+
+  describe('updateCountsLocally', () => {
+    const quotas = (stories, illustratedStories, limits = [2, 1]) => [
+      { name: 'stories', limit: limits[0], amount: stories },
+      { name: 'illustratedStories', limit: limits[1], amount: illustratedStories }
+    ];
+
+    it('should consume all quotas or none', () => {
+      expect(entitlementService.updateCountsLocally('u1', '2026-01-01', quotas(1, 1)))
+        .toEqual({ exceeded: null, counts: { stories: 1, illustratedStories: 1 } });
+      expect(entitlementService.updateCountsLocally('u1', '2026-01-01', quotas(1, 1)))
+        .toEqual({ exceeded: 'illustratedStories', counts: { stories: 1, illustratedStories: 1 } });
+      expect(entitlementService.updateCountsLocally('u1', '2026-01-01', quotas(1, 0)))
+        .toEqual({ exceeded: null, counts: { stories: 2, illustratedStories: 1 } });
+    });
+
+    it('should give quotas back without going below zero', () => {
+      expect(entitlementService.updateCountsLocally('u2', '2026-01-01', quotas(-1, -1, [null, null])))
+        .toEqual({ exceeded: null, counts: { stories: 0, illustratedStories: 0 } });
+    });
+  });
+});
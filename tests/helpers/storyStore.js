@@ -0,0 +1,206 @@
+// In-memory stand-in for the Firestore and Storage calls of storyRepository,
+// so story services can be tested end to end with the fake AI providers.
+// Require it before the services and call storyStore() at the top of a test file.
+
+// Jobs run in-process and quotas are counted in-process when Redis isn't connected
+jest.mock('../../src/config/redis', () => ({ getClient: () => null, isConnected: () => false }));
+
+const admin = require('firebase-admin');
+const storyRepository = require('../../src/repositories/storyRepository');
+const aiUsageLedgerRepository = require('../../src/repositories/aiUsageLedgerRepository');
+const aiCacheRepository = require('../../src/repositories/aiCacheRepository');
+const storyQueue = require('../../src/services/storyQueue');
+const storyService = require('../../src/services/storyService');
+
+const STORY_TYPE_ID = 'type-1';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const isDelete = (value) => value instanceof admin.firestore.FieldValue &&
+  value.isEqual(admin.firestore.FieldValue.delete());
+
+// Apply an update with dotted field paths, like Firestore's update()
+const applyUpdate = (doc, updateData) => {
+  Object.entries(updateData).forEach(([key, value]) => {
+    const parts = key.split('.');
+    let target = doc;
+    parts.slice(0, -1).forEach(part => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+    const field = parts[parts.length - 1];
+    if (isDelete(value)) {
+      delete target[field];
+    } else {
+      target[field] = value === undefined ? undefined : clone(value);
+    }
+  });
+};
+
+const storyStore = () => {
+  const store = {
+    stories: {},
+    versions: {},
+    files: {},
+    deletedFiles: [],
+    ledger: [],
+    storyType: {
+      id: STORY_TYPE_ID,
+      name: 'Adventure in Forest',
+      genre: 'Adventure',
+      characteristics: ['courage'],
+      recommendedAgeMin: 4,
+      recommendedAgeMax: 7,
+      aiPromptTemplate: {
+        basePrompt: 'Create an adventure story set in a forest',
+        themes: ['courage'],
+        vocabulary: 'simple words',
+        structure: 'beginning, middle, end'
+      }
+    },
+    users: {}
+  };
+  let storyCount = 0;
+  let fileCount = 0;
+
+  const saveFile = async (kind, storyId, buffer) => {
+    const url = `https://storage.test/${kind}/${storyId}/${++fileCount}`;
+    store.files[url] = buffer;
+    return url;
+  };
+
+  const fakes = {
+    createStory: async (data) => {
+      const id = `story-${++storyCount}`;
+      store.stories[id] = clone({ ...data, createdAt: new Date() });
+      return { id, ...data };
+    },
+    getStoryById: async (id) => (store.stories[id] ? { id, ...clone(store.stories[id]) } : null),
+    getStoriesByStatus: async (statuses, { limit = 100, cursor = null } = {}) => {
+      const ids = Object.keys(store.stories)
+        .filter(id => statuses.includes(store.stories[id].status))
+        .sort()
+        .filter(id => !cursor || id > cursor)
+        .slice(0, limit);
+      return {
+        stories: ids.map(id => ({ id, ...clone(store.stories[id]) })),
+        cursor: ids.length === limit ? ids[ids.length - 1] : null
+      };
+    },
+    updateStory: async (id, updateData) => {
+      applyUpdate(store.stories[id], { ...updateData, updatedAt: new Date() });
+      return { id, ...updateData };
+    },
+    completeGeneration: async (id, pipelineName, updateData) => {
+      applyUpdate(store.stories[id], { ...updateData, updatedAt: new Date() });
+      if (store.stories[id].checkpoints) delete store.stories[id].checkpoints[pipelineName];
+      return { id, ...updateData };
+    },
+    saveGenerationCheckpoint: async (id, pipelineName, stepName, output) => {
+      applyUpdate(store.stories[id], {
+        [`checkpoints.${pipelineName}.${stepName}`]: { output: clone(output || {}), completedAt: new Date() }
+      });
+      return { success: true };
+    },
+    clearGenerationCheckpoints: async (id, pipelineName) => {
+      if (store.stories[id].checkpoints) delete store.stories[id].checkpoints[pipelineName];
+      return { success: true };
+    },
+    incrementRemixCount: async (id) => {
+      store.stories[id].remixCount = (store.stories[id].remixCount || 0) + 1;
+      return { success: true };
+    },
+    getStoryTypeById: async (id) => (id === store.storyType.id ? clone(store.storyType) : null),
+    getUserById: async (uid) => ({ uid, preferences: {}, ...(store.users[uid] || {}) }),
+    updateUserProgress: async () => ({ success: true }),
+    saveGeneratedAudio: async (storyId, buffer) => saveFile('audio', storyId, buffer),
+    saveIllustration: async (storyId, buffer) => saveFile('illustrations', storyId, buffer),
+    saveDrawing: async (userId, storyId) => saveFile('drawings', storyId, Buffer.from('drawing')),
+    downloadFile: async (url) => {
+      if (!store.files[url]) throw new Error(`No file at ${url}`);
+      return store.files[url];
+    },
+    deleteFile: async (url) => {
+      store.deletedFiles.push(url);
+      return { success: true };
+    },
+    createStoryVersion: async (id, toSnapshot, data) => {
+      const story = store.stories[id];
+      const versionNumber = (story.currentVersion || 0) + 1;
+      const version = { versionNumber, ...data, snapshot: clone(toSnapshot(clone(story))), createdAt: new Date() };
+      (store.versions[id] = store.versions[id] || []).push(version);
+      story.currentVersion = versionNumber;
+      return version;
+    },
+    getStoryVersions: async (id) => [...(store.versions[id] || [])].reverse(),
+    getStoryVersion: async (id, versionNumber) =>
+      (store.versions[id] || []).find(version => version.versionNumber === versionNumber) || null,
+    deleteStoryVersions: async (id) => {
+      const deleted = (store.versions[id] || []).length;
+      delete store.versions[id];
+      return { deleted };
+    }
+  };
+
+  beforeEach(() => {
+    Object.entries(fakes).forEach(([name, fake]) => {
+      if (typeof storyRepository[name] === 'function') {
+        jest.spyOn(storyRepository, name).mockImplementation(fake);
+      }
+    });
+    // AI costs are recorded in the background; the AI cache always misses
+    jest.spyOn(aiUsageLedgerRepository, 'addEntry').mockImplementation(async (entry) => {
+      store.ledger.push(entry);
+      return entry;
+    });
+    jest.spyOn(aiCacheRepository, 'getEntry').mockResolvedValue(null);
+    jest.spyOn(aiCacheRepository, 'saveEntry').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    // Let background writes started by the test finish while it is still running
+    await new Promise(resolve => setImmediate(resolve));
+    jest.restoreAllMocks();
+  });
+
+  return store;
+};
+
+/**
+ * Resolves when the next story job run in-process has finished
+ */
+const nextJob = () => new Promise(resolve => {
+  const done = (job, error = null) => {
+    storyQueue.off('completed', done);
+    storyQueue.off('failed', done);
+    resolve({ job, error });
+  };
+  storyQueue.on('completed', done);
+  storyQueue.on('failed', done);
+});
+
+/**
+ * Start a story job and wait for it to finish without an error
+ */
+const runJob = async (start) => {
+  const finished = nextJob();
+  const result = await start();
+  expect((await finished).error).toBeNull();
+  return result;
+};
+
+/**
+ * A new story of the user's, generated in-process
+ */
+const createStory = async (userId, storyData = {}) => {
+  const { storyId } = await runJob(() =>
+    storyService.createStory(userId, { storyTypeId: STORY_TYPE_ID, userPrompt: 'a brave bunny', ...storyData }));
+  return storyId;
+};
+
+module.exports = {
+  storyStore,
+  nextJob,
+  runJob,
+  createStory
+};
@@ -0,0 +1,71 @@
+// AI outputs are cached in-process when Redis isn't connected
+jest.mock('../src/config/redis', () => ({ getClient: () => null, isConnected: () => false }));
+
+const aiService = require('../src/services/aiService');
+const { StoryStyle } = require('../src/models/storyModels');
+const { ILLUSTRATION_STYLES } = require('../src/config/storyPrompts');
+
+describe('Illustrations', () => {
+  const storyType = { name: 'Adventure in Forest' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildIllustrationPrompt', () => {
+    it('should describe every story style, and the classic look for unknown ones', () => {
+      Object.values(StoryStyle).forEach(style => {
+        expect(ILLUSTRATION_STYLES[style]).toBeTruthy();
+        expect(aiService.buildIllustrationPrompt('A fox in the snow', storyType, { style }))
+          .toContain(`Style: ${ILLUSTRATION_STYLES[style]}`);
+      });
+      expect(aiService.buildIllustrationPrompt('A fox in the snow', storyType, { style: 'oil' }))
+        .toContain(`Style: ${ILLUSTRATION_STYLES[StoryStyle.ILLUSTRATED]}`);
+      expect(aiService.buildIllustrationPrompt('A fox in the snow', storyType))
+        .toContain(`Style: ${ILLUSTRATION_STYLES[StoryStyle.ILLUSTRATED]}`);
+    });
+
+    it('should only describe the characters in the scene', () => {
+      const characterSheet = {
+        Luna: 'a small white fox with a blue scarf',
+        Max: 'a brown bear cub in red boots',
+        'Mr. Owl (Sr.)': 'an old grey owl with round glasses'
+      };
+
+      const prompt = aiService.buildIllustrationPrompt('luna and Mr. Owl (Sr.) watch Maxwell the moose', storyType, { characterSheet });
+
+      expect(prompt).toContain('Luna: a small white fox with a blue scarf');
+      expect(prompt).toContain('Mr. Owl (Sr.): an old grey owl');
+      expect(prompt).not.toContain('Max:');
+      expect(aiService.buildIllustrationPrompt('An empty meadow', storyType, { characterSheet }))
+        .not.toContain('Draw the characters');
+    });
+  });
+
+  describe('describeCharacters', () => {
+    const answer = (text) => jest.spyOn(aiService, 'complete').mockResolvedValue({ text });
+
+    it('should read the sheet from the answer, leaving out characters already on it', async () => {
+      answer('Here you go: {" Luna ": " A white fox. ", "Max": "A bear cub.", "Pip": ""}');
+
+      const sheet = await aiService.describeCharacters('Luna and Max met Pip.', {
+        storyType,
+        existing: { 'Max ': 'a brown bear cub' }
+      });
+
+      expect(sheet).toEqual({ Luna: 'A white fox.' });
+    });
+
+    it('should fall back to the given descriptions when the answer can\'t be read', async () => {
+      answer('Luna is a fox and Max is a bear.');
+      const characterDescriptions = { Luna: 'a white fox', ' Max': 'a bear cub' };
+
+      expect(await aiService.describeCharacters('Luna and Max.', { storyType, characterDescriptions, existing: { Max: 'a bear' } }))
+        .toEqual({ Luna: 'a white fox' });
+
+      jest.spyOn(aiService, 'complete').mockRejectedValue(new Error('LLM down'));
+      expect(await aiService.describeCharacters('Luna and Max.', { storyType, characterDescriptions }))
+        .toEqual({ Luna: 'a white fox', Max: 'a bear cub' });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+// A minimal in-memory Redis with the commands and scripts the queue uses
+const mockRedis = {
+  connected: true,
+  hashes: {},
+  lists: {},
+  sortedSets: {},
+  reset() {
+    this.connected = true;
+    this.hashes = {};
+    this.lists = {};
+    this.sortedSets = {};
+  },
+  hash(key) {
+    return (this.hashes[key] = this.hashes[key] || {});
+  },
+  list(key) {
+    return (this.lists[key] = this.lists[key] || []);
+  },
+  sortedSet(key) {
+    return (this.sortedSets[key] = this.sortedSets[key] || {});
+  },
+  client: {
+    hSetNX: async (key, field, value) => {
+      const hash = mockRedis.hash(key);
+      if (field in hash) return false;
+      hash[field] = value;
+      return true;
+    },
+    hSet: async (key, field, value) => {
+      mockRedis.hash(key)[field] = value;
+    },
+    hGet: async (key, field) => mockRedis.hash(key)[field] ?? null,
+    hDel: async (key, field) => {
+      delete mockRedis.hash(key)[field];
+    },
+    lPush: async (key, value) => mockRedis.list(key).unshift(value),
+    lTrim: async (key, start, stop) => {
+      mockRedis.lists[key] = mockRedis.list(key).slice(start, stop + 1);
+    },
+    lLen: async (key) => mockRedis.list(key).length,
+    zAdd: async (key, { score, value }, { condition } = {}) => {
+      const set = mockRedis.sortedSet(key);
+      if (condition === 'XX' && !(value in set)) return;
+      set[value] = score;
+    },
+    zRem: async (key, value) => {
+      delete mockRedis.sortedSet(key)[value];
+    },
+    zCard: async (key) => Object.keys(mockRedis.sortedSet(key)).length,
+    eval: async (script, { keys, arguments: args }) => {
+      if (script.includes('RPOP')) {
+        const jobId = mockRedis.list(keys[0]).pop();
+        if (!jobId) return null;
+        mockRedis.sortedSet(keys[1])[jobId] = Number(args[0]);
+        return jobId;
+      }
+      const active = mockRedis.sortedSet(keys[0]);
+      const expired = Object.keys(active).filter(jobId => active[jobId] <= Number(args[0]));
+      expired.forEach(jobId => {
+        delete active[jobId];
+        mockRedis.list(keys[1]).push(jobId);
+      });
+      return expired.length;
+    }
+  }
+};
+
+jest.mock('../src/config/redis', () => ({
+  getClient: () => (mockRedis.connected ? mockRedis.client : null),
+  isConnected: () => mockRedis.connected
+}));
+
+const { JobQueue } = require('../src/utils/jobQueue');
+
+describe('JobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    mockRedis.reset();
+    queue = new JobQueue('test', { maxAttempts: 2, visibilityTimeoutMs: 1000 });
+  });
+
+  it('should keep one pending job per ID', async () => {
+    expect(await queue.enqueue('generate', { storyId: 's1' }, { jobId: 'generate:s1' }))
+      .toEqual({ jobId: 'generate:s1', queued: true, durable: true });
+    expect(await queue.enqueue('generate', { storyId: 's1' }, { jobId: 'generate:s1' }))
+      .toEqual({ jobId: 'generate:s1', queued: false, durable: true });
+    expect(await queue.getStats()).toEqual({ durable: true, waiting: 1, active: 0, failed: 0 });
+  });
+
+  it('should run reserved jobs and remove them once done', async () => {
+    const handler = jest.fn().mockResolvedValue();
+    const completed = jest.fn();
+    queue.process('generate', handler);
+    queue.on('completed', completed);
+
+    await queue.enqueue('generate', { storyId: 's1' }, { jobId: 'generate:s1' });
+    const job = await queue.reserve();
+    expect(job).toMatchObject({ id: 'generate:s1', attempts: 1 });
+    expect(await queue.getStats()).toMatchObject({ waiting: 0, active: 1 });
+
+    await queue._execute(job);
+
+    expect(handler).toHaveBeenCalledWith({ storyId: 's1' }, job);
+    expect(completed).toHaveBeenCalledWith(job);
+    expect(await queue.getStats()).toEqual({ durable: true, waiting: 0, active: 0, failed: 0 });
+    // The same story can be queued again
+    expect((await queue.enqueue('generate', { storyId: 's1' }, { jobId: 'generate:s1' })).queued).toBe(true);
+  });
+
+  it('should retry failed jobs and move them to the failed list after the last attempt', async () => {
+    const retrying = jest.fn();
+    const failed = jest.fn();
+    queue.process('generate', jest.fn().mockRejectedValue(new Error('LLM down')));
+    queue.on('retrying', retrying);
+    queue.on('failed', failed);
+
+    await queue.enqueue('generate', { storyId: 's1' }, { jobId: 'generate:s1' });
+    await queue._execute(await queue.reserve());
+
+    expect(retrying).toHaveBeenCalledWith(expect.objectContaining({ attempts: 1 }), expect.any(Error));
+    expect(failed).not.toHaveBeenCalled();
+    expect(await queue.getStats()).toEqual({ durable: true, waiting: 1, active: 0, failed: 0 });
+
+    await queue._execute(await queue.reserve());
+
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ type: 'generate', attempts: 2 }), expect.any(Error));
+    expect(await queue.getStats()).toEqual({ durable: true, waiting: 0, active: 0, failed: 1 });
+    expect(JSON.parse(mockRedis.lists['queue:test:failed'][0])).toMatchObject({ reason: 'LLM down', attempts: 2, lastError: 'LLM down' });
+  });
+
+  it('should not retry jobs that failed for good', async () => {
+    const failed = jest.fn();
+    queue.process('generate', jest.fn().mockRejectedValue(Object.assign(new Error('Blocked'), { retryable: false })));
+    queue.on('failed', failed);
+
+    await queue.enqueue('generate', { storyId: 's1' });
+    await queue._execute(await queue.reserve());
+
+    expect(failed).toHaveBeenCalled();
+    expect(await queue.getStats()).toEqual({ durable: true, waiting: 0, active: 0, failed: 1 });
+  });
+
+  it('should requeue jobs of workers that stopped, up to the attempt limit', async () => {
+    const exhausted = jest.fn();
+    queue.on('exhausted', exhausted);
+    await queue.enqueue('generate', { storyId: 's1' }, { jobId: 'generate:s1' });
+
+    // A worker takes the job and dies twice
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      expect((await queue.reserve()).attempts).toBe(attempt);
+      mockRedis.sortedSets['queue:test:active']['generate:s1'] = Date.now() - 1;
+      expect(await queue.requeueExpired()).toBe(1);
+    }
+
+    expect(await queue.reserve()).toBeNull();
+    expect(exhausted).toHaveBeenCalledWith(expect.objectContaining({ id: 'generate:s1', attempts: 3 }));
+    expect(await queue.getStats()).toEqual({ durable: true, waiting: 0, active: 0, failed: 1 });
+  });
+
+  it('should run jobs in-process without Redis', async () => {
+    mockRedis.connected = false;
+    const completed = new Promise(resolve => queue.on('completed', resolve));
+    const handler = jest.fn().mockResolvedValue();
+    queue.process('generate', handler);
+
+    expect(await queue.enqueue('generate', { storyId: 's1' })).toMatchObject({ queued: true, durable: false });
+    await completed;
+
+    expect(handler).toHaveBeenCalledWith({ storyId: 's1' }, expect.objectContaining({ attempts: 0 }));
+  });
+});
@@ -0,0 +1,21 @@
+const LocalCliTTSProvider = require('../src/providers/tts/localCliProvider');
+
+describe('Local TTS provider', () => {
+  const createProvider = (command) => new LocalCliTTSProvider({ command, voices: 'piper-voice', timeoutMs: 5000 });
+
+  // Long enough that the text can't all be buffered before the program exits
+  const text = 'The bunny hopped. '.repeat(20000);
+
+  it('should fail the narration when the program exits without reading the text', async () => {
+    await expect(createProvider('true {output}').synthesize({ text })).rejects.toThrow();
+  });
+
+  it('should fail the narration when the program exits with an error', async () => {
+    await expect(createProvider('false {output}').synthesize({ text })).rejects.toThrow(/Local TTS/);
+  });
+
+  it('should fail the narration when the program doesn\'t exist', async () => {
+    await expect(createProvider('no-such-tts-program {output}').synthesize({ text: 'Hello.' }))
+      .rejects.toThrow('Failed to start local TTS');
+  });
+});
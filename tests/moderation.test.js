@@ -0,0 +1,87 @@
+const { normalizeText, findTerms } = require('../src/utils/textNormalization');
+const LocalRulesModerationProvider = require('../src/providers/moderation/localRulesProvider');
+const { isValidBlockedWord, getParentalControls, findBlockedWords } = require('../src/utils/parentalControls');
+
+describe('Moderation', () => {
+  describe('normalizeText', () => {
+    it('should undo look-alikes, accents, stretching and spacing', () => {
+      expect(normalizeText('K!LL')).toBe('kill');
+      expect(normalizeText('$cary st0ry')).toBe('scary story');
+      expect(normalizeText('kíll')).toBe('kill');
+      expect(normalizeText('k i l l me')).toBe('kill me');
+      expect(normalizeText('kiiiill')).toBe('kiill');
+    });
+
+    it('should leave numbers and exclamations alone', () => {
+      expect(normalizeText('I have 5 apples. Wow!')).toBe('i have 5 apples wow');
+    });
+  });
+
+  describe('findTerms', () => {
+    it('should match whole words, word endings and phrases', () => {
+      const terms = ['kill*', 'gun', 'want to die'];
+
+      expect(findTerms('They were killing it', terms)).toEqual(['kill*']);
+      expect(findTerms('A gunner and a skill', terms)).toEqual([]);
+      expect(findTerms('I  WANT to... die', terms)).toEqual(['want to die']);
+      expect(findTerms('kiiiill', terms)).toEqual(['kill*']);
+    });
+  });
+
+  describe('local rules engine', () => {
+    const provider = new LocalRulesModerationProvider();
+
+    it('should score categories from weighted terms', async () => {
+      const result = await provider.classify('The dragon killed the knight with a knife. Blood everywhere!');
+
+      expect(result.provider).toBe('local');
+      expect(result.categories.violence).toBeGreaterThanOrEqual(0.5);
+      expect(result.matches.map(match => match.term)).toEqual(expect.arrayContaining(['kill*', 'knife', 'blood*']));
+    });
+
+    it('should find personal information in the original text', async () => {
+      const result = await provider.classify('Write to me at kid@example.com or call 555 123 4567');
+
+      expect(result.categories.personalInfo).toBe(1);
+    });
+
+    it('should only use its word lists on text in their language', async () => {
+      const german = 'Die Katze war müde, und die Maus war froh.';
+
+      expect((await provider.classify(german)).categories.violence).toBeGreaterThan(0);
+      expect((await provider.classify(german, { language: 'de' })).categories).toEqual({});
+      expect((await provider.classify('Ruf mich an: 555 123 4567', { language: 'de' })).categories.personalInfo).toBe(0.6);
+    });
+
+    it('should find phone numbers, not counting', async () => {
+      const phone = async (text) => (await provider.classify(text)).categories.personalInfo || 0;
+
+      expect(await phone('Luna counted 1 2 3 4 5 6 7 8 9 10 stars')).toBe(0);
+      expect(await phone('There were 100 200 300 sheep')).toBe(0);
+      expect(await phone('Call 555-123-4567')).toBe(0.6);
+      expect(await phone('Call (020) 7946 0958')).toBe(0.6);
+      expect(await phone('Call +44 20 7946 0958')).toBe(0.6);
+    });
+
+    it('should not score a gentle story', async () => {
+      const result = await provider.classify("Luna found a magic acorn. WHOOSH! 'Wow!' gasped the forest animals.");
+
+      expect(result.categories).toEqual({});
+    });
+  });
+
+  describe('blocked words', () => {
+    it('should only accept words that can be matched', () => {
+      ['monster', 'monster*', 'ice cream', 'jack-in-the-box', 'don\'t', 'drachë'].forEach(word => expect(isValidBlockedWord(word)).toBe(true));
+      ['*', '', '  ', 'a*', 'ab', 'mon$ter', '.*', 'word **', 42].forEach(word => expect(isValidBlockedWord(word)).toBe(false));
+    });
+
+    it('should ignore stored words that would match everything', () => {
+      const controls = getParentalControls({ parentalControls: { blockedWords: ['*', '', 'spider*'] } });
+
+      expect(controls.blockedWords).toEqual(['spider*']);
+      expect(findBlockedWords('a happy cat', controls)).toEqual([]);
+      expect(findBlockedWords('Two spiders', controls)).toEqual(['spider']);
+    });
+  });
+});
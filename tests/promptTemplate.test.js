@@ -0,0 +1,80 @@
+const { renderTemplate, validateTemplate } = require('../src/utils/promptTemplate');
+
+describe('Prompt templates', () => {
+  describe('renderTemplate', () => {
+    it('should substitute variables', () => {
+      const prompt = renderTemplate('A story for {{ name }} in {{language}}.', { name: 'Luna', language: 'en' });
+
+      expect(prompt).toBe('A story for Luna in en.');
+    });
+
+    it('should join arrays and drop missing values', () => {
+      const prompt = renderTemplate('Characters: {{characterNames}}.{{missing}}', { characterNames: ['Luna', 'Pip'] });
+
+      expect(prompt).toBe('Characters: Luna, Pip.');
+    });
+
+    it('should render conditional sections', () => {
+      const template = '{{#if age}}For a {{age}}-year-old{{else}}For children{{/if}}.{{#unless userPrompt}} Surprise me!{{/unless}}';
+
+      expect(renderTemplate(template, { age: 5 })).toBe('For a 5-year-old. Surprise me!');
+      expect(renderTemplate(template, { userPrompt: 'dragons' })).toBe('For children.');
+    });
+
+    it('should treat empty strings and arrays as false', () => {
+      const template = '{{#if themes}}Themes: {{themes}}{{else}}No themes{{/if}}';
+
+      expect(renderTemplate(template, { themes: [] })).toBe('No themes');
+      expect(renderTemplate(template, { themes: '  ' })).toBe('No themes');
+    });
+
+    it('should support nested sections', () => {
+      const template = '{{#if a}}A{{#if b}}B{{else}}!B{{/if}}{{else}}{{#unless b}}none{{/unless}}{{/if}}';
+
+      expect(renderTemplate(template, { a: true, b: true })).toBe('AB');
+      expect(renderTemplate(template, { a: true })).toBe('A!B');
+      expect(renderTemplate(template, {})).toBe('none');
+    });
+
+    it('should collapse blank lines left by empty sections', () => {
+      const template = 'Start\n{{#if extra}}- {{extra}}\n{{/if}}\n\n\nEnd  ';
+
+      expect(renderTemplate(template, {})).toBe('Start\n\nEnd');
+    });
+
+    it('should throw for an invalid template', () => {
+      expect(() => renderTemplate('{{#if age}}no end', {})).toThrow('Invalid prompt template');
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('should accept a valid template and list its variables', () => {
+      const result = validateTemplate('{{#if age}}{{age}}{{/if}} {{language}}', ['age', 'language']);
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.variables.sort()).toEqual(['age', 'language']);
+    });
+
+    it('should report unknown variables', () => {
+      const result = validateTemplate('{{#if secret}}{{nmae}}{{/if}}', ['name']);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Unknown variable "secret"', 'Unknown variable "nmae"']);
+    });
+
+    it('should report unbalanced and unknown blocks', () => {
+      expect(validateTemplate('{{#if a}}').errors).toEqual(['{{#if a}} at position 0 is never closed']);
+      expect(validateTemplate('{{/if}}').errors).toEqual(['Unexpected {{/if}} at position 0']);
+      expect(validateTemplate('{{#if a}}x{{/unless}}{{/if}}').valid).toBe(false);
+      expect(validateTemplate('{{#each items}}{{/each}}').errors[0]).toMatch('Unknown block "each"');
+      expect(validateTemplate('{{#if}}{{/if}}').valid).toBe(false);
+      expect(validateTemplate('{{else}}').valid).toBe(false);
+      expect(validateTemplate('{{#if a}}1{{else}}2{{else}}3{{/if}}').valid).toBe(false);
+    });
+
+    it('should reject templates that are not strings', () => {
+      expect(validateTemplate(42).errors).toEqual(['Template must be a string']);
+    });
+  });
+});
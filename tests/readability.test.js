@@ -0,0 +1,67 @@
+const {
+  countSyllables,
+  analyzeReadability,
+  getReadabilityTarget,
+  assessReadability
+} = require('../src/utils/readability');
+
+describe('Readability', () => {
+  describe('countSyllables', () => {
+    it('should count vowel groups, leaving out silent endings', () => {
+      expect(countSyllables('cat')).toBe(1);
+      expect(countSyllables('jumped')).toBe(1);
+      expect(countSyllables('wanted')).toBe(2);
+      expect(countSyllables('table')).toBe(2);
+      expect(countSyllables('boxes')).toBe(2);
+      expect(countSyllables('beautiful')).toBe(3);
+    });
+
+    it('should split vowel pairs said as two syllables', () => {
+      expect(countSyllables('lion')).toBe(2);
+      expect(countSyllables('being')).toBe(2);
+    });
+  });
+
+  describe('analyzeReadability', () => {
+    it('should score simple text as easy', () => {
+      const scores = analyzeReadability('The cat sat on the bed. The dog ran to the cat. They had fun.');
+
+      expect(scores.assessed).toBe(true);
+      expect(scores.sentenceCount).toBe(3);
+      expect(scores.fleschKincaidGrade).toBeLessThan(2);
+      expect(scores.rareWordRatio).toBe(0);
+    });
+
+    it('should not count names or sound effects as rare words', () => {
+      const scores = analyzeReadability('Then Pippa heard a WHOOSH. Pippa looked up at the magnificent comet.');
+
+      expect(scores.rareWords).toEqual(['magnificent', 'comet']);
+    });
+
+    it('should not assess other languages', () => {
+      const scores = analyzeReadability('El gato duerme. El perro corre.', 'es');
+
+      expect(scores.assessed).toBe(false);
+      expect(scores.wordCount).toBe(6);
+      expect(scores.fleschKincaidGrade).toBeUndefined();
+    });
+  });
+
+  describe('assessReadability', () => {
+    it('should build the band from the child\'s age or the story type\'s ages', () => {
+      expect(getReadabilityTarget({ age: 6 })).toMatchObject({ minGrade: null, maxGrade: 4, maxRareWordRatio: 0.2 });
+      expect(getReadabilityTarget({ ageMin: 4, ageMax: 7 })).toMatchObject({ age: null, ageRange: [4, 7], minGrade: null, maxGrade: 5 });
+      expect(getReadabilityTarget({ age: 10, ageMin: 9, ageMax: 12 })).toMatchObject({ minGrade: 2, maxGrade: 8 });
+    });
+
+    it('should flag text outside the band', () => {
+      const target = getReadabilityTarget({ age: 6 });
+      const hard = analyzeReadability('The extraordinary astronomer meticulously documented unprecedented celestial phenomena throughout the interminable evening.');
+
+      expect(assessReadability(hard, target).verdict).toBe('tooHard');
+      expect(assessReadability(hard, target).distance).toBeGreaterThan(0);
+      expect(assessReadability(analyzeReadability('The cat sat on the bed.'), target)).toEqual({ verdict: 'ok', reasons: [], distance: 0 });
+      expect(assessReadability(analyzeReadability('The cat sat.'), getReadabilityTarget({ age: 12 })).verdict).toBe('tooEasy');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { storyStore, runJob, createStory } = require('./helpers/storyStore');
+const storyService = require('../src/services/storyService');
+const storyBranchService = require('../src/services/storyBranchService');
+const storyChapterService = require('../src/services/storyChapterService');
+const aiService = require('../src/services/aiService');
+const { StoryMode, StoryStatus, StoryVersionReason } = require('../src/models/storyModels');
+
+describe('Story branching', () => {
+  const store = storyStore();
+
+  const createBranchingStory = (userId) => {
+    jest.spyOn(aiService, 'generateStoryChoices').mockResolvedValue(['Climb the tall tree', 'Follow the river']);
+    return createStory(userId, { mode: StoryMode.BRANCHING });
+  };
+
+  const choose = (storyId, userId, choiceId) => runJob(() => storyBranchService.chooseBranch(storyId, userId, { choiceId }));
+
+  describe('chooseBranch', () => {
+    it('should write the part for a new choice and make it current', async () => {
+      const storyId = await createBranchingStory('user-1');
+      const root = store.stories[storyId].branching.nodes.n1;
+      expect(root.choices.map(choice => choice.text)).toEqual(['Climb the tall tree', 'Follow the river']);
+
+      const result = await choose(storyId, 'user-1', 'n1-1');
+
+      const story = store.stories[storyId];
+      expect(result).toMatchObject({ generated: true, chapterNumber: 2 });
+      expect(story.status).toBe(StoryStatus.COMPLETED);
+      expect(story.branching.currentNodeId).toBe('n2');
+      expect(story.branching.nodes.n1.choices[0].nodeId).toBe('n2');
+      expect(story.branching.nodes.n2).toMatchObject({ parentNodeId: 'n1', choiceId: 'n1-1', prompt: 'Climb the tall tree', depth: 1 });
+      expect(story.chapters).toHaveLength(2);
+      expect(story.content).toBe(`${root.content}\n\n${story.branching.nodes.n2.content}`);
+    });
+
+    it('should read a choice picked before again without writing it', async () => {
+      const storyId = await createBranchingStory('user-2');
+      await choose(storyId, 'user-2', 'n1-1');
+      await storyBranchService.selectBranchNode(storyId, 'user-2', 'n1');
+      const generateStoryContinuation = jest.spyOn(aiService, 'generateStoryContinuation');
+
+      const result = await storyBranchService.chooseBranch(storyId, 'user-2', { choiceId: 'n1-1' });
+
+      expect(result).toMatchObject({ generated: false, nodeId: 'n2' });
+      expect(generateStoryContinuation).not.toHaveBeenCalled();
+      expect(store.stories[storyId].branching.currentNodeId).toBe('n2');
+    });
+
+    it('should refuse choices not offered at the end of the current part', async () => {
+      const storyId = await createBranchingStory('user-3');
+
+      await expect(storyBranchService.chooseBranch(storyId, 'user-3', { choiceId: 'n1-9' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(storyBranchService.chooseBranch(storyId, 'user-4', { choiceId: 'n1-1' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should not let other stories be continued by a choice, nor branching stories by a prompt', async () => {
+      const linearId = await createStory('user-5');
+      const branchingId = await createBranchingStory('user-5');
+
+      await expect(storyBranchService.chooseBranch(linearId, 'user-5', { choiceId: 'n1-1' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(storyChapterService.continueStory(branchingId, 'user-5', { additionalPrompt: 'they meet an owl' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('selectBranchNode', () => {
+    it('should put the story back together from the parts on the path', async () => {
+      const storyId = await createBranchingStory('user-6');
+      const firstPart = JSON.parse(JSON.stringify(store.stories[storyId]));
+      await choose(storyId, 'user-6', 'n1-2');
+
+      const result = await storyBranchService.selectBranchNode(storyId, 'user-6', 'n1');
+
+      const story = store.stories[storyId];
+      expect(result).toMatchObject({ nodeId: 'n1', chapters: 1 });
+      expect(story.content).toBe(firstPart.content);
+      expect(story.chapters).toHaveLength(1);
+      expect(story.pages.map(page => page.text)).toEqual(firstPart.pages.map(page => page.text));
+      expect(story.media.narratorVoiceUrl).toBe(firstPart.media.narratorVoiceUrl);
+      // The part written for the choice is kept for later
+      expect(story.branching.nodes.n2).toBeDefined();
+      expect(store.versions[storyId].map(version => version.reason)).toContain(StoryVersionReason.BRANCH_SELECTED);
+    });
+
+    it('should join the recordings of a path once and use them again', async () => {
+      const storyId = await createBranchingStory('user-10');
+      await choose(storyId, 'user-10', 'n1-1');
+      const joinedUrl = store.stories[storyId].media.narratorVoiceUrl;
+      const joinNarrations = jest.spyOn(storyService, 'joinNarrations');
+
+      await storyBranchService.selectBranchNode(storyId, 'user-10', 'n1');
+      await storyBranchService.selectBranchNode(storyId, 'user-10', 'n2');
+      await storyBranchService.selectBranchNode(storyId, 'user-10', 'n1');
+      await storyBranchService.selectBranchNode(storyId, 'user-10', 'n2');
+
+      const story = store.stories[storyId];
+      expect(joinNarrations).not.toHaveBeenCalled();
+      expect(story.media.narratorVoiceUrl).toBe(joinedUrl);
+      expect(story.media.totalDuration).toBeCloseTo(story.chapters.reduce((total, chapter) => total + chapter.narration.duration, 0), 1);
+      expect(story.media.narrationTiming.words.length).toBeGreaterThan(0);
+      expect((await storyBranchService.getBranches(storyId, 'user-10')).nodes[1].joinedNarration).toBeUndefined();
+    });
+
+    it('should refuse unknown parts and the current one', async () => {
+      const storyId = await createBranchingStory('user-7');
+
+      await expect(storyBranchService.selectBranchNode(storyId, 'user-7', 'n9')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(storyBranchService.selectBranchNode(storyId, 'user-7', 'n1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getBranches', () => {
+    it('should list the parts with the current path and its choices', async () => {
+      const storyId = await createBranchingStory('user-8');
+      await choose(storyId, 'user-8', 'n1-2');
+
+      const branches = await storyBranchService.getBranches(storyId, 'user-8');
+
+      expect(branches).toMatchObject({ rootNodeId: 'n1', currentNodeId: 'n2', currentPath: ['n1', 'n2'] });
+      expect(branches.nodes.map(node => node.nodeId)).toEqual(['n1', 'n2']);
+      expect(branches.choices).toEqual(store.stories[storyId].branching.nodes.n2.choices);
+      await expect(storyBranchService.getBranches(storyId, 'user-9')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
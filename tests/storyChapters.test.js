@@ -0,0 +1,116 @@
+const { storyStore, runJob, createStory } = require('./helpers/storyStore');
+const storyChapterService = require('../src/services/storyChapterService');
+const aiService = require('../src/services/aiService');
+const { StoryStatus } = require('../src/models/storyModels');
+const { tokenize } = require('../src/utils/narrationTiming');
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+describe('Story chapters', () => {
+  const store = storyStore();
+
+  const continueStory = (storyId, userId, options = {}) => runJob(() =>
+    storyChapterService.continueStory(storyId, userId, { additionalPrompt: 'they meet an owl', ...options }));
+
+  describe('continueStory', () => {
+    it('should lay out the new pages from the continuation as it was cut to fit', async () => {
+      const storyId = await createStory('user-1');
+      // Leave room for only a few more words
+      const story = store.stories[storyId];
+      const filler = Array.from({ length: 380 - countWords(story.content) }, () => 'hop').join(' ');
+      story.content = `${story.content}\n\n${filler}.`;
+      jest.spyOn(aiService, 'generateStoryContinuation').mockResolvedValue(
+        Array.from({ length: 8 }, () => 'The owl and the bunny sang a song.').join(' ')
+      );
+
+      await continueStory(storyId, 'user-1');
+
+      const continued = store.stories[storyId];
+      const chapter = continued.chapters[continued.chapters.length - 1];
+      const newPages = continued.pages.filter(page => page.chapterNumber === chapter.chapterNumber);
+
+      expect(continued.status).toBe(StoryStatus.COMPLETED);
+      expect(countWords(chapter.content)).toBeLessThan(64);
+      expect(countWords(continued.content)).toBeLessThanOrEqual(400);
+      expect(continued.content.endsWith(chapter.content)).toBe(true);
+      expect(newPages.map(page => page.text).join(' ').split(/\s+/)).toEqual(chapter.content.split(/\s+/));
+    });
+
+    it('should keep how new characters look on their chapter', async () => {
+      const storyId = await createStory('user-2');
+
+      await continueStory(storyId, 'user-2', {
+        newCharacters: ['Hoot'],
+        characterDescriptions: { Hoot: 'a tiny owl with big yellow eyes' }
+      });
+
+      const story = store.stories[storyId];
+      expect(story.pendingContinuation).toBeNull();
+      expect(story.chapters[1]).toMatchObject({
+        newCharacters: ['Hoot'],
+        characterDescriptions: { Hoot: 'a tiny owl with big yellow eyes' }
+      });
+    });
+  });
+
+  describe('deleteLastChapter', () => {
+    it('should put the story back together from the chapters before', async () => {
+      const storyId = await createStory('user-3');
+      const firstChapter = JSON.parse(JSON.stringify(store.stories[storyId]));
+      await continueStory(storyId, 'user-3');
+
+      await expect(storyChapterService.deleteLastChapter(storyId, 'user-3', 1)).rejects.toMatchObject({ statusCode: 400 });
+      await storyChapterService.deleteLastChapter(storyId, 'user-3', 2);
+
+      const story = store.stories[storyId];
+      expect(story.content).toBe(firstChapter.content);
+      expect(story.chapters).toHaveLength(1);
+      expect(story.pages.map(page => page.text)).toEqual(firstChapter.pages.map(page => page.text));
+      expect(story.media.narratorVoiceUrl).toBe(firstChapter.chapters[0].narration.url);
+      expect(story.media.narrationTiming.words.map(word => word.text)).toEqual(tokenize(story.content).map(word => word.text));
+    });
+
+    it('should leave out the characters the chapter brought in', async () => {
+      const storyId = await createStory('user-8');
+      await continueStory(storyId, 'user-8', { newCharacters: ['Hoot'] });
+      store.stories[storyId].characterSheet = { Bun: 'a grey bunny', Hoot: 'a tiny owl' };
+
+      await storyChapterService.deleteLastChapter(storyId, 'user-8', 2);
+
+      const story = store.stories[storyId];
+      expect(story.characterNames).not.toContain('Hoot');
+      expect(story.characterSheet).toEqual({ Bun: 'a grey bunny' });
+    });
+
+    it('should refuse other users, the only chapter and a repeated request', async () => {
+      const storyId = await createStory('user-4');
+
+      await expect(storyChapterService.deleteLastChapter(storyId, 'user-4', 1))
+        .rejects.toMatchObject({ statusCode: 400, message: 'The first chapter can\'t be deleted - delete the story instead' });
+
+      await continueStory(storyId, 'user-4');
+      await expect(storyChapterService.deleteLastChapter(storyId, 'user-5', 2)).rejects.toMatchObject({ statusCode: 403 });
+
+      await storyChapterService.deleteLastChapter(storyId, 'user-4', 2);
+      // Repeating the request doesn't delete the chapter before
+      await expect(storyChapterService.deleteLastChapter(storyId, 'user-4', 2)).rejects.toMatchObject({ statusCode: 400 });
+      expect(store.stories[storyId].chapters).toHaveLength(1);
+    });
+  });
+
+  describe('getChapters', () => {
+    it('should give each chapter its own pages', async () => {
+      const storyId = await createStory('user-6');
+      await continueStory(storyId, 'user-6');
+
+      const { chapters } = await storyChapterService.getChapters(storyId, 'user-6');
+
+      expect(chapters.map(chapter => chapter.chapterNumber)).toEqual([1, 2]);
+      chapters.forEach(chapter => {
+        expect(chapter.pages.map(page => page.pageNumber)).toEqual(chapter.pageNumbers);
+        expect(chapter.pages.map(page => page.text).join(' ').split(/\s+/)).toEqual(chapter.content.split(/\s+/));
+      });
+      await expect(storyChapterService.getChapters(storyId, 'user-7')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
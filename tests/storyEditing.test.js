@@ -0,0 +1,89 @@
+const { storyStore, runJob, createStory } = require('./helpers/storyStore');
+const storyChapterService = require('../src/services/storyChapterService');
+const storyEditService = require('../src/services/storyEditService');
+const aiService = require('../src/services/aiService');
+const { StoryVersionReason } = require('../src/models/storyModels');
+
+describe('Story editing', () => {
+  const store = storyStore();
+
+  // A story of two chapters
+  const createTwoChapterStory = async (userId) => {
+    const storyId = await createStory(userId);
+    await runJob(() => storyChapterService.continueStory(storyId, userId, { additionalPrompt: 'they meet an owl' }));
+    return storyId;
+  };
+
+  describe('editStoryContent', () => {
+    it('should change the page and narrate only its chapter again', async () => {
+      const storyId = await createTwoChapterStory('user-1');
+      const before = JSON.parse(JSON.stringify(store.stories[storyId]));
+      const lastPage = before.pages[before.pages.length - 1];
+      const generateNarration = jest.spyOn(aiService, 'generateNarration');
+
+      const result = await storyEditService.editStoryContent(storyId, 'user-1', [
+        { pageNumber: lastPage.pageNumber, text: 'The owl  hooted softly,\nand everyone went to sleep.' }
+      ]);
+
+      const story = store.stories[storyId];
+      expect(result).toMatchObject({ storyId });
+      expect(story.pages[story.pages.length - 1].text).toBe('The owl hooted softly, and everyone went to sleep.');
+      expect(story.content.endsWith('The owl hooted softly, and everyone went to sleep.')).toBe(true);
+      expect(story.chapters[1].content.endsWith('everyone went to sleep.')).toBe(true);
+      // The first chapter's text and recording stay as they were
+      expect(story.chapters[0].content).toBe(before.chapters[0].content);
+      expect(story.chapters[0].narration.url).toBe(before.chapters[0].narration.url);
+      expect(story.chapters[1].narration.url).not.toBe(before.chapters[1].narration.url);
+      expect(generateNarration).toHaveBeenCalledTimes(1);
+      expect(generateNarration.mock.calls[0][0]).toBe('The owl hooted softly, and everyone went to sleep.');
+      expect(store.versions[storyId].map(version => version.reason)).toContain(StoryVersionReason.EDITED);
+    });
+
+    it('should narrate the edited chapter in full when the recording can\'t be spliced', async () => {
+      const storyId = await createTwoChapterStory('user-5');
+      delete store.stories[storyId].media.narrationFormat;
+      const lastPage = store.stories[storyId].pages[store.stories[storyId].pages.length - 1];
+      const generateNarration = jest.spyOn(aiService, 'generateNarration');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await storyEditService.editStoryContent(storyId, 'user-5', [
+        { pageNumber: lastPage.pageNumber, text: 'And everyone went to sleep.' }
+      ]);
+
+      const story = store.stories[storyId];
+      expect(result.renarrated).toEqual({ chapters: [2] });
+      expect(generateNarration).toHaveBeenCalledTimes(1);
+      expect(generateNarration.mock.calls[0][0]).toBe(story.chapters[1].content);
+      expect(story.media.narrationTiming.words).toHaveLength(story.content.split(/\s+/).length);
+    });
+
+    it('should not let an edit make the story longer than its length allows', async () => {
+      const storyId = await createTwoChapterStory('user-6');
+      const longText = Array.from({ length: 400 }, () => 'hop').join(' ');
+
+      await expect(storyEditService.editStoryContent(storyId, 'user-6', [{ pageNumber: 1, text: longText }]))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not count a different line break as a change', async () => {
+      const storyId = await createTwoChapterStory('user-2');
+      const page = store.stories[storyId].pages[0];
+      page.text = page.text.replace(' ', '\n');
+
+      await expect(storyEditService.editStoryContent(storyId, 'user-2', [{ pageNumber: 1, text: page.text.replace('\n', ' ') }]))
+        .rejects.toMatchObject({ statusCode: 400, message: 'The pages already have this text' });
+    });
+
+    it('should refuse other users, unknown pages and blocked words', async () => {
+      const storyId = await createTwoChapterStory('user-3');
+      store.users['user-3'] = { parentalControls: { blockedWords: ['spider*'] } };
+
+      await expect(storyEditService.editStoryContent(storyId, 'user-4', [{ pageNumber: 1, text: 'Hello.' }]))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(storyEditService.editStoryContent(storyId, 'user-3', [{ pageNumber: 99, text: 'Hello.' }]))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(storyEditService.editStoryContent(storyId, 'user-3', [{ pageNumber: 1, text: 'Two spiders came.' }]))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
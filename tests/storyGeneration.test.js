@@ -0,0 +1,82 @@
+const { storyStore, nextJob } = require('./helpers/storyStore');
+const storyService = require('../src/services/storyService');
+const storyQueue = require('../src/services/storyQueue');
+const aiService = require('../src/services/aiService');
+const { StoryStatus } = require('../src/models/storyModels');
+
+describe('Story generation', () => {
+  const store = storyStore();
+
+  // Also gives back the error of a job that failed
+  const createStory = async (userId = 'user-1') => {
+    const finished = nextJob();
+    const { storyId } = await storyService.createStory(userId, { storyTypeId: store.storyType.id, userPrompt: 'a brave bunny' });
+    const { error } = await finished;
+    return { storyId, error };
+  };
+
+  it('should save the story and remove its checkpoints', async () => {
+    const { storyId, error } = await createStory();
+    const story = store.stories[storyId];
+
+    expect(error).toBeNull();
+    expect(story.status).toBe(StoryStatus.COMPLETED);
+    expect(story.content).toBeTruthy();
+    expect(story.pages.length).toBeGreaterThan(0);
+    expect(story.checkpoints?.create).toBeUndefined();
+  });
+
+  it('should retry a failed story from the step that failed', async () => {
+    const generateStory = jest.spyOn(aiService, 'generateStory');
+    jest.spyOn(aiService, 'generateNarration').mockRejectedValueOnce(new Error('TTS down'));
+
+    const { storyId, error } = await createStory('user-2');
+    expect(error.message).toMatch(/TTS down/);
+    expect(store.stories[storyId]).toMatchObject({ status: StoryStatus.FAILED, failedStep: 'narration' });
+    expect(Object.keys(store.stories[storyId].checkpoints.create)).toEqual(expect.arrayContaining(['generateStory', 'pages']));
+
+    const finished = nextJob();
+    const retry = await storyService.retryStory(storyId, 'user-2');
+    expect(retry).toMatchObject({ pipeline: 'create', resumeFrom: 'narration' });
+    expect((await finished).error).toBeNull();
+
+    const story = store.stories[storyId];
+    expect(story.status).toBe(StoryStatus.COMPLETED);
+    expect(story.media.narratorVoiceUrl).toBeTruthy();
+    expect(story.checkpoints?.create).toBeUndefined();
+    // The story text written before the failure was reused
+    expect(generateStory).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the story in progress while the queue will run its job again', async () => {
+    jest.spyOn(storyQueue, 'willRetry').mockReturnValueOnce(true);
+    jest.spyOn(aiService, 'generateNarration').mockRejectedValueOnce(new Error('TTS down'));
+
+    const { storyId, error } = await createStory('user-4');
+    expect(error.message).toMatch(/TTS down/);
+    expect(store.stories[storyId]).toMatchObject({ status: StoryStatus.PROCESSING, failedStep: 'narration' });
+
+    // The queue's next attempt picks up from the checkpoint
+    await storyService.processGenerationJob({ storyId }, { attempts: 2, maxAttempts: 3 });
+
+    expect(store.stories[storyId]).toMatchObject({ status: StoryStatus.COMPLETED, error: null, failedStep: null });
+  });
+
+  it('should only retry failed stories of the user', async () => {
+    const { storyId } = await createStory('user-3');
+
+    await expect(storyService.retryStory(storyId, 'someone-else')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(storyService.retryStory(storyId, 'user-3')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should resume every story left in progress, page by page', async () => {
+    for (let i = 0; i < 250; i++) {
+      store.stories[`stranded-${i}`] = { status: i % 2 ? StoryStatus.GENERATING : StoryStatus.PROCESSING };
+    }
+    store.stories['stranded-done'] = { status: StoryStatus.COMPLETED };
+    const enqueue = jest.spyOn(storyQueue, 'enqueue').mockResolvedValue({ queued: true, durable: true });
+
+    expect(await storyService.resumeStrandedStories()).toEqual({ found: 250, resumed: 250 });
+    expect(new Set(enqueue.mock.calls.map(([, data]) => data.storyId)).size).toBe(250);
+  });
+});
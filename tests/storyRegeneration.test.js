@@ -0,0 +1,120 @@
+const { storyStore, runJob, createStory } = require('./helpers/storyStore');
+const storyChapterService = require('../src/services/storyChapterService');
+const storyEditService = require('../src/services/storyEditService');
+const aiService = require('../src/services/aiService');
+const { StoryVersionReason } = require('../src/models/storyModels');
+
+describe('Story regeneration', () => {
+  const store = storyStore();
+
+  describe('regenerateTitle', () => {
+    it('should give the story a different title and save it as a new version', async () => {
+      const storyId = await createStory('user-1');
+      const oldTitle = store.stories[storyId].title;
+      const generateTitle = jest.spyOn(aiService, 'generateTitle').mockResolvedValue('The Bunny Who Flew');
+
+      const result = await storyEditService.regenerateTitle(storyId, 'user-1');
+
+      expect(result).toMatchObject({ asset: 'title', title: 'The Bunny Who Flew', versionNumber: 2 });
+      expect(result.quota.quotas.regenerations.used).toBe(1);
+      expect(generateTitle.mock.calls[0][3]).toContain(`"${oldTitle}"`);
+      expect(store.stories[storyId].title).toBe('The Bunny Who Flew');
+      expect(store.versions[storyId][1]).toMatchObject({ reason: StoryVersionReason.REGENERATED, note: 'New title' });
+    });
+
+    it('should give the regeneration back and keep the story when it fails', async () => {
+      const storyId = await createStory('user-2');
+      const oldTitle = store.stories[storyId].title;
+      jest.spyOn(aiService, 'generateTitle').mockRejectedValueOnce(new Error('AI unavailable'));
+
+      await expect(storyEditService.regenerateTitle(storyId, 'user-2')).rejects.toThrow('AI unavailable');
+      expect(store.stories[storyId].title).toBe(oldTitle);
+      expect(store.versions[storyId].map(version => version.reason)).toEqual([StoryVersionReason.CREATED]);
+
+      // Only the regeneration that worked is counted
+      jest.spyOn(aiService, 'generateTitle').mockResolvedValue('The Bunny Who Flew');
+      const result = await storyEditService.regenerateTitle(storyId, 'user-2');
+      expect(result.quota.quotas.regenerations.used).toBe(1);
+    });
+
+    it('should refuse other users and stop at the daily limit', async () => {
+      const storyId = await createStory('user-3');
+      jest.spyOn(aiService, 'generateTitle').mockResolvedValue('The Bunny Who Flew');
+
+      await expect(storyEditService.regenerateTitle(storyId, 'user-4')).rejects.toMatchObject({ statusCode: 403 });
+
+      for (let i = 0; i < 5; i++) {
+        await storyEditService.regenerateTitle(storyId, 'user-3');
+      }
+      await expect(storyEditService.regenerateTitle(storyId, 'user-3'))
+        .rejects.toMatchObject({ statusCode: 403, code: 'QUOTA_EXCEEDED' });
+    });
+  });
+
+  describe('regenerateIllustration', () => {
+    it('should draw only the given page again from the new description', async () => {
+      const storyId = await createStory('user-5');
+      store.users['user-5'] = { subscriptionInfo: { tier: 'basic', isActive: true } };
+      const before = JSON.parse(JSON.stringify(store.stories[storyId]));
+      const generateIllustrations = jest.spyOn(aiService, 'generateIllustrations');
+
+      const result = await storyEditService.regenerateIllustration(storyId, 'user-5', 1, {
+        sceneDescription: 'The bunny waves from a hot air balloon'
+      });
+
+      const story = store.stories[storyId];
+      expect(generateIllustrations.mock.calls[0][0]).toEqual(['The bunny waves from a hot air balloon']);
+      expect(story.pages[0]).toMatchObject({
+        sceneDescription: 'The bunny waves from a hot air balloon',
+        illustrationUrl: result.illustrationUrl
+      });
+      expect(story.pages.slice(1)).toEqual(before.pages.slice(1));
+      expect(story.chapters[0].illustrationUrls).toContain(result.illustrationUrl);
+    });
+
+    it('should need a plan with pictures', async () => {
+      const storyId = await createStory('user-6');
+
+      await expect(storyEditService.regenerateIllustration(storyId, 'user-6', 1))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('regenerateNarration', () => {
+    it('should narrate every chapter again and join them into the story\'s recording', async () => {
+      const storyId = await createStory('user-7');
+      await runJob(() => storyChapterService.continueStory(storyId, 'user-7', { additionalPrompt: 'they meet an owl' }));
+      const before = JSON.parse(JSON.stringify(store.stories[storyId]));
+
+      const result = await storyEditService.regenerateNarration(storyId, 'user-7');
+
+      const story = store.stories[storyId];
+      expect(result.totalDuration).toBe(story.media.totalDuration);
+      expect(story.media.narratorVoiceUrl).not.toBe(before.media.narratorVoiceUrl);
+      story.chapters.forEach((chapter, index) => {
+        expect(chapter.narration.url).not.toBe(before.chapters[index].narration.url);
+      });
+      expect(story.chapters[1].narration.startTime).toBeCloseTo(story.chapters[0].narration.duration, 1);
+      expect(story.media.totalDuration).toBeCloseTo(
+        story.chapters.reduce((total, chapter) => total + chapter.narration.duration, 0), 1
+      );
+    });
+  });
+
+  describe('regenerateBackgroundMusic', () => {
+    it('should switch to the given theme or to another one', async () => {
+      const storyId = await createStory('user-8');
+      const oldUrl = store.stories[storyId].media.backgroundMusicUrl;
+
+      const picked = await storyEditService.regenerateBackgroundMusic(storyId, 'user-8');
+      expect(picked.backgroundMusicUrl).not.toBe(oldUrl);
+
+      const given = await storyEditService.regenerateBackgroundMusic(storyId, 'user-8', { theme: 'mystery' });
+      expect(given.backgroundMusicUrl.endsWith('mysterious_theme.mp3')).toBe(true);
+      expect(store.stories[storyId].media.backgroundMusicUrl).toBe(given.backgroundMusicUrl);
+
+      await expect(storyEditService.regenerateBackgroundMusic(storyId, 'user-8', { theme: 'disco' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
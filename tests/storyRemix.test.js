@@ -0,0 +1,96 @@
+const { storyStore, runJob, createStory } = require('./helpers/storyStore');
+const storyRemixService = require('../src/services/storyRemixService');
+const { StoryStatus } = require('../src/models/storyModels');
+
+describe('Story remixes', () => {
+  const store = storyStore();
+
+  const createSharedStory = async (userId) => {
+    const storyId = await createStory(userId, {
+      characterNames: ['Bun'],
+      characterDescriptions: { Bun: 'a grey bunny with one floppy ear' }
+    });
+    store.stories[storyId].isShared = true;
+    return storyId;
+  };
+
+  const remix = (storyId, userId, twist = 'but the bunny is a pirate') =>
+    runJob(() => storyRemixService.remixStory(storyId, userId, { twist }));
+
+  describe('remixStory', () => {
+    it('should start a new story of the caller\'s from the original\'s opening and the twist', async () => {
+      const originalId = await createSharedStory('author-1');
+      const original = store.stories[originalId];
+
+      const { storyId } = await remix(originalId, 'reader-1');
+
+      const story = store.stories[storyId];
+      expect(story.userId).toBe('reader-1');
+      expect(story.status).toBe(StoryStatus.COMPLETED);
+      expect(story.storyTypeId).toBe(original.storyTypeId);
+      expect(story.characterNames).toEqual(['Bun']);
+      expect(story.userInput).toMatchObject({
+        userPrompt: 'but the bunny is a pirate',
+        remix: { title: original.title, premise: original.content.split(/\s+/).join(' ') }
+      });
+      // How the author described the characters stays theirs
+      expect(story.userInput.characterDescriptions).toEqual({});
+      expect(story.remixedFrom).toEqual({ storyId: originalId, title: original.title });
+      expect(story.lineage).toEqual([{ storyId: originalId, title: original.title }]);
+      expect(original.remixCount).toBe(1);
+    });
+
+    it('should give only the start of a long story as the premise', async () => {
+      const originalId = await createSharedStory('author-2');
+      const content = Array.from({ length: 100 }, (_, index) => `word${index}`).join(' ');
+      store.stories[originalId].content = content;
+      store.stories[originalId].chapters[0].content = content;
+
+      const { storyId } = await remix(originalId, 'reader-2');
+
+      const { premise } = store.stories[storyId].userInput.remix;
+      expect(premise.split(' ')).toHaveLength(80);
+      expect(premise.endsWith('word79...')).toBe(true);
+    });
+
+    it('should keep the original\'s length only when the caller\'s plan has it', async () => {
+      const originalId = await createSharedStory('author-5');
+      store.stories[originalId].metadata.lengthPolicy.length = 'medium';
+      store.users['basic-reader-5'] = { subscriptionInfo: { tier: 'basic', isActive: true } };
+
+      const { storyId: freeRemixId } = await remix(originalId, 'reader-5');
+      const { storyId: basicRemixId } = await remix(originalId, 'basic-reader-5');
+
+      expect(store.stories[freeRemixId].metadata.lengthPolicy.length).toBe('short');
+      expect(store.stories[basicRemixId].metadata.lengthPolicy.length).toBe('medium');
+    });
+
+    it('should trace a remix of a remix back to the first story', async () => {
+      const originalId = await createSharedStory('author-3');
+      const { storyId: remixId } = await remix(originalId, 'reader-3');
+      store.stories[remixId].isShared = true;
+
+      const { storyId } = await remix(remixId, 'another-reader-3', 'and they sail to the moon');
+
+      expect(store.stories[storyId].lineage.map(entry => entry.storyId)).toEqual([originalId, remixId]);
+      expect(store.stories[storyId].remixedFrom.storyId).toBe(remixId);
+    });
+
+    it('should refuse stories that are missing, not shared or not finished', async () => {
+      const storyId = await createSharedStory('author-4');
+
+      await expect(storyRemixService.remixStory('missing', 'reader-4', { twist: 'pirates' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+
+      store.stories[storyId].isShared = false;
+      await expect(storyRemixService.remixStory(storyId, 'reader-4', { twist: 'pirates' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      store.stories[storyId].isShared = true;
+      store.stories[storyId].status = StoryStatus.GENERATING;
+      await expect(storyRemixService.remixStory(storyId, 'reader-4', { twist: 'pirates' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(store.stories[storyId].remixCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { storyStore, runJob, createStory } = require('./helpers/storyStore');
+const storyVersionService = require('../src/services/storyVersionService');
+const storyChapterService = require('../src/services/storyChapterService');
+const storyRepository = require('../src/repositories/storyRepository');
+const { StoryVersionReason } = require('../src/models/storyModels');
+const { tokenize } = require('../src/utils/narrationTiming');
+
+describe('Story versions', () => {
+  const store = storyStore();
+
+  // A story with its first version, then a second with a new title and ending
+  const createEditedStory = async (userId) => {
+    const storyId = await createStory(userId);
+
+    const story = store.stories[storyId];
+    story.title = 'The Sleepy Bunny';
+    story.content = `${story.content} Then everyone went to sleep.`;
+    await storyVersionService.recordVersion(storyId, StoryVersionReason.EDITED, userId, { note: 'New ending' });
+    return storyId;
+  };
+
+  describe('recordVersion', () => {
+    it('should number versions and make the newest current', async () => {
+      const storyId = await createEditedStory('user-1');
+
+      const { currentVersion, versions } = await storyVersionService.getVersions(storyId, 'user-1');
+
+      expect(currentVersion).toBe(2);
+      expect(versions.map(version => [version.versionNumber, version.reason])).toEqual([
+        [2, StoryVersionReason.EDITED],
+        [1, StoryVersionReason.CREATED]
+      ]);
+    });
+
+    it('should not fail the change when the version can\'t be saved', async () => {
+      const storyId = await createEditedStory('user-2');
+      storyRepository.createStoryVersion.mockRejectedValueOnce(new Error('Firestore unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(storyVersionService.recordVersion(storyId, StoryVersionReason.EDITED, 'user-2')).resolves.toBeNull();
+      expect(store.stories[storyId].currentVersion).toBe(2);
+    });
+  });
+
+  describe('toSnapshot', () => {
+    it('should leave word timing out of versions', async () => {
+      const storyId = await createEditedStory('user-8');
+      expect(store.stories[storyId].media.narrationTiming.words.length).toBeGreaterThan(0);
+
+      const { snapshot } = store.versions[storyId][1];
+
+      expect(snapshot.content).toBe(store.stories[storyId].content);
+      expect(snapshot.media).toMatchObject({ narratorVoiceUrl: store.stories[storyId].media.narratorVoiceUrl, narrationTiming: null });
+      expect(storyVersionService.toSnapshot({
+        branching: { nodes: { n1: { nodeId: 'n1', narration: { url: 'a.mp3', timing: { words: [] } } } } }
+      }).branching.nodes.n1.narration).toEqual({ url: 'a.mp3', timing: null });
+    });
+  });
+
+  describe('ensureBaselineVersion', () => {
+    it('should save stories from before version history once', async () => {
+      const storyId = await createEditedStory('user-3');
+      delete store.stories[storyId].currentVersion;
+      delete store.versions[storyId];
+
+      await storyVersionService.ensureBaselineVersion({ id: storyId, ...store.stories[storyId] });
+      await storyVersionService.ensureBaselineVersion({ id: storyId, ...store.stories[storyId] });
+
+      expect(store.versions[storyId].map(version => version.reason)).toEqual([StoryVersionReason.BASELINE]);
+    });
+  });
+
+  describe('compareVersions', () => {
+    it('should show the words and title that changed since an earlier version', async () => {
+      const storyId = await createEditedStory('user-4');
+
+      const { changes, contentDiff } = await storyVersionService.compareVersions(storyId, 'user-4', 1);
+
+      expect(changes.title.to).toBe('The Sleepy Bunny');
+      expect(changes.wordsAdded).toBe(5);
+      expect(changes.wordsRemoved).toBe(0);
+      expect(contentDiff.filter(part => part.type === 'added').map(part => part.text).join(' ')).toContain('went to sleep.');
+    });
+  });
+
+  describe('restoreVersion', () => {
+    it('should put back the earlier version and save the restore as a new version', async () => {
+      const storyId = await createEditedStory('user-5');
+      const original = store.versions[storyId][0].snapshot;
+
+      const result = await storyVersionService.restoreVersion(storyId, 'user-5', 1);
+
+      expect(result).toMatchObject({ restoredFrom: 1, versionNumber: 3 });
+      expect(store.stories[storyId].title).toBe(original.title);
+      expect(store.stories[storyId].content).toBe(original.content);
+      expect(store.versions[storyId][2]).toMatchObject({ reason: StoryVersionReason.RESTORED, restoredFrom: 1 });
+    });
+
+    it('should keep the word timing of a recording the story still has', async () => {
+      const storyId = await createEditedStory('user-9');
+      const timing = store.stories[storyId].media.narrationTiming;
+
+      await storyVersionService.restoreVersion(storyId, 'user-9', 1);
+
+      expect(store.stories[storyId].media.narrationTiming).toEqual(timing);
+    });
+
+    it('should time the words of an earlier recording again', async () => {
+      const storyId = await createEditedStory('user-10');
+      await runJob(() => storyChapterService.continueStory(storyId, 'user-10', { additionalPrompt: 'they meet an owl' }));
+
+      await storyVersionService.restoreVersion(storyId, 'user-10', 2);
+
+      const story = store.stories[storyId];
+      expect(story.chapters).toHaveLength(1);
+      expect(story.media.narrationTiming.source).toBe('estimated');
+      expect(story.media.narrationTiming.words.map(word => word.text)).toEqual(tokenize(story.content).map(word => word.text));
+      expect(story.media.narrationTiming.words[story.media.narrationTiming.words.length - 1].end)
+        .toBeLessThanOrEqual(story.media.totalDuration);
+    });
+
+    it('should refuse other users, unknown versions and the current version', async () => {
+      const storyId = await createEditedStory('user-6');
+
+      await expect(storyVersionService.restoreVersion(storyId, 'user-7', 1)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(storyVersionService.restoreVersion(storyId, 'user-6', 9)).rejects.toMatchObject({ statusCode: 404 });
+      await expect(storyVersionService.restoreVersion(storyId, 'user-6', 2)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const { diffWords, countChangedWords } = require('../src/utils/textDiff');
+
+describe('Text diff', () => {
+  it('should mark words added and removed between two versions', () => {
+    const runs = diffWords('The bunny hopped home.', 'The brave bunny ran home.');
+
+    expect(runs).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'added', text: 'brave ' },
+      { type: 'equal', text: 'bunny ' },
+      { type: 'added', text: 'ran' },
+      { type: 'removed', text: 'hopped' },
+      { type: 'equal', text: ' home.' }
+    ]);
+    expect(countChangedWords(runs)).toEqual({ wordsAdded: 2, wordsRemoved: 1 });
+  });
+
+  it('should give both texts back from the runs', () => {
+    const before = 'Once upon a time.\n\nThe owl slept.';
+    const after = 'Once upon a time.\n\nThe owl woke up and flew away.';
+    const runs = diffWords(before, after);
+
+    expect(runs.filter(run => run.type !== 'added').map(run => run.text).join('')).toBe(before);
+    expect(runs.filter(run => run.type !== 'removed').map(run => run.text).join('')).toBe(after);
+  });
+
+  it('should handle missing text', () => {
+    expect(diffWords(null, 'Hello there')).toEqual([{ type: 'added', text: 'Hello there' }]);
+    expect(diffWords('', '')).toEqual([]);
+  });
+});
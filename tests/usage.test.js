@@ -0,0 +1,144 @@
+// Today's minutes are counted in-process when Redis isn't connected
+jest.mock('../src/config/redis', () => ({ getClient: () => null, isConnected: () => false }));
+jest.mock('../src/config/firebase', () => ({ getAuth: jest.fn(), getFirestore: jest.fn(), admin: {} }));
+jest.mock('../src/repositories/usageRepository', () => ({
+  getParentalControls: jest.fn(),
+  recordMinutes: jest.fn(() => Promise.resolve()),
+  getDays: jest.fn()
+}));
+// Signed in as the role in the X-Test-Role header
+jest.mock('../src/middleware/auth', () => ({
+  ...jest.requireActual('../src/middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = { uid: 'route-user', role: req.get('X-Test-Role') };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const usageRepository = require('../src/repositories/usageRepository');
+const usageService = require('../src/services/usageService');
+const userRoutes = require('../src/routes/user');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { getLocalTime, subtractDays } = require('../src/utils/localTime');
+
+describe('Usage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    usageRepository.getParentalControls.mockResolvedValue({});
+    usageRepository.getDays.mockImplementation((userId, dates) => Promise.resolve(dates.map(() => null)));
+  });
+
+  // Usage is saved in the background; let it finish before the test ends
+  afterEach(() => new Promise(resolve => setImmediate(resolve)));
+
+  describe('localTime', () => {
+    it('should give the date and minute in the user\'s time zone', () => {
+      const at = new Date('2026-03-01T23:30:00Z');
+
+      expect(getLocalTime(at, 'UTC')).toEqual({ date: '2026-03-01', minute: 23 * 60 + 30 });
+      expect(getLocalTime(at, 'Europe/Berlin')).toEqual({ date: '2026-03-02', minute: 30 });
+      expect(getLocalTime(at, 'America/New_York')).toEqual({ date: '2026-03-01', minute: 18 * 60 + 30 });
+      expect(getLocalTime(at, 'Not/AZone')).toEqual(getLocalTime(at, 'UTC'));
+    });
+
+    it('should count back across months and leap days', () => {
+      expect(subtractDays('2028-03-01', 1)).toBe('2028-02-29');
+      expect(subtractDays('2026-01-02', 3)).toBe('2025-12-30');
+    });
+  });
+
+  describe('recordActivity', () => {
+    it('should count each active minute once', async () => {
+      const at = new Date('2026-05-10T10:00:30Z');
+
+      await usageService.recordActivity('u-once', 'api', { at });
+      await usageService.recordActivity('u-once', 'playback', { at, seconds: 60 });
+      const status = await usageService.recordActivity('u-once', 'api', { at: new Date('2026-05-10T10:00:50Z') });
+
+      expect(status).toMatchObject({ date: '2026-05-10', minutesUsed: 2, limitMinutes: null, warning: null });
+      expect(usageRepository.recordMinutes).toHaveBeenCalledTimes(2);
+    });
+
+    it('should start a new day at the user\'s midnight', async () => {
+      usageRepository.getParentalControls.mockResolvedValue({ timezone: 'Europe/Berlin' });
+
+      // 00:01 in Berlin; the heartbeat's first minute was still yesterday there
+      const status = await usageService.recordActivity('u-midnight', 'playback', { at: new Date('2026-05-10T22:01:10Z'), seconds: 120 });
+
+      expect(status).toMatchObject({ date: '2026-05-11', timezone: 'Europe/Berlin', minutesUsed: 2 });
+    });
+
+    it('should keep the counts of users whose day is another date', async () => {
+      usageRepository.getParentalControls.mockImplementation((userId) =>
+        Promise.resolve({ timezone: userId === 'u-tokyo' ? 'Asia/Tokyo' : 'America/New_York' }));
+      // 20:00 in New York is already the next day in Tokyo
+      const at = new Date('2026-05-11T00:00:00Z');
+
+      await usageService.recordActivity('u-new-york', 'playback', { at, seconds: 120 });
+      await usageService.recordActivity('u-tokyo', 'playback', { at, seconds: 60 });
+      const status = await usageService.recordActivity('u-new-york', 'api', { at: new Date(at.getTime() + 5 * 60000) });
+
+      expect(status).toMatchObject({ date: '2026-05-10', minutesUsed: 4 });
+    });
+
+    it('should stop counting at a blocking limit and warn before it', async () => {
+      usageRepository.getParentalControls.mockResolvedValue({ maxDailyUsageMinutes: 12 });
+      const at = new Date('2026-05-10T12:00:00Z');
+
+      const near = await usageService.recordActivity('u-limit', 'playback', { at, seconds: 60 });
+      expect(near).toMatchObject({ minutesUsed: 2, remainingMinutes: 10, warning: 'limit-near', limitReached: false });
+
+      const reached = await usageService.recordActivity('u-limit', 'playback', { at: new Date(at.getTime() + 20 * 60000), seconds: 120 });
+      expect(reached).toMatchObject({ minutesUsed: 5, limitReached: false });
+
+      let status;
+      for (let minute = 30; minute < 45; minute++) {
+        status = await usageService.recordActivity('u-limit', 'api', { at: new Date(at.getTime() + minute * 60000) });
+      }
+      expect(status).toMatchObject({ minutesUsed: 12, remainingMinutes: 0, limitReached: true, warning: 'limit-reached' });
+      expect(usageRepository.recordMinutes).toHaveBeenLastCalledWith('u-limit', '2026-05-10', expect.objectContaining({ minutes: 12, limitReached: true }));
+    });
+  });
+
+  describe('getUsageHistory', () => {
+    it('should list days newest first with today\'s live minutes', async () => {
+      const today = getLocalTime(new Date(), 'UTC').date;
+      usageRepository.getParentalControls.mockResolvedValue({ maxDailyUsageMinutes: 30 });
+      usageRepository.getDays.mockResolvedValue([
+        null,
+        { minutes: 45, limitMinutes: 30, byActivity: { playback: 45 } },
+        null
+      ]);
+
+      await usageService.recordActivity('u-history', 'api');
+      const history = await usageService.getUsageHistory('u-history', 3);
+
+      expect(usageRepository.getDays).toHaveBeenCalledWith('u-history', [today, subtractDays(today, 1), subtractDays(today, 2)]);
+      expect(history.days.map(day => day.minutes)).toEqual([1, 45, 0]);
+      expect(history.days[1]).toMatchObject({ limitReached: true, byActivity: { playback: 45 } });
+      expect(history.totalMinutes).toBe(46);
+    });
+  });
+
+  describe('GET /api/users/usage', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', userRoutes);
+    app.use(errorHandler);
+
+    it('should show the history to parents', async () => {
+      const res = await request(app).get('/api/users/usage?days=2').set('X-Test-Role', 'parent');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.days).toHaveLength(2);
+    });
+
+    it('should refuse other roles', async () => {
+      const res = await request(app).get('/api/users/usage').set('X-Test-Role', 'child');
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});